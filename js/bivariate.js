@@ -0,0 +1,302 @@
+/* bivariate.js
+   Bivariate colour mode: annual mean temperature × annual precipitation on a 3×3 or 4×4 colour grid.
+   Purpose: read temperature and precipitation together without glyphs. Temperature classes are cut on the glyph
+   temperature scale (tempToR); precipitation classes are quantiles of the shown period's annual precipitation.
+   The square legend is a filter: clicking a class highlights only the matching locations.
+*/
+
+import { STATE, dispatcher, tempToR } from "./shared.js";
+import { getClimateStore } from "./climate-store.js";
+import { makeLegendDraggable } from "./variables.js";
+import { displayUnit, formatNumber, precipUnit, tempUnit } from "./units.js";
+
+const MONTHS = 12;
+
+export const BIVARIATE_SIZES = [3, 4];
+
+// Corner colours of the grid (cold-dry, warm-dry, cold-wet, warm-wet); inner classes are blended in Lab
+const CORNER_COLORS = {
+    coldDry: "#e8e8e8",
+    warmDry: "#c85a5a",
+    coldWet: "#64acbe",
+    warmWet: "#574249"
+};
+
+/* =========================================================
+   Classes
+   Temperature: tempToR(annual mean) cut into equal steps.
+   Precipitation: annual totals cut at their quantiles (terciles on 3×3, quartiles on 4×4). Equal steps of the
+   glyph's precipToR curve would put the breaks above 3000 mm/yr and nearly every cell in the driest row.
+   ========================================================= */
+function tempPosition(meanTemp) {
+    return tempToR(meanTemp);
+}
+
+function classOf(position, size) {
+    if (!Number.isFinite(position)) return 0;
+    return Math.max(0, Math.min(size - 1, Math.floor(position * size)));
+}
+
+function precipClassOf(annualPrecip, breaks) {
+    return Number.isFinite(annualPrecip) ? d3.bisectRight(breaks, annualPrecip) : 0;
+}
+
+function quantileBreaks(values, size) {
+    const sorted = values.filter(Number.isFinite).sort();
+    return d3.range(1, size).map(k => d3.quantileSorted(sorted, k / size) ?? 0);
+}
+
+// Colour of every class: palette[tempClass + size * precipClass]
+const paletteCache = new Map();
+
+export function bivariatePalette(size) {
+    if (!paletteCache.has(size)) {
+        const dry = d3.interpolateLab(CORNER_COLORS.coldDry, CORNER_COLORS.warmDry);
+        const wet = d3.interpolateLab(CORNER_COLORS.coldWet, CORNER_COLORS.warmWet);
+        const palette = [];
+        for (let pc = 0; pc < size; pc++) {
+            for (let tc = 0; tc < size; tc++) {
+                const u = tc / (size - 1);
+                palette.push(d3.color(d3.interpolateLab(dry(u), wet(u))(pc / (size - 1))).formatHex());
+            }
+        }
+        paletteCache.set(size, palette);
+    }
+    return paletteCache.get(size);
+}
+
+let binCache = null;
+
+// Class of every cell for a grid size (bins: Uint8Array aligned with data) and the annual precipitation breaks
+function getBivariateClasses(data, size) {
+    if (binCache && binCache.data === data && binCache.size === size) return binCache;
+    const store = getClimateStore(data);
+    const meanTemp = new Float32Array(data.length);
+    const annualPrecip = new Float32Array(data.length);
+    for (let i = 0; i < data.length; i++) {
+        // Store rows are summed straight from the columns
+        const t = store ? store.t : data[i].t;
+        const p = store ? store.p : data[i].p;
+        const offset = store ? i * MONTHS : 0;
+        let tSum = 0;
+        let pSum = 0;
+        for (let m = 0; m < MONTHS; m++) {
+            tSum += t[offset + m];
+            pSum += p[offset + m];
+        }
+        meanTemp[i] = tSum / MONTHS;
+        annualPrecip[i] = pSum;
+    }
+    const precipBreaks = quantileBreaks(annualPrecip, size);
+    const bins = new Uint8Array(data.length);
+    for (let i = 0; i < data.length; i++) {
+        bins[i] = classOf(tempPosition(meanTemp[i]), size) + size * precipClassOf(annualPrecip[i], precipBreaks);
+    }
+    binCache = { data, size, bins, precipBreaks };
+    return binCache;
+}
+
+export function getBivariateBins(data, size) {
+    return getBivariateClasses(data, size).bins;
+}
+
+// Class boundaries in data units: annual mean °C (inverting the glyph scale) and annual mm (quantiles of data)
+function invertMonotonic(fn, target, lo, hi) {
+    for (let i = 0; i < 48; i++) {
+        const mid = (lo + hi) / 2;
+        if (fn(mid) < target) lo = mid;
+        else hi = mid;
+    }
+    return (lo + hi) / 2;
+}
+
+function classBreaks(size) {
+    const steps = d3.range(1, size).map(k => k / size);
+    return {
+        temp: steps.map(u => invertMonotonic(tempPosition, u, -100, 100)),
+        precip: STATE.data?.length ? getBivariateClasses(STATE.data, size).precipBreaks : steps.map(() => 0)
+    };
+}
+
+/* =========================================================
+   Legend and class filter
+   ========================================================= */
+const LEGEND_GRID_SIZE = 96;
+const LEGEND_MARGIN = { top: 4, right: 8, bottom: 34, left: 40 };
+
+function setFilter(classIndex) {
+    STATE.bivariateFilter = classIndex;
+    dispatcher.call("bivariateChanged", null, STATE.bivariateSize);
+}
+
+function classLabel(tc, pc, size, breaks) {
+    const range = (values, c, unit, digits) => {
+        const lo = c === 0 ? null : values[c - 1];
+        const hi = c === size - 1 ? null : values[c];
+        const shown = displayUnit(unit);
+        if (lo === null) return `< ${formatNumber(hi, unit, digits)} ${shown}`;
+        if (hi === null) return `≥ ${formatNumber(lo, unit, digits)} ${shown}`;
+        return `${formatNumber(lo, unit, digits)}–${formatNumber(hi, unit, digits)} ${shown}`;
+    };
+    return `Mean temp ${range(breaks.temp, tc, "°C", 1)} · Precip ${range(breaks.precip, pc, "mm", 0)}`;
+}
+
+function renderLegend(legend) {
+    const size = STATE.bivariateSize;
+    const palette = bivariatePalette(size);
+    const breaks = classBreaks(size);
+    const cell = LEGEND_GRID_SIZE / size;
+    const readout = legend.select(".bivariate-legend-readout");
+
+    const svg = legend.select(".bivariate-legend-grid");
+    svg.selectAll("*").remove();
+    svg.attr("width", LEGEND_MARGIN.left + LEGEND_GRID_SIZE + LEGEND_MARGIN.right)
+        .attr("height", LEGEND_MARGIN.top + LEGEND_GRID_SIZE + LEGEND_MARGIN.bottom);
+    const g = svg.append("g").attr("transform", `translate(${LEGEND_MARGIN.left},${LEGEND_MARGIN.top})`);
+
+    // Warm to the right, wet to the top
+    const classes = d3.range(size * size).map(i => ({ index: i, tc: i % size, pc: Math.floor(i / size) }));
+    g.selectAll("rect.bivariate-legend-cell")
+        .data(classes)
+        .enter()
+        .append("rect")
+        .attr("class", "bivariate-legend-cell")
+        .classed("selected", c => STATE.bivariateFilter === c.index)
+        .classed("dimmed", c => STATE.bivariateFilter !== null && STATE.bivariateFilter !== c.index)
+        .attr("x", c => c.tc * cell)
+        .attr("y", c => (size - 1 - c.pc) * cell)
+        .attr("width", cell)
+        .attr("height", cell)
+        .attr("fill", c => palette[c.index])
+        .on("mouseover", (event, c) => readout.text(classLabel(c.tc, c.pc, size, breaks)))
+        .on("mouseout", () => readout.text(STATE.bivariateFilter !== null ? "Click the highlighted class to clear" : ""))
+        .on("click", (event, c) => setFilter(STATE.bivariateFilter === c.index ? null : c.index));
+
+    const temp = d3.scaleLinear().domain([0, size]).range([0, LEGEND_GRID_SIZE]);
+    g.append("g")
+        .attr("class", "bivariate-legend-axis")
+        .attr("transform", `translate(0,${LEGEND_GRID_SIZE})`)
+        .call(d3.axisBottom(temp).tickValues(d3.range(1, size)).tickSize(3)
+            .tickFormat((_, i) => formatNumber(breaks.temp[i], "°C", 0)));
+    g.append("text")
+        .attr("class", "bivariate-legend-axis-title")
+        .attr("x", LEGEND_GRID_SIZE / 2)
+        .attr("y", LEGEND_GRID_SIZE + 28)
+        .attr("text-anchor", "middle")
+        .text(`Mean temp (${tempUnit()}) →`);
+
+    const precip = d3.scaleLinear().domain([0, size]).range([LEGEND_GRID_SIZE, 0]);
+    g.append("g")
+        .attr("class", "bivariate-legend-axis")
+        .call(d3.axisLeft(precip).tickValues(d3.range(1, size)).tickSize(3)
+            .tickFormat((_, i) => formatNumber(breaks.precip[i], "mm", 0)));
+    g.append("text")
+        .attr("class", "bivariate-legend-axis-title")
+        .attr("transform", `translate(${-30},${LEGEND_GRID_SIZE / 2}) rotate(-90)`)
+        .attr("text-anchor", "middle")
+        .text(`Precip (${precipUnit()}) →`);
+
+    readout.text(STATE.bivariateFilter !== null ? "Click the highlighted class to clear" : "Click a class to highlight it");
+}
+
+export function initBivariateLegend() {
+    const legendEl = document.getElementById("bivariate-legend");
+    if (!legendEl) return;
+    const legend = d3.select(legendEl);
+    const sizeSelect = legendEl.querySelector("#bivariate-size");
+
+    sizeSelect.innerHTML = "";
+    BIVARIATE_SIZES.forEach(size => {
+        const option = document.createElement("option");
+        option.value = size;
+        option.textContent = `${size}×${size}`;
+        sizeSelect.appendChild(option);
+    });
+    sizeSelect.value = STATE.bivariateSize;
+    makeLegendDraggable(legendEl, legendEl.querySelector(".bivariate-legend-title"));
+
+    // Class indices differ between grid sizes, so a size change clears the filter
+    sizeSelect.addEventListener("change", () => {
+        STATE.bivariateSize = +sizeSelect.value;
+        setFilter(null);
+    });
+
+    dispatcher.on("bivariateChanged.legend", () => renderLegend(legend));
+    // Precipitation classes are quantiles of the shown period
+    dispatcher.on("dataLoaded.bivariateLegend", () => {
+        if (STATE.colorMode === "bivariate") renderLegend(legend);
+    });
+    dispatcher.on("unitsChanged.bivariateLegend", () => {
+        if (STATE.colorMode === "bivariate") renderLegend(legend);
+    });
+    dispatcher.on("colorModeChanged.bivariateLegend", mode => {
+        const active = mode === "bivariate";
+        legendEl.classList.toggle("active", active);
+        if (!active && STATE.bivariateFilter !== null) setFilter(null);
+        if (active) renderLegend(legend);
+    });
+}
+
+/* =========================================================
+   Export: the legend drawn into the exported map image
+   ========================================================= */
+
+// Draws the bivariate legend onto an export canvas at its on-screen position (scale = export pixels per CSS pixel).
+// Returns false when the map is not in the bivariate colour mode.
+export function drawBivariateLegendForExport(ctx, scale) {
+    const legendEl = document.getElementById("bivariate-legend");
+    const mapCanvas = document.getElementById("mapCanvas");
+    if (STATE.colorMode !== "bivariate" || !legendEl || !mapCanvas) return false;
+
+    const size = STATE.bivariateSize;
+    const palette = bivariatePalette(size);
+    const breaks = classBreaks(size);
+    const cell = LEGEND_GRID_SIZE / size;
+    const mapRect = mapCanvas.getBoundingClientRect();
+    const legendRect = legendEl.getBoundingClientRect();
+    const width = LEGEND_MARGIN.left + LEGEND_GRID_SIZE + LEGEND_MARGIN.right + 20;
+    const height = 28 + LEGEND_MARGIN.top + LEGEND_GRID_SIZE + LEGEND_MARGIN.bottom;
+
+    ctx.save();
+    ctx.translate((legendRect.left - mapRect.left) * scale, (legendRect.top - mapRect.top) * scale);
+    ctx.scale(scale, scale);
+
+    ctx.fillStyle = "rgba(255, 255, 255, 0.9)";
+    ctx.strokeStyle = "rgba(208, 208, 208, 0.9)";
+    ctx.lineWidth = 1;
+    ctx.fillRect(0, 0, width, height);
+    ctx.strokeRect(0.5, 0.5, width - 1, height - 1);
+
+    ctx.fillStyle = "#333";
+    ctx.font = "600 12px Inter, 'Helvetica Neue', sans-serif";
+    ctx.textBaseline = "top";
+    ctx.textAlign = "left";
+    ctx.fillText("Temperature × precipitation", 10, 8);
+
+    const left = 10 + LEGEND_MARGIN.left;
+    const top = 28 + LEGEND_MARGIN.top;
+    for (let i = 0; i < size * size; i++) {
+        const tc = i % size;
+        const pc = Math.floor(i / size);
+        ctx.globalAlpha = STATE.bivariateFilter !== null && STATE.bivariateFilter !== i ? 0.25 : 1;
+        ctx.fillStyle = palette[i];
+        ctx.fillRect(left + tc * cell, top + (size - 1 - pc) * cell, cell, cell);
+    }
+    ctx.globalAlpha = 1;
+
+    ctx.fillStyle = "#555";
+    ctx.font = "10px Inter, 'Helvetica Neue', sans-serif";
+    ctx.textAlign = "center";
+    breaks.temp.forEach((v, i) => ctx.fillText(formatNumber(v, "°C", 0), left + (i + 1) * cell, top + LEGEND_GRID_SIZE + 4));
+    ctx.fillText(`Mean temp (${tempUnit()}) →`, left + LEGEND_GRID_SIZE / 2, top + LEGEND_GRID_SIZE + 18);
+    ctx.textAlign = "right";
+    ctx.textBaseline = "middle";
+    breaks.precip.forEach((v, i) => ctx.fillText(formatNumber(v, "mm", 0), left - 4, top + LEGEND_GRID_SIZE - (i + 1) * cell));
+    ctx.translate(left - 30, top + LEGEND_GRID_SIZE / 2);
+    ctx.rotate(-Math.PI / 2);
+    ctx.textAlign = "center";
+    ctx.fillText(`Precip (${precipUnit()}) →`, 0, 0);
+
+    ctx.restore();
+    return true;
+}
@@ -3,7 +3,7 @@
    Shared constants, color helpers, and utility functions for all chart tabs
    ========================================================= */
 
-import { dispatcher, STATE, adjustColor } from "./shared.js";
+import { dispatcher, STATE, adjustColor, isClassVisible } from "./shared.js";
 
 // Initialize coordinate display on page load
 document.addEventListener("DOMContentLoaded", () => {
@@ -88,6 +88,13 @@ export const RANGE_OPACITY_UNLOCKED = 0.15;
 export const RANGE_OPACITY_LOCKED_ACTIVE = 0.4;
 export const RANGE_OPACITY_LOCKED_DIM = 0.05;
 
+// Opacity of a class range/hull: the locked or hovered class stands out, classes off in the class legend are dimmed
+export function rangeOpacity(kgType, highlightType) {
+    if (!isClassVisible(kgType)) return RANGE_OPACITY_LOCKED_DIM;
+    if (!highlightType) return RANGE_OPACITY_UNLOCKED;
+    return kgType === highlightType ? RANGE_OPACITY_LOCKED_ACTIVE : RANGE_OPACITY_LOCKED_DIM;
+}
+
 /* =========================================================
    Tooltip
    ========================================================= */
@@ -185,11 +192,30 @@ export function baseSvg(svg) {
 /* =========================================================
    Köppen explanation formatter
    ========================================================= */
+// Split a Köppen code into main group, precipitation and temperature letters (E classes have no precipitation letter)
+export function kgTypeParts(kg) {
+    const main = kg[0];
+    const tempChar = main === "E"
+        ? (kg.length >= 2 ? kg[1] : null)
+        : (kg.length >= 3 ? kg[2] : null);
+    const precipChar = main === "E"
+        ? null
+        : (kg.length >= 2 ? kg[1] : null);
+    return { main, tempChar, precipChar };
+}
+
+// Plain-text class name from the dictionaries, e.g. "Temperate · Without Dry Season · Warm Summer"
+export function describeKgType(kg) {
+    if (!kg) return "";
+    const { main, tempChar, precipChar } = kgTypeParts(kg);
+    return [KOPPEN_MAIN[main], KOPPEN_PRECIP[precipChar], KOPPEN_TEMP[tempChar]].filter(Boolean).join(" · ");
+}
+
 export function explainKgType(kg) {
     if (!kg || kg.length < 1) return "";
 
     const lines = [];
-    const main = kg[0];
+    const { main, tempChar, precipChar } = kgTypeParts(kg);
 
     if (KOPPEN_MAIN[main]) {
         lines.push(`Main: <strong>${main}</strong> ${KOPPEN_MAIN[main]}`);
@@ -197,13 +223,6 @@ export function explainKgType(kg) {
         lines.push("<br>");
     }
 
-    const tempChar = main === "E"
-        ? (kg.length >= 2 ? kg[1] : null)
-        : (kg.length >= 3 ? kg[2] : null);
-    const precipChar = main === "E"
-        ? null
-        : (kg.length >= 2 ? kg[1] : null);
-
     if (tempChar && KOPPEN_TEMP[tempChar]) {
         lines.push(`Temperature: <strong>${tempChar}</strong> ${KOPPEN_TEMP[tempChar]}`);
     } else {
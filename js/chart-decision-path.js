@@ -0,0 +1,218 @@
+/* =========================================================
+   chart-decision-path.js
+   Tab1: Köppen decision-path explainer for the locked location
+   Each test of the classification tree is one row: value vs threshold, branch taken, borderline flag.
+   ========================================================= */
+
+import { getChartSize, showTooltip, hideTooltip } from "./chart-common.js";
+import { traceKoppen } from "./koppen.js";
+import { convertLabel, formatMeasure } from "./units.js";
+
+const ROW_HEIGHT = 54;
+const HEADER_HEIGHT = 44;
+const FOOTER_HEIGHT = 36;
+const SIDE_PAD = 16;
+
+const COLOR_PASS = "#2e8b57";
+const COLOR_FAIL = "#9aa3ab";
+const COLOR_BORDERLINE = "#e08a00";
+
+function formatValue(v, unit) {
+    if (!Number.isFinite(v)) return "–";
+    if (unit === "°C") return formatMeasure(v, unit, 1);
+    if (unit === "mm") return formatMeasure(v, unit, 0);
+    return `${Math.round(v)} ${unit}`;
+}
+
+// Symmetric domain around the threshold (in the metric units of the classifier) that keeps the value visible with some margin
+function stepDomain(step) {
+    const gap = Math.abs(step.value - step.threshold);
+    let minSpan = 4;
+    if (step.unit === "°C") minSpan = 5;
+    else if (step.unit === "mm") minSpan = Math.max(20, Math.abs(step.threshold) * 0.5);
+    const span = Math.max(gap * 1.3, minSpan);
+    return [step.threshold - span, step.threshold + span];
+}
+
+// Tests with "<" / "<=" pass on the left of the threshold, ">" / ">=" on the right
+function passesLeft(op) {
+    return op === "<" || op === "<=";
+}
+
+function renderEmpty(svg, width) {
+    svg.attr("width", width).attr("height", HEADER_HEIGHT);
+    svg.append("text")
+        .attr("x", SIDE_PAD)
+        .attr("y", 18)
+        .attr("font-size", 12)
+        .attr("font-weight", 600)
+        .attr("fill", "#333333")
+        .text("Why this class?");
+    svg.append("text")
+        .attr("x", SIDE_PAD)
+        .attr("y", 34)
+        .attr("font-size", 11)
+        .attr("fill", "#777777")
+        .text("Lock a location to see the classification tests it passed.");
+}
+
+export function renderDecisionPath(d) {
+    const svgElement = document.getElementById("koppenDecisionChart");
+    if (!svgElement) return;
+
+    const svg = d3.select(svgElement);
+    svg.selectAll("*").remove();
+    const { width } = getChartSize();
+
+    const trace = d ? traceKoppen(d.t, d.p) : null;
+    if (!trace) {
+        renderEmpty(svg, width);
+        return;
+    }
+
+    const height = HEADER_HEIGHT + trace.steps.length * ROW_HEIGHT + FOOTER_HEIGHT;
+    svg.attr("width", width).attr("height", height);
+
+    svg.append("text")
+        .attr("x", SIDE_PAD)
+        .attr("y", 18)
+        .attr("font-size", 12)
+        .attr("font-weight", 600)
+        .attr("fill", "#333333")
+        .text("Why this class?");
+
+    svg.append("text")
+        .attr("x", SIDE_PAD)
+        .attr("y", 34)
+        .attr("font-size", 11)
+        .attr("fill", "#777777")
+        .text("Decision path (Beck et al. 2018) · ● value · │ threshold · shaded = test passes");
+
+    const innerWidth = width - SIDE_PAD * 2;
+    const barWidth = Math.max(80, innerWidth * 0.55);
+
+    const rows = svg.append("g")
+        .attr("transform", `translate(${SIDE_PAD},${HEADER_HEIGHT})`)
+        .selectAll(".decision-step")
+        .data(trace.steps)
+        .enter()
+        .append("g")
+        .attr("class", s => `decision-step${s.borderline ? " borderline" : ""}`)
+        .attr("transform", (_, i) => `translate(0,${i * ROW_HEIGHT})`)
+        .on("mouseover", function(event, s) {
+            const lines = [
+                convertLabel(s.label),
+                `Value: ${formatValue(s.value, s.unit)} · Threshold: ${formatValue(s.threshold, s.unit)}`,
+                `${s.passed ? "Passed" : "Failed"} → ${s.branch}`
+            ];
+            if (s.note) lines.push(`Threshold basis: ${s.note}`);
+            if (s.borderline) lines.push("Borderline: value is close to the threshold");
+            showTooltip(event, lines.join(" · "));
+        })
+        .on("mouseout", () => hideTooltip());
+
+    // Row background, tinted for borderline tests
+    rows.append("rect")
+        .attr("x", -6)
+        .attr("y", 2)
+        .attr("width", innerWidth + 12)
+        .attr("height", ROW_HEIGHT - 4)
+        .attr("rx", 4)
+        .attr("fill", s => s.borderline ? "rgba(224,138,0,0.10)" : (s.passed ? "rgba(46,139,87,0.05)" : "transparent"));
+
+    rows.append("text")
+        .attr("x", 0)
+        .attr("y", 16)
+        .attr("font-size", 11)
+        .attr("fill", "#333333")
+        .text((s, i) => `${i + 1}. ${convertLabel(s.label)}`);
+
+    rows.append("text")
+        .attr("x", innerWidth)
+        .attr("y", 32)
+        .attr("text-anchor", "end")
+        .attr("font-size", 11)
+        .attr("font-weight", 600)
+        .attr("fill", s => s.passed ? COLOR_PASS : COLOR_FAIL)
+        .text(s => `${s.passed ? "yes" : "no"} → ${s.branch}`);
+
+    rows.filter(s => s.borderline)
+        .append("text")
+        .attr("class", "decision-borderline-badge")
+        .attr("x", innerWidth)
+        .attr("y", 16)
+        .attr("text-anchor", "end")
+        .attr("font-size", 10)
+        .attr("font-weight", 700)
+        .attr("fill", COLOR_BORDERLINE)
+        .text("BORDERLINE");
+
+    // Mini scale per test: pass region, threshold tick and value marker
+    rows.each(function(s) {
+        const row = d3.select(this);
+        const x = d3.scaleLinear()
+            .domain(stepDomain(s))
+            .range([0, barWidth])
+            .clamp(true);
+        const bar = row.append("g").attr("transform", "translate(0,28)");
+        const tx = x(s.threshold);
+
+        bar.append("line")
+            .attr("x1", 0).attr("x2", barWidth)
+            .attr("y1", 0).attr("y2", 0)
+            .attr("stroke", "#d5dade")
+            .attr("stroke-width", 4)
+            .attr("stroke-linecap", "round");
+
+        bar.append("rect")
+            .attr("x", passesLeft(s.op) ? 0 : tx)
+            .attr("y", -2)
+            .attr("width", passesLeft(s.op) ? tx : barWidth - tx)
+            .attr("height", 4)
+            .attr("fill", COLOR_PASS)
+            .attr("opacity", 0.35);
+
+        bar.append("line")
+            .attr("x1", tx).attr("x2", tx)
+            .attr("y1", -6).attr("y2", 6)
+            .attr("stroke", "#333333")
+            .attr("stroke-width", 1.5);
+
+        bar.append("circle")
+            .attr("cx", x(s.value))
+            .attr("cy", 0)
+            .attr("r", 4.5)
+            .attr("fill", s.borderline ? COLOR_BORDERLINE : (s.passed ? COLOR_PASS : COLOR_FAIL))
+            .attr("stroke", "#fff")
+            .attr("stroke-width", 1.2);
+
+        bar.append("text")
+            .attr("x", 0)
+            .attr("y", 18)
+            .attr("font-size", 10)
+            .attr("fill", "#555555")
+            .text(`${formatValue(s.value, s.unit)} vs ${formatValue(s.threshold, s.unit)}`);
+    });
+
+    // Result line
+    const footerY = HEADER_HEIGHT + trace.steps.length * ROW_HEIGHT + 22;
+    let resultText = `Result: ${trace.type}`;
+    if (d.kg_type && d.kg_type !== trace.type) resultText += ` (dataset label: ${d.kg_type})`;
+    svg.append("text")
+        .attr("x", SIDE_PAD)
+        .attr("y", footerY)
+        .attr("font-size", 12)
+        .attr("font-weight", 700)
+        .attr("fill", "#333333")
+        .text(resultText);
+
+    if (trace.borderline) {
+        svg.append("text")
+            .attr("x", width - SIDE_PAD)
+            .attr("y", footerY)
+            .attr("text-anchor", "end")
+            .attr("font-size", 11)
+            .attr("fill", COLOR_BORDERLINE)
+            .text("Near a threshold: small changes could alter the class");
+    }
+}
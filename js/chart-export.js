@@ -0,0 +1,236 @@
+/* chart-export.js
+   Chart figure export: the panel's D3 SVGs stacked under their text header into one standalone SVG file,
+   or rasterised from that SVG to PNG through an Image and a canvas.
+   Purpose: offline chart export with no screenshot library. Computed CSS is inlined into the cloned charts
+   so the file renders the same outside the page, and the coordinate and Köppen header lines are real SVG text.
+*/
+
+import { downloadBlob, downloadSvg } from "./svg-export.js";
+
+const SVG_NS = "http://www.w3.org/2000/svg";
+const FIGURE_PADDING = 16;
+const ITEM_GAP = 8;
+const LINE_HEIGHT = 1.35;
+const PNG_SCALE = 2;
+
+// Presentation properties copied from the computed style of every chart element
+const STYLE_PROPERTIES = [
+    "fill", "fill-opacity", "stroke", "stroke-width", "stroke-opacity", "stroke-dasharray",
+    "stroke-linecap", "stroke-linejoin", "opacity", "visibility", "paint-order",
+    "font-family", "font-size", "font-weight", "font-style", "text-anchor", "dominant-baseline",
+    "letter-spacing", "shape-rendering"
+];
+
+let measureCtx = null;
+
+/* =========================================================
+   Figure items
+   A figure is a vertical list of items: text lines, chart SVGs and raster images, centred on a white page
+   ========================================================= */
+// Text of an element with its child nodes separated by spaces (badges and value spans stay readable)
+function elementText(el) {
+    return Array.from(el.childNodes)
+        .map(node => node.textContent.replace(/\s+/g, " ").trim())
+        .filter(Boolean)
+        .join(" ");
+}
+
+function textFont(style) {
+    return `${style.fontStyle} ${style.fontWeight} ${style.fontSize} ${style.fontFamily}`;
+}
+
+// One line of text styled like styleEl on screen; null when there is nothing to show
+export function textItem(styleEl, text = styleEl ? elementText(styleEl) : "") {
+    if (!styleEl || !text || text === "—") return null;
+    const style = getComputedStyle(styleEl);
+    const fontSize = parseFloat(style.fontSize) || 12;
+    measureCtx = measureCtx || document.createElement("canvas").getContext("2d");
+    measureCtx.font = textFont(style);
+    return {
+        type: "text",
+        text,
+        style,
+        fontSize,
+        width: measureCtx.measureText(text).width,
+        height: fontSize * LINE_HEIGHT
+    };
+}
+
+// A chart SVG at its on-screen size; null when it is hidden or empty
+export function chartItem(svgEl) {
+    if (!svgEl || !svgEl.childElementCount) return null;
+    const rect = svgEl.getBoundingClientRect();
+    if (rect.width <= 0 || rect.height <= 0) return null;
+    return { type: "chart", element: svgEl, width: rect.width, height: rect.height };
+}
+
+// A raster (e.g. a map thumbnail canvas) shown at the given width
+export function imageItem(canvas, width) {
+    if (!canvas || !canvas.width) return null;
+    return { type: "image", canvas, width, height: canvas.height * (width / canvas.width) };
+}
+
+// Coordinate and country lines of the panel header
+export function coordinateItems() {
+    const coord = document.getElementById("climate-coord");
+    if (!coord) return [];
+    return [textItem(coord.querySelector(".coord-line")), textItem(coord.querySelector(".country-line"))];
+}
+
+/* =========================================================
+   Style inlining
+   ========================================================= */
+// Copy computed presentation styles from source onto its clone; a property is written only where it differs
+// from the parent's value, and elements not displayed on screen are dropped
+function inlineStyles(source, target, parentStyle = null) {
+    const style = getComputedStyle(source);
+    const declarations = [];
+    STYLE_PROPERTIES.forEach(prop => {
+        const value = style.getPropertyValue(prop);
+        if (!value) return;
+        const unchanged = prop === "opacity" ? value === "1" : parentStyle && parentStyle.getPropertyValue(prop) === value;
+        if (!unchanged) declarations.push(`${prop}:${value}`);
+    });
+    if (declarations.length) {
+        target.setAttribute("style", declarations.join(";"));
+    } else {
+        target.removeAttribute("style");
+    }
+
+    const hidden = [];
+    Array.from(source.children).forEach((child, i) => {
+        const targetChild = target.children[i];
+        if (getComputedStyle(child).display === "none") {
+            hidden.push(targetChild);
+        } else {
+            inlineStyles(child, targetChild, style);
+        }
+    });
+    hidden.forEach(el => el.remove());
+}
+
+function chartElement(item, x, y) {
+    const source = item.element;
+    const clone = source.cloneNode(true);
+    inlineStyles(source, clone);
+    // Charts are drawn in their width/height attribute space and scaled by CSS on screen
+    const viewWidth = parseFloat(source.getAttribute("width")) || item.width;
+    const viewHeight = parseFloat(source.getAttribute("height")) || item.height;
+    clone.removeAttribute("id");
+    clone.removeAttribute("class");
+    clone.setAttribute("x", x);
+    clone.setAttribute("y", Math.round(y));
+    clone.setAttribute("width", item.width);
+    clone.setAttribute("height", item.height);
+    clone.setAttribute("viewBox", source.getAttribute("viewBox") || `0 0 ${viewWidth} ${viewHeight}`);
+    return clone;
+}
+
+function textElement(item, cx, y) {
+    const { style } = item;
+    const text = document.createElementNS(SVG_NS, "text");
+    text.setAttribute("x", cx);
+    text.setAttribute("y", Math.round(y + item.fontSize * 1.05));
+    text.setAttribute("text-anchor", "middle");
+    text.setAttribute("fill", style.color);
+    text.setAttribute("font-family", style.fontFamily);
+    text.setAttribute("font-size", `${item.fontSize}px`);
+    text.setAttribute("font-weight", style.fontWeight);
+    if (style.fontStyle !== "normal") text.setAttribute("font-style", style.fontStyle);
+    text.textContent = item.text;
+    return text;
+}
+
+function imageElement(item, x, y) {
+    const image = document.createElementNS(SVG_NS, "image");
+    image.setAttribute("x", x);
+    image.setAttribute("y", Math.round(y));
+    image.setAttribute("width", item.width);
+    image.setAttribute("height", item.height);
+    image.setAttribute("href", item.canvas.toDataURL("image/png"));
+    return image;
+}
+
+/* =========================================================
+   Figure document
+   ========================================================= */
+// Standalone SVG markup of the items stacked top to bottom: { markup, width, height }
+export function buildChartSvg(items) {
+    const shown = items.filter(Boolean);
+    const contentWidth = Math.ceil(d3.max(shown, item => item.width) || 0);
+    const width = contentWidth + FIGURE_PADDING * 2;
+    const cx = width / 2;
+
+    const svg = document.createElementNS(SVG_NS, "svg");
+    const background = document.createElementNS(SVG_NS, "rect");
+    background.setAttribute("width", "100%");
+    background.setAttribute("height", "100%");
+    background.setAttribute("fill", "#ffffff");
+    svg.appendChild(background);
+
+    let y = FIGURE_PADDING;
+    shown.forEach((item, i) => {
+        if (i > 0 && (item.type !== "text" || shown[i - 1].type !== "text")) y += ITEM_GAP;
+        const x = Math.round(cx - item.width / 2);
+        if (item.type === "chart") svg.appendChild(chartElement(item, x, y));
+        else if (item.type === "image") svg.appendChild(imageElement(item, x, y));
+        else svg.appendChild(textElement(item, cx, y));
+        y += item.height;
+    });
+    const height = Math.ceil(y + FIGURE_PADDING);
+
+    svg.setAttribute("width", width);
+    svg.setAttribute("height", height);
+    svg.setAttribute("viewBox", `0 0 ${width} ${height}`);
+    const markup = `<?xml version="1.0" encoding="UTF-8"?>\n${new XMLSerializer().serializeToString(svg)}\n`;
+    return { markup, width, height };
+}
+
+// One chart as inline <svg> markup with its styles inlined (for embedding in other documents); "" when hidden
+export function inlineChartMarkup(svgEl) {
+    const item = chartItem(svgEl);
+    if (!item) return "";
+    const clone = chartElement(item, 0, 0);
+    clone.removeAttribute("x");
+    clone.removeAttribute("y");
+    return new XMLSerializer().serializeToString(clone);
+}
+
+// Rasterise SVG markup through an Image; resolves with a PNG blob at scale × the SVG size
+export function svgToPngBlob(markup, width, height, scale = PNG_SCALE) {
+    return new Promise((resolve, reject) => {
+        const url = URL.createObjectURL(new Blob([markup], { type: "image/svg+xml;charset=utf-8" }));
+        const image = new Image();
+        image.onload = () => {
+            URL.revokeObjectURL(url);
+            try {
+                const canvas = document.createElement("canvas");
+                canvas.width = Math.round(width * scale);
+                canvas.height = Math.round(height * scale);
+                const ctx = canvas.getContext("2d");
+                ctx.fillStyle = "#ffffff";
+                ctx.fillRect(0, 0, canvas.width, canvas.height);
+                ctx.drawImage(image, 0, 0, canvas.width, canvas.height);
+                canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error("PNG encoding failed"))), "image/png");
+            } catch (err) {
+                reject(err);
+            }
+        };
+        image.onerror = () => {
+            URL.revokeObjectURL(url);
+            reject(new Error("SVG could not be rendered"));
+        };
+        image.src = url;
+    });
+}
+
+// Build the figure and download it as <fileName>.svg or <fileName>.png
+export async function exportChartFigure(items, fileName, format = "png") {
+    if (!items.some(Boolean)) throw new Error("Nothing to export");
+    const { markup, width, height } = buildChartSvg(items);
+    if (format === "svg") {
+        downloadSvg(markup, `${fileName}.svg`);
+        return;
+    }
+    downloadBlob(await svgToPngBlob(markup, width, height), `${fileName}.png`);
+}
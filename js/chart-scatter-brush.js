@@ -0,0 +1,160 @@
+/* =========================================================
+   chart-scatter-brush.js
+   Linked brushing from the Tab2/Tab3 scatter plots back to the map
+   A 2D brush selects every location inside the brushed region (STATE.scatterSelection);
+   hovering a hull highlights its climate type on the map
+   ========================================================= */
+
+import { dispatcher, STATE, rangeOpacity } from "./chart-common.js";
+
+// Scatter plots with a brush: selection bar element ids per source
+const SELECTION_BARS = {
+    temperature: "temperature-selection-bar",
+    precipitation: "precipitation-selection-bar"
+};
+
+/* =========================================================
+   Selection
+   ========================================================= */
+// Value-space extent of a pixel selection; an edge touching the plot border is open on that side
+function selectionToExtent([[x0, y0], [x1, y1]], x, y, innerWidth, innerHeight) {
+    return {
+        xMin: x0 <= 0 ? -Infinity : x.invert(x0),
+        xMax: x1 >= innerWidth ? Infinity : x.invert(x1),
+        // Pixel y grows downwards, so the top edge is the upper value bound
+        yMax: y0 <= 0 ? Infinity : y.invert(y0),
+        yMin: y1 >= innerHeight ? -Infinity : y.invert(y1)
+    };
+}
+
+function extentToSelection(extent, x, y, innerWidth, innerHeight) {
+    const clampX = v => Math.max(0, Math.min(innerWidth, v));
+    const clampY = v => Math.max(0, Math.min(innerHeight, v));
+    return [
+        [extent.xMin === -Infinity ? 0 : clampX(x(extent.xMin)), extent.yMax === Infinity ? 0 : clampY(y(extent.yMax))],
+        [extent.xMax === Infinity ? innerWidth : clampX(x(extent.xMax)), extent.yMin === -Infinity ? innerHeight : clampY(y(extent.yMin))]
+    ];
+}
+
+// Mask aligned with STATE.data: 1 where valueOf(d) falls inside the extent
+function buildSelectionMask(data, valueOf, extent) {
+    const mask = new Uint8Array(data.length);
+    let count = 0;
+    data.forEach((d, i) => {
+        const v = valueOf(d);
+        if (!v) return;
+        const [vx, vy] = v;
+        if (vx >= extent.xMin && vx <= extent.xMax && vy >= extent.yMin && vy <= extent.yMax) {
+            mask[i] = 1;
+            count++;
+        }
+    });
+    return { mask, count };
+}
+
+function setScatterSelection(selection) {
+    STATE.scatterSelection = selection;
+    dispatcher.call("scatterSelectionChanged", null, selection);
+}
+
+export function clearScatterSelection() {
+    if (STATE.scatterSelection) setScatterSelection(null);
+}
+
+function updateSelectionBars() {
+    const selection = STATE.scatterSelection;
+    Object.entries(SELECTION_BARS).forEach(([source, id]) => {
+        const bar = document.getElementById(id);
+        if (!bar) return;
+        const active = selection?.source === source;
+        bar.classList.toggle("active", active);
+        bar.querySelector(".scatter-selection-count").textContent = active
+            ? `${d3.format(",")(selection.count)} locations selected`
+            : "Drag on the scatter plot to select locations";
+        bar.querySelectorAll("button").forEach(btn => {
+            btn.disabled = !active;
+        });
+    });
+}
+
+/* =========================================================
+   Brush and hull hover
+   options: { source, x, y, innerWidth, innerHeight, valueOf, hullSelector, highlightType }
+   valueOf(d) returns the plotted [x, y] values of a row, or null when it is not plotted
+   ========================================================= */
+export function attachScatterBrush(g, options) {
+    const { source, x, y, innerWidth, innerHeight, valueOf, hullSelector, highlightType } = options;
+    const hulls = g.selectAll(hullSelector);
+    let hoveredHullType = null;
+
+    // Smallest hull under the pointer, so nested classes stay reachable
+    function hullAt(point) {
+        let best = null;
+        let bestArea = Infinity;
+        hulls.each(h => {
+            if (!d3.polygonContains(h.hull, point)) return;
+            const area = Math.abs(d3.polygonArea(h.hull));
+            if (area < bestArea) {
+                best = h;
+                bestArea = area;
+            }
+        });
+        return best;
+    }
+
+    function setHoveredHull(kgType) {
+        if (kgType === hoveredHullType) return;
+        hoveredHullType = kgType;
+        hulls.attr("opacity", h => rangeOpacity(h.kg_type, kgType || highlightType));
+        dispatcher.call("classHighlight", null, kgType);
+    }
+
+    const brush = d3.brush()
+        .extent([[0, 0], [innerWidth, innerHeight]])
+        .on("end", event => {
+            if (!event.sourceEvent) return;
+            if (!event.selection) {
+                if (STATE.scatterSelection?.source === source) setScatterSelection(null);
+                return;
+            }
+            const extent = selectionToExtent(event.selection, x, y, innerWidth, innerHeight);
+            const { mask, count } = buildSelectionMask(STATE.data || [], valueOf, extent);
+            setScatterSelection({ source, data: STATE.data, extent, mask, count });
+        });
+
+    const brushG = g.append("g")
+        .attr("class", "scatter-brush")
+        .call(brush);
+
+    brushG
+        .on("mousemove.hull", event => {
+            const hull = hullAt(d3.pointer(event, g.node()));
+            setHoveredHull(hull ? hull.kg_type : null);
+        })
+        .on("mouseleave.hull", () => setHoveredHull(null));
+
+    const selection = STATE.scatterSelection;
+    if (selection?.source === source) {
+        brushG.call(brush.move, extentToSelection(selection.extent, x, y, innerWidth, innerHeight));
+    }
+    return brushG;
+}
+
+/* =========================================================
+   Selection bars (count, zoom map to selection, clear)
+   ========================================================= */
+export function initScatterBrush() {
+    Object.values(SELECTION_BARS).forEach(id => {
+        const bar = document.getElementById(id);
+        if (!bar) return;
+        bar.querySelector(".scatter-zoom-btn")?.addEventListener("click", () => {
+            if (STATE.scatterSelection) dispatcher.call("zoomToSelection", null, STATE.scatterSelection);
+        });
+        bar.querySelector(".scatter-clear-btn")?.addEventListener("click", clearScatterSelection);
+    });
+    updateSelectionBars();
+
+    dispatcher.on("scatterSelectionChanged.scatterBrush", updateSelectionBars);
+    // A selection belongs to the data it was brushed on
+    dispatcher.on("dataLoaded.scatterBrush", clearScatterSelection);
+}
@@ -12,7 +12,11 @@ import {
     dispatcher, STATE, getExportingState, setExportingState
 } from "./chart-common.js";
 import { drawAxisLabelsForExport } from "./map.js";
-import { showLoading, hideLoading } from "./loading.js";
+import { renderDecisionPath } from "./chart-decision-path.js";
+import { renderTransitionMatrix, initTransitionMatrix } from "./chart-transition-matrix.js";
+import { showLoading, hideLoading, showNotice } from "./loading.js";
+import { chartItem, coordinateItems, exportChartFigure, imageItem, textItem } from "./chart-export.js";
+import { formatMeasure, precipUnit, tempUnit, unitTickFormat, unitTicks } from "./units.js";
 
 /* =========================================================
    Panel state and DOM references
@@ -21,6 +25,8 @@ export let PANEL_LOCKED = false;
 export let LOCKED_DATA = null;
 let panelHasData = false;
 let hoverDatum = null;
+// Puts the month guide back on STATE.month (monthly colour mode); set by the latest combo chart
+let syncMonthGuide = null;
 
 const climateCoordLabel = document.getElementById("climate-coord");
 const climateTypeLabel  = document.getElementById("climate-type");
@@ -62,17 +68,60 @@ export function handleOverallTabHoverEnd() {
     updatePanel(null, false); // No animation when clearing
 }
 
+/* =========================================================
+   Panel export helpers
+   ========================================================= */
+// Header, charts and stats of the Overall tab as figure items (header lines become SVG text)
+function overallFigureItems() {
+    const stats = document.getElementById("climate-stats");
+    const statsText = stats
+        ? Array.from(stats.children, el => el.textContent.replace(/\s+/g, " ").trim()).join("  ·  ")
+        : "";
+    return [
+        ...coordinateItems(),
+        textItem(document.querySelector("#panel-body .panel-title")),
+        textItem(climateTypeLabel),
+        ...Array.from(climateExplain.querySelectorAll(".explain-line"), line => textItem(line)),
+        chartItem(comboChartSvg.node()),
+        textItem(stats, statsText),
+        chartItem(document.getElementById("transitionMatrixChart")),
+        chartItem(document.getElementById("koppenDecisionChart"))
+    ];
+}
+
+// <kg>_<infix><lat>_<lon> for the locked (or displayed) location, fallback otherwise
+function exportFileName(fallback, infix = "") {
+    let kg = "climate";
+    let lat = null;
+    let lon = null;
+    if (typeof LOCKED_DATA === 'object' && LOCKED_DATA) {
+        kg = LOCKED_DATA.kg_type || kg;
+        lat = LOCKED_DATA.lat;
+        lon = LOCKED_DATA.lon;
+    }
+    if (lat == null || lon == null) {
+        const coordText = document.getElementById("climate-coord")?.textContent || "";
+        const match = coordText.match(/([\d.]+)°\s*([NS]),\s*([\d.]+)°\s*([EW])/);
+        if (match) {
+            lat = parseFloat(match[1]) * (match[2] === 'S' ? -1 : 1);
+            lon = parseFloat(match[3]) * (match[4] === 'W' ? -1 : 1);
+        }
+    }
+    if (kg && lat != null && lon != null) {
+        return `${kg}_${infix}${Number(lat).toFixed(2)}_${Number(lon).toFixed(2)}`;
+    }
+    return fallback;
+}
+
 /* =========================================================
    Panel export logic - Chart only (no map)
+   format: "svg" (standalone SVG) or "png"
    ========================================================= */
-export function exportChartOnly() {
+export function exportChartOnly(format = "png") {
     // Prevent concurrent exports
     if (getExportingState()) {
         return;
     }
-    
-    const panel = document.getElementById("panel-body");
-    if (!panel) return;
 
     const coord = document.getElementById("climate-coord");
     const stats = document.getElementById("climate-stats");
@@ -83,108 +132,15 @@ export function exportChartOnly() {
 
     setTimeout(() => {
         requestAnimationFrame(() => {
-            try {
-                const range = document.createRange();
-                range.setStartBefore(coord);
-                range.setEndAfter(stats);
-
-                const exportFragment = range.cloneContents();
-                const exportDiv = document.createElement("div");
-                exportDiv.style.background = "#fff";
-                exportDiv.style.padding = "16px";
-                exportDiv.style.display = "flex";
-                exportDiv.style.flexDirection = "column";
-                exportDiv.style.alignItems = "center";
-                exportDiv.appendChild(exportFragment);
-
-                // Remove action buttons, tab buttons, and hint text from export
-                exportDiv.querySelectorAll('.panel-action-row, .panel-hint, .panel-lock-hint, .panel-tabs').forEach(el => el.remove());
-
-                // No map thumbnail - chart only
-
-                document.body.appendChild(exportDiv);
-                exportDiv.style.position = "absolute";
-                exportDiv.style.left = "-9999px";
-
-                if (window.html2canvas) {
-                let kg = "climate";
-                let lat = null;
-                let lon = null;
-                if (window.LOCKED_DATA && typeof window.LOCKED_DATA === 'object') {
-                    kg = window.LOCKED_DATA.kg_type || kg;
-                    lat = window.LOCKED_DATA.lat;
-                    lon = window.LOCKED_DATA.lon;
-                } else if (typeof LOCKED_DATA === 'object' && LOCKED_DATA) {
-                    kg = LOCKED_DATA.kg_type || kg;
-                    lat = LOCKED_DATA.lat;
-                    lon = LOCKED_DATA.lon;
-                }
-                if (lat == null || lon == null) {
-                    const coordText = document.getElementById("climate-coord")?.textContent || "";
-                    const match = coordText.match(/([\\d.]+)°\\s*([NS]),\\s*([\\d.]+)°\\s*([EW])/);
-                    if (match) {
-                        lat = parseFloat(match[1]) * (match[2] === 'S' ? -1 : 1);
-                        lon = parseFloat(match[3]) * (match[4] === 'W' ? -1 : 1);
-                    }
-                }
-                let fileName = "climate-chart.png";
-                if (kg && lat != null && lon != null) {
-                    const latStr = Number(lat).toFixed(2);
-                    const lonStr = Number(lon).toFixed(2);
-                    fileName = `${kg}_chart_${latStr}_${lonStr}.png`;
-                }
-                window.html2canvas(exportDiv, {
-                    backgroundColor: '#fff',
-                    scale: 1.5,
-                    allowTaint: true,
-                    useCORS: false,
-                    logging: false,
-                    onclone: (clonedDoc) => {
-                        // Ensure cloned styles are applied
-                        const clonedDiv = clonedDoc.querySelector('[style*="position: absolute"]');
-                        if (clonedDiv) {
-                            clonedDiv.style.position = 'relative';
-                            clonedDiv.style.left = '0';
-                            clonedDiv.style.top = '0';
-                        }
-                    }
-                }).then(canvas => {
-                    try {
-                        document.body.removeChild(exportDiv);
-                        const link = document.createElement("a");
-                        link.download = fileName;
-                        link.href = canvas.toDataURL("image/png", 0.95);
-                        link.click();
-                        hideLoading();
-                        setExportingState(false);
-                    } catch (e) {
-                        console.error("Download error:", e);
-                        hideLoading();
-                        setExportingState(false);
-                        alert("Failed to download image.");
-                    }
-                }).catch(err => {
+            exportChartFigure(overallFigureItems(), exportFileName("climate-chart", "chart_"), format)
+                .catch(err => {
                     console.error("Export failed:", err);
-                    try {
-                        if (exportDiv.parentNode) {
-                            document.body.removeChild(exportDiv);
-                        }
-                    } catch (e) {}
+                    showNotice(`Export failed: ${err.message || err}. Please try again.`);
+                })
+                .finally(() => {
                     hideLoading();
                     setExportingState(false);
-                    alert("Export failed. Please try again.");
                 });
-            } else {
-                document.body.removeChild(exportDiv);
-                hideLoading();
-                setExportingState(false);
-                alert("Export requires html2canvas library. Please include html2canvas.js.");
-            }
-        } catch (err) {
-            console.error("Export error:", err);
-            hideLoading();
-            setExportingState(false);
-        }
         });
     }, 150);
 }
@@ -192,12 +148,128 @@ export function exportChartOnly() {
 /* =========================================================
    Panel export logic - Original (with map)
    ========================================================= */
-export function exportPanelAsImage() {
+// Map thumbnail with axis labels, locked marker and search marker, drawn at scale × thumbWidth
+function drawMapThumbnail(thumbWidth, scale) {
+    const mapCanvas = document.getElementById("mapCanvas");
+    if (!mapCanvas) return null;
+    const thumb = document.createElement("canvas");
+    thumb.width = thumbWidth * scale;
+    thumb.height = Math.round(mapCanvas.height * (thumbWidth / mapCanvas.width) * scale);
+    const ctx = thumb.getContext("2d", { willReadFrequently: false });
+
+    if (window.redrawMapForExport) {
+        window.redrawMapForExport();
+    }
+    ctx.drawImage(mapCanvas, 0, 0, thumb.width, thumb.height);
+
+    const mapRect = mapCanvas.getBoundingClientRect();
+    const overlayScale = mapRect.width > 0 ? (thumb.width / mapRect.width) : 1;
+    drawAxisLabelsForExport(ctx, overlayScale, 26, true);
+
+    if (PANEL_LOCKED && LOCKED_DATA) {
+        const hoverLayer = document.querySelector('.hover-layer');
+        const hoverCircleEl = hoverLayer ? hoverLayer.querySelector('circle') : null;
+        let circleDrawn = false;
+
+        if (hoverCircleEl) {
+            const cx = parseFloat(hoverCircleEl.getAttribute('cx')) || 0;
+            const cy = parseFloat(hoverCircleEl.getAttribute('cy')) || 0;
+            const r = parseFloat(hoverCircleEl.getAttribute('r')) || 0;
+            if (cx > 0 && cy > 0 && r > 0) {
+                const stroke = hoverCircleEl.getAttribute('stroke') || '#e94a4a';
+                ctx.save();
+                ctx.beginPath();
+                ctx.arc(cx * overlayScale, cy * overlayScale, r * overlayScale, 0, 2 * Math.PI);
+                ctx.lineWidth = (parseFloat(hoverCircleEl.getAttribute('stroke-width')) || 3) * overlayScale;
+                ctx.strokeStyle = stroke;
+                ctx.globalAlpha = 0.9;
+                ctx.stroke();
+                ctx.restore();
+                circleDrawn = true;
+            }
+        }
+
+        if (!circleDrawn) {
+            const svg = document.querySelector('#overlay');
+            if (svg) {
+                const circles = svg.querySelectorAll('circle');
+                for (const circle of circles) {
+                    const cx = parseFloat(circle.getAttribute('cx')) || 0;
+                    const cy = parseFloat(circle.getAttribute('cy')) || 0;
+                    const r = parseFloat(circle.getAttribute('r')) || 0;
+
+                    if (cx > 0 && cy > 0 && r > 0) {
+                        const stroke = circle.getAttribute('stroke') || circle.style.stroke || '#e94a4a';
+                        const strokeWidth = parseFloat(circle.getAttribute('stroke-width') || circle.style.strokeWidth) || 3;
+
+                        ctx.save();
+                        ctx.beginPath();
+                        ctx.arc(cx * overlayScale, cy * overlayScale, r * overlayScale, 0, 2 * Math.PI);
+                        ctx.lineWidth = strokeWidth * overlayScale;
+                        ctx.strokeStyle = stroke;
+                        ctx.globalAlpha = 0.9;
+                        ctx.stroke();
+                        ctx.restore();
+                        circleDrawn = true;
+                        break;
+                    }
+                }
+            }
+        }
+    }
+
+    const searchLayer = document.querySelector('.search-layer');
+    if (searchLayer && window.getComputedStyle(searchLayer).display !== 'none') {
+        const rect = searchLayer.querySelector('rect');
+        if (rect) {
+            const x = parseFloat(rect.getAttribute('x')) || 0;
+            const y = parseFloat(rect.getAttribute('y')) || 0;
+            const w = parseFloat(rect.getAttribute('width')) || 12;
+            const h = parseFloat(rect.getAttribute('height')) || 12;
+            ctx.save();
+            ctx.fillStyle = rect.getAttribute('fill') || 'rgba(0,0,0,0.75)';
+            ctx.strokeStyle = rect.getAttribute('stroke') || '#fff';
+            ctx.lineWidth = (parseFloat(rect.getAttribute('stroke-width')) || 3) * overlayScale;
+            ctx.fillRect(x * overlayScale, y * overlayScale, w * overlayScale, h * overlayScale);
+            ctx.strokeRect(x * overlayScale, y * overlayScale, w * overlayScale, h * overlayScale);
+            ctx.restore();
+        }
+
+        const label = searchLayer.querySelector('text');
+        if (label) {
+            const lines = Array.from(label.querySelectorAll('tspan')).map(t => t.textContent).filter(Boolean);
+            if (lines.length === 0) {
+                lines.push(label.textContent || '');
+            }
+            const textX = parseFloat(label.getAttribute('x')) || 0;
+            const textY = parseFloat(label.getAttribute('y')) || 0;
+            ctx.save();
+            const fontSize = 21;
+            ctx.font = `bold ${fontSize}px Inter, 'Helvetica Neue', sans-serif`;
+            ctx.textAlign = (label.getAttribute('text-anchor') || 'start') === 'middle' ? 'center' : (label.getAttribute('text-anchor') || 'start');
+            const baseline = label.getAttribute('dominant-baseline') || 'alphabetic';
+            ctx.textBaseline = baseline === 'middle' ? 'middle' : (baseline === 'hanging' ? 'top' : 'alphabetic');
+            ctx.fillStyle = '#222';
+            ctx.lineWidth = 3;
+            ctx.strokeStyle = '#fff';
+            const lineHeight = fontSize * 1.2;
+            lines.forEach((line, i) => {
+                const y = textY * overlayScale + i * lineHeight;
+                ctx.strokeText(line, textX * overlayScale, y);
+                ctx.fillText(line, textX * overlayScale, y);
+            });
+            ctx.restore();
+        }
+    }
+    return thumb;
+}
+
+export function exportPanelAsImage(format = "png") {
     // Prevent concurrent exports
     if (getExportingState()) {
         return;
     }
-    
+
     const panel = document.getElementById("panel-body");
     if (!panel) return;
 
@@ -210,245 +282,27 @@ export function exportPanelAsImage() {
 
     setTimeout(() => {
         requestAnimationFrame(() => {
-            try {
-                const range = document.createRange();
-                range.setStartBefore(coord);
-                range.setEndAfter(stats);
-
-                const exportFragment = range.cloneContents();
-                const exportDiv = document.createElement("div");
-                exportDiv.style.background = "#fff";
-                exportDiv.style.padding = "16px";
-                exportDiv.style.display = "flex";
-                exportDiv.style.flexDirection = "column";
-                exportDiv.style.alignItems = "center";
-                exportDiv.appendChild(exportFragment);
-
-                const mapCanvas = document.getElementById("mapCanvas");
-                if (mapCanvas) {
-                const thumbWidth = exportDiv.offsetWidth || panel.offsetWidth || 320;
-                const scale = 1.5;
-                const thumb = document.createElement("canvas");
-                thumb.width = thumbWidth * scale;
-                thumb.height = Math.round(mapCanvas.height * (thumbWidth / mapCanvas.width) * scale);
-                const ctx = thumb.getContext("2d", { willReadFrequently: false });
-
-                if (window.redrawMapForExport) {
-                    window.redrawMapForExport();
-                    ctx.drawImage(mapCanvas, 0, 0, thumb.width, thumb.height);
-                } else {
-                    ctx.drawImage(mapCanvas, 0, 0, thumb.width, thumb.height);
-                }
-
-                    const mapRect = mapCanvas.getBoundingClientRect();
-                    const overlayScale = mapRect.width > 0 ? (thumb.width / mapRect.width) : 1;
-                    drawAxisLabelsForExport(ctx, overlayScale, 26, true);
-
-                if (PANEL_LOCKED && LOCKED_DATA) {
-                    const hoverLayer = document.querySelector('.hover-layer');
-                    const hoverCircleEl = hoverLayer ? hoverLayer.querySelector('circle') : null;
-                    let circleDrawn = false;
-
-                    if (hoverCircleEl) {
-                        const cx = parseFloat(hoverCircleEl.getAttribute('cx')) || 0;
-                        const cy = parseFloat(hoverCircleEl.getAttribute('cy')) || 0;
-                        const r = parseFloat(hoverCircleEl.getAttribute('r')) || 0;
-                        if (cx > 0 && cy > 0 && r > 0) {
-                            const stroke = hoverCircleEl.getAttribute('stroke') || '#e94a4a';
-                            ctx.save();
-                            ctx.beginPath();
-                            ctx.arc(cx * overlayScale, cy * overlayScale, r * overlayScale, 0, 2 * Math.PI);
-                            ctx.lineWidth = (parseFloat(hoverCircleEl.getAttribute('stroke-width')) || 3) * overlayScale;
-                            ctx.strokeStyle = stroke;
-                            ctx.globalAlpha = 0.9;
-                            ctx.stroke();
-                            ctx.restore();
-                            circleDrawn = true;
-                        }
-                    }
-
-                    if (!circleDrawn) {
-                        const svg = document.querySelector('#overlay');
-                        if (svg) {
-                            const circles = svg.querySelectorAll('circle');
-                            for (const circle of circles) {
-                                const cx = parseFloat(circle.getAttribute('cx')) || 0;
-                                const cy = parseFloat(circle.getAttribute('cy')) || 0;
-                                const r = parseFloat(circle.getAttribute('r')) || 0;
-
-                                if (cx > 0 && cy > 0 && r > 0) {
-                                    const stroke = circle.getAttribute('stroke') || circle.style.stroke || '#e94a4a';
-                                    const strokeWidth = parseFloat(circle.getAttribute('stroke-width') || circle.style.strokeWidth) || 3;
-
-                                    ctx.save();
-                                    ctx.beginPath();
-                                    ctx.arc(cx * overlayScale, cy * overlayScale, r * overlayScale, 0, 2 * Math.PI);
-                                    ctx.lineWidth = strokeWidth * overlayScale;
-                                    ctx.strokeStyle = stroke;
-                                    ctx.globalAlpha = 0.9;
-                                    ctx.stroke();
-                                    ctx.restore();
-                                    circleDrawn = true;
-                                    break;
-                                }
-                            }
-                        }
-                    }
-                }
-
-                const searchLayer = document.querySelector('.search-layer');
-                if (searchLayer && window.getComputedStyle(searchLayer).display !== 'none') {
-                    const rect = searchLayer.querySelector('rect');
-                    if (rect) {
-                        const x = parseFloat(rect.getAttribute('x')) || 0;
-                        const y = parseFloat(rect.getAttribute('y')) || 0;
-                        const w = parseFloat(rect.getAttribute('width')) || 12;
-                        const h = parseFloat(rect.getAttribute('height')) || 12;
-                        ctx.save();
-                        ctx.fillStyle = rect.getAttribute('fill') || 'rgba(0,0,0,0.75)';
-                        ctx.strokeStyle = rect.getAttribute('stroke') || '#fff';
-                        ctx.lineWidth = (parseFloat(rect.getAttribute('stroke-width')) || 3) * overlayScale;
-                        ctx.fillRect(x * overlayScale, y * overlayScale, w * overlayScale, h * overlayScale);
-                        ctx.strokeRect(x * overlayScale, y * overlayScale, w * overlayScale, h * overlayScale);
-                        ctx.restore();
-                    }
-
-                    const label = searchLayer.querySelector('text');
-                    if (label) {
-                        const lines = Array.from(label.querySelectorAll('tspan')).map(t => t.textContent).filter(Boolean);
-                        if (lines.length === 0) {
-                            lines.push(label.textContent || '');
-                        }
-                        const textX = parseFloat(label.getAttribute('x')) || 0;
-                        const textY = parseFloat(label.getAttribute('y')) || 0;
-                        ctx.save();
-                        const fontSize = 21;
-                        ctx.font = `bold ${fontSize}px Inter, 'Helvetica Neue', sans-serif`;
-                        ctx.textAlign = (label.getAttribute('text-anchor') || 'start') === 'middle' ? 'center' : (label.getAttribute('text-anchor') || 'start');
-                        const baseline = label.getAttribute('dominant-baseline') || 'alphabetic';
-                        ctx.textBaseline = baseline === 'middle' ? 'middle' : (baseline === 'hanging' ? 'top' : 'alphabetic');
-                        ctx.fillStyle = '#222';
-                        ctx.lineWidth = 3;
-                        ctx.strokeStyle = '#fff';
-                        const lineHeight = fontSize * 1.2;
-                        lines.forEach((line, i) => {
-                            const y = textY * overlayScale + i * lineHeight;
-                            ctx.strokeText(line, textX * overlayScale, y);
-                            ctx.fillText(line, textX * overlayScale, y);
-                        });
-                        ctx.restore();
-                    }
-                }
-
-                const thumbImg = document.createElement("img");
-                thumbImg.src = thumb.toDataURL("image/png");
-                thumbImg.style.width = thumbWidth + "px";
-                thumbImg.style.height = "auto";
-                thumbImg.style.margin = "8px auto 0 auto";
-                thumbImg.style.display = "block";
-                thumbImg.style.borderRadius = "8px";
-                thumbImg.style.boxShadow = "0 2px 8px rgba(0,0,0,0.08)";
-                exportDiv.appendChild(thumbImg);
-                }
-
-            document.body.appendChild(exportDiv);
-            exportDiv.style.position = "absolute";
-            exportDiv.style.left = "-9999px";
-
-            if (window.html2canvas) {
-                let kg = "climate";
-                let lat = null;
-                let lon = null;
-                if (window.LOCKED_DATA && typeof window.LOCKED_DATA === 'object') {
-                    kg = window.LOCKED_DATA.kg_type || kg;
-                    lat = window.LOCKED_DATA.lat;
-                    lon = window.LOCKED_DATA.lon;
-                } else if (typeof LOCKED_DATA === 'object' && LOCKED_DATA) {
-                    kg = LOCKED_DATA.kg_type || kg;
-                    lat = LOCKED_DATA.lat;
-                    lon = LOCKED_DATA.lon;
-                }
-                if (lat == null || lon == null) {
-                    const coordText = document.getElementById("climate-coord")?.textContent || "";
-                    const match = coordText.match(/([\d.]+)°\s*([NS]),\s*([\d.]+)°\s*([EW])/);
-                    if (match) {
-                        lat = parseFloat(match[1]) * (match[2] === 'S' ? -1 : 1);
-                        lon = parseFloat(match[3]) * (match[4] === 'W' ? -1 : 1);
-                    }
-                }
-                let fileName = "climate-panel.png";
-                if (kg && lat != null && lon != null) {
-                    const latStr = Number(lat).toFixed(2);
-                    const lonStr = Number(lon).toFixed(2);
-                    fileName = `${kg}_${latStr}_${lonStr}.png`;
-                }
-                window.html2canvas(exportDiv, {
-                    backgroundColor: '#fff',
-                    scale: 1.5,
-                    allowTaint: true,
-                    useCORS: false,
-                    logging: false,
-                    onclone: (clonedDoc) => {
-                        // Ensure cloned styles are applied
-                        const clonedDiv = clonedDoc.querySelector('[style*="position: absolute"]');
-                        if (clonedDiv) {
-                            clonedDiv.style.position = 'relative';
-                            clonedDiv.style.left = '0';
-                            clonedDiv.style.top = '0';
-                        }
-                    }
-                }).then(canvas => {
-                    try {
-                        document.body.removeChild(exportDiv);
-                        const link = document.createElement("a");
-                        link.download = fileName;
-                        link.href = canvas.toDataURL("image/png", 0.95);
-                        link.click();
-                        hideLoading();
-                        setExportingState(false);
-                        if (window.redrawMap) {
-                            window.redrawMap();
-                        }
-                    } catch (e) {
-                        console.error("Download error:", e);
-                        hideLoading();
-                        setExportingState(false);
-                        if (window.redrawMap) {
-                            window.redrawMap();
-                        }
-                        alert("Failed to download image.");
-                    }
-                }).catch(err => {
-                    console.error("Export failed:", err);
-                    try {
-                        if (exportDiv.parentNode) {
-                            document.body.removeChild(exportDiv);
-                        }
-                    } catch (e) {}
-                    hideLoading();
-                    setExportingState(false);
-                    if (window.redrawMap) {
-                        window.redrawMap();
-                    }
-                    alert("Export failed. Please try again.");
-                });
-            } else {
-                document.body.removeChild(exportDiv);
+            const finish = () => {
                 hideLoading();
                 setExportingState(false);
                 if (window.redrawMap) {
                     window.redrawMap();
                 }
-                alert("Export requires html2canvas library. Please include html2canvas.js.");
-            }
-        } catch (err) {
-            console.error("Export error:", err);
-            hideLoading();
-            setExportingState(false);
-            if (window.redrawMap) {
-                window.redrawMap();
+            };
+            try {
+                const thumbWidth = panel.offsetWidth || 320;
+                const items = [...overallFigureItems(), imageItem(drawMapThumbnail(thumbWidth, 1.5), thumbWidth)];
+                exportChartFigure(items, exportFileName("climate-panel"), format)
+                    .catch(err => {
+                        console.error("Export failed:", err);
+                        showNotice(`Export failed: ${err.message || err}. Please try again.`);
+                    })
+                    .finally(finish);
+            } catch (err) {
+                console.error("Export error:", err);
+                showNotice(`Export failed: ${err.message || err}. Please try again.`);
+                finish();
             }
-        }
         });
     }, 150);
 }
@@ -468,12 +322,27 @@ export function setPanelActionVisibility(visible) {
 /* =========================================================
    Panel update logic
    ========================================================= */
+// Shipped kg_type plus the client-side classifier result (highlighted when they disagree); data-driven text
+// goes in through textContent
+function renderClimateTypeLabel(d) {
+    climateTypeLabel.textContent = d.kg_type || "—";
+    if (!d.kg_computed) return;
+    const computed = document.createElement("span");
+    computed.className = d.kg_mismatch ? "kg-computed kg-mismatch" : "kg-computed";
+    computed.title = d.kg_mismatch
+        ? "Computed from monthly data differs from the dataset label"
+        : "Computed from monthly data matches the dataset label";
+    computed.textContent = d.kg_mismatch ? `computed: ${d.kg_computed}` : `computed: ${d.kg_computed} ✓`;
+    climateTypeLabel.appendChild(computed);
+}
+
 export function updatePanel(d, withAnimation = false) {
     if (!d) {
         panelHasData = false;
         climateTypeLabel.textContent = "Hover or search a location";
         climateExplain.innerHTML = `<div class=\"explain-line\"><br></div><div class=\"explain-line\"><br></div><div class=\"explain-line\"><br></div>`;
         renderComboChart(null, withAnimation);
+        renderDecisionPath(null);
         const statsDiv = document.getElementById("climate-stats");
         if (statsDiv) {
             statsDiv.innerHTML = `
@@ -487,15 +356,19 @@ export function updatePanel(d, withAnimation = false) {
 
     panelHasData = true;
 
-    climateTypeLabel.textContent = d.kg_type || "—";
+    renderClimateTypeLabel(d);
     climateExplain.innerHTML = explainKgType(d.kg_type || "")
         .map(t => `<div class="explain-line">${t}</div>`)
         .join("");
     renderComboChart(d, withAnimation);
+    // Decision path explains the locked location only; hovering leaves it empty
+    renderDecisionPath(PANEL_LOCKED ? d : null);
 }
 
 export function redrawComboChart() {
     renderComboChart(LOCKED_DATA, false);
+    renderDecisionPath(PANEL_LOCKED ? LOCKED_DATA : null);
+    renderTransitionMatrix();
 }
 
 /* =========================================================
@@ -518,9 +391,17 @@ function clearHoverGuides(hoverLayer) {
     hoverLayer.selectAll(".hover-guide-line, .hover-month-label").remove();
 }
 
+// Helper: Rest state of the guide - the map's current month in monthly colour mode, none otherwise
+function resetHoverGuide(hoverLayer, x, innerHeight) {
+    clearHoverGuides(hoverLayer);
+    if (STATE.colorMode !== "month") return;
+    showHoverGuide(x(STATE.month + 1) + x.bandwidth() / 2, STATE.month, hoverLayer, "#999", innerHeight);
+}
+
 export function renderComboChart(d, withAnimation = false) {
     const svgElement = document.getElementById("climateComboChart");
     if (!svgElement) return;
+    syncMonthGuide = null;
     
     const comboChartSvg = d3.select(svgElement);
     const { innerWidth, innerHeight } = getChartSize();
@@ -539,7 +420,7 @@ export function renderComboChart(d, withAnimation = false) {
         .attr("y", -12)
         .attr("font-size", 11)
         .attr("fill", "#777777")
-        .text("Month (x) · Temp (°C, left) · Precip (mm, right)");
+        .text(`Month (x) · Temp (${tempUnit()}, left) · Precip (${precipUnit()}, right)`);
 
     const months = d3.range(1, 13);
     const x = d3.scaleBand()
@@ -553,12 +434,15 @@ export function renderComboChart(d, withAnimation = false) {
     const yPrecip = d3.scaleLinear()
         .domain([0, CHART_PRECIP_MAX])
         .range([innerHeight, 0]);
+    // Ticks at round numbers of the display units
+    const tempTicks = unitTicks(yTemp.domain(), "°C", 8);
+    const precipTicks = unitTicks(yPrecip.domain(), "mm", 8);
 
     // Grid lines
     g.append("g")
         .attr("class", "chart-grid")
         .selectAll("line")
-        .data(yTemp.ticks(8))
+        .data(tempTicks)
         .enter()
         .append("line")
         .attr("x1", 0)
@@ -586,11 +470,11 @@ export function renderComboChart(d, withAnimation = false) {
     // Axes
     g.append("g")
         .attr("class", "chart-axis")
-        .call(d3.axisLeft(yTemp).ticks(8));
+        .call(d3.axisLeft(yTemp).tickValues(tempTicks).tickFormat(unitTickFormat("°C")));
     g.append("g")
         .attr("class", "chart-axis")
         .attr("transform", `translate(${innerWidth},0)`)
-        .call(d3.axisRight(yPrecip).ticks(8));
+        .call(d3.axisRight(yPrecip).tickValues(precipTicks).tickFormat(unitTickFormat("mm")));
     g.append("g")
         .attr("class", "chart-axis")
         .attr("transform", `translate(0,${innerHeight})`)
@@ -600,6 +484,8 @@ export function renderComboChart(d, withAnimation = false) {
 
     // Create a layer for hover effects
     const hoverLayer = g.append("g").attr("class", "hover-effects");
+    syncMonthGuide = () => resetHoverGuide(hoverLayer, x, innerHeight);
+    syncMonthGuide();
 
     // Precipitation bars
     const precipBars = g.selectAll(".precip-bar")
@@ -621,11 +507,11 @@ export function renderComboChart(d, withAnimation = false) {
             const xPos = x(monthIndex + 1) + x.bandwidth() / 2;
             showHoverGuide(xPos, monthIndex, hoverLayer, precipColor(d.baseColor), innerHeight);
             const aboveMsg = v > CHART_PRECIP_MAX ? " (above chart max)" : "";
-            showTooltip(event, `${MONTH_FULL[monthIndex]}: ${v.toFixed(1)} mm${aboveMsg}`);
+            showTooltip(event, `${MONTH_FULL[monthIndex]}: ${formatMeasure(v, "mm")}${aboveMsg}`);
         })
         .on("mouseout", function(event, v) {
             d3.selectAll(".precip-bar").attr("opacity", 0.75);
-            clearHoverGuides(hoverLayer);
+            resetHoverGuide(hoverLayer, x, innerHeight);
             hideTooltip();
         });
     
@@ -660,13 +546,13 @@ export function renderComboChart(d, withAnimation = false) {
                 d3.select(this).attr("font-size", 24);
                 const xPos = x(monthIndex + 1) + x.bandwidth() / 2;
                 showHoverGuide(xPos, monthIndex, hoverLayer, precipColor(d.baseColor), innerHeight);
-                showTooltip(event, `${MONTH_FULL[monthIndex]}: ${v.toFixed(1)} mm (above chart max)`);
+                showTooltip(event, `${MONTH_FULL[monthIndex]}: ${formatMeasure(v, "mm")} (above chart max)`);
             }
         })
         .on("mouseout", function(event, v) {
             if (v > CHART_PRECIP_MAX) {
                 d3.select(this).attr("font-size", 18);
-                clearHoverGuides(hoverLayer);
+                resetHoverGuide(hoverLayer, x, innerHeight);
                 hideTooltip();
             }
         });
@@ -728,11 +614,11 @@ export function renderComboChart(d, withAnimation = false) {
             const xPos = x(monthIndex + 1) + x.bandwidth() / 2;
             showHoverGuide(xPos, monthIndex, hoverLayer, tempColor(d.baseColor), innerHeight);
             const belowMsg = v < CHART_TEMP_MIN ? " (below chart min)" : "";
-            showTooltip(event, `${MONTH_FULL[monthIndex]}: ${v.toFixed(1)}°C${belowMsg}`);
+            showTooltip(event, `${MONTH_FULL[monthIndex]}: ${formatMeasure(v, "°C")}${belowMsg}`);
         })
         .on("mouseout", function(event, v) {
             d3.selectAll(".temp-point").attr("r", 5).attr("opacity", 1.0);
-            clearHoverGuides(hoverLayer);
+            resetHoverGuide(hoverLayer, x, innerHeight);
             hideTooltip();
         });
     
@@ -766,13 +652,13 @@ export function renderComboChart(d, withAnimation = false) {
                 d3.select(this).attr("font-size", 24);
                 const xPos = x(monthIndex + 1) + x.bandwidth() / 2;
                 showHoverGuide(xPos, monthIndex, hoverLayer, tempColor(d.baseColor), innerHeight);
-                showTooltip(event, `${MONTH_FULL[monthIndex]}: ${v.toFixed(1)}°C (below chart min)`);
+                showTooltip(event, `${MONTH_FULL[monthIndex]}: ${formatMeasure(v, "°C")} (below chart min)`);
             }
         })
         .on("mouseout", function(event, v) {
             if (v < CHART_TEMP_MIN) {
                 d3.select(this).attr("font-size", 18);
-                clearHoverGuides(hoverLayer);
+                resetHoverGuide(hoverLayer, x, innerHeight);
                 hideTooltip();
             }
         });
@@ -792,9 +678,9 @@ export function renderComboChart(d, withAnimation = false) {
         const tempRange = d.t && d.t.length ? (Math.max(...d.t) - Math.min(...d.t)) : null;
         const totalPrecip = d.p && d.p.length ? d.p.reduce((a, b) => a + b, 0) : null;
         statsDiv.innerHTML = `
-            <span><span class=\"stat-label\">Annual Mean Temp:</span> <span class=\"stat-value\">${meanTemp !== null ? meanTemp.toFixed(1) + '°C' : '–'}</span></span>
-            <span><span class=\"stat-label\">Temp Range:</span> <span class=\"stat-value\">${tempRange !== null ? tempRange.toFixed(1) + '°C' : '–'}</span></span>
-            <span><span class=\"stat-label\">Annual Precip:</span> <span class=\"stat-value\">${totalPrecip !== null ? totalPrecip.toFixed(0) + ' mm' : '–'}</span></span>
+            <span><span class=\"stat-label\">Annual Mean Temp:</span> <span class=\"stat-value\">${meanTemp !== null ? formatMeasure(meanTemp, '°C') : '–'}</span></span>
+            <span><span class=\"stat-label\">Temp Range:</span> <span class=\"stat-value\">${tempRange !== null ? formatMeasure(tempRange, '°C', 1, true) : '–'}</span></span>
+            <span><span class=\"stat-label\">Annual Precip:</span> <span class=\"stat-value\">${totalPrecip !== null ? formatMeasure(totalPrecip, 'mm', 0) : '–'}</span></span>
         `;
     }
 }
@@ -803,6 +689,8 @@ export function renderComboChart(d, withAnimation = false) {
    Tab1 Event Handlers
    ========================================================= */
 export function initOverallTab() {
+    initTransitionMatrix();
+
     // Redraw on lock/unlock
     dispatcher.on("lock.overallTab", () => {
         if (document.getElementById('tab-overall')?.classList.contains('active')) {
@@ -820,6 +708,17 @@ export function initOverallTab() {
         }
     });
 
+    // Monthly colour mode: the combo chart's month guide follows the map's month
+    dispatcher.on("monthChanged.overallTab", () => syncMonthGuide?.());
+    dispatcher.on("colorModeChanged.overallTab", () => syncMonthGuide?.());
+
+    // Unit system switched: axes, tooltips, stats and decision values in the new units
+    dispatcher.on("unitsChanged.overallTab", () => {
+        if (!document.getElementById('tab-overall')?.classList.contains('active')) return;
+        renderComboChart(PANEL_LOCKED ? LOCKED_DATA : hoverDatum, false);
+        renderDecisionPath(PANEL_LOCKED ? LOCKED_DATA : null);
+    });
+
     // Note: Hover events are handled centrally in chart.js to optimize performance
     // Only the active tab's update functions are called
 }
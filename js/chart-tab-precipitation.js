@@ -6,18 +6,32 @@
 import {
     MONTH_FULL,
     precipColor, showTooltip, hideTooltip,
-    RANGE_OPACITY_UNLOCKED,
-    RANGE_OPACITY_LOCKED_ACTIVE,
-    RANGE_OPACITY_LOCKED_DIM,
+    rangeOpacity,
     hoverCircleColor,
     getActiveDatumHelper,
     updateCoordinateDisplay,
     dispatcher, STATE
 } from "./chart-common.js";
 import { PANEL_LOCKED, LOCKED_DATA, getLockState } from "./chart-tab-overall.js";
+import { getRangeFilterMask } from "./range-filter.js";
+import { attachScatterBrush } from "./chart-scatter-brush.js";
+import { formatMeasure, formatTick, pickTicks, precipUnit } from "./units.js";
 
 let hoverDatum = null;
 
+// Equally spaced ticks of the piecewise precipitation axes: mm, or doubling inch steps in imperial units
+const PRECIP_TICKS_MM = [0, 25, 50, 100, 200, 400, 800, 1600];
+const PRECIP_TICKS_IN = [0, 1, 2, 4, 8, 16, 32, 64];
+
+// The first count ticks, as mm positions
+function precipitationTickSet(count = PRECIP_TICKS_MM.length) {
+    return pickTicks("mm", PRECIP_TICKS_MM.slice(0, count), PRECIP_TICKS_IN.slice(0, count));
+}
+
+function formatPrecipTick(v) {
+    return formatTick(v, "mm");
+}
+
 // Cache for expensive computations
 let scaleCache = null;
 
@@ -57,7 +71,7 @@ function updatePrecipitationScatterHover(d) {
         .style("cursor", "pointer")
         .on("mouseover", function(event, v) {
             if (v && typeof v.p_01 === "number" && typeof v.p_07 === "number") {
-                showTooltip(event, `Jan: ${v.p_01.toFixed(1)} mm, Jul: ${v.p_07.toFixed(1)} mm`);
+                showTooltip(event, `Jan: ${formatMeasure(v.p_01, "mm")}, Jul: ${formatMeasure(v.p_07, "mm")}`);
             }
         })
         .on("mouseout", function() {
@@ -75,9 +89,7 @@ function updatePrecipitationScatterHover(d) {
         .transition()
         .duration(150)
         .attr("opacity", function() {
-            const kg_type = d3.select(this).datum().kg_type;
-            if (!highlightType) return RANGE_OPACITY_UNLOCKED;
-            return kg_type === highlightType ? RANGE_OPACITY_LOCKED_ACTIVE : RANGE_OPACITY_LOCKED_DIM;
+            return rangeOpacity(d3.select(this).datum().kg_type, highlightType);
         });
 }
 
@@ -135,7 +147,7 @@ function updateMonthlyPrecipitationHover(d) {
         .style("cursor", "pointer")
         .on("mouseover", function(event) {
             if (d && d.p) {
-                const precips = d.p.map((p, i) => `${MONTH_FULL[i]}: ${p.toFixed(1)} mm`).join(', ');
+                const precips = d.p.map((p, i) => `${MONTH_FULL[i]}: ${formatMeasure(p, "mm")}`).join(', ');
                 showTooltip(event, precips);
             }
         })
@@ -158,7 +170,7 @@ function updateMonthlyPrecipitationHover(d) {
         .style("pointer-events", "all")
         .on("mouseover", function(event, m) {
             d3.select(this).attr("r", 5);
-            showTooltip(event, `${MONTH_FULL[m.month - 1]}: ${m.precip.toFixed(1)} mm`);
+            showTooltip(event, `${MONTH_FULL[m.month - 1]}: ${formatMeasure(m.precip, "mm")}`);
         })
         .on("mouseout", function() {
             d3.select(this).attr("r", 3);
@@ -178,9 +190,7 @@ function updateMonthlyPrecipitationHover(d) {
         .transition()
         .duration(150)
         .attr("opacity", function() {
-            const kg_type = d3.select(this).datum().kg_type;
-            if (!highlightType) return RANGE_OPACITY_UNLOCKED;
-            return kg_type === highlightType ? RANGE_OPACITY_LOCKED_ACTIVE : RANGE_OPACITY_LOCKED_DIM;
+            return rangeOpacity(d3.select(this).datum().kg_type, highlightType);
         });
 }
 
@@ -287,7 +297,7 @@ export function drawMonthlyPrecipitation() {
     });
 
     // Scales with piecewise linear Y-axis for precipitation - equal spacing for ticks
-    const precipitationTicks = [0, 25, 50, 100, 200, 400, 800, 1600];
+    const precipitationTicks = precipitationTickSet();
     const x = d3.scaleLinear()
         .domain([0.5, 12.5])
         .range([0, innerWidth]);
@@ -331,7 +341,7 @@ export function drawMonthlyPrecipitation() {
     // Coordinate axes (for monthly chart) with equally-spaced precipitation ticks
     g.append("g")
         .attr("class", "chart-axis")
-        .call(d3.axisLeft(y).tickValues(precipitationTicks).tickFormat(d => d));
+        .call(d3.axisLeft(y).tickValues(precipitationTicks).tickFormat(formatPrecipTick));
     g.append("g")
         .attr("class", "chart-axis")
         .attr("transform", `translate(0,${innerHeight})`)
@@ -344,7 +354,7 @@ export function drawMonthlyPrecipitation() {
         .attr("font-size", 12)
         .attr("font-weight", 600)
         .attr("fill", "#333")
-        .text("Monthly Precipitation");
+        .text(`Monthly Precipitation (${precipUnit()})`);
 
     // Color function
     function getColor(d) {
@@ -376,10 +386,7 @@ export function drawMonthlyPrecipitation() {
         .attr("d", d => area(d.ranges))
         .attr("fill", d => getColor(d))
         .attr("stroke", "none")
-        .attr("opacity", d => {
-            if (!highlightType) return RANGE_OPACITY_UNLOCKED;
-            return d.kg_type === highlightType ? RANGE_OPACITY_LOCKED_ACTIVE : RANGE_OPACITY_LOCKED_DIM;
-        });
+        .attr("opacity", d => rangeOpacity(d.kg_type, highlightType));
 
     const hoverLayer = svg.append("g")
         .attr("class", "chart-hover-layer")
@@ -397,6 +404,22 @@ export function drawMonthlyPrecipitation() {
 /* =========================================================
    Tab3: Precipitation Scatter Plot (Month 1 vs Month 7)
    ========================================================= */
+// Piecewise linear scales where the precipitation ticks are equally spaced
+// (X-axis: 0 to 800mm, Y-axis: 0 to 1600mm, or 32 / 64 in); shared with the location report
+export function precipitationScatterScales(innerWidth, innerHeight) {
+    const precipitationTicksX = precipitationTickSet(7);
+    const precipitationTicksY = precipitationTickSet();
+    const xTickRange = precipitationTicksX.map((_, i) => (i / (precipitationTicksX.length - 1)) * innerWidth);
+    const yTickRange = precipitationTicksY.map((_, i) => innerHeight * (1 - i / (precipitationTicksY.length - 1)));
+    return {
+        x: d3.scaleLinear().domain(precipitationTicksX).range(xTickRange),
+        y: d3.scaleLinear().domain(precipitationTicksY).range(yTickRange),
+        ticksX: precipitationTicksX,
+        ticksY: precipitationTicksY,
+        tickFormat: formatPrecipTick
+    };
+}
+
 export function drawPrecipitationScatter() {
     const svgElement = document.getElementById("precipitationScatter");
     if (!svgElement) {
@@ -417,11 +440,14 @@ export function drawPrecipitationScatter() {
     const g = svg.append("g").attr("transform", `translate(${margin.left},${margin.top})`);
 
     // Filter valid precipitation points (January vs July) - must be greater than 0 for log scale
-    const data = (STATE.data || []).filter(d => {
+    // _inRange marks cells inside the range filter
+    const rangeMask = getRangeFilterMask(STATE.data);
+    const data = (STATE.data || []).filter((d, i) => {
         if (!d.kg_type || d.p_01 === undefined || d.p_07 === undefined) return false;
         if (d.p_01 <= 0 || d.p_07 <= 0) return false;
         d._p01 = d.p_01;
         d._p07 = d.p_07;
+        d._inRange = !rangeMask || rangeMask[i] === 1;
         return true;
     });
 
@@ -429,23 +455,7 @@ export function drawPrecipitationScatter() {
         return;
     }
 
-    // Get extent of both axes
-    const xDomain = d3.extent(data, d => d._p01);
-    const yDomain = d3.extent(data, d => d._p07);
-    
-    // Create piecewise linear scales where precipitation values are equally spaced
-    // X-axis: 0 to 800mm, Y-axis: 0 to 1600mm
-    const precipitationTicksX = [0, 25, 50, 100, 200, 400, 800];
-    const precipitationTicksY = [0, 25, 50, 100, 200, 400, 800, 1600];
-    const xTickRange = precipitationTicksX.map((_, i) => (i / (precipitationTicksX.length - 1)) * innerWidth);
-    const yTickRange = precipitationTicksY.map((_, i) => innerHeight * (1 - i / (precipitationTicksY.length - 1)));
-    
-    const x = d3.scaleLinear()
-        .domain(precipitationTicksX)
-        .range(xTickRange);
-    const y = d3.scaleLinear()
-        .domain(precipitationTicksY)
-        .range(yTickRange);
+    const { x, y, ticksX: precipitationTicksX, ticksY: precipitationTicksY } = precipitationScatterScales(innerWidth, innerHeight);
 
     // Add horizontal grid lines (for scatter plot)
     g.append("g")
@@ -500,11 +510,11 @@ export function drawPrecipitationScatter() {
     // Coordinate axes (for scatter plot) with equally-spaced precipitation ticks
     g.append("g")
         .attr("class", "chart-axis")
-        .call(d3.axisLeft(y).tickValues(precipitationTicksY).tickFormat(d => d));
+        .call(d3.axisLeft(y).tickValues(precipitationTicksY).tickFormat(formatPrecipTick));
     g.append("g")
         .attr("class", "chart-axis")
         .attr("transform", `translate(0,${innerHeight})`)
-        .call(d3.axisBottom(x).tickValues(precipitationTicksX).tickFormat(d => d));
+        .call(d3.axisBottom(x).tickValues(precipitationTicksX).tickFormat(formatPrecipTick));
 
     // Title
     g.append("text")
@@ -513,7 +523,7 @@ export function drawPrecipitationScatter() {
         .attr("font-size", 12)
         .attr("font-weight", 600)
         .attr("fill", "#333")
-        .text("Winter (Month 1) vs Summer (Month 7) Precipitation");
+        .text(`Winter (Month 1) vs Summer (Month 7) Precipitation (${precipUnit()})`);
 
     // Color function
     function getColor(d) {
@@ -528,8 +538,8 @@ export function drawPrecipitationScatter() {
         highlightType = hoverDatum.kg_type;
     }
 
-    // Build convex hulls per climate type
-    const groupedByType = d3.group(data, d => d.kg_type);
+    // Build convex hulls per climate type (only cells inside the range filter)
+    const groupedByType = d3.group(data.filter(d => d._inRange), d => d.kg_type);
     const hullData = Array.from(groupedByType, ([kg_type, values]) => {
         const points = values.map(v => [x(v._p01), y(v._p07)]);
         const hull = d3.polygonHull(points);
@@ -547,10 +557,16 @@ export function drawPrecipitationScatter() {
         .attr("fill", d => getColor(d))
         .attr("stroke", d => getColor(d))
         .attr("stroke-width", 0.6)
-        .attr("opacity", d => {
-            if (!highlightType) return RANGE_OPACITY_UNLOCKED;
-            return d.kg_type === highlightType ? RANGE_OPACITY_LOCKED_ACTIVE : RANGE_OPACITY_LOCKED_DIM;
-        });
+        .attr("opacity", d => rangeOpacity(d.kg_type, highlightType));
+
+    // 2D brush selects the plotted locations on the map; hull hover highlights the type on the map
+    attachScatterBrush(g, {
+        source: "precipitation",
+        x, y, innerWidth, innerHeight,
+        valueOf: d => (d.kg_type && d.p_01 > 0 && d.p_07 > 0 ? [d.p_01, d.p_07] : null),
+        hullSelector: ".precip-hull",
+        highlightType
+    });
 
     const hoverLayer = svg.append("g")
         .attr("class", "chart-hover-layer")
@@ -604,6 +620,37 @@ export function initPrecipitationTab() {
         }
     });
 
+    // Class legend filter dims the hulls and ranges of classes that are off
+    dispatcher.on("classFilterChanged.precipitationTab", () => {
+        if (document.getElementById('tab-precipitation')?.classList.contains('active')) {
+            drawPrecipitationScatter();
+            drawMonthlyPrecipitation();
+        }
+    });
+
+    // Range filter: hulls enclose only the matching cells
+    dispatcher.on("rangeFilterChanged.precipitationTab", () => {
+        if (document.getElementById('tab-precipitation')?.classList.contains('active')) {
+            drawPrecipitationScatter();
+        }
+    });
+
+    // Scatter selection: a selection brushed in the other chart or cleared removes this chart's brush
+    dispatcher.on("scatterSelectionChanged.precipitationTab", selection => {
+        if (selection?.source === "precipitation") return;
+        if (document.getElementById('tab-precipitation')?.classList.contains('active')) {
+            drawPrecipitationScatter();
+        }
+    });
+
+    // Unit system switched: axes and tooltips in the new units
+    dispatcher.on("unitsChanged.precipitationTab", () => {
+        if (document.getElementById('tab-precipitation')?.classList.contains('active')) {
+            drawPrecipitationScatter();
+            drawMonthlyPrecipitation();
+        }
+    });
+
     // Note: Hover events are handled centrally in chart.js to optimize performance
     // Only the active tab's update functions are called
 
@@ -6,15 +6,16 @@
 import {
     MONTH_FULL,
     tempColor, showTooltip, hideTooltip,
-    RANGE_OPACITY_UNLOCKED,
-    RANGE_OPACITY_LOCKED_ACTIVE,
-    RANGE_OPACITY_LOCKED_DIM,
+    rangeOpacity,
     hoverCircleColor,
     getActiveDatumHelper,
     updateCoordinateDisplay,
     dispatcher, STATE
 } from "./chart-common.js";
 import { PANEL_LOCKED, LOCKED_DATA, getLockState } from "./chart-tab-overall.js";
+import { getRangeFilterMask } from "./range-filter.js";
+import { attachScatterBrush } from "./chart-scatter-brush.js";
+import { formatMeasure, tempUnit, unitTickFormat, unitTicks } from "./units.js";
 
 let hoverDatum = null;
 
@@ -57,7 +58,7 @@ function updateTemperatureScatterHover(d) {
         .style("cursor", "pointer")
         .on("mouseover", function(event, v) {
             if (v && typeof v.t_01 === "number" && typeof v.t_07 === "number") {
-                showTooltip(event, `Jan: ${v.t_01.toFixed(1)}°C, Jul: ${v.t_07.toFixed(1)}°C`);
+                showTooltip(event, `Jan: ${formatMeasure(v.t_01, "°C")}, Jul: ${formatMeasure(v.t_07, "°C")}`);
             }
         })
         .on("mouseout", function() {
@@ -75,9 +76,7 @@ function updateTemperatureScatterHover(d) {
         .transition()
         .duration(150)
         .attr("opacity", function() {
-            const kg_type = d3.select(this).datum().kg_type;
-            if (!highlightType) return RANGE_OPACITY_UNLOCKED;
-            return kg_type === highlightType ? RANGE_OPACITY_LOCKED_ACTIVE : RANGE_OPACITY_LOCKED_DIM;
+            return rangeOpacity(d3.select(this).datum().kg_type, highlightType);
         });
 }
 
@@ -134,7 +133,7 @@ function updateMonthlyTemperatureHover(d) {
         .style("cursor", "pointer")
         .on("mouseover", function(event) {
             if (d && d.t) {
-                const temps = d.t.map((t, i) => `${MONTH_FULL[i]}: ${t.toFixed(1)}°C`).join(', ');
+                const temps = d.t.map((t, i) => `${MONTH_FULL[i]}: ${formatMeasure(t, "°C")}`).join(', ');
                 showTooltip(event, temps);
             }
         })
@@ -157,7 +156,7 @@ function updateMonthlyTemperatureHover(d) {
         .style("pointer-events", "all")
         .on("mouseover", function(event, m) {
             d3.select(this).attr("r", 5);
-            showTooltip(event, `${MONTH_FULL[m.month - 1]}: ${m.temp.toFixed(1)}°C`);
+            showTooltip(event, `${MONTH_FULL[m.month - 1]}: ${formatMeasure(m.temp, "°C")}`);
         })
         .on("mouseout", function() {
             d3.select(this).attr("r", 3);
@@ -177,9 +176,7 @@ function updateMonthlyTemperatureHover(d) {
         .transition()
         .duration(150)
         .attr("opacity", function() {
-            const kg_type = d3.select(this).datum().kg_type;
-            if (!highlightType) return RANGE_OPACITY_UNLOCKED;
-            return kg_type === highlightType ? RANGE_OPACITY_LOCKED_ACTIVE : RANGE_OPACITY_LOCKED_DIM;
+            return rangeOpacity(d3.select(this).datum().kg_type, highlightType);
         });
 }
 
@@ -276,7 +273,7 @@ export function drawMonthlyTemperature() {
 
     // Axes
     // Add horizontal grid lines
-    const tempTicksMonthly = d3.range(-70, 50, 10);
+    const tempTicksMonthly = unitTicks(y.domain(), "°C", 11, d3.range(-70, 50, 10));
     g.append("g")
         .attr("class", "chart-grid")
         .selectAll("line")
@@ -309,7 +306,7 @@ export function drawMonthlyTemperature() {
     // Coordinate axes (for monthly chart)
     g.append("g")
         .attr("class", "chart-axis")
-        .call(d3.axisLeft(y).tickValues(tempTicksMonthly));
+        .call(d3.axisLeft(y).tickValues(tempTicksMonthly).tickFormat(unitTickFormat("°C")));
     g.append("g")
         .attr("class", "chart-axis")
         .attr("transform", `translate(0,${innerHeight})`)
@@ -322,7 +319,7 @@ export function drawMonthlyTemperature() {
         .attr("font-size", 12)
         .attr("font-weight", 600)
         .attr("fill", "#333")
-        .text("Monthly Temperature");
+        .text(`Monthly Temperature (${tempUnit()})`);
 
     // Color function
     function getColor(d) {
@@ -354,10 +351,7 @@ export function drawMonthlyTemperature() {
         .attr("d", d => area(d.ranges))
         .attr("fill", d => getColor(d))
         .attr("stroke", "none")
-        .attr("opacity", d => {
-            if (!highlightType) return RANGE_OPACITY_UNLOCKED;
-            return d.kg_type === highlightType ? RANGE_OPACITY_LOCKED_ACTIVE : RANGE_OPACITY_LOCKED_DIM;
-        });
+        .attr("opacity", d => rangeOpacity(d.kg_type, highlightType));
 
     const hoverLayer = svg.append("g")
         .attr("class", "chart-hover-layer")
@@ -374,6 +368,20 @@ export function drawMonthlyTemperature() {
 /* =========================================================
    Tab2: Temperature Scatter Plot (Month 1 vs Month 7)
    ========================================================= */
+// Scales with fixed axis ranges for the Month 1 vs Month 7 scatter (shared with the location report);
+// domains are °C, ticks fall on round numbers of the display unit
+export function temperatureScatterScales(innerWidth, innerHeight) {
+    const x = d3.scaleLinear().domain([-70, 30]).range([0, innerWidth]);
+    const y = d3.scaleLinear().domain([-40, 40]).range([innerHeight, 0]);
+    return {
+        x,
+        y,
+        ticksX: unitTicks(x.domain(), "°C", 10, d3.range(-70, 40, 10)),
+        ticksY: unitTicks(y.domain(), "°C", 8, d3.range(-40, 50, 10)),
+        tickFormat: unitTickFormat("°C")
+    };
+}
+
 export function drawTemperatureScatter() {
     const svgElement = document.getElementById("temperatureScatter");
     if (!svgElement) {
@@ -393,11 +401,13 @@ export function drawTemperatureScatter() {
     const innerHeight = height - margin.top - margin.bottom;
     const g = svg.append("g").attr("transform", `translate(${margin.left},${margin.top})`);
 
-    // Filter valid temperature points (January vs July)
-    const data = (STATE.data || []).filter(d => {
+    // Filter valid temperature points (January vs July); _inRange marks cells inside the range filter
+    const rangeMask = getRangeFilterMask(STATE.data);
+    const data = (STATE.data || []).filter((d, i) => {
         if (!d.kg_type || typeof d.t_01 !== 'number' || typeof d.t_07 !== 'number') return false;
         d._t01 = d.t_01;
         d._t07 = d.t_07;
+        d._inRange = !rangeMask || rangeMask[i] === 1;
         return true;
     });
 
@@ -405,19 +415,9 @@ export function drawTemperatureScatter() {
         return;
     }
 
-    // Scale setup with fixed axis ranges
-    const xMin = -70, xMax = 30;
-    const yMin = -40, yMax = 40;
-
-    const x = d3.scaleLinear()
-        .domain([xMin, xMax])
-        .range([0, innerWidth]);
-    const y = d3.scaleLinear()
-        .domain([yMin, yMax])
-        .range([innerHeight, 0]);
+    const { x, y, ticksX: tempTicksX, ticksY: tempTicksScatter, tickFormat } = temperatureScatterScales(innerWidth, innerHeight);
 
     // Add horizontal grid lines (for scatter plot)
-    const tempTicksScatter = d3.range(-40, 50, 10);
     g.append("g")
         .attr("class", "chart-grid")
         .selectAll("line")
@@ -433,7 +433,6 @@ export function drawTemperatureScatter() {
         .attr("stroke-dasharray", "2,2");
 
     // Add vertical grid lines (for scatter plot)
-    const tempTicksX = d3.range(-70, 40, 10);
     g.append("g")
         .attr("class", "chart-grid")
         .selectAll("line")
@@ -471,11 +470,11 @@ export function drawTemperatureScatter() {
     // Coordinate axes (for scatter plot)
     g.append("g")
         .attr("class", "chart-axis")
-        .call(d3.axisLeft(y).tickValues(tempTicksScatter));
+        .call(d3.axisLeft(y).tickValues(tempTicksScatter).tickFormat(tickFormat));
     g.append("g")
         .attr("class", "chart-axis")
         .attr("transform", `translate(0,${innerHeight})`)
-        .call(d3.axisBottom(x).tickValues(tempTicksX));
+        .call(d3.axisBottom(x).tickValues(tempTicksX).tickFormat(tickFormat));
 
     // Title
     g.append("text")
@@ -484,7 +483,7 @@ export function drawTemperatureScatter() {
         .attr("font-size", 12)
         .attr("font-weight", 600)
         .attr("fill", "#333")
-        .text("Winter (Month 1) vs Summer (Month 7) Temperature");
+        .text(`Winter (Month 1) vs Summer (Month 7) Temperature (${tempUnit()})`);
 
     // Color function
     function getColor(d) {
@@ -499,8 +498,8 @@ export function drawTemperatureScatter() {
         highlightType = hoverDatum.kg_type;
     }
 
-    // Build convex hulls per climate type
-    const groupedByType = d3.group(data, d => d.kg_type);
+    // Build convex hulls per climate type (only cells inside the range filter)
+    const groupedByType = d3.group(data.filter(d => d._inRange), d => d.kg_type);
     const hullData = Array.from(groupedByType, ([kg_type, values]) => {
         const points = values.map(v => [x(v._t01), y(v._t07)]);
         const hull = d3.polygonHull(points);
@@ -518,10 +517,18 @@ export function drawTemperatureScatter() {
         .attr("fill", d => getColor(d))
         .attr("stroke", d => getColor(d))
         .attr("stroke-width", 0.6)
-        .attr("opacity", d => {
-            if (!highlightType) return RANGE_OPACITY_UNLOCKED;
-            return d.kg_type === highlightType ? RANGE_OPACITY_LOCKED_ACTIVE : RANGE_OPACITY_LOCKED_DIM;
-        });
+        .attr("opacity", d => rangeOpacity(d.kg_type, highlightType));
+
+    // 2D brush selects the plotted locations on the map; hull hover highlights the type on the map
+    attachScatterBrush(g, {
+        source: "temperature",
+        x, y, innerWidth, innerHeight,
+        valueOf: d => (d.kg_type && typeof d.t_01 === 'number' && typeof d.t_07 === 'number' ? [d.t_01, d.t_07] : null),
+        hullSelector: ".temp-hull",
+        highlightType
+    });
+    // Keep the reference line tooltip reachable above the brush overlay
+    g.select(".reference-line").raise();
 
     const hoverLayer = svg.append("g")
         .attr("class", "chart-hover-layer")
@@ -575,6 +582,37 @@ export function initTemperatureTab() {
         }
     });
 
+    // Class legend filter dims the hulls and ranges of classes that are off
+    dispatcher.on("classFilterChanged.temperatureTab", () => {
+        if (document.getElementById('tab-temperature')?.classList.contains('active')) {
+            drawTemperatureScatter();
+            drawMonthlyTemperature();
+        }
+    });
+
+    // Range filter: hulls enclose only the matching cells
+    dispatcher.on("rangeFilterChanged.temperatureTab", () => {
+        if (document.getElementById('tab-temperature')?.classList.contains('active')) {
+            drawTemperatureScatter();
+        }
+    });
+
+    // Scatter selection: a selection brushed in the other chart or cleared removes this chart's brush
+    dispatcher.on("scatterSelectionChanged.temperatureTab", selection => {
+        if (selection?.source === "temperature") return;
+        if (document.getElementById('tab-temperature')?.classList.contains('active')) {
+            drawTemperatureScatter();
+        }
+    });
+
+    // Unit system switched: axes and tooltips in the new units
+    dispatcher.on("unitsChanged.temperatureTab", () => {
+        if (document.getElementById('tab-temperature')?.classList.contains('active')) {
+            drawTemperatureScatter();
+            drawMonthlyTemperature();
+        }
+    });
+
     // Note: Hover events are handled centrally in chart.js to optimize performance
     // Only the active tab's update functions are called
 
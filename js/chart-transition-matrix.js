@@ -0,0 +1,189 @@
+/* =========================================================
+   chart-transition-matrix.js
+   Tab1: from/to Köppen class transition matrix between two periods (map change mode)
+   Clicking a cell highlights the matching cells on the map.
+   ========================================================= */
+
+import { getChartSize, showTooltip, hideTooltip, dispatcher } from "./chart-common.js";
+
+const SIDE_PAD = 16;
+const HEADER_HEIGHT = 48;
+const ROW_LABEL_WIDTH = 40;
+const COL_LABEL_HEIGHT = 34;
+const FOOTER_LINE_HEIGHT = 16;
+const TOP_TRANSITIONS = 3;
+
+let lastSummary = null;
+let selectedKey = null;
+
+const formatCount = d3.format(",");
+const formatArea = v => `${d3.format(",.0f")(v)} km²`;
+const formatPct = d3.format(".1%");
+
+function periodLabel(ds, fallback) {
+    return ds ? ds.label : fallback;
+}
+
+export function renderTransitionMatrix(summary = lastSummary) {
+    lastSummary = summary;
+    const svgElement = document.getElementById("transitionMatrixChart");
+    if (!svgElement) return;
+
+    const svg = d3.select(svgElement);
+    svg.selectAll("*").remove();
+    svgElement.classList.toggle("active", !!summary);
+    if (!summary) return;
+
+    const { width } = getChartSize();
+    const fromClasses = Array.from(new Set(summary.matrix.map(e => e.from))).sort();
+    const toClasses = Array.from(new Set(summary.matrix.map(e => e.to))).sort();
+    const colorOf = new Map();
+    summary.matrix.forEach(e => {
+        colorOf.set(e.from, e.fromColor);
+        colorOf.set(e.to, e.toColor);
+    });
+
+    const available = width - SIDE_PAD * 2 - ROW_LABEL_WIDTH;
+    const cell = Math.max(10, Math.min(28, available / Math.max(1, toClasses.length)));
+    const gridWidth = cell * toClasses.length;
+    const gridHeight = cell * fromClasses.length;
+    const topLines = Math.min(TOP_TRANSITIONS, summary.matrix.length);
+    const footerHeight = 20 + (topLines + 1) * FOOTER_LINE_HEIGHT;
+    const height = HEADER_HEIGHT + COL_LABEL_HEIGHT + gridHeight + footerHeight;
+    svg.attr("width", width).attr("height", height);
+
+    svg.append("text")
+        .attr("x", SIDE_PAD)
+        .attr("y", 18)
+        .attr("font-size", 12)
+        .attr("font-weight", 600)
+        .attr("fill", "#333333")
+        .text(`Class change · ${periodLabel(summary.from, "from")} → ${periodLabel(summary.to, "to")}`);
+
+    const changedShare = summary.totalArea > 0 ? summary.changedArea / summary.totalArea : 0;
+    svg.append("text")
+        .attr("x", SIDE_PAD)
+        .attr("y", 34)
+        .attr("font-size", 11)
+        .attr("fill", "#777777")
+        .text(`${formatCount(summary.changedCount)} of ${formatCount(summary.totalCount)} cells changed · ${formatArea(summary.changedArea)} (${formatPct(changedShare)} of area)`);
+
+    if (!summary.matrix.length) return;
+
+    const g = svg.append("g")
+        .attr("transform", `translate(${SIDE_PAD + ROW_LABEL_WIDTH},${HEADER_HEIGHT + COL_LABEL_HEIGHT})`);
+
+    const x = d3.scaleBand().domain(toClasses).range([0, gridWidth]);
+    const y = d3.scaleBand().domain(fromClasses).range([0, gridHeight]);
+    const maxArea = d3.max(summary.matrix, e => e.area) || 1;
+    const heat = d3.scaleSequentialSqrt(d3.interpolateOranges).domain([0, maxArea]);
+
+    // Axis captions
+    g.append("text")
+        .attr("x", -ROW_LABEL_WIDTH)
+        .attr("y", -COL_LABEL_HEIGHT + 8)
+        .attr("font-size", 10)
+        .attr("fill", "#777777")
+        .text("from ↓  to →");
+
+    // Row labels (origin class) with class colour swatch
+    const rowLabels = g.append("g")
+        .selectAll("g")
+        .data(fromClasses)
+        .enter()
+        .append("g")
+        .attr("transform", c => `translate(${-ROW_LABEL_WIDTH},${y(c)})`);
+    rowLabels.append("rect")
+        .attr("x", 0)
+        .attr("y", cell / 2 - 4)
+        .attr("width", 8)
+        .attr("height", 8)
+        .attr("fill", c => colorOf.get(c));
+    rowLabels.append("text")
+        .attr("x", 11)
+        .attr("y", cell / 2 + 4)
+        .attr("font-size", 10)
+        .attr("fill", "#333333")
+        .text(c => c);
+
+    // Column labels (destination class), rotated to fit narrow cells
+    const colLabels = g.append("g")
+        .selectAll("g")
+        .data(toClasses)
+        .enter()
+        .append("g")
+        .attr("transform", c => `translate(${x(c) + cell / 2},-4)`);
+    colLabels.append("text")
+        .attr("transform", "rotate(-60)")
+        .attr("font-size", 10)
+        .attr("fill", "#333333")
+        .text(c => c);
+
+    // Empty grid background
+    g.append("rect")
+        .attr("width", gridWidth)
+        .attr("height", gridHeight)
+        .attr("fill", "#f7f8f9")
+        .attr("stroke", "#e5e5e5");
+
+    const cells = g.selectAll(".transition-cell")
+        .data(summary.matrix)
+        .enter()
+        .append("g")
+        .attr("class", "transition-cell")
+        .attr("transform", e => `translate(${x(e.to)},${y(e.from)})`)
+        .on("mouseover", function(event, e) {
+            showTooltip(event, `${e.from} → ${e.to}: ${formatCount(e.count)} cells · ${formatArea(e.area)}`);
+        })
+        .on("mouseout", () => hideTooltip())
+        .on("click", function(event, e) {
+            selectedKey = selectedKey === e.key ? null : e.key;
+            dispatcher.call("transitionHighlight", null, selectedKey);
+            renderTransitionMatrix();
+        });
+
+    cells.append("rect")
+        .attr("x", 0.5)
+        .attr("y", 0.5)
+        .attr("width", cell - 1)
+        .attr("height", cell - 1)
+        .attr("fill", e => heat(e.area))
+        .attr("stroke", e => e.key === selectedKey ? "#333333" : "none")
+        .attr("stroke-width", 2)
+        .attr("opacity", e => selectedKey && e.key !== selectedKey ? 0.35 : 1);
+
+    if (cell >= 20) {
+        cells.append("text")
+            .attr("x", cell / 2)
+            .attr("y", cell / 2 + 3)
+            .attr("text-anchor", "middle")
+            .attr("font-size", 9)
+            .attr("fill", e => d3.hsl(heat(e.area)).l < 0.55 ? "#ffffff" : "#333333")
+            .attr("pointer-events", "none")
+            .text(e => e.count > 999 ? `${Math.round(e.count / 1000)}k` : e.count);
+    }
+
+    // Largest transitions by area
+    const footer = svg.append("g")
+        .attr("transform", `translate(${SIDE_PAD},${HEADER_HEIGHT + COL_LABEL_HEIGHT + gridHeight + 20})`);
+    footer.append("text")
+        .attr("font-size", 11)
+        .attr("font-weight", 600)
+        .attr("fill", "#333333")
+        .text("Largest transitions (click a cell to highlight on the map)");
+    summary.matrix.slice(0, topLines).forEach((e, i) => {
+        footer.append("text")
+            .attr("y", (i + 1) * FOOTER_LINE_HEIGHT)
+            .attr("font-size", 11)
+            .attr("fill", "#555555")
+            .text(`${e.from} → ${e.to}: ${formatArea(e.area)} (${formatCount(e.count)} cells)`);
+    });
+}
+
+export function initTransitionMatrix() {
+    // New comparison (or leaving change mode) resets the picked transition
+    dispatcher.on("periodChangeComputed.transitionMatrix", summary => {
+        selectedKey = null;
+        renderTransitionMatrix(summary);
+    });
+}
@@ -39,8 +39,15 @@ import {
 } from "./chart-tab-precipitation.js";
 
 // Import shared utilities
-import { dispatcher, getExportingState, setExportingState, updateCoordinateDisplay } from "./chart-common.js";
-import { showLoading, hideLoading } from "./loading.js";
+import { dispatcher, getExportingState, setExportingState, updateCoordinateDisplay, describeKgType } from "./chart-common.js";
+import { showLoading, hideLoading, showNotice } from "./loading.js";
+import { drawVariableLegendForExport } from "./variables.js";
+import { drawBivariateLegendForExport } from "./bivariate.js";
+import { initScatterBrush } from "./chart-scatter-brush.js";
+import { downloadSvg } from "./svg-export.js";
+import { chartItem, coordinateItems, exportChartFigure, textItem } from "./chart-export.js";
+import { exportLocationReport } from "./location-report.js";
+import { exportTable, updateTableExportScopes } from "./table-export.js";
 
 /* =========================================================
    State Variables
@@ -65,34 +72,42 @@ function setButtonState(btnIds, disabled, ariaValue) {
    Enables/disables buttons based on:
    - Loading state: all buttons disabled during loading
    - Lock state: unlock buttons only enabled when locked
-   - Export Chart: Tab2/Tab3 always enabled, Tab1 disabled
-   - Export Map: always enabled
+   - Export Chart: Tab2/Tab3 always enabled, Tab1 (and Report) only when locked
+   - Export Map / Export SVG / Export Data: always enabled
    ========================================================= */
 function updateActionButtonsState() {
     const { locked } = getLockState();
     
     const allBtnIds = [
-        "panel-export-chart-btn", "panel-export-map-btn", "panel-unlock-btn",
-        "temperature-export-chart-btn", "temperature-export-map-btn", "temperature-unlock-btn",
-        "precipitation-export-chart-btn", "precipitation-export-map-btn", "precipitation-unlock-btn"
+        "panel-export-chart-btn", "panel-export-map-btn", "panel-export-svg-btn", "panel-export-data-btn",
+        "panel-export-report-btn", "panel-unlock-btn",
+        "temperature-export-chart-btn", "temperature-export-map-btn", "temperature-export-svg-btn",
+        "temperature-export-data-btn", "temperature-unlock-btn",
+        "precipitation-export-chart-btn", "precipitation-export-map-btn", "precipitation-export-svg-btn",
+        "precipitation-export-data-btn", "precipitation-unlock-btn"
     ];
     
-    const tab1ChartBtn = ["panel-export-chart-btn"];
+    const tab1ChartBtn = ["panel-export-chart-btn", "panel-export-report-btn"];
     const tab2Tab3ChartBtns = ["temperature-export-chart-btn", "precipitation-export-chart-btn"];
-    const mapBtnIds = ["panel-export-map-btn", "temperature-export-map-btn", "precipitation-export-map-btn"];
+    const mapBtnIds = [
+        "panel-export-map-btn", "temperature-export-map-btn", "precipitation-export-map-btn",
+        "panel-export-svg-btn", "temperature-export-svg-btn", "precipitation-export-svg-btn",
+        "panel-export-data-btn", "temperature-export-data-btn", "precipitation-export-data-btn"
+    ];
     const unlockBtnIds = ["panel-unlock-btn", "temperature-unlock-btn", "precipitation-unlock-btn"];
     
     if (isLoading) {
         // During loading: all buttons disabled
         setButtonState(allBtnIds, true, 'true');
+        closeExportMenus();
     } else {
-        // Tab1 Export Chart button: enabled only when locked
+        // Tab1 Export Chart and Report buttons: enabled only when locked
         setButtonState(tab1ChartBtn, !locked, locked ? 'false' : 'true');
         
         // Tab2/Tab3 Export Chart buttons: always enabled
         setButtonState(tab2Tab3ChartBtns, false, 'false');
         
-        // Export Map buttons: always enabled (when not loading)
+        // Export Map, Export SVG and Export Data buttons: always enabled (when not loading)
         setButtonState(mapBtnIds, false, 'false');
         
         // Unlock buttons: only enabled when locked
@@ -110,23 +125,62 @@ function setupButton(elementId, handler) {
     }
 }
 
+/* =========================================================
+   Export Menus
+   Export Chart offers SVG / PNG; Export SVG offers current view / whole world;
+   Export Data offers CSV / JSON / GeoJSON of the rows picked in its scope select
+   ========================================================= */
+function closeExportMenus() {
+    document.querySelectorAll(".export-menu-control.open").forEach(el => el.classList.remove("open"));
+}
+
+function setupExportMenu(elementId, onSelect, onOpen = null) {
+    const btn = document.getElementById(elementId);
+    const control = btn ? btn.closest(".export-menu-control") : null;
+    if (!control) return;
+    btn.addEventListener("click", (event) => {
+        event.stopPropagation();
+        const open = !control.classList.contains("open");
+        closeExportMenus();
+        if (open && onOpen) onOpen(control);
+        control.classList.toggle("open", open);
+    });
+    // Clicks on form controls inside the menu keep it open
+    control.querySelector(".export-menu")?.addEventListener("click", event => event.stopPropagation());
+    control.querySelectorAll(".export-menu button").forEach(item => {
+        item.addEventListener("click", (event) => {
+            event.stopPropagation();
+            closeExportMenus();
+            onSelect(item.dataset, control);
+        });
+    });
+}
+
 /* =========================================================
    Panel Action Buttons - DOM Event Handlers
    ========================================================= */
 document.addEventListener("DOMContentLoaded", () => {
     // Tab1 (Overall) buttons
-    setupButton("panel-export-chart-btn", exportChartOnly);
+    setupExportMenu("panel-export-chart-btn", ({ format }) => exportChartOnly(format));
     setupButton("panel-export-map-btn", exportMapAsImage);
+    setupExportMenu("panel-export-svg-btn", ({ extent }) => exportMapAsSvg(extent));
+    setupExportMenu("panel-export-data-btn", exportDataFromMenu, openDataExportMenu);
+    setupButton("panel-export-report-btn", exportLocationReport);
     setupButton("panel-unlock-btn", handleUnlock);
 
     // Tab2 (Temperature) buttons
-    setupButton("temperature-export-chart-btn", () => exportTabAsImage("tab-temperature", "temperature"));
+    setupExportMenu("temperature-export-chart-btn", ({ format }) => exportTabAsImage("tab-temperature", "temperature", format));
     setupButton("temperature-export-map-btn", exportMapAsImage);
+    setupExportMenu("temperature-export-svg-btn", ({ extent }) => exportMapAsSvg(extent));
+    setupExportMenu("temperature-export-data-btn", exportDataFromMenu, openDataExportMenu);
     setupButton("temperature-unlock-btn", handleUnlock);
 
     // Tab3 (Precipitation) buttons
-    setupButton("precipitation-export-chart-btn", () => exportTabAsImage("tab-precipitation", "precipitation"));
+    setupExportMenu("precipitation-export-chart-btn", ({ format }) => exportTabAsImage("tab-precipitation", "precipitation", format));
     setupButton("precipitation-export-map-btn", exportMapAsImage);
+    setupExportMenu("precipitation-export-svg-btn", ({ extent }) => exportMapAsSvg(extent));
+    setupExportMenu("precipitation-export-data-btn", exportDataFromMenu, openDataExportMenu);
+    document.addEventListener("click", closeExportMenus);
     setupButton("precipitation-unlock-btn", handleUnlock);
 
     const { locked } = getLockState();
@@ -135,6 +189,7 @@ document.addEventListener("DOMContentLoaded", () => {
     initOverallTab();
     initTemperatureTab();
     initPrecipitationTab();
+    initScatterBrush();
 });
 
 /* =========================================================
@@ -151,9 +206,10 @@ function handleUnlock() {
 }
 
 /* =========================================================
-   Export Tab as Image
+   Export Tab Charts
+   Coordinate and Köppen header as SVG text above the tab's charts; format: "svg" or "png"
    ========================================================= */
-function exportTabAsImage(tabId, tabName) {
+function exportTabAsImage(tabId, tabName, format = "png") {
     // Prevent concurrent exports
     if (getExportingState()) {
         return;
@@ -161,7 +217,7 @@ function exportTabAsImage(tabId, tabName) {
     
     const tabElement = document.getElementById(tabId);
     if (!tabElement) {
-        alert("Tab not found.");
+        showNotice("Tab not found.");
         return;
     }
 
@@ -169,107 +225,118 @@ function exportTabAsImage(tabId, tabName) {
     showLoading('Exporting...');
 
     setTimeout(() => {
-        try {
-            // Create container div for export
-            const exportContainer = document.createElement('div');
-            exportContainer.style.position = 'absolute';
-            exportContainer.style.top = '-9999px';
-            exportContainer.style.left = '-9999px';
-            exportContainer.style.width = tabElement.offsetWidth + 'px';
-            exportContainer.style.background = '#fff';
-            exportContainer.style.padding = '20px';
-            exportContainer.style.display = 'flex';
-            exportContainer.style.flexDirection = 'column';
-            exportContainer.style.alignItems = 'center';
-            
-            // Add coordinate info at top
-            const coordElement = document.getElementById('climate-coord');
-            if (coordElement) {
-                const coordClone = coordElement.cloneNode(true);
-                coordClone.style.marginBottom = '16px';
-                exportContainer.appendChild(coordClone);
+        // Get file name
+        let fileName = `${tabName}-panel`;
+        const { data } = getLockState();
+        if (data && data.kg_type) {
+            const lat = data.lat != null ? Number(data.lat).toFixed(2) : '';
+            const lon = data.lon != null ? Number(data.lon).toFixed(2) : '';
+            if (lat && lon) {
+                fileName = `${tabName}_${data.kg_type}_${lat}_${lon}`;
             }
-            
-            // Clone and add the tab content
-            const exportDiv = tabElement.cloneNode(true);
-            exportDiv.style.position = 'static';
-            exportDiv.style.background = 'transparent';
-            exportDiv.style.padding = '0';
-            exportDiv.style.width = '100%';
-            
-            // Remove action buttons and hint text from export
-            exportDiv.querySelectorAll('.panel-action-row, .panel-hint, .panel-lock-hint').forEach(el => el.remove());
-            
-            exportContainer.appendChild(exportDiv);
-            document.body.appendChild(exportContainer);
-
-            // Wait a bit for DOM to settle
-            setTimeout(() => {
-                if (window.html2canvas) {
-                // Get file name
-                let fileName = `${tabName}-panel.png`;
-                const { data } = getLockState();
-                if (data && data.kg_type) {
-                    const lat = data.lat != null ? Number(data.lat).toFixed(2) : '';
-                    const lon = data.lon != null ? Number(data.lon).toFixed(2) : '';
-                    if (lat && lon) {
-                        fileName = `${tabName}_${data.kg_type}_${lat}_${lon}.png`;
-                    }
-                }
+        }
 
-                window.html2canvas(exportContainer, {
-                    backgroundColor: '#fff',
-                    scale: 1.5,
-                    allowTaint: true,
-                    useCORS: false,
-                    logging: false,
-                    onclone: (clonedDoc) => {
-                        // Ensure cloned styles are applied
-                        const clonedDiv = clonedDoc.querySelector('[style*="position: absolute"]');
-                        if (clonedDiv) {
-                            clonedDiv.style.position = 'relative';
-                            clonedDiv.style.left = '0';
-                            clonedDiv.style.top = '0';
-                        }
-                    }
-                }).then(canvas => {
-                    try {
-                        document.body.removeChild(exportContainer);
-                        const link = document.createElement("a");
-                        link.download = fileName;
-                        link.href = canvas.toDataURL("image/png", 0.95);
-                        link.click();
-                        hideLoading();
-                        setExportingState(false);
-                    } catch (e) {
-                        console.error("Download error:", e);
-                        hideLoading();
-                        setExportingState(false);
-                        alert("Failed to download image.");
-                    }
-                }).catch(err => {
-                    console.error("Export failed:", err);
-                    try {
-                        if (exportContainer.parentNode) {
-                            document.body.removeChild(exportContainer);
-                        }
-                    } catch (e) {}
-                    hideLoading();
-                    setExportingState(false);
-                    alert("Export failed. Please try again.");
-                });
-            } else {
-                document.body.removeChild(exportContainer);
+        const typeLabel = document.getElementById('climate-type');
+        const items = [
+            ...coordinateItems(),
+            data && data.kg_type ? textItem(typeLabel, `${data.kg_type} · ${describeKgType(data.kg_type)}`) : null,
+            textItem(tabElement.querySelector('.hemisphere-month-label')),
+            ...Array.from(tabElement.querySelectorAll(':scope > svg'), chartItem)
+        ];
+
+        exportChartFigure(items, fileName, format)
+            .catch(err => {
+                console.error("Export failed:", err);
+                showNotice(`Export failed: ${err.message || err}. Please try again.`);
+            })
+            .finally(() => {
                 hideLoading();
                 setExportingState(false);
-                alert("Export requires html2canvas library.");
+            });
+    }, 150);
+}
+
+/* =========================================================
+   Map Export File Name
+   climate-map.<ext>, or map_<class>_<lat>_<lon>.<ext> for a locked location
+   ========================================================= */
+function mapExportFileName(extension, suffix = "") {
+    let fileName = `climate-map${suffix}.${extension}`;
+    const { data } = getLockState();
+    if (data && data.kg_type) {
+        const lat = data.lat != null ? Number(data.lat).toFixed(2) : '';
+        const lon = data.lon != null ? Number(data.lon).toFixed(2) : '';
+        if (lat && lon) {
+            fileName = `map_${data.kg_type}_${lat}_${lon}${suffix}.${extension}`;
+        }
+    }
+    return fileName;
+}
+
+/* =========================================================
+   Export Map as Layered SVG
+   extent: "viewport" (current view) or "world" (whole world)
+   ========================================================= */
+function exportMapAsSvg(extent = "viewport") {
+    // Prevent concurrent exports
+    if (getExportingState()) {
+        return;
+    }
+    if (!window.buildMapSvgForExport) {
+        showNotice("Map not found.");
+        return;
+    }
+
+    setExportingState(true);
+    showLoading('Exporting map...');
+
+    setTimeout(() => {
+        try {
+            const markup = window.buildMapSvgForExport(extent);
+            if (!markup) {
+                throw new Error("Map is not ready");
             }
-            }, 50);
+            downloadSvg(markup, mapExportFileName("svg", extent === "world" ? "_world" : ""));
+            hideLoading();
+            setExportingState(false);
         } catch (err) {
             console.error("Export error:", err);
             hideLoading();
             setExportingState(false);
+            showNotice(`Export failed: ${err.message || err}. Please try again.`);
+        }
+    }, 200);
+}
+
+/* =========================================================
+   Export Data (CSV / JSON / GeoJSON)
+   ========================================================= */
+function openDataExportMenu(control) {
+    const select = control.querySelector(".export-menu-scope select");
+    if (select) updateTableExportScopes(select);
+}
+
+function exportDataFromMenu({ format }, control) {
+    // Prevent concurrent exports
+    if (getExportingState()) {
+        return;
+    }
+    const scope = control.querySelector(".export-menu-scope select")?.value || "filtered";
+
+    setExportingState(true);
+    showLoading('Exporting data...');
+
+    setTimeout(() => {
+        try {
+            if (!exportTable(scope, format)) {
+                showNotice("No locations to export.");
+            }
+        } catch (err) {
+            console.error("Export error:", err);
+            showNotice(`Export failed: ${err.message || err}. Please try again.`);
         }
+        hideLoading();
+        setExportingState(false);
     }, 150);
 }
 
@@ -284,7 +351,7 @@ function exportMapAsImage() {
     
     const mapCanvas = document.getElementById("mapCanvas");
     if (!mapCanvas) {
-        alert("Map not found.");
+        showNotice("Map not found.");
         return;
     }
 
@@ -315,6 +382,10 @@ function exportMapAsImage() {
                 window.drawAxisLabelsForExport(ctx, overlayScale, 26 * scale, true);
             }
 
+            // Colour mode legend, as placed on screen (variable and bivariate colour modes only)
+            drawVariableLegendForExport(ctx, overlayScale);
+            drawBivariateLegendForExport(ctx, overlayScale);
+
             // Draw hover/locked circle only when locked
             const { locked, data: lockedData } = getLockState();
             if (locked) {
@@ -414,20 +485,9 @@ function exportMapAsImage() {
                 }
             }
 
-            // Generate file name
-            let fileName = "climate-map.png";
-            const { data } = getLockState();
-            if (data && data.kg_type) {
-                const lat = data.lat != null ? Number(data.lat).toFixed(2) : '';
-                const lon = data.lon != null ? Number(data.lon).toFixed(2) : '';
-                if (lat && lon) {
-                    fileName = `map_${data.kg_type}_${lat}_${lon}.png`;
-                }
-            }
-
             // Download image
             const link = document.createElement("a");
-            link.download = fileName;
+            link.download = mapExportFileName("png");
             link.href = exportCanvas.toDataURL("image/png", 0.95);
             link.click();
             hideLoading();
@@ -442,7 +502,7 @@ function exportMapAsImage() {
             if (window.redrawMap) {
                 window.redrawMap();
             }
-            alert("Export failed. Please try again.");
+            showNotice(`Export failed: ${err.message || err}. Please try again.`);
         }
     }, 200);
 }
@@ -0,0 +1,186 @@
+/* class-boundaries.js
+   Köppen zone boundaries: the shared edges of neighbouring grid cells with a different kg_type, chained into lines.
+   Purpose: vector overlay of where one class meets another. Main-group boundaries (A/B/C/D/E change) and
+   subtype boundaries (same main group) are kept apart so map.js can style them differently; lines are
+   simplified for low zoom levels. Edges against cells without data (coasts) are not boundaries.
+*/
+
+import { gridLayout } from "./shared.js";
+import { getClimateStore } from "./climate-store.js";
+
+// Simplification tolerance (in grid cells) by zoom level; above the last maxZoom the cell edges are drawn as is
+const SIMPLIFY_LEVELS = [
+    { maxZoom: 2, tolerance: 2 },
+    { maxZoom: 6, tolerance: 0.75 }
+];
+
+let boundaryCache = null;
+let boundaryVersion = 0;
+
+/* =========================================================
+   Edges between cells
+   Vertex (vi, vj) is the north-west corner of cell (col vi, row vj); vertex keys are vj × (width + 1) + vi
+   ========================================================= */
+function classIds(data) {
+    const store = getClimateStore(data);
+    if (store) return store.classIndex;
+    const ids = new Map();
+    return Int32Array.from(data, d => {
+        if (!ids.has(d.kg_type)) ids.set(d.kg_type, ids.size);
+        return ids.get(d.kg_type);
+    });
+}
+
+function mainGroups(data, ids) {
+    const groups = new Map();
+    data.forEach((d, i) => {
+        if (!groups.has(ids[i])) groups.set(ids[i], d.kg_type ? d.kg_type[0] : "");
+    });
+    return groups;
+}
+
+function collectEdges(data, layout) {
+    const { width, height, col, row } = layout;
+    const ids = classIds(data);
+    const groups = mainGroups(data, ids);
+    const cellAt = new Int32Array(width * height).fill(-1);
+    for (let i = 0; i < data.length; i++) cellAt[row[i] * width + col[i]] = i;
+
+    const vertexKey = (vi, vj) => vj * (width + 1) + vi;
+    const edges = { main: [], sub: [] };
+    const addEdge = (a, b, from, to) => {
+        const kind = groups.get(ids[a]) !== groups.get(ids[b]) ? "main" : "sub";
+        edges[kind].push(from, to);
+    };
+    for (let i = 0; i < data.length; i++) {
+        const c = col[i];
+        const r = row[i];
+        // East neighbour: shared edge is the vertical line x = c + 1
+        const east = c + 1 < width ? cellAt[r * width + c + 1] : -1;
+        if (east >= 0 && ids[east] !== ids[i]) addEdge(i, east, vertexKey(c + 1, r), vertexKey(c + 1, r + 1));
+        // South neighbour: shared edge is the horizontal line y = r + 1
+        const south = r + 1 < height ? cellAt[(r + 1) * width + c] : -1;
+        if (south >= 0 && ids[south] !== ids[i]) addEdge(i, south, vertexKey(c, r + 1), vertexKey(c + 1, r + 1));
+    }
+    return edges;
+}
+
+// Chain edges (flat [from, to, from, to, ...] vertex keys) into lines that break where more than two edges meet
+function chainEdges(flatEdges) {
+    const edgeCount = flatEdges.length / 2;
+    const byVertex = new Map();
+    for (let e = 0; e < edgeCount; e++) {
+        for (const v of [flatEdges[e * 2], flatEdges[e * 2 + 1]]) {
+            if (!byVertex.has(v)) byVertex.set(v, []);
+            byVertex.get(v).push(e);
+        }
+    }
+    const used = new Uint8Array(edgeCount);
+    const otherEnd = (e, v) => (flatEdges[e * 2] === v ? flatEdges[e * 2 + 1] : flatEdges[e * 2]);
+
+    const extend = (line, vertex) => {
+        for (;;) {
+            const next = byVertex.get(vertex);
+            if (next.length !== 2) return;
+            const e = used[next[0]] ? next[1] : next[0];
+            if (used[e]) return;
+            used[e] = 1;
+            vertex = otherEnd(e, vertex);
+            line.push(vertex);
+        }
+    };
+
+    const lines = [];
+    for (let e = 0; e < edgeCount; e++) {
+        if (used[e]) continue;
+        used[e] = 1;
+        const forward = [flatEdges[e * 2], flatEdges[e * 2 + 1]];
+        extend(forward, forward[1]);
+        const backward = [];
+        extend(backward, forward[0]);
+        lines.push(backward.reverse().concat(forward));
+    }
+    return lines;
+}
+
+/* =========================================================
+   Simplification (Douglas–Peucker in grid units)
+   ========================================================= */
+function simplifyLine(points, tolerance) {
+    if (points.length < 3 || tolerance <= 0) return points;
+    const keep = new Uint8Array(points.length);
+    keep[0] = keep[points.length - 1] = 1;
+    const tolerance2 = tolerance * tolerance;
+    const stack = [[0, points.length - 1]];
+    while (stack.length) {
+        const [first, last] = stack.pop();
+        const [ax, ay] = points[first];
+        const [bx, by] = points[last];
+        const dx = bx - ax;
+        const dy = by - ay;
+        const len2 = dx * dx + dy * dy;
+        let maxDist2 = 0;
+        let index = -1;
+        for (let i = first + 1; i < last; i++) {
+            const [px, py] = points[i];
+            let t = len2 > 0 ? ((px - ax) * dx + (py - ay) * dy) / len2 : 0;
+            t = Math.max(0, Math.min(1, t));
+            const ex = ax + t * dx - px;
+            const ey = ay + t * dy - py;
+            const dist2 = ex * ex + ey * ey;
+            if (dist2 > maxDist2) {
+                maxDist2 = dist2;
+                index = i;
+            }
+        }
+        if (index >= 0 && maxDist2 > tolerance2) {
+            keep[index] = 1;
+            stack.push([first, index], [index, last]);
+        }
+    }
+    return points.filter((_, i) => keep[i]);
+}
+
+function toFeature(lines, layout, tolerance) {
+    const { step, lonMin, latMax } = layout;
+    const coordinates = lines.map(line => simplifyLine(line, tolerance)
+        .map(([vi, vj]) => [lonMin + (vi - 0.5) * step, latMax - (vj - 0.5) * step]));
+    return { type: "MultiLineString", coordinates };
+}
+
+export function simplifyToleranceForZoom(k) {
+    const level = SIMPLIFY_LEVELS.find(l => k < l.maxZoom);
+    return level ? level.tolerance : 0;
+}
+
+// Boundary lines of the data at a simplification tolerance:
+// { version, main, sub } with main/sub lon/lat MultiLineStrings (features are reused per tolerance)
+export function getClassBoundaries(data, tolerance) {
+    if (!data || !data.length) return null;
+    if (!boundaryCache || boundaryCache.data !== data) {
+        const store = getClimateStore(data);
+        const lon = store ? store.lon : data.map(d => d.lon);
+        const lat = store ? store.lat : data.map(d => d.lat);
+        const layout = gridLayout(lon, lat);
+        const edges = collectEdges(data, layout);
+        const vertex = key => [key % (layout.width + 1), Math.floor(key / (layout.width + 1))];
+        boundaryCache = {
+            data,
+            layout,
+            lines: {
+                main: chainEdges(edges.main).map(line => line.map(vertex)),
+                sub: chainEdges(edges.sub).map(line => line.map(vertex))
+            },
+            byTolerance: new Map()
+        };
+    }
+    if (!boundaryCache.byTolerance.has(tolerance)) {
+        const { lines, layout } = boundaryCache;
+        boundaryCache.byTolerance.set(tolerance, {
+            version: ++boundaryVersion,
+            main: toFeature(lines.main, layout, tolerance),
+            sub: toFeature(lines.sub, layout, tolerance)
+        });
+    }
+    return boundaryCache.byTolerance.get(tolerance);
+}
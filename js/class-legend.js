@@ -0,0 +1,154 @@
+/* class-legend.js
+   Köppen class legend: every kg_type in the data with its colour, name and cell count, as a class filter.
+   Purpose: toggle classes on and off, isolate one class or whole groups (all "C*", all "*s*").
+   The filter (STATE.classFilter) dims the other classes on the map and in the Temperature/Precipitation tabs.
+*/
+
+import { STATE, dispatcher } from "./shared.js";
+import { KOPPEN_MAIN, KOPPEN_PRECIP, describeKgType, kgTypeParts } from "./chart-common.js";
+import { makeLegendDraggable } from "./variables.js";
+
+// Group chips: main groups by first letter, precipitation regimes by the precipitation letter
+const MAIN_GROUPS = Object.entries(KOPPEN_MAIN).map(([letter, name]) => ({
+    label: `${letter}*`,
+    title: name,
+    matches: kg => kg[0] === letter
+}));
+const PRECIP_GROUPS = Object.entries(KOPPEN_PRECIP).map(([letter, name]) => ({
+    label: `*${letter}*`,
+    title: name,
+    matches: kg => kgTypeParts(kg).precipChar === letter
+}));
+
+let legendEl = null;
+// Classes in the current data: [{ kgType, color, count }], sorted by code
+let classEntries = [];
+
+function collectClasses(data) {
+    const byType = new Map();
+    data.forEach(d => {
+        const kgType = d.kg_type;
+        if (!kgType) return;
+        const entry = byType.get(kgType);
+        if (entry) entry.count++;
+        else byType.set(kgType, { kgType, color: d.baseColor, count: 1 });
+    });
+    return Array.from(byType.values()).sort((a, b) => d3.ascending(a.kgType, b.kgType));
+}
+
+function visibleTypes() {
+    return STATE.classFilter || new Set(classEntries.map(e => e.kgType));
+}
+
+// Store the selection; every class on means no filter
+function setFilter(types) {
+    const all = classEntries.every(e => types.has(e.kgType));
+    STATE.classFilter = all ? null : new Set(types);
+    dispatcher.call("classFilterChanged", null, STATE.classFilter);
+}
+
+function toggleClass(kgType) {
+    const types = new Set(visibleTypes());
+    if (types.has(kgType)) types.delete(kgType);
+    else types.add(kgType);
+    setFilter(types);
+}
+
+function isolateClass(kgType) {
+    const filter = STATE.classFilter;
+    // Isolating the only class left on shows everything again
+    if (filter && filter.size === 1 && filter.has(kgType)) setFilter(new Set(classEntries.map(e => e.kgType)));
+    else setFilter(new Set([kgType]));
+}
+
+// Click isolates a group; Shift+click adds it to the current selection
+function selectGroup(group, additive) {
+    const types = additive && STATE.classFilter ? new Set(STATE.classFilter) : new Set();
+    classEntries.forEach(e => {
+        if (group.matches(e.kgType)) types.add(e.kgType);
+    });
+    if (types.size) setFilter(types);
+}
+
+/* =========================================================
+   Rendering
+   ========================================================= */
+function renderGroups(container, groups) {
+    const present = groups.filter(group => classEntries.some(e => group.matches(e.kgType)));
+    container.selectAll("button")
+        .data(present, g => g.label)
+        .join("button")
+        .attr("type", "button")
+        .attr("class", "class-legend-chip")
+        .attr("title", g => `${g.title} (Shift+click to add)`)
+        .classed("active", g => {
+            const visible = visibleTypes();
+            const members = classEntries.filter(e => g.matches(e.kgType));
+            return STATE.classFilter !== null && members.every(e => visible.has(e.kgType));
+        })
+        .text(g => g.label)
+        .on("click", (event, g) => selectGroup(g, event.shiftKey));
+}
+
+function renderList(list) {
+    const visible = visibleTypes();
+    const rows = list.selectAll("li")
+        .data(classEntries, e => e.kgType)
+        .join(enter => {
+            const li = enter.append("li").attr("class", "class-legend-row");
+            const label = li.append("label");
+            label.append("input").attr("type", "checkbox");
+            label.append("span").attr("class", "class-legend-swatch");
+            label.append("span").attr("class", "class-legend-code");
+            label.append("span").attr("class", "class-legend-name");
+            li.append("span").attr("class", "class-legend-count");
+            li.append("button").attr("type", "button").attr("class", "class-legend-only").text("only");
+            return li;
+        });
+
+    rows.classed("off", e => !visible.has(e.kgType));
+    rows.select("input")
+        .property("checked", e => visible.has(e.kgType))
+        .on("change", (event, e) => toggleClass(e.kgType));
+    rows.select(".class-legend-swatch").style("background", e => e.color);
+    rows.select(".class-legend-code").text(e => e.kgType);
+    rows.select(".class-legend-name").text(e => describeKgType(e.kgType));
+    rows.select(".class-legend-count").text(e => d3.format(",")(e.count));
+    rows.select(".class-legend-only")
+        .attr("title", e => `Show only ${e.kgType}`)
+        .on("click", (event, e) => isolateClass(e.kgType));
+}
+
+function renderLegend() {
+    if (!legendEl || !legendEl.classList.contains("active")) return;
+    const legend = d3.select(legendEl);
+    renderGroups(legend.select(".class-legend-main-groups"), MAIN_GROUPS);
+    renderGroups(legend.select(".class-legend-precip-groups"), PRECIP_GROUPS);
+    renderList(legend.select(".class-legend-list"));
+    const shown = visibleTypes().size;
+    legend.select(".class-legend-summary").text(STATE.classFilter
+        ? `${shown} of ${classEntries.length} classes shown`
+        : `All ${classEntries.length} classes shown`);
+}
+
+export function initClassLegend() {
+    legendEl = document.getElementById("class-legend");
+    const toggle = document.getElementById("toggle-class-legend");
+    if (!legendEl) return;
+    makeLegendDraggable(legendEl, legendEl.querySelector(".class-legend-title"));
+
+    legendEl.querySelector(".class-legend-all")?.addEventListener("click", () => {
+        setFilter(new Set(classEntries.map(e => e.kgType)));
+    });
+    toggle?.addEventListener("change", () => {
+        legendEl.classList.toggle("active", toggle.checked);
+        if (!classEntries.length && STATE.data) classEntries = collectClasses(STATE.data);
+        renderLegend();
+    });
+
+    dispatcher.on("dataLoaded.classLegend", data => {
+        classEntries = collectClasses(data || STATE.data);
+        renderLegend();
+    });
+    dispatcher.on("classFilterChanged.classLegend", renderLegend);
+}
@@ -0,0 +1,349 @@
+/* climate-store.js
+   Columnar climate grid: Float32 columns per variable, a class-index column and a palette table.
+   Purpose: keep the global grid compact in memory while exposing the row accessor API used by map and charts
+   (d.lon, d.lat, d.t[], d.p[], d.t_01…d.p_12, d.kg_type, d.baseColor, d.pointColor, d.px, d.py).
+   Row views are created on first use of store.rows; bulk readers (glyph drawing, bins, exports) read the columns
+   in place through copyMonths / rowMonths instead of the copying d.t / d.p arrays.
+
+   Binary layout (little-endian), written by tools/build-climate-bin.mjs:
+     0    "KGC1" magic
+     4    uint32 format version
+     8    uint32 row count n
+     12   uint32 byte length of the UTF-8 JSON header { palette: [{ kg_type, color1, color3 }] }
+     16   JSON header, zero-padded to a multiple of 4 bytes
+     then Float32 lon[n], Float32 lat[n], Float32 t[n×12], Float32 p[n×12] (row-major, Jan..Dec), Uint8 class[n]
+*/
+
+export const CLIMATE_BIN_MAGIC = "KGC1";
+export const CLIMATE_BIN_VERSION = 1;
+
+const MONTHS = 12;
+const HEADER_BYTES = 16;
+const MAX_CLASSES = 255;
+const NO_CLASS = 255;
+
+/* =========================================================
+   Row view: one object per grid cell, values read from the store columns
+   ========================================================= */
+class ClimateRow {
+    constructor(store, index) {
+        this.store = store;
+        this.index = index;
+    }
+
+    get lon() { return this.store.lon[this.index]; }
+    get lat() { return this.store.lat[this.index]; }
+
+    // Calendar-order monthly values (Jan..Dec) as plain arrays, so chart code can map them to strings.
+    // Each access copies: code that runs per row or per frame uses rowMonths / copyMonths.
+    get t() { return Array.from(this.store.t.subarray(this.index * MONTHS, this.index * MONTHS + MONTHS)); }
+    get p() { return Array.from(this.store.p.subarray(this.index * MONTHS, this.index * MONTHS + MONTHS)); }
+
+    get kg_type() { return this.store.palette[this.store.classIndex[this.index]].kg_type; }
+    get baseColor() { return this.store.palette[this.store.classIndex[this.index]].color1; }
+    get pointColor() { return this.store.palette[this.store.classIndex[this.index]].color3; }
+
+    // Client-side Köppen result (ClimateStore.classifyCells with koppen.js classifyKoppen)
+    get kg_computed() {
+        const ci = this.store.computedClass[this.index];
+        return ci === NO_CLASS ? null : this.store.computedPalette[ci];
+    }
+    set kg_computed(v) { this.store.setComputedClass(this.index, v); }
+    get kg_mismatch() { return this.store.kgMismatch[this.index] === 1; }
+    set kg_mismatch(v) { this.store.kgMismatch[this.index] = v ? 1 : 0; }
+
+    // Projected position (pre-zoom), written by map.js
+    get px() { return this.store.px[this.index]; }
+    set px(v) { this.store.px[this.index] = v; }
+    get py() { return this.store.py[this.index]; }
+    set py(v) { this.store.py[this.index] = v; }
+    get projectedCacheVersion() { return this.store.projectedCacheVersion; }
+
+    // Glyph render cache (see ClimateStore.buildGlyphColumns / setClassStyles)
+    get tempR12() {
+        const col = this.store.tempR;
+        return col ? col.subarray(this.index * MONTHS, this.index * MONTHS + MONTHS) : undefined;
+    }
+    get precipR12() {
+        const col = this.store.precipR;
+        return col ? col.subarray(this.index * MONTHS, this.index * MONTHS + MONTHS) : undefined;
+    }
+    get glyphPrecipFill() { return this.classStyle?.glyphPrecipFill; }
+    get glyphTempFill() { return this.classStyle?.glyphTempFill; }
+    get glyphTempStroke() { return this.classStyle?.glyphTempStroke; }
+    get classStyle() {
+        const styles = this.store.classStyles;
+        return styles ? styles[this.store.classIndex[this.index]] : undefined;
+    }
+
+    // Copy the 12 months of a monthly column (t, p, tempR, precipR) into target without allocating;
+    // returns false while the column is missing
+    copyMonths(column, target) {
+        const col = this.store[column];
+        if (!col) return false;
+        const offset = this.index * MONTHS;
+        for (let m = 0; m < MONTHS; m++) target[m] = col[offset + m];
+        return true;
+    }
+}
+
+// Hemisphere-aligned monthly accessors t_01…t_12 / p_01…p_12 (Tab2/Tab3):
+// Northern Hemisphere Month 1 = Jan; Southern Hemisphere Month 1 = Jul
+for (let m = 0; m < MONTHS; m++) {
+    const suffix = String(m + 1).padStart(2, "0");
+    const southMonth = (m + 6) % MONTHS;
+    Object.defineProperty(ClimateRow.prototype, `t_${suffix}`, {
+        get() { return this.store.t[this.index * MONTHS + (this.store.lat[this.index] < 0 ? southMonth : m)]; }
+    });
+    Object.defineProperty(ClimateRow.prototype, `p_${suffix}`, {
+        get() { return this.store.p[this.index * MONTHS + (this.store.lat[this.index] < 0 ? southMonth : m)]; }
+    });
+}
+
+/* =========================================================
+   Store
+   ========================================================= */
+export class ClimateStore {
+    // Optional columns (px, py, tempR, precipR, computed classes) arrive precomputed from the data worker
+    constructor({
+        lon, lat, t, p, classIndex, palette,
+        px = null, py = null, tempR = null, precipR = null,
+        computedClass = null, computedPalette = null, kgMismatch = null,
+        projectionKey = null, symbolRadius = null
+    }) {
+        const n = lon.length;
+        if (lat.length !== n || t.length !== n * MONTHS || p.length !== n * MONTHS || classIndex.length !== n) {
+            throw new Error("Climate store columns have inconsistent lengths");
+        }
+        this.size = n;
+        this.lon = lon;
+        this.lat = lat;
+        this.t = t;
+        this.p = p;
+        this.classIndex = classIndex;
+        this.palette = palette;
+
+        this.px = px || new Float64Array(n).fill(NaN);
+        this.py = py || new Float64Array(n).fill(NaN);
+        this.projectedCacheVersion = -1;
+        // Projection the px/py columns were computed with, and the symbol radius derived from them
+        this.projectionKey = projectionKey;
+        this.symbolRadius = symbolRadius;
+        this.tempR = tempR;
+        this.precipR = precipR;
+        this.classStyles = null;
+
+        this.computedClass = computedClass || new Uint8Array(n).fill(NO_CLASS);
+        this.computedPalette = computedPalette || [];
+        this.computedPaletteIndex = new Map(this.computedPalette.map((type, i) => [type, i]));
+        this.kgMismatch = kgMismatch || new Uint8Array(n);
+
+        this.rowViews = null;
+    }
+
+    // One row view per cell, created on first access (the data worker and column readers never need them)
+    get rows() {
+        if (!this.rowViews) {
+            this.rowViews = new Array(this.size);
+            for (let i = 0; i < this.size; i++) this.rowViews[i] = new ClimateRow(this, i);
+        }
+        return this.rowViews;
+    }
+
+    setComputedClass(index, type) {
+        if (!type) {
+            this.computedClass[index] = NO_CLASS;
+            return;
+        }
+        let ci = this.computedPaletteIndex.get(type);
+        if (ci === undefined) {
+            ci = this.computedPalette.length;
+            if (ci >= MAX_CLASSES) throw new Error("Too many computed climate classes for a Uint8 column");
+            this.computedPalette.push(type);
+            this.computedPaletteIndex.set(type, ci);
+        }
+        this.computedClass[index] = ci;
+    }
+
+    // Computed Köppen class of every cell from classify(t, p) (koppen.js classifyKoppen), read from the columns;
+    // returns the number of cells whose computed class differs from the shipped kg_type
+    classifyCells(classify) {
+        let mismatches = 0;
+        for (let i = 0; i < this.size; i++) {
+            const offset = i * MONTHS;
+            const computed = classify(this.t.subarray(offset, offset + MONTHS), this.p.subarray(offset, offset + MONTHS));
+            this.setComputedClass(i, computed);
+            const shipped = this.palette[this.classIndex[i]]?.kg_type;
+            const mismatch = !!(computed && shipped && computed !== shipped);
+            this.kgMismatch[i] = mismatch ? 1 : 0;
+            if (mismatch) mismatches += 1;
+        }
+        return mismatches;
+    }
+
+    // Project every cell with a d3 projection into the px/py columns.
+    // key identifies the projection; a store already projected with the same key is left untouched.
+    project(projection, version, key = null) {
+        if (key === null || key !== this.projectionKey) {
+            for (let i = 0; i < this.size; i++) {
+                const xy = projection([this.lon[i], this.lat[i]]);
+                this.px[i] = xy ? xy[0] : NaN;
+                this.py[i] = xy ? xy[1] : NaN;
+            }
+            this.projectionKey = key;
+            this.symbolRadius = null;
+        }
+        this.projectedCacheVersion = version;
+    }
+
+    // Normalised glyph radii for every month, computed once per load
+    buildGlyphColumns(tempToR, precipToR) {
+        if (this.tempR && this.precipR) return;
+        const len = this.t.length;
+        this.tempR = new Float32Array(len);
+        this.precipR = new Float32Array(len);
+        for (let i = 0; i < len; i++) {
+            this.tempR[i] = tempToR(this.t[i]);
+            this.precipR[i] = precipToR(this.p[i]);
+        }
+    }
+
+    // Derived colours depend only on the class, so they are stored per palette entry
+    setClassStyles(styleOf) {
+        this.classStyles = this.palette.map(entry => styleOf(entry));
+    }
+
+    // Columns and the buffers to transfer with postMessage (each buffer listed once)
+    toTransferable() {
+        const columns = {
+            lon: this.lon, lat: this.lat, t: this.t, p: this.p,
+            classIndex: this.classIndex, palette: this.palette,
+            px: this.px, py: this.py, tempR: this.tempR, precipR: this.precipR,
+            computedClass: this.computedClass, computedPalette: this.computedPalette, kgMismatch: this.kgMismatch,
+            projectionKey: this.projectionKey, symbolRadius: this.symbolRadius
+        };
+        const buffers = new Set();
+        Object.values(columns).forEach(col => {
+            if (ArrayBuffer.isView(col)) buffers.add(col.buffer);
+        });
+        return { columns, transfer: Array.from(buffers) };
+    }
+}
+
+// Store behind a row array returned by loadData (null for plain object rows)
+export function getClimateStore(data) {
+    return data && data.length && data[0] instanceof ClimateRow ? data[0].store : null;
+}
+
+// Monthly temperature and precipitation of one row without the copying d.t / d.p getters:
+// views on the store columns for store rows, the row's own arrays for plain object rows
+export function rowMonths(d) {
+    if (!(d instanceof ClimateRow)) return { t: d.t, p: d.p };
+    const offset = d.index * MONTHS;
+    return { t: d.store.t.subarray(offset, offset + MONTHS), p: d.store.p.subarray(offset, offset + MONTHS) };
+}
+
+/* =========================================================
+   Builder (CSV fallback and converter)
+   ========================================================= */
+export class ClimateStoreBuilder {
+    constructor() {
+        this.lon = [];
+        this.lat = [];
+        this.t = [];
+        this.p = [];
+        this.classIndex = [];
+        this.palette = [];
+        this.paletteIndex = new Map();
+    }
+
+    // t and p: 12 calendar-order monthly values
+    add(lon, lat, t, p, kgType, color1, color3) {
+        let ci = this.paletteIndex.get(kgType);
+        if (ci === undefined) {
+            ci = this.palette.length;
+            if (ci >= MAX_CLASSES) throw new Error("Too many climate classes for a Uint8 class column");
+            this.palette.push({ kg_type: kgType, color1, color3 });
+            this.paletteIndex.set(kgType, ci);
+        }
+        this.lon.push(lon);
+        this.lat.push(lat);
+        for (let m = 0; m < MONTHS; m++) {
+            this.t.push(t[m]);
+            this.p.push(p[m]);
+        }
+        this.classIndex.push(ci);
+    }
+
+    columns() {
+        return {
+            lon: Float32Array.from(this.lon),
+            lat: Float32Array.from(this.lat),
+            t: Float32Array.from(this.t),
+            p: Float32Array.from(this.p),
+            classIndex: Uint8Array.from(this.classIndex),
+            palette: this.palette.slice()
+        };
+    }
+
+    build() {
+        return new ClimateStore(this.columns());
+    }
+}
+
+/* =========================================================
+   Binary encode/decode
+   ========================================================= */
+function paddedLength(byteLength) {
+    return Math.ceil(byteLength / 4) * 4;
+}
+
+// Decode an ArrayBuffer in the layout above; columns are views on the buffer (no copy)
+export function decodeClimateBinary(buffer) {
+    const view = new DataView(buffer);
+    if (buffer.byteLength < HEADER_BYTES) throw new Error("Climate binary is truncated");
+    const magic = String.fromCharCode(view.getUint8(0), view.getUint8(1), view.getUint8(2), view.getUint8(3));
+    if (magic !== CLIMATE_BIN_MAGIC) throw new Error("Not a climate binary file");
+    const version = view.getUint32(4, true);
+    if (version !== CLIMATE_BIN_VERSION) throw new Error(`Unsupported climate binary version ${version}`);
+    const n = view.getUint32(8, true);
+    const metaLength = view.getUint32(12, true);
+
+    const meta = JSON.parse(new TextDecoder().decode(new Uint8Array(buffer, HEADER_BYTES, metaLength)));
+    let offset = HEADER_BYTES + paddedLength(metaLength);
+    const expected = offset + 4 * (n * 2 + n * MONTHS * 2) + n;
+    if (buffer.byteLength < expected) throw new Error("Climate binary is truncated");
+
+    const lon = new Float32Array(buffer, offset, n); offset += 4 * n;
+    const lat = new Float32Array(buffer, offset, n); offset += 4 * n;
+    const t = new Float32Array(buffer, offset, n * MONTHS); offset += 4 * n * MONTHS;
+    const p = new Float32Array(buffer, offset, n * MONTHS); offset += 4 * n * MONTHS;
+    const classIndex = new Uint8Array(buffer, offset, n);
+
+    return new ClimateStore({ lon, lat, t, p, classIndex, palette: meta.palette || [] });
+}
+
+// Encode builder columns into the binary layout; returns an ArrayBuffer
+export function encodeClimateBinary(columns) {
+    const { lon, lat, t, p, classIndex, palette } = columns;
+    const n = lon.length;
+    const metaBytes = new TextEncoder().encode(JSON.stringify({ palette }));
+    const metaPadded = paddedLength(metaBytes.length);
+    const total = HEADER_BYTES + metaPadded + 4 * (n * 2 + n * MONTHS * 2) + n;
+
+    const buffer = new ArrayBuffer(total);
+    const view = new DataView(buffer);
+    for (let i = 0; i < 4; i++) view.setUint8(i, CLIMATE_BIN_MAGIC.charCodeAt(i));
+    view.setUint32(4, CLIMATE_BIN_VERSION, true);
+    view.setUint32(8, n, true);
+    view.setUint32(12, metaBytes.length, true);
+    new Uint8Array(buffer, HEADER_BYTES, metaBytes.length).set(metaBytes);
+
+    let offset = HEADER_BYTES + metaPadded;
+    new Float32Array(buffer, offset, n).set(lon); offset += 4 * n;
+    new Float32Array(buffer, offset, n).set(lat); offset += 4 * n;
+    new Float32Array(buffer, offset, n * MONTHS).set(t); offset += 4 * n * MONTHS;
+    new Float32Array(buffer, offset, n * MONTHS).set(p); offset += 4 * n * MONTHS;
+    new Uint8Array(buffer, offset, n).set(classIndex);
+    return buffer;
+}
@@ -0,0 +1,189 @@
+/* contours.js
+   Isotherm and isohyet overlay: isolines of a monthly or annual climate variable, traced with d3.contours
+   on a lon/lat raster rebuilt from STATE.data.
+   Purpose: show threshold lines such as the 0 °C / 18 °C isotherms that bound Köppen groups or the 60 mm isohyet.
+   map.js projects, strokes and labels the lines into its own cache layer; this module owns the geometry and the panel.
+*/
+
+import { STATE, dispatcher, gridLayout } from "./shared.js";
+import { getClimateStore } from "./climate-store.js";
+import { fillVariableSelect, getVariableDef, getVariableValues, makeLegendDraggable } from "./variables.js";
+import { displayUnit, formatTick, fromDisplay, toDisplay } from "./units.js";
+
+// Levels offered when a variable is picked (metric units); other variables get rounded ticks over their range
+const DEFAULT_LEVELS = {
+    t_coldest: [0, 18],
+    t_warmest: [10, 22],
+    t_mean: [0, 10, 20],
+    p_driest: [30, 60],
+    p_total: [250, 500, 1000, 2000],
+    aridity: [10, 20, 30]
+};
+const DEFAULT_TICK_COUNT = 4;
+
+const ISOTHERM_COLOR = "#b2452f";
+const ISOHYET_COLOR = "#2f6fb2";
+const OTHER_COLOR = "#555555";
+
+let contourCache = null;
+let contourVersion = 0;
+
+/* =========================================================
+   Raster and isolines
+   ========================================================= */
+function defaultLevels(data, variableId) {
+    if (DEFAULT_LEVELS[variableId]) return DEFAULT_LEVELS[variableId];
+    const values = Array.from(getVariableValues(data, variableId)).filter(Number.isFinite).sort((a, b) => a - b);
+    if (!values.length) return [];
+    return d3.ticks(d3.quantileSorted(values, 0.1), d3.quantileSorted(values, 0.9), DEFAULT_TICK_COUNT);
+}
+
+// Grid values on a regular lon/lat raster (row 0 = northernmost); cells without data are NaN
+function buildRaster(data, values) {
+    const store = getClimateStore(data);
+    const lon = store ? store.lon : data.map(d => d.lon);
+    const lat = store ? store.lat : data.map(d => d.lat);
+    const layout = gridLayout(lon, lat);
+    const grid = new Float32Array(layout.width * layout.height).fill(NaN);
+    for (let i = 0; i < data.length; i++) {
+        grid[layout.row[i] * layout.width + layout.col[i]] = values[i];
+    }
+    return { ...layout, grid };
+}
+
+// A contour vertex is a real crossing only when the 2×2 cells around it all hold data;
+// elsewhere d3.contours traces the edge of the data (coasts, raster border)
+function isCrossingVertex(raster, [px, py]) {
+    const col = Math.floor(px - 0.5);
+    const row = Math.floor(py - 0.5);
+    if (col < 0 || row < 0 || col + 1 >= raster.width || row + 1 >= raster.height) return false;
+    const { grid, width } = raster;
+    const i = row * width + col;
+    return Number.isFinite(grid[i]) && Number.isFinite(grid[i + 1])
+        && Number.isFinite(grid[i + width]) && Number.isFinite(grid[i + width + 1]);
+}
+
+function toLonLat(raster, [px, py]) {
+    return [raster.lonMin + (px - 0.5) * raster.step, raster.latMax - (py - 0.5) * raster.step];
+}
+
+// Split a closed contour ring into open lines at vertices that are not real crossings
+function ringToLines(raster, ring, lines) {
+    const keep = ring.map(p => isCrossingVertex(raster, p));
+    const start = keep.indexOf(false);
+    if (start === -1) {
+        lines.push(ring.map(p => toLonLat(raster, p)));
+        return;
+    }
+    // Walk once around the ring from a dropped vertex (the last vertex repeats the first)
+    const n = ring.length - 1;
+    let line = [];
+    for (let j = 1; j <= n; j++) {
+        const idx = (start + j) % n;
+        if (keep[idx]) {
+            line.push(toLonLat(raster, ring[idx]));
+        } else {
+            if (line.length > 1) lines.push(line);
+            line = [];
+        }
+    }
+    if (line.length > 1) lines.push(line);
+}
+
+function traceContours(data, variableId, levels) {
+    const raster = buildRaster(data, getVariableValues(data, variableId));
+    const generator = d3.contours().size([raster.width, raster.height]).thresholds(levels);
+    return generator(raster.grid).map(contour => {
+        const lines = [];
+        contour.coordinates.forEach(polygon => polygon.forEach(ring => ringToLines(raster, ring, lines)));
+        return {
+            level: contour.value,
+            feature: { type: "MultiLineString", coordinates: lines }
+        };
+    }).filter(c => c.feature.coordinates.length);
+}
+
+// Isolines of the current contour variable and levels:
+// { version, variable, levels: [{ level, label, feature }] } with feature a lon/lat MultiLineString
+export function getContourSet(data) {
+    if (!data || !data.length || !STATE.contourLevels?.length) return null;
+    const variableId = STATE.contourVariable;
+    const levelsKey = STATE.contourLevels.join(",");
+    if (contourCache && contourCache.data === data && contourCache.variable.id === variableId
+        && contourCache.levelsKey === levelsKey && contourCache.unitSystem === STATE.unitSystem) {
+        return contourCache;
+    }
+    const def = getVariableDef(variableId);
+    const unit = displayUnit(def.unit);
+    const levels = traceContours(data, variableId, STATE.contourLevels).map(c => ({
+        ...c,
+        label: `${formatTick(c.level, def.unit, def.delta)}${unit ? ` ${unit}` : ""}`
+    }));
+    contourCache = {
+        version: ++contourVersion, data, variable: def, levelsKey, levels, color: contourColor(def),
+        unitSystem: STATE.unitSystem
+    };
+    return contourCache;
+}
+
+// Isotherms red, isohyets blue, other variables grey
+function contourColor(def) {
+    if (def.unit === "°C") return ISOTHERM_COLOR;
+    if (def.unit === "mm") return ISOHYET_COLOR;
+    return OTHER_COLOR;
+}
+
+/* =========================================================
+   Panel: variable and levels, shown while the contour toggle is on
+   ========================================================= */
+// The levels input is in display units; STATE.contourLevels stays metric
+function parseLevels(text, def) {
+    const levels = text.split(/[,;\s]+/).map(Number).filter(Number.isFinite).map(v => fromDisplay(v, def.unit, def.delta));
+    return Array.from(new Set(levels)).sort((a, b) => a - b);
+}
+
+function levelsText(levels, def) {
+    return levels.map(v => +toDisplay(v, def.unit, def.delta).toFixed(2)).join(", ");
+}
+
+export function initContourPanel() {
+    const panelEl = document.getElementById("contour-panel");
+    const toggle = document.getElementById("toggle-contours");
+    if (!panelEl || !toggle) return;
+    const variableSelect = panelEl.querySelector("#contour-variable");
+    const levelsInput = panelEl.querySelector("#contour-levels");
+    const swatch = panelEl.querySelector(".contour-panel-swatch");
+    makeLegendDraggable(panelEl, panelEl.querySelector(".contour-panel-title"));
+    fillVariableSelect(variableSelect, STATE.contourVariable);
+    const showLevels = () => {
+        levelsInput.value = levelsText(STATE.contourLevels, getVariableDef(STATE.contourVariable));
+    };
+    showLevels();
+
+    const update = () => {
+        swatch.style.background = contourColor(getVariableDef(STATE.contourVariable));
+        dispatcher.call("contoursChanged", null, STATE.contourVariable);
+    };
+
+    // A new variable starts on its default levels
+    variableSelect.addEventListener("change", () => {
+        STATE.contourVariable = variableSelect.value;
+        STATE.contourLevels = defaultLevels(STATE.data || [], STATE.contourVariable);
+        showLevels();
+        update();
+    });
+    levelsInput.addEventListener("change", () => {
+        STATE.contourLevels = parseLevels(levelsInput.value, getVariableDef(STATE.contourVariable));
+        showLevels();
+        update();
+    });
+    // Unit system switched: levels and labels in the new units
+    dispatcher.on("unitsChanged.contourPanel", () => {
+        fillVariableSelect(variableSelect, STATE.contourVariable);
+        showLevels();
+        dispatcher.call("contoursChanged", null, STATE.contourVariable);
+    });
+    toggle.addEventListener("change", () => panelEl.classList.toggle("active", toggle.checked));
+    panelEl.classList.toggle("active", toggle.checked);
+    swatch.style.background = contourColor(getVariableDef(STATE.contourVariable));
+}
@@ -0,0 +1,42 @@
+/* data-worker.js
+   Data worker: fetch and parse the climate grid and basemap files, compute Köppen classes,
+   projected coordinates and glyph radii off the main thread.
+   Purpose: keep the page responsive while loading; typed-array columns are transferred back (see data.js).
+*/
+
+// Module workers have no access to the page's d3 scripts: load the ES builds and expose them the same way.
+// Loaded with dynamic imports so a failed CDN fetch or module setup is reported as workerFailed
+// (data.js then loads on the main thread) instead of leaving the worker unusable.
+async function init() {
+    const [d3, d3GeoProjection] = await Promise.all([
+        import("https://cdn.jsdelivr.net/npm/d3@7/+esm"),
+        import("https://cdn.jsdelivr.net/npm/d3-geo-projection@4/+esm")
+    ]);
+    self.d3 = { ...d3, ...d3GeoProjection };
+    // Imported after d3 is in place, since shared.js uses it at module load
+    return await import("./data.js");
+}
+
+const ready = init();
+// Reported to the page with the first request (below)
+ready.catch(() => {});
+
+self.addEventListener("message", async e => {
+    const { id, params } = e.data;
+    let prepareData;
+    try {
+        ({ prepareData } = await ready);
+    } catch (err) {
+        self.postMessage({ id, type: "error", message: err.message || String(err), workerFailed: true });
+        return;
+    }
+    try {
+        const { store, ...result } = await prepareData(params, text => {
+            self.postMessage({ id, type: "progress", text });
+        });
+        const { columns, transfer } = store.toTransferable();
+        self.postMessage({ id, type: "done", result: { ...result, columns } }, transfer);
+    } catch (err) {
+        self.postMessage({ id, type: "error", message: err.message || String(err) });
+    }
+});
@@ -1,91 +1,333 @@
 /* data.js
    Data loading module: encapsulate CSV / GeoJSON loading and return normalized data.
+   Parsing, projection and derived caches run in a Web Worker (data-worker.js) when available.
    Purpose: provide reusable data APIs for map and charts.
 */
 
-// Load and parse climate CSV, return normalized station array (lon,lat,baseColor,pointColor,t,p,kg_type,t_01-t_12,p_01-p_12)
-export async function loadData() {
-    const data = await d3.csv("data/kg.csv", d => {
-        const t = [];
-        const p = [];
-        const obj = {
-            lon: +d.lon,
-            lat: +d.lat,
-            baseColor: d.kg_color1,
-            pointColor: d.kg_color3,
-            t,
-            p,
-            kg_type: d.kg_type
-        };
-        
-        // Extract monthly temperatures and precipitations for array format (Tab1)
-        for (let i = 1; i <= 12; i++) {
-            const month = String(i).padStart(2, "0");
-            t.push(+d[`t${month}`]);
-            p.push(+d[`p${month}`]);
-        }
-        
-        // Extract monthly temperatures and precipitations for object property format (Tab2/Tab3)
+import { classifyKoppen } from "./koppen.js";
+import { ClimateStore, ClimateStoreBuilder, decodeClimateBinary } from "./climate-store.js";
+import { tempToR, precipToR, lonLatExtent, estimateSymbolRadius } from "./shared.js";
+import { fitProjection, projectionKey, projectVisible, DEFAULT_PROJECTION_ID } from "./projections.js";
+
+// Climate grid datasets (Beck et al. 2018): present-day baseline plus future scenario periods.
+// All files share the kg.csv column layout and the same grid, so a location can be matched across periods by lon/lat.
+// binUrl: columnar binary built from the CSV by tools/build-climate-bin.mjs (loaded first; CSV is the fallback)
+export const DATASETS = [
+    { id: "1980-2016", label: "1980–2016 (present)", url: "data/kg.csv", binUrl: "data/kg.bin" },
+    { id: "2071-2100", label: "2071–2100 (RCP8.5)", url: "data/kg_2071_2100.csv", binUrl: "data/kg_2071_2100.bin" }
+];
+
+export const DEFAULT_DATASET_ID = DATASETS[0].id;
+
+export function getDataset(id) {
+    return DATASETS.find(ds => ds.id === id) || null;
+}
+
+// Parsed periods, so switching back and forth does not refetch
+const datasetCache = new Map();
+
+const BASEMAP_URLS = {
+    countries: "data/countries.json",
+    ocean: "data/ocean.json",
+    cityLabels: "data/ne_populated_places_50m.json"
+};
+
+/* =========================================================
+   Fetch / parse with progress
+   onProgress(fraction) receives 0..1, or null when the size is unknown
+   ========================================================= */
+
+// Fetch a response body as an ArrayBuffer, reporting download progress from Content-Length
+async function fetchWithProgress(url, onProgress) {
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(`HTTP ${response.status} for ${url}`);
+
+    const total = +response.headers.get("Content-Length") || 0;
+    if (!response.body || !total) {
+        onProgress?.(null);
+        return await response.arrayBuffer();
+    }
+
+    const reader = response.body.getReader();
+    const chunks = [];
+    let received = 0;
+    for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        chunks.push(value);
+        received += value.length;
+        onProgress?.(Math.min(1, received / total));
+    }
+
+    const bytes = new Uint8Array(received);
+    let offset = 0;
+    for (const chunk of chunks) {
+        bytes.set(chunk, offset);
+        offset += chunk.length;
+    }
+    return bytes.buffer;
+}
+
+async function fetchText(url, onProgress) {
+    return new TextDecoder().decode(await fetchWithProgress(url, onProgress));
+}
+
+async function fetchJson(url, onProgress) {
+    return JSON.parse(await fetchText(url, onProgress));
+}
+
+// Count data lines (excluding the header) so CSV parsing can report progress
+function countCsvRows(text) {
+    let lines = 0;
+    for (let i = text.indexOf("\n"); i !== -1; i = text.indexOf("\n", i + 1)) lines++;
+    if (text.length && text[text.length - 1] !== "\n") lines++;
+    return Math.max(1, lines - 1);
+}
+
+// Parse the CSV straight into store columns (no per-row objects are kept)
+function parseClimateCsv(text, onProgress) {
+    const builder = new ClimateStoreBuilder();
+    const t = new Array(12);
+    const p = new Array(12);
+    const total = countCsvRows(text);
+    const reportEvery = Math.max(1, Math.floor(total / 20));
+    let parsed = 0;
+    d3.csvParse(text, d => {
         for (let i = 1; i <= 12; i++) {
             const month = String(i).padStart(2, "0");
-            obj[`t_${month}`] = +d[`t_${month}`];
-            obj[`p_${month}`] = +d[`p_${month}`];
+            t[i - 1] = +d[`t${month}`];
+            p[i - 1] = +d[`p${month}`];
         }
-        
-        return obj;
+        builder.add(+d.lon, +d.lat, t, p, d.kg_type, d.kg_color1, d.kg_color3);
+        if (++parsed % reportEvery === 0) onProgress?.(Math.min(1, parsed / total));
+        return null;
     });
-    return data;
+    onProgress?.(1);
+    return builder.build();
+}
+
+// Progress callback for one named stage: "Parsing climate grid 60%"
+// Repeated calls are only forwarded when the rounded percentage changes.
+function stageProgress(onProgress, label) {
+    let last = undefined;
+    return fraction => {
+        if (!onProgress) return;
+        const pct = fraction === null ? null : Math.round(fraction * 100);
+        if (pct === last) return;
+        last = pct;
+        onProgress(pct === null ? `${label}...` : `${label} ${pct}%`);
+    };
 }
 
-// Load country boundary GeoJSON
-export async function loadCountries() {
-    return await d3.json("data/countries.json");
+/* =========================================================
+   Loading pipeline (runs in the data worker, or on the main thread as a fallback)
+   ========================================================= */
+
+// Load one period's climate grid: columnar binary first, CSV as the fallback
+async function loadClimateStore(dataset, onProgress) {
+    if (dataset.binUrl) {
+        try {
+            const buffer = await fetchWithProgress(dataset.binUrl, stageProgress(onProgress, "Loading climate grid"));
+            return { store: decodeClimateBinary(buffer), source: dataset.binUrl };
+        } catch (err) {
+            console.warn(`Climate binary not loaded, falling back to CSV: ${err.message}`);
+        }
+    }
+    const text = await fetchText(dataset.url, stageProgress(onProgress, "Loading climate grid"));
+    const store = parseClimateCsv(text, stageProgress(onProgress, "Parsing climate grid"));
+    return { store, source: dataset.url };
 }
 
-// Load ocean GeoJSON
-export async function loadOcean() {
-    return await d3.json("data/ocean.json");
+// Load a period and precompute everything derived from it:
+// computed Köppen classes, projected coordinates for a width × height map (see projections.js), symbol radius and glyph radii.
+// With basemap: true the country, ocean and city label files are fetched in parallel with the grid.
+export async function prepareData({ datasetId, width, height, projectionId = DEFAULT_PROJECTION_ID, rotation = null, basemap = false }, onProgress) {
+    const dataset = getDataset(datasetId);
+    if (!dataset) throw new Error(`Unknown dataset: ${datasetId}`);
+
+    // Basemap files are small next to the grid, so only the grid reports progress
+    const basemapFiles = basemap ? Object.keys(BASEMAP_URLS) : [];
+    const [climate, ...basemapData] = await Promise.all([
+        loadClimateStore(dataset, onProgress),
+        ...basemapFiles.map(key => key === "cityLabels"
+            ? fetchJson(BASEMAP_URLS[key]).catch(err => {
+                console.warn("City labels not loaded:", err);
+                return null;
+            })
+            : fetchJson(BASEMAP_URLS[key]))
+    ]);
+    const { store, source } = climate;
+
+    onProgress?.("Classifying climate cells...");
+    const mismatches = store.classifyCells(classifyKoppen);
+
+    if (width > 0 && height > 0) {
+        onProgress?.("Projecting climate grid...");
+        const projection = fitProjection(projectionId, lonLatExtent(store.lon, store.lat), width, height, rotation);
+        store.project(lonLat => projectVisible(projection, lonLat), 0, projectionKey(projection));
+        store.symbolRadius = estimateSymbolRadius(store.px, store.py);
+    }
+
+    onProgress?.("Building glyph caches...");
+    store.buildGlyphColumns(tempToR, precipToR);
+
+    const result = { store, source, mismatches };
+    basemapFiles.forEach((key, i) => {
+        result[key] = key === "cityLabels" ? normalizeCityLabels(basemapData[i]) : basemapData[i];
+    });
+    return result;
 }
 
-// Load Natural Earth populated places (10m), normalize to simple label array
-export async function loadCityLabels() {
+/* =========================================================
+   Data worker client
+   ========================================================= */
+
+let dataWorker = null;
+let workerUnavailable = false;
+let workerRequestId = 0;
+const workerRequests = new Map();
+
+function getDataWorker() {
+    if (workerUnavailable || typeof Worker === "undefined") return null;
+    if (dataWorker) return dataWorker;
     try {
-        const raw = await d3.json("data/ne_populated_places_50m.json");
-        if (!raw) return [];
-        if (Array.isArray(raw)) {
-            return raw.map(d => ({
-                lon: +d.lon,
-                lat: +d.lat,
-                name: d.name || d.NAME || d.NAMEASCII || "",
-                labelrank: d.labelrank ?? d.LABELRANK,
-                scalerank: d.scalerank ?? d.SCALERANK,
-                pop: d.pop ?? d.POP_MAX ?? 0,
-                featurecla: d.featurecla ?? d.FEATURECLA,
-                adm0cap: d.adm0cap ?? d.ADM0CAP,
-                megacity: d.megacity ?? d.MEGACITY,
-                worldcity: d.worldcity ?? d.WORLDCITY
-            })).filter(d => Number.isFinite(d.lon) && Number.isFinite(d.lat) && d.name);
+        dataWorker = new Worker(new URL("./data-worker.js", import.meta.url), { type: "module" });
+    } catch (err) {
+        console.warn("Data worker not available, loading on the main thread:", err);
+        workerUnavailable = true;
+        return null;
+    }
+    dataWorker.addEventListener("message", e => {
+        const msg = e.data;
+        if (msg.workerFailed) {
+            failDataWorker(msg.message);
+            return;
         }
-        if (raw.type === "FeatureCollection" && Array.isArray(raw.features)) {
-            return raw.features.map(f => {
-                const props = f.properties || {};
-                const coords = f.geometry?.coordinates || [];
-                return {
-                    lon: +coords[0],
-                    lat: +coords[1],
-                    name: props.NAME || props.NAMEASCII || props.name || "",
-                    labelrank: props.LABELRANK ?? props.labelrank,
-                    scalerank: props.SCALERANK ?? props.scalerank,
-                    pop: props.POP_MAX ?? props.pop ?? 0,
-                    featurecla: props.FEATURECLA ?? props.featurecla,
-                    adm0cap: props.ADM0CAP ?? props.adm0cap,
-                    megacity: props.MEGACITY ?? props.megacity,
-                    worldcity: props.WORLDCITY ?? props.worldcity
-                };
-            }).filter(d => Number.isFinite(d.lon) && Number.isFinite(d.lat) && d.name);
+        const request = workerRequests.get(msg.id);
+        if (!request) return;
+        if (msg.type === "progress") {
+            request.onProgress?.(msg.text);
+            return;
         }
-    } catch (err) {
-        console.warn("City labels not loaded:", err);
+        workerRequests.delete(msg.id);
+        if (msg.type === "done") request.resolve(msg.result);
+        else request.reject(new Error(msg.message));
+    });
+    // Worker failed to start (e.g. module workers unsupported)
+    dataWorker.addEventListener("error", e => failDataWorker(e.message || e));
+    return dataWorker;
+}
+
+// Worker unusable (failed to start, or its d3 imports/module setup failed): fail pending requests so they retry
+// on the main thread, and load there from now on
+function failDataWorker(reason) {
+    if (!dataWorker) return;
+    console.warn("Data worker failed, loading on the main thread:", reason);
+    workerUnavailable = true;
+    dataWorker.terminate();
+    dataWorker = null;
+    workerRequests.forEach(request => request.reject(Object.assign(new Error("Data worker failed"), { workerFailed: true })));
+    workerRequests.clear();
+}
+
+function requestFromWorker(worker, params, onProgress) {
+    return new Promise((resolve, reject) => {
+        const id = ++workerRequestId;
+        workerRequests.set(id, { resolve, reject, onProgress });
+        worker.postMessage({ id, params });
+    });
+}
+
+// Run prepareData in the worker (buffers are transferred back), falling back to the main thread
+async function prepare(params, onProgress) {
+    const worker = getDataWorker();
+    if (worker) {
+        try {
+            const result = await requestFromWorker(worker, params, onProgress);
+            result.store = new ClimateStore(result.columns);
+            delete result.columns;
+            return result;
+        } catch (err) {
+            if (!err.workerFailed) throw err;
+        }
+    }
+    return await prepareData(params, onProgress);
+}
+
+// Row views backed by the store, with the classifier check logged once per period
+function registerDataset(dataset, { store, source, mismatches }) {
+    const data = store.rows;
+    // Recomputed classes let the panel flag rows that disagree with kg_type
+    if (mismatches > 0) {
+        console.warn(`Köppen classifier disagrees with ${source} for ${mismatches} of ${data.length} cells`);
+    }
+    datasetCache.set(dataset.id, Promise.resolve(data));
+    return data;
+}
+
+// Load a climate period, return row views (lon,lat,baseColor,pointColor,t,p,kg_type,t_01-t_12,p_01-p_12,kg_computed,kg_mismatch)
+// backed by a columnar ClimateStore (see climate-store.js).
+// Options: width/height, projectionId and globe rotation of the map (to precompute projected coordinates) and onProgress(text) for the loading overlay.
+export async function loadData(datasetId = DEFAULT_DATASET_ID, { width = 0, height = 0, projectionId = DEFAULT_PROJECTION_ID, rotation = null, onProgress = null } = {}) {
+    const dataset = getDataset(datasetId);
+    if (!dataset) throw new Error(`Unknown dataset: ${datasetId}`);
+    if (datasetCache.has(dataset.id)) return datasetCache.get(dataset.id);
+
+    const pending = prepare({ datasetId: dataset.id, width, height, projectionId, rotation }, onProgress)
+        .then(result => registerDataset(dataset, result));
+    datasetCache.set(dataset.id, pending);
+    pending.catch(() => datasetCache.delete(dataset.id));
+    return pending;
+}
+
+// First load: climate period plus countries, ocean and city labels, fetched in parallel
+export async function loadInitialData(datasetId = DEFAULT_DATASET_ID, { width = 0, height = 0, projectionId = DEFAULT_PROJECTION_ID, rotation = null, onProgress = null } = {}) {
+    const dataset = getDataset(datasetId);
+    if (!dataset) throw new Error(`Unknown dataset: ${datasetId}`);
+
+    const result = await prepare({ datasetId: dataset.id, width, height, projectionId, rotation, basemap: true }, onProgress);
+    return {
+        data: registerDataset(dataset, result),
+        countries: result.countries,
+        ocean: result.ocean,
+        cityLabels: result.cityLabels
+    };
+}
+
+// Normalize populated places (plain array or GeoJSON) to { lon, lat, name, labelrank, scalerank, pop, ... }
+export function normalizeCityLabels(raw) {
+    if (!raw) return [];
+    if (Array.isArray(raw)) {
+        return raw.map(d => ({
+            lon: +d.lon,
+            lat: +d.lat,
+            name: d.name || d.NAME || d.NAMEASCII || "",
+            labelrank: d.labelrank ?? d.LABELRANK,
+            scalerank: d.scalerank ?? d.SCALERANK,
+            pop: d.pop ?? d.POP_MAX ?? 0,
+            featurecla: d.featurecla ?? d.FEATURECLA,
+            adm0cap: d.adm0cap ?? d.ADM0CAP,
+            megacity: d.megacity ?? d.MEGACITY,
+            worldcity: d.worldcity ?? d.WORLDCITY
+        })).filter(d => Number.isFinite(d.lon) && Number.isFinite(d.lat) && d.name);
+    }
+    if (raw.type === "FeatureCollection" && Array.isArray(raw.features)) {
+        return raw.features.map(f => {
+            const props = f.properties || {};
+            const coords = f.geometry?.coordinates || [];
+            return {
+                lon: +coords[0],
+                lat: +coords[1],
+                name: props.NAME || props.NAMEASCII || props.name || "",
+                labelrank: props.LABELRANK ?? props.labelrank,
+                scalerank: props.SCALERANK ?? props.scalerank,
+                pop: props.POP_MAX ?? props.pop ?? 0,
+                featurecla: props.FEATURECLA ?? props.featurecla,
+                adm0cap: props.ADM0CAP ?? props.adm0cap,
+                megacity: props.MEGACITY ?? props.megacity,
+                worldcity: props.WORLDCITY ?? props.worldcity
+            };
+        }).filter(d => Number.isFinite(d.lon) && Number.isFinite(d.lat) && d.name);
     }
     return [];
 }
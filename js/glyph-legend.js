@@ -0,0 +1,175 @@
+/* glyph-legend.js
+   Glyph legend: a reference glyph of the active design with labelled month positions, and the radius scales.
+   Purpose: explain the glyph encoding (month order, the January spoke, the linear temperature and
+   piecewise precipitation radius mappings). Hovering a month highlights that month on every visible glyph.
+*/
+
+import { STATE, dispatcher, tempToR, precipToR, GLYPH_TEMP_MIN, GLYPH_TEMP_MAX, GLYPH_PRECIP_MAX } from "./shared.js";
+import { MONTH_SHORT } from "./chart-common.js";
+import { getGlyphType } from "./glyphs.js";
+import { makeLegendDraggable } from "./variables.js";
+import { formatMeasure, formatNumber, formatTick, pickTicks } from "./units.js";
+
+// Reference climate drawn in the legend: seasonal, so every month lands on a different radius
+const REFERENCE_CLIMATE = {
+    t: [-4, -1, 5, 12, 18, 23, 26, 25, 20, 13, 5, -1],
+    p: [15, 20, 35, 55, 90, 140, 190, 170, 100, 50, 25, 15]
+};
+REFERENCE_CLIMATE.tempR12 = REFERENCE_CLIMATE.t.map(v => tempToR(v));
+REFERENCE_CLIMATE.precipR12 = REFERENCE_CLIMATE.p.map(v => precipToR(v));
+
+const REFERENCE_STYLE = {
+    alpha: 1,
+    precipFill: "#4f7fa8",
+    tempFill: "#a85a4f",
+    tempStroke: "#7a3328",
+    lineWidth: 0.6
+};
+
+const FIGURE_SIZE = 180;
+// Room for the month labels around the glyph, in units of the base radius
+const FIGURE_LABEL_MARGIN = 0.9;
+
+const SCALE_WIDTH = 200;
+// Ruler ticks in °C / mm, and in °F / in for imperial units (the last tick is the scale maximum)
+const TEMP_TICKS = [-60, -40, -20, 0, 20, 39];
+const TEMP_TICKS_F = [-80, -40, 0, 40, 80, 102];
+const PRECIP_TICKS = [0, 150, 500, 1000, 1519];
+const PRECIP_TICKS_IN = [0, 6, 20, 40, 59.8];
+
+let legendEl = null;
+// Symbol style the legend explains (null while points, cells or class change are shown)
+let legendStyle = null;
+
+function setHighlightMonth(month) {
+    if (STATE.glyphMonthHighlight === month) return;
+    STATE.glyphMonthHighlight = month;
+    dispatcher.call("glyphMonthHighlight", null, month);
+}
+
+/* =========================================================
+   Reference glyph and month labels
+   ========================================================= */
+function figureRadius(glyphType) {
+    return FIGURE_SIZE / 2 / (glyphType.maxRadius + FIGURE_LABEL_MARGIN);
+}
+
+function drawReferenceGlyph(canvas, glyphType) {
+    const dpr = window.devicePixelRatio || 1;
+    canvas.width = FIGURE_SIZE * dpr;
+    canvas.height = FIGURE_SIZE * dpr;
+    canvas.style.width = `${FIGURE_SIZE}px`;
+    canvas.style.height = `${FIGURE_SIZE}px`;
+    const ctx = canvas.getContext("2d");
+    const r = figureRadius(glyphType);
+    ctx.setTransform(dpr, 0, 0, dpr, FIGURE_SIZE / 2 * dpr, FIGURE_SIZE / 2 * dpr);
+    ctx.clearRect(-FIGURE_SIZE / 2, -FIGURE_SIZE / 2, FIGURE_SIZE, FIGURE_SIZE);
+    glyphType.draw(ctx, REFERENCE_CLIMATE, r, REFERENCE_STYLE);
+    if (STATE.glyphMonthHighlight !== null) {
+        glyphType.highlight(ctx, REFERENCE_CLIMATE, r, REFERENCE_STYLE, STATE.glyphMonthHighlight);
+    }
+    ctx.globalAlpha = 1;
+}
+
+function renderMonthLabels(svg, glyphType) {
+    const r = figureRadius(glyphType);
+    svg.attr("width", FIGURE_SIZE).attr("height", FIGURE_SIZE);
+    svg.selectAll("*").remove();
+    const g = svg.append("g").attr("transform", `translate(${FIGURE_SIZE / 2},${FIGURE_SIZE / 2})`);
+    g.selectAll("text.glyph-legend-month")
+        .data(d3.range(12))
+        .enter()
+        .append("text")
+        .attr("class", "glyph-legend-month")
+        .classed("active", m => m === STATE.glyphMonthHighlight)
+        .classed("january", m => m === 0)
+        .attr("x", m => glyphType.monthAnchor(m)[0] * r)
+        .attr("y", m => glyphType.monthAnchor(m)[1] * r)
+        .attr("text-anchor", "middle")
+        .attr("dominant-baseline", "middle")
+        .text(m => glyphType.layout === "radial" ? MONTH_SHORT[m] : MONTH_SHORT[m][0])
+        .on("mouseenter", (event, m) => setHighlightMonth(m))
+        .on("mouseleave", () => setHighlightMonth(null));
+}
+
+/* =========================================================
+   Radius scales: where a value lands as a share of the glyph's full radius
+   ========================================================= */
+function renderRuler(g, title, ticks, position, format, reservedCore = 0) {
+    g.append("text").attr("class", "glyph-legend-scale-title").attr("y", 0).text(title);
+    const axis = g.append("g").attr("transform", "translate(0,14)");
+    if (reservedCore > 0) {
+        axis.append("line")
+            .attr("class", "glyph-legend-core")
+            .attr("x1", 0).attr("x2", reservedCore * SCALE_WIDTH);
+    }
+    axis.append("line")
+        .attr("class", "glyph-legend-ruler")
+        .attr("x1", reservedCore * SCALE_WIDTH).attr("x2", SCALE_WIDTH);
+    ticks.forEach(v => {
+        const x = position(v) * SCALE_WIDTH;
+        axis.append("line").attr("class", "glyph-legend-ruler").attr("x1", x).attr("x2", x).attr("y1", -3).attr("y2", 3);
+        axis.append("text").attr("x", x).attr("y", 14).attr("text-anchor", "middle").text(format(v));
+    });
+}
+
+function renderScales(svg, glyphType, note) {
+    svg.selectAll("*").remove();
+    if (glyphType.scaleNote) {
+        svg.attr("width", 0).attr("height", 0);
+        note.text(glyphType.scaleNote());
+        return;
+    }
+    svg.attr("width", SCALE_WIDTH + 16).attr("height", 84);
+    const g = svg.append("g").attr("transform", "translate(8,10)");
+    renderRuler(g,
+        `Temperature → radius (${formatNumber(GLYPH_TEMP_MIN, "°C", 0)} to ${formatMeasure(GLYPH_TEMP_MAX, "°C", 0)}, linear)`,
+        pickTicks("°C", TEMP_TICKS, TEMP_TICKS_F), v => tempToR(v), v => `${formatTick(v, "°C")}°`);
+    // precipToR starts at R_MIN, so the inner part of the radius is never used (dashed)
+    renderRuler(g.append("g").attr("transform", "translate(0,42)"),
+        `Precipitation → radius (0 to ${formatMeasure(GLYPH_PRECIP_MAX, "mm", 0)}, piecewise)`,
+        pickTicks("mm", PRECIP_TICKS, PRECIP_TICKS_IN), v => precipToR(v), v => formatTick(v, "mm"), precipToR(0));
+    note.text(glyphType.layout === "radial"
+        ? "January points up; months run clockwise. Hover a month to find it on the map."
+        : "Months run January to December, left to right. Hover a month to find it on the map.");
+}
+
+/* =========================================================
+   Panel
+   ========================================================= */
+function renderLegend() {
+    const glyphType = getGlyphType(legendStyle);
+    if (!legendEl || !glyphType) return;
+    const legend = d3.select(legendEl);
+    legend.select(".glyph-legend-title").text(`How to read: ${glyphType.label}`);
+    drawReferenceGlyph(legendEl.querySelector(".glyph-legend-canvas"), glyphType);
+    renderMonthLabels(legend.select(".glyph-legend-months"), glyphType);
+    renderScales(legend.select(".glyph-legend-scales"), glyphType, legend.select(".glyph-legend-note"));
+}
+
+export function initGlyphLegend() {
+    legendEl = document.getElementById("glyph-legend");
+    if (!legendEl) return;
+    makeLegendDraggable(legendEl, legendEl.querySelector(".glyph-legend-title"));
+
+    // Shown while a glyph design is the symbol style
+    dispatcher.on("symbolStyleChanged.glyphLegend", style => {
+        const glyphType = getGlyphType(style);
+        legendEl.classList.toggle("active", glyphType !== null);
+        if (STATE.glyphMonthHighlight !== null) setHighlightMonth(null);
+        legendStyle = glyphType ? style : null;
+        if (glyphType) renderLegend();
+    });
+
+    dispatcher.on("unitsChanged.glyphLegend", () => {
+        if (getGlyphType(legendStyle)) renderLegend();
+    });
+
+    dispatcher.on("glyphMonthHighlight.glyphLegend", () => {
+        const glyphType = getGlyphType(legendStyle);
+        if (!glyphType) return;
+        drawReferenceGlyph(legendEl.querySelector(".glyph-legend-canvas"), glyphType);
+        d3.select(legendEl).selectAll("text.glyph-legend-month")
+            .classed("active", m => m === STATE.glyphMonthHighlight);
+    });
+}
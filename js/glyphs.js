@@ -0,0 +1,341 @@
+/* glyphs.js
+   Glyph registry: the climate glyph designs the map can draw, one entry per symbol-style radio value.
+   Purpose: map.js draws, culls and hit-tests glyphs through this table. Each design declares maxRadius
+   (in units of the base glyph radius) so map bounds padding, hover radius and viewport culling fit it.
+
+   draw(ctx, d, r, style) is called with ctx translated to the cell centre:
+     r      base glyph radius in screen pixels
+     style  { alpha, precipFill, tempFill, tempStroke, lineWidth } (class colours and hover/lock dimming)
+   highlight(ctx, d, r, style, month) marks one month (the month hovered in the glyph legend).
+   layout "radial" puts months on clockwise spokes from the top; "linear" lays them out left to right.
+   monthAnchor(month) is where the glyph legend labels a month ([x, y] in units of r from the centre).
+   Rows provide d.tempR12 / d.precipR12 (tempToR / precipToR of each month, Jan..Dec) and raw d.t / d.p;
+   store rows are read through d.copyMonths into reused buffers, so drawing a frame allocates no month arrays.
+*/
+
+import { tempToR, precipToR } from "./shared.js";
+import { formatMeasure, formatNumber } from "./units.js";
+
+const MONTHS = 12;
+
+// Outer precipitation ring of the classic glyph, relative to the temperature radius
+export const PRECIP_RADIUS_SCALE = 2.3;
+
+const PRECIP_ALPHA    = 0.5;
+const TEMP_FILL_ALPHA = 0.10;
+const TEMP_LINE_ALPHA = 1.0;
+const JAN_LINE_ALPHA  = 1.0;
+
+const HIGHLIGHT_COLOR = "#111111";
+
+const GLYPH_SIN = Array.from({ length: MONTHS }, (_, i) => Math.sin(i * 2 * Math.PI / MONTHS));
+const GLYPH_COS = Array.from({ length: MONTHS }, (_, i) => Math.cos(i * 2 * Math.PI / MONTHS));
+
+// Month series of the glyph being drawn (one glyph at a time), copied out of the store columns
+const MONTH_BUFFERS = {
+    tempR: new Float32Array(MONTHS),
+    precipR: new Float32Array(MONTHS),
+    t: new Float32Array(MONTHS),
+    p: new Float32Array(MONTHS)
+};
+
+function storeMonths(d, column) {
+    return d.copyMonths && d.copyMonths(column, MONTH_BUFFERS[column]) ? MONTH_BUFFERS[column] : null;
+}
+
+// Glyph-scale monthly radii (cached columns when the store has them)
+function tempRadii(d) {
+    return storeMonths(d, "tempR") || d.tempR12 || d.t.map(v => tempToR(v));
+}
+
+function precipRadii(d) {
+    return storeMonths(d, "precipR") || d.precipR12 || d.p.map(v => precipToR(v));
+}
+
+/* =========================================================
+   Classic glyph: precipitation polygon, temperature polygon and January line
+   ========================================================= */
+function radialPolygon(ctx, values, radius) {
+    ctx.beginPath();
+    for (let i = 0; i < MONTHS; i++) {
+        const r = values[i] * radius;
+        ctx.lineTo(GLYPH_SIN[i] * r, -GLYPH_COS[i] * r);
+    }
+    ctx.closePath();
+}
+
+function drawClassicGlyph(ctx, d, r, style) {
+    const tempR12 = tempRadii(d);
+    const precipR12 = precipRadii(d);
+
+    // Precip ring
+    radialPolygon(ctx, precipR12, r * PRECIP_RADIUS_SCALE);
+    ctx.fillStyle = style.precipFill;
+    ctx.globalAlpha = PRECIP_ALPHA * style.alpha;
+    ctx.fill();
+
+    // Temp fill and outline
+    radialPolygon(ctx, tempR12, r);
+    ctx.fillStyle = style.tempFill;
+    ctx.globalAlpha = TEMP_FILL_ALPHA * style.alpha;
+    ctx.fill();
+    ctx.strokeStyle = style.tempStroke;
+    ctx.globalAlpha = TEMP_LINE_ALPHA * style.alpha;
+    ctx.lineWidth = style.lineWidth;
+    ctx.stroke();
+
+    // Jan line
+    ctx.beginPath();
+    ctx.moveTo(0, 0);
+    ctx.lineTo(0, -tempR12[0] * r);
+    ctx.globalAlpha = JAN_LINE_ALPHA * style.alpha;
+    ctx.stroke();
+}
+
+// Spoke from the centre to radius (in units of r) at a month's angle
+function strokeSpoke(ctx, r, month, extent, style) {
+    ctx.strokeStyle = HIGHLIGHT_COLOR;
+    ctx.lineWidth = style.lineWidth * 4;
+    ctx.globalAlpha = style.alpha;
+    ctx.beginPath();
+    ctx.moveTo(0, 0);
+    ctx.lineTo(GLYPH_SIN[month] * extent * r, -GLYPH_COS[month] * extent * r);
+    ctx.stroke();
+}
+
+// Month label position just outside a radial glyph of the given extent
+function radialAnchor(month, extent) {
+    return [GLYPH_SIN[month] * extent, -GLYPH_COS[month] * extent];
+}
+
+function highlightClassicGlyph(ctx, d, r, style, month) {
+    const extent = Math.max(precipRadii(d)[month] * PRECIP_RADIUS_SCALE, tempRadii(d)[month]);
+    strokeSpoke(ctx, r, month, extent, style);
+}
+
+/* =========================================================
+   Radial bars: one wedge per month, length = precipitation, tick = temperature
+   ========================================================= */
+const BARS_RADIUS_SCALE = 1.8;
+const BAR_ANGLE = 2 * Math.PI / MONTHS;
+const BAR_FILL = 0.8;
+const BARS_ALPHA = 0.75;
+
+function drawRadialBars(ctx, d, r, style) {
+    const outer = r * BARS_RADIUS_SCALE;
+    const half = BAR_ANGLE * BAR_FILL / 2;
+    const tempR12 = tempRadii(d);
+    const precipR12 = precipRadii(d);
+
+    ctx.fillStyle = style.precipFill;
+    ctx.globalAlpha = BARS_ALPHA * style.alpha;
+    ctx.beginPath();
+    for (let m = 0; m < MONTHS; m++) {
+        // January at the top, clockwise (canvas angles start at 3 o'clock)
+        const mid = m * BAR_ANGLE - Math.PI / 2;
+        ctx.moveTo(0, 0);
+        ctx.arc(0, 0, precipR12[m] * outer, mid - half, mid + half);
+        ctx.closePath();
+    }
+    ctx.fill();
+
+    ctx.strokeStyle = style.tempStroke;
+    ctx.lineWidth = style.lineWidth * 2;
+    ctx.globalAlpha = TEMP_LINE_ALPHA * style.alpha;
+    ctx.beginPath();
+    for (let m = 0; m < MONTHS; m++) {
+        const mid = m * BAR_ANGLE - Math.PI / 2;
+        const tr = Math.max(0, tempR12[m]) * outer;
+        ctx.moveTo(Math.cos(mid - half) * tr, Math.sin(mid - half) * tr);
+        ctx.arc(0, 0, tr, mid - half, mid + half);
+    }
+    ctx.stroke();
+}
+
+function highlightRadialBars(ctx, d, r, style, month) {
+    const extent = Math.max(precipRadii(d)[month], tempRadii(d)[month], 0) * BARS_RADIUS_SCALE;
+    strokeSpoke(ctx, r, month, extent, style);
+}
+
+// Vertical line through a month of a square glyph (x in units of r)
+function strokeMonthColumn(ctx, r, half, x, style) {
+    ctx.strokeStyle = HIGHLIGHT_COLOR;
+    ctx.lineWidth = style.lineWidth * 3;
+    ctx.globalAlpha = style.alpha;
+    ctx.beginPath();
+    ctx.moveTo(x * r, -half * r);
+    ctx.lineTo(x * r, half * r);
+    ctx.stroke();
+}
+
+/* =========================================================
+   Mini climograph: precipitation bars and a temperature line in a square
+   ========================================================= */
+const CLIMOGRAPH_HALF = 1.3;
+const CLIMOGRAPH_BAR_ALPHA = 0.7;
+
+function drawClimograph(ctx, d, r, style) {
+    const half = r * CLIMOGRAPH_HALF;
+    const size = half * 2;
+    const step = size / MONTHS;
+    const yOf = u => half - Math.max(0, Math.min(1, u)) * size;
+    const tempR12 = tempRadii(d);
+    const precipR12 = precipRadii(d);
+
+    ctx.fillStyle = style.precipFill;
+    ctx.globalAlpha = CLIMOGRAPH_BAR_ALPHA * style.alpha;
+    for (let m = 0; m < MONTHS; m++) {
+        const top = yOf(precipR12[m]);
+        ctx.fillRect(-half + m * step + step * 0.1, top, step * 0.8, half - top);
+    }
+
+    ctx.strokeStyle = style.tempStroke;
+    ctx.lineWidth = style.lineWidth * 2;
+    ctx.globalAlpha = TEMP_LINE_ALPHA * style.alpha;
+    ctx.beginPath();
+    for (let m = 0; m < MONTHS; m++) {
+        ctx.lineTo(-half + (m + 0.5) * step, yOf(tempR12[m]));
+    }
+    ctx.stroke();
+
+    // Baseline
+    ctx.lineWidth = style.lineWidth;
+    ctx.beginPath();
+    ctx.moveTo(-half, half);
+    ctx.lineTo(half, half);
+    ctx.stroke();
+}
+
+function climographMonthX(month) {
+    return -CLIMOGRAPH_HALF + (month + 0.5) * CLIMOGRAPH_HALF * 2 / MONTHS;
+}
+
+function highlightClimograph(ctx, d, r, style, month) {
+    strokeMonthColumn(ctx, r, CLIMOGRAPH_HALF, climographMonthX(month), style);
+}
+
+/* =========================================================
+   Mini Walter–Lieth diagram
+   Temperature (°C) and precipitation on the 1 °C : 2 mm scale (compressed 10× above 100 mm);
+   humid months (precipitation curve above temperature) shaded blue, arid months shaded orange
+   ========================================================= */
+const WALTER_HALF = 1.3;
+const WALTER_DOMAIN = [-10, 60];
+const WALTER_TEMP_COLOR = "#c0392b";
+const WALTER_PRECIP_COLOR = "#2c6fb7";
+const WALTER_HUMID_FILL = "#6fa8dc";
+const WALTER_ARID_FILL = "#e69b3a";
+const WALTER_FILL_ALPHA = 0.55;
+
+function walterPrecip(p) {
+    return p <= 100 ? p / 2 : 50 + (p - 100) / 20;
+}
+
+// Fill between the two curves over one month-to-month segment, split where they cross
+function fillWalterSegment(ctx, x0, x1, t0, t1, p0, p1, yOf, alpha) {
+    const d0 = p0 - t0;
+    const d1 = p1 - t1;
+    const pieces = [];
+    if (d0 * d1 < 0) {
+        const f = d0 / (d0 - d1);
+        const xc = x0 + (x1 - x0) * f;
+        const vc = t0 + (t1 - t0) * f;
+        pieces.push([x0, xc, t0, vc, p0, vc, d0]);
+        pieces.push([xc, x1, vc, t1, vc, p1, d1]);
+    } else {
+        pieces.push([x0, x1, t0, t1, p0, p1, d0 + d1]);
+    }
+    pieces.forEach(([xa, xb, ta, tb, pa, pb, sign]) => {
+        if (sign === 0) return;
+        ctx.fillStyle = sign > 0 ? WALTER_HUMID_FILL : WALTER_ARID_FILL;
+        ctx.globalAlpha = WALTER_FILL_ALPHA * alpha;
+        ctx.beginPath();
+        ctx.moveTo(xa, yOf(ta));
+        ctx.lineTo(xb, yOf(tb));
+        ctx.lineTo(xb, yOf(pb));
+        ctx.lineTo(xa, yOf(pa));
+        ctx.closePath();
+        ctx.fill();
+    });
+}
+
+function drawWalterLieth(ctx, d, r, style) {
+    const half = r * WALTER_HALF;
+    const size = half * 2;
+    const step = size / (MONTHS - 1);
+    const [lo, hi] = WALTER_DOMAIN;
+    const yOf = v => half - (Math.max(lo, Math.min(hi, v)) - lo) / (hi - lo) * size;
+    const xOf = m => -half + m * step;
+    const t = storeMonths(d, "t") || d.t;
+    const p = storeMonths(d, "p") || Array.from(d.p);
+    for (let m = 0; m < MONTHS; m++) p[m] = walterPrecip(p[m]);
+
+    for (let m = 0; m < MONTHS - 1; m++) {
+        fillWalterSegment(ctx, xOf(m), xOf(m + 1), t[m], t[m + 1], p[m], p[m + 1], yOf, style.alpha);
+    }
+
+    ctx.lineWidth = style.lineWidth * 2;
+    ctx.globalAlpha = style.alpha;
+    [[t, WALTER_TEMP_COLOR], [p, WALTER_PRECIP_COLOR]].forEach(([values, color]) => {
+        ctx.strokeStyle = color;
+        ctx.beginPath();
+        for (let m = 0; m < MONTHS; m++) ctx.lineTo(xOf(m), yOf(values[m]));
+        ctx.stroke();
+    });
+
+    // 0 °C line: months below it are frost months
+    ctx.strokeStyle = "#888";
+    ctx.lineWidth = style.lineWidth;
+    ctx.beginPath();
+    ctx.moveTo(-half, yOf(0));
+    ctx.lineTo(half, yOf(0));
+    ctx.stroke();
+}
+
+function walterMonthX(month) {
+    return -WALTER_HALF + month * WALTER_HALF * 2 / (MONTHS - 1);
+}
+
+function highlightWalterLieth(ctx, d, r, style, month) {
+    strokeMonthColumn(ctx, r, WALTER_HALF, walterMonthX(month), style);
+}
+
+/* =========================================================
+   Registry
+   scaleNote(): text shown by the glyph legend instead of the tempToR / precipToR radius scales
+   ========================================================= */
+export const GLYPH_TYPES = [
+    {
+        id: "glyph", label: "Climate Glyph", layout: "radial", maxRadius: PRECIP_RADIUS_SCALE,
+        draw: drawClassicGlyph, highlight: highlightClassicGlyph,
+        monthAnchor: month => radialAnchor(month, PRECIP_RADIUS_SCALE + 0.35)
+    },
+    {
+        id: "glyph-bars", label: "Radial Bars", layout: "radial", maxRadius: BARS_RADIUS_SCALE,
+        draw: drawRadialBars, highlight: highlightRadialBars,
+        monthAnchor: month => radialAnchor(month, BARS_RADIUS_SCALE + 0.35)
+    },
+    // Square glyphs reach their corners at half-size × √2
+    {
+        id: "glyph-climograph", label: "Mini Climograph", layout: "linear", maxRadius: CLIMOGRAPH_HALF * Math.SQRT2,
+        draw: drawClimograph, highlight: highlightClimograph,
+        monthAnchor: month => [climographMonthX(month), CLIMOGRAPH_HALF + 0.3]
+    },
+    {
+        id: "glyph-walter", label: "Walter–Lieth", layout: "linear", maxRadius: WALTER_HALF * Math.SQRT2,
+        draw: drawWalterLieth, highlight: highlightWalterLieth,
+        monthAnchor: month => [walterMonthX(month), WALTER_HALF + 0.3],
+        // The 1 °C : 2 mm ratio is the Walter–Lieth convention; only the axis range follows the unit system
+        scaleNote: () => "Temperature 1 °C = precipitation 2 mm (10× compressed above 100 mm); "
+            + `${formatNumber(-10, "°C", 0)} to ${formatMeasure(60, "°C", 0)}`
+    }
+];
+
+// Glyph design for a symbol style, or null when the style is not a glyph
+export function getGlyphType(style) {
+    return GLYPH_TYPES.find(type => type.id === style) || null;
+}
+
+export function isGlyphStyle(style) {
+    return getGlyphType(style) !== null;
+}
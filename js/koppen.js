@@ -0,0 +1,182 @@
+/* koppen.js
+   Köppen–Geiger classifier: recompute climate classes from monthly temperature (°C) and precipitation (mm).
+   Purpose: apply the Beck et al. (2018) rules client-side so computed classes can be checked against kg.csv.
+*/
+
+// Month indices (0-based) of the two candidate half-years: Apr–Sep and Oct–Mar
+const HALF_YEAR_AMJJAS = [3, 4, 5, 6, 7, 8];
+const HALF_YEAR_ONDJFM = [9, 10, 11, 0, 1, 2];
+
+function sum(values) {
+    let total = 0;
+    for (const v of values) total += v;
+    return total;
+}
+
+// Derive the climate statistics used by the Köppen–Geiger thresholds.
+// Summer (winter) is the warmer (colder) of the AMJJAS and ONDJFM half-years, as in Beck et al. (2018).
+export function computeKoppenMetrics(t, p) {
+    if (!t || !p || t.length !== 12 || p.length !== 12) return null;
+
+    const tempOf = idx => idx.reduce((acc, i) => acc + t[i], 0) / idx.length;
+    const amjjasWarmer = tempOf(HALF_YEAR_AMJJAS) >= tempOf(HALF_YEAR_ONDJFM);
+    const summer = amjjasWarmer ? HALF_YEAR_AMJJAS : HALF_YEAR_ONDJFM;
+    const winter = amjjasWarmer ? HALF_YEAR_ONDJFM : HALF_YEAR_AMJJAS;
+
+    const summerP = summer.map(i => p[i]);
+    const winterP = winter.map(i => p[i]);
+
+    const MAT = sum(t) / 12;
+    const MAP = sum(p);
+    const Psummer = sum(summerP);
+    const Pwinter = sum(winterP);
+
+    // Aridity threshold depends on the seasonality of precipitation
+    let Pthreshold = 2 * MAT + 14;
+    if (MAP > 0 && Pwinter > 0.7 * MAP) Pthreshold = 2 * MAT;
+    else if (MAP > 0 && Psummer > 0.7 * MAP) Pthreshold = 2 * MAT + 28;
+
+    return {
+        MAT,
+        MAP,
+        Tcold: Math.min(...t),
+        Thot: Math.max(...t),
+        Tmon10: t.filter(v => v > 10).length,
+        Pdry: Math.min(...p),
+        Psdry: Math.min(...summerP),
+        Pswet: Math.max(...summerP),
+        Pwdry: Math.min(...winterP),
+        Pwwet: Math.max(...winterP),
+        Psummer,
+        Pwinter,
+        Pthreshold
+    };
+}
+
+// Distance from a threshold under which a test counts as borderline
+const BORDERLINE_TEMP = 1.0;            // °C
+const BORDERLINE_PRECIP_RATIO = 0.1;    // fraction of the threshold
+const BORDERLINE_PRECIP_MIN = 5;        // mm
+
+const OPS = {
+    "<": (a, b) => a < b,
+    "<=": (a, b) => a <= b,
+    ">": (a, b) => a > b,
+    ">=": (a, b) => a >= b
+};
+
+function isBorderline(value, threshold, unit) {
+    if (!Number.isFinite(value) || !Number.isFinite(threshold)) return false;
+    const gap = Math.abs(value - threshold);
+    if (unit === "°C") return gap <= BORDERLINE_TEMP;
+    if (unit === "mm") return gap <= Math.max(BORDERLINE_PRECIP_MIN, Math.abs(threshold) * BORDERLINE_PRECIP_RATIO);
+    return false;
+}
+
+// Aridity threshold (10 × Pthreshold) written out for the explainer, e.g. "20×MAT + 280"
+function aridityFormula(m, factor) {
+    const offset = m.Pthreshold - 2 * m.MAT;
+    const base = `${2 * factor}×MAT`;
+    return Math.abs(offset) < 1e-9 ? base : `${base} + ${Math.round(offset * factor)}`;
+}
+
+function aridityNote(m) {
+    const offset = m.Pthreshold - 2 * m.MAT;
+    if (Math.abs(offset) < 1e-9) return ">70% of precipitation in winter";
+    if (Math.abs(offset - 28) < 1e-9) return ">70% of precipitation in summer";
+    return "precipitation not concentrated in one season";
+}
+
+// Walk the Köppen–Geiger decision tree. `check` evaluates (and may record) each test.
+// Precedence: B, then E, then A/C/D (a cold desert is BWk, not EF).
+function walkKoppenTree(m, check) {
+    if (check({
+        label: `MAP < aridity threshold = ${aridityFormula(m, 10)}`,
+        note: aridityNote(m),
+        value: m.MAP, op: "<", threshold: 10 * m.Pthreshold, unit: "mm", yes: "B Arid", no: "not B"
+    })) {
+        const precip = check({
+            label: `MAP < desert threshold = ${aridityFormula(m, 5)}`,
+            value: m.MAP, op: "<", threshold: 5 * m.Pthreshold, unit: "mm", yes: "W Desert", no: "S Steppe"
+        }) ? "W" : "S";
+        const temp = check({ label: "Annual mean (MAT) ≥ 18 °C", value: m.MAT, op: ">=", threshold: 18, unit: "°C", yes: "h Hot", no: "k Cold" })
+            ? "h" : "k";
+        return `B${precip}${temp}`;
+    }
+
+    if (check({ label: "Hottest month (Thot) ≤ 10 °C", value: m.Thot, op: "<=", threshold: 10, unit: "°C", yes: "E Polar", no: "not E" })) {
+        return check({ label: "Hottest month (Thot) > 0 °C", value: m.Thot, op: ">", threshold: 0, unit: "°C", yes: "ET Tundra", no: "EF Frost" })
+            ? "ET" : "EF";
+    }
+
+    if (check({ label: "Coldest month (Tcold) ≥ 18 °C", value: m.Tcold, op: ">=", threshold: 18, unit: "°C", yes: "A Tropical", no: "not A" })) {
+        if (check({ label: "Driest month (Pdry) ≥ 60 mm", value: m.Pdry, op: ">=", threshold: 60, unit: "mm", yes: "Af", no: "not Af" })) {
+            return "Af";
+        }
+        return check({ label: "Pdry ≥ 100 − MAP/25", value: m.Pdry, op: ">=", threshold: 100 - m.MAP / 25, unit: "mm", yes: "Am Monsoon", no: "Aw Dry Winter" })
+            ? "Am" : "Aw";
+    }
+
+    const main = check({ label: "Coldest month (Tcold) > 0 °C", value: m.Tcold, op: ">", threshold: 0, unit: "°C", yes: "C Temperate", no: "D Cold" })
+        ? "C" : "D";
+
+    // Precipitation letter shared by C and D climates (s, w or f).
+    // When both the dry-summer and dry-winter criteria hold, the wetter half-year decides.
+    const drySummer = check({ label: "Driest summer month (Psdry) < 40 mm", value: m.Psdry, op: "<", threshold: 40, unit: "mm", yes: "may be s", no: "not s" })
+        && check({ label: "Psdry < wettest winter month / 3", value: m.Psdry, op: "<", threshold: m.Pwwet / 3, unit: "mm", yes: "dry summer", no: "not s" });
+    const dryWinter = check({ label: "Driest winter month (Pwdry) < wettest summer month / 10", value: m.Pwdry, op: "<", threshold: m.Pswet / 10, unit: "mm", yes: "dry winter", no: "not w" });
+    let precip = "f";
+    if (drySummer && dryWinter) {
+        precip = check({ label: "Summer precipitation > winter precipitation", value: m.Psummer, op: ">", threshold: m.Pwinter, unit: "mm", yes: "w Dry Winter", no: "s Dry Summer" })
+            ? "w" : "s";
+    } else if (drySummer) {
+        precip = "s";
+    } else if (dryWinter) {
+        precip = "w";
+    }
+
+    // Temperature letter shared by C and D climates (a, b, c, and d for D only)
+    let temp = "c";
+    if (check({ label: "Hottest month (Thot) ≥ 22 °C", value: m.Thot, op: ">=", threshold: 22, unit: "°C", yes: "a Hot Summer", no: "not a" })) {
+        temp = "a";
+    } else if (check({ label: "Months above 10 °C (Tmon10) ≥ 4", value: m.Tmon10, op: ">=", threshold: 4, unit: "months", yes: "b Warm Summer", no: "not b" })) {
+        temp = "b";
+    } else if (main === "D" && check({ label: "Coldest month (Tcold) < −38 °C", value: m.Tcold, op: "<", threshold: -38, unit: "°C", yes: "d Very Cold Winter", no: "c Cold Summer" })) {
+        temp = "d";
+    }
+    return `${main}${precip}${temp}`;
+}
+
+// Classify one location from metrics
+export function classifyKoppenFromMetrics(m) {
+    if (!m) return null;
+    return walkKoppenTree(m, spec => OPS[spec.op](spec.value, spec.threshold));
+}
+
+// Classify and record every test applied on the way (label, value, threshold, branch taken, borderline flag)
+export function traceKoppen(t, p) {
+    const metrics = computeKoppenMetrics(t, p);
+    if (!metrics) return null;
+    const steps = [];
+    const type = walkKoppenTree(metrics, spec => {
+        const passed = OPS[spec.op](spec.value, spec.threshold);
+        steps.push({
+            ...spec,
+            passed,
+            branch: passed ? spec.yes : spec.no,
+            borderline: isBorderline(spec.value, spec.threshold, spec.unit)
+        });
+        return passed;
+    });
+    return {
+        type,
+        metrics,
+        steps,
+        borderline: steps.some(s => s.borderline)
+    };
+}
+
+// Classify monthly temperature/precipitation arrays (Jan..Dec); returns a kg_type string or null
+export function classifyKoppen(t, p) {
+    return classifyKoppenFromMetrics(computeKoppenMetrics(t, p));
+}
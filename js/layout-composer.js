@@ -0,0 +1,481 @@
+/* layout-composer.js
+   Print layout composer: a publication figure built around the current map view.
+   Purpose: paper size and DPI presets, title and subtitle, a Köppen legend of the classes in view, a scale bar,
+   the data credit and optionally the locked location's climograph as an inset. The map is redrawn offscreen at
+   the target resolution by window.redrawMapForExport({ pixelRatio }) (map.js) instead of upscaling the screen canvas.
+*/
+
+import { STATE, dispatcher, isClassVisible } from "./shared.js";
+import { MONTH_SHORT, describeKgType, getExportingState, precipColor, setExportingState, tempColor } from "./chart-common.js";
+import { getLockState } from "./chart-tab-overall.js";
+import { getDataset } from "./data.js";
+import { makeLegendDraggable } from "./variables.js";
+import { showLoading, hideLoading, showNotice } from "./loading.js";
+import { formatTick, unitTicks } from "./units.js";
+
+// Paper sizes in millimetres, portrait; landscape swaps width and height
+const PAPER_SIZES = [
+    { id: "a4", label: "A4", width: 210, height: 297 },
+    { id: "a3", label: "A3", width: 297, height: 420 },
+    { id: "letter", label: "Letter", width: 215.9, height: 279.4 },
+    { id: "tabloid", label: "Tabloid", width: 279.4, height: 431.8 }
+];
+const DPI_PRESETS = [150, 300, 600];
+const DEFAULT_DPI = 300;
+const MM_PER_INCH = 25.4;
+// Largest figure rendered, in pixels; browsers refuse canvases much larger than this
+const MAX_LAYOUT_PIXELS = 120e6;
+
+const DEFAULT_TITLE = "Köppen–Geiger Climate Classification";
+const CREDIT_TEXT = "Data: Beck et al. (2018), Köppen–Geiger climate classification · Natural Earth";
+const FONT_FAMILY = "Inter, system-ui, sans-serif";
+const EARTH_RADIUS_KM = 6371;
+
+// Figure metrics in millimetres
+const LAYOUT = {
+    margin: 12,
+    gap: 4,
+    titleSize: 6,
+    subtitleSize: 4,
+    legendTextSize: 2.6,
+    legendSwatch: 3,
+    legendColumnWidth: 62,
+    legendRowHeight: 4.4,
+    creditSize: 2.4,
+    scaleBarHeight: 1.6,
+    scaleBarTextSize: 2.4,
+    insetWidth: 70,
+    insetHeight: 42,
+    boxPadding: 2.5
+};
+
+const PREVIEW_WIDTH = 236;
+const PREVIEW_DELAY_MS = 250;
+
+let panelEl = null;
+let previewTimer = null;
+let subtitleEdited = false;
+
+/* =========================================================
+   Map-derived content
+   ========================================================= */
+
+// Köppen classes with at least one cell in the current view (and left on by the class legend)
+function visibleClasses() {
+    const { x, y, k } = STATE.zoomTransform;
+    const byType = new Map();
+    (STATE.data || []).forEach(d => {
+        const kgType = d.kg_type;
+        if (!kgType || byType.has(kgType) || !isClassVisible(kgType)) return;
+        const sx = d.px * k + x;
+        const sy = d.py * k + y;
+        if (!(sx >= 0 && sx <= STATE.width && sy >= 0 && sy <= STATE.height)) return;
+        byType.set(kgType, d.baseColor);
+    });
+    return Array.from(byType, ([kgType, color]) => ({ kgType, color }))
+        .sort((a, b) => d3.ascending(a.kgType, b.kgType));
+}
+
+// Ground distance of one screen pixel at the centre of the view (null where the projection cannot be inverted).
+// The scale of most projections varies across the map, so the bar is only exact at the centre.
+function kmPerScreenPixel() {
+    const projection = STATE.projection;
+    if (!projection?.invert) return null;
+    const { x, y, k } = STATE.zoomTransform;
+    const cx = (STATE.width / 2 - x) / k;
+    const cy = (STATE.height / 2 - y) / k;
+    const a = projection.invert([cx, cy]);
+    const b = projection.invert([cx + 1 / k, cy]);
+    if (!a || !b || ![...a, ...b].every(Number.isFinite)) return null;
+    const km = d3.geoDistance(a, b) * EARTH_RADIUS_KM;
+    return km > 0 ? km : null;
+}
+
+// Largest 1, 2 or 5 × 10^n not above value
+function niceLength(value) {
+    const power = Math.pow(10, Math.floor(Math.log10(value)));
+    const step = [5, 2, 1].find(s => s * power <= value) || 1;
+    return step * power;
+}
+
+/* =========================================================
+   Composition (drawn in millimetres)
+   ========================================================= */
+function paperSize(options) {
+    const paper = PAPER_SIZES.find(p => p.id === options.paperId) || PAPER_SIZES[0];
+    const landscape = options.orientation === "landscape";
+    return {
+        label: paper.label,
+        width: landscape ? paper.height : paper.width,
+        height: landscape ? paper.width : paper.height
+    };
+}
+
+function font(size, weight = "normal") {
+    return `${weight} ${size}px ${FONT_FAMILY}`;
+}
+
+// Shorten text with an ellipsis to fit maxWidth
+function fitText(ctx, text, maxWidth) {
+    if (ctx.measureText(text).width <= maxWidth) return text;
+    let end = text.length;
+    while (end > 0 && ctx.measureText(`${text.slice(0, end)}…`).width > maxWidth) end--;
+    return `${text.slice(0, end)}…`;
+}
+
+function drawWhiteBox(ctx, x, y, width, height) {
+    ctx.fillStyle = "rgba(255, 255, 255, 0.85)";
+    ctx.fillRect(x, y, width, height);
+    ctx.strokeStyle = "#bbbbbb";
+    ctx.lineWidth = 0.15;
+    ctx.strokeRect(x, y, width, height);
+}
+
+function drawLegend(ctx, entries, x, y, width) {
+    const columns = Math.max(1, Math.floor(width / LAYOUT.legendColumnWidth));
+    const rows = Math.ceil(entries.length / columns);
+    const columnWidth = width / columns;
+    ctx.font = font(LAYOUT.legendTextSize);
+    ctx.textBaseline = "middle";
+    ctx.textAlign = "left";
+    entries.forEach((entry, i) => {
+        const col = Math.floor(i / rows);
+        const row = i % rows;
+        const ex = x + col * columnWidth;
+        const ey = y + row * LAYOUT.legendRowHeight;
+        ctx.fillStyle = entry.color;
+        ctx.fillRect(ex, ey, LAYOUT.legendSwatch, LAYOUT.legendSwatch);
+        const textX = ex + LAYOUT.legendSwatch + 1.5;
+        const label = `${entry.kgType}  ${describeKgType(entry.kgType)}`;
+        ctx.fillStyle = "#333333";
+        ctx.fillText(fitText(ctx, label, columnWidth - (textX - ex) - 2), textX, ey + LAYOUT.legendSwatch / 2);
+    });
+}
+
+function legendHeight(entries, width) {
+    const columns = Math.max(1, Math.floor(width / LAYOUT.legendColumnWidth));
+    return Math.ceil(entries.length / columns) * LAYOUT.legendRowHeight;
+}
+
+// Scale bar in the lower left corner of the map frame, about a fifth of its width
+function drawScaleBar(ctx, frame) {
+    const kmPerPixel = kmPerScreenPixel();
+    if (!kmPerPixel) return;
+    const kmPerMm = kmPerPixel * STATE.width / frame.width;
+    const km = niceLength(frame.width * 0.2 * kmPerMm);
+    const barWidth = km / kmPerMm;
+    const pad = LAYOUT.boxPadding;
+    const boxHeight = LAYOUT.scaleBarHeight + LAYOUT.scaleBarTextSize + pad * 2 + 1;
+    const boxX = frame.x + LAYOUT.gap;
+    const boxY = frame.y + frame.height - LAYOUT.gap - boxHeight;
+    drawWhiteBox(ctx, boxX, boxY, barWidth + pad * 2 + 6, boxHeight);
+
+    const barX = boxX + pad;
+    const barY = boxY + pad;
+    const half = barWidth / 2;
+    ctx.fillStyle = "#333333";
+    ctx.fillRect(barX, barY, half, LAYOUT.scaleBarHeight);
+    ctx.fillStyle = "#ffffff";
+    ctx.fillRect(barX + half, barY, half, LAYOUT.scaleBarHeight);
+    ctx.strokeStyle = "#333333";
+    ctx.lineWidth = 0.2;
+    ctx.strokeRect(barX, barY, barWidth, LAYOUT.scaleBarHeight);
+
+    ctx.font = font(LAYOUT.scaleBarTextSize);
+    ctx.fillStyle = "#333333";
+    ctx.textBaseline = "top";
+    const labelY = barY + LAYOUT.scaleBarHeight + 0.8;
+    ctx.textAlign = "center";
+    ctx.fillText("0", barX, labelY);
+    ctx.fillText(`${d3.format(",")(km)} km`, barX + barWidth, labelY);
+}
+
+// Climograph of the locked location (monthly precipitation bars, temperature line) in the lower right corner
+function drawClimographInset(ctx, frame, d) {
+    const pad = LAYOUT.boxPadding;
+    const width = Math.min(LAYOUT.insetWidth, frame.width * 0.4);
+    const height = Math.min(LAYOUT.insetHeight, frame.height * 0.5);
+    const boxX = frame.x + frame.width - LAYOUT.gap - width;
+    const boxY = frame.y + frame.height - LAYOUT.gap - height;
+    drawWhiteBox(ctx, boxX, boxY, width, height);
+
+    const textSize = LAYOUT.scaleBarTextSize;
+    ctx.font = font(textSize, "600");
+    ctx.fillStyle = "#333333";
+    ctx.textAlign = "left";
+    ctx.textBaseline = "top";
+    const title = `${d.kg_type} · ${Number(d.lat).toFixed(2)}°, ${Number(d.lon).toFixed(2)}°`;
+    ctx.fillText(fitText(ctx, title, width - pad * 2), boxX + pad, boxY + pad);
+
+    const t = d.t;
+    const p = d.p;
+    const plot = {
+        left: boxX + pad + textSize * 2.6,
+        right: boxX + width - pad - textSize * 2.6,
+        top: boxY + pad + textSize * 1.8,
+        bottom: boxY + height - pad - textSize * 1.4
+    };
+    const x = d3.scaleBand().domain(d3.range(12)).range([plot.left, plot.right]).padding(0.2);
+    const yTemp = d3.scaleLinear().domain([Math.min(0, d3.min(t)), Math.max(0, d3.max(t))]).nice(4).range([plot.bottom, plot.top]);
+    const yPrecip = d3.scaleLinear().domain([0, Math.max(10, d3.max(p))]).nice(4).range([plot.bottom, plot.top]);
+
+    ctx.fillStyle = precipColor(d.baseColor);
+    p.forEach((v, i) => ctx.fillRect(x(i), yPrecip(v), x.bandwidth(), plot.bottom - yPrecip(v)));
+
+    ctx.strokeStyle = tempColor(d.baseColor);
+    ctx.lineWidth = 0.4;
+    ctx.lineJoin = "round";
+    ctx.beginPath();
+    t.forEach((v, i) => {
+        const px = x(i) + x.bandwidth() / 2;
+        if (i === 0) ctx.moveTo(px, yTemp(v));
+        else ctx.lineTo(px, yTemp(v));
+    });
+    ctx.stroke();
+
+    ctx.strokeStyle = "#999999";
+    ctx.lineWidth = 0.15;
+    ctx.beginPath();
+    ctx.moveTo(plot.left, plot.bottom);
+    ctx.lineTo(plot.right, plot.bottom);
+    ctx.stroke();
+
+    ctx.font = font(textSize * 0.85);
+    ctx.fillStyle = "#666666";
+    ctx.textBaseline = "middle";
+    ctx.textAlign = "right";
+    unitTicks(yTemp.domain(), "°C", 3).forEach(v => ctx.fillText(`${formatTick(v, "°C")}°`, plot.left - 1, yTemp(v)));
+    ctx.textAlign = "left";
+    unitTicks(yPrecip.domain(), "mm", 3).forEach(v => ctx.fillText(formatTick(v, "mm"), plot.right + 1, yPrecip(v)));
+    ctx.textAlign = "center";
+    ctx.textBaseline = "top";
+    MONTH_SHORT.forEach((m, i) => ctx.fillText(m[0], x(i) + x.bandwidth() / 2, plot.bottom + 0.8));
+}
+
+// Whole figure on a new canvas at dpi; null when the map cannot be rendered
+function renderLayout(options, dpi) {
+    const paper = paperSize(options);
+    const pxPerMm = dpi / MM_PER_INCH;
+    const canvas = document.createElement("canvas");
+    canvas.width = Math.round(paper.width * pxPerMm);
+    canvas.height = Math.round(paper.height * pxPerMm);
+    const ctx = canvas.getContext("2d");
+    ctx.scale(pxPerMm, pxPerMm);
+    ctx.fillStyle = "#ffffff";
+    ctx.fillRect(0, 0, paper.width, paper.height);
+
+    const left = LAYOUT.margin;
+    const width = paper.width - LAYOUT.margin * 2;
+    let top = LAYOUT.margin;
+    let bottom = paper.height - LAYOUT.margin;
+
+    // Title block
+    ctx.textAlign = "left";
+    ctx.textBaseline = "top";
+    ctx.fillStyle = "#222222";
+    if (options.title) {
+        ctx.font = font(LAYOUT.titleSize, "bold");
+        ctx.fillText(fitText(ctx, options.title, width), left, top);
+        top += LAYOUT.titleSize * 1.3;
+    }
+    if (options.subtitle) {
+        ctx.font = font(LAYOUT.subtitleSize);
+        ctx.fillStyle = "#555555";
+        ctx.fillText(fitText(ctx, options.subtitle, width), left, top);
+        top += LAYOUT.subtitleSize * 1.3;
+    }
+    if (options.title || options.subtitle) top += LAYOUT.gap;
+
+    // Footer, from the bottom up: credit line, then the legend
+    if (options.credit) {
+        ctx.font = font(LAYOUT.creditSize);
+        ctx.fillStyle = "#777777";
+        ctx.textBaseline = "bottom";
+        ctx.fillText(fitText(ctx, CREDIT_TEXT, width), left, bottom);
+        bottom -= LAYOUT.creditSize * 1.4 + LAYOUT.gap;
+    }
+    const entries = options.legend ? visibleClasses() : [];
+    if (entries.length) {
+        const height = legendHeight(entries, width);
+        drawLegend(ctx, entries, left, bottom - height, width);
+        bottom -= height + LAYOUT.gap;
+    }
+
+    // Map frame: the screen view's aspect ratio, as large as fits between header and footer
+    const aspect = STATE.width / STATE.height;
+    let frameWidth = width;
+    let frameHeight = frameWidth / aspect;
+    if (frameHeight > bottom - top) {
+        frameHeight = Math.max(0, bottom - top);
+        frameWidth = frameHeight * aspect;
+    }
+    const frame = { x: left + (width - frameWidth) / 2, y: top, width: frameWidth, height: frameHeight };
+    const mapCanvas = window.redrawMapForExport?.({ pixelRatio: frame.width * pxPerMm / STATE.width });
+    if (!mapCanvas) return null;
+    ctx.drawImage(mapCanvas, frame.x, frame.y, frame.width, frame.height);
+    ctx.strokeStyle = "#999999";
+    ctx.lineWidth = 0.2;
+    ctx.strokeRect(frame.x, frame.y, frame.width, frame.height);
+
+    if (options.scaleBar) drawScaleBar(ctx, frame);
+    const { locked, data } = getLockState();
+    if (options.inset && locked && data) drawClimographInset(ctx, frame, data);
+    return canvas;
+}
+
+/* =========================================================
+   Panel
+   ========================================================= */
+function readOptions() {
+    const value = id => panelEl.querySelector(`#${id}`);
+    return {
+        paperId: value("layout-paper").value,
+        orientation: value("layout-orientation").value,
+        dpi: +value("layout-dpi").value,
+        title: value("layout-title").value.trim(),
+        subtitle: value("layout-subtitle").value.trim(),
+        legend: value("layout-legend").checked,
+        scaleBar: value("layout-scale-bar").checked,
+        credit: value("layout-credit").checked,
+        inset: value("layout-inset").checked
+    };
+}
+
+function pixelSize(options) {
+    const paper = paperSize(options);
+    const pxPerMm = options.dpi / MM_PER_INCH;
+    return { width: Math.round(paper.width * pxPerMm), height: Math.round(paper.height * pxPerMm) };
+}
+
+function updateReadout(options) {
+    const { width, height } = pixelSize(options);
+    const tooLarge = width * height > MAX_LAYOUT_PIXELS;
+    panelEl.querySelector(".layout-composer-size").textContent = tooLarge
+        ? "Too large, pick a lower DPI"
+        : `${d3.format(",")(width)} × ${d3.format(",")(height)} px`;
+    panelEl.querySelector(".layout-composer-export").disabled = tooLarge;
+}
+
+function renderPreview() {
+    previewTimer = null;
+    if (!panelEl || !panelEl.classList.contains("active") || !STATE.projection) return;
+    const options = readOptions();
+    updateReadout(options);
+    const paper = paperSize(options);
+    const dpr = window.devicePixelRatio || 1;
+    const figure = renderLayout(options, PREVIEW_WIDTH * dpr / paper.width * MM_PER_INCH);
+    if (!figure) return;
+    const preview = panelEl.querySelector(".layout-composer-preview");
+    preview.width = figure.width;
+    preview.height = figure.height;
+    preview.style.width = `${PREVIEW_WIDTH}px`;
+    preview.style.height = `${PREVIEW_WIDTH * figure.height / figure.width}px`;
+    preview.getContext("2d").drawImage(figure, 0, 0);
+}
+
+function schedulePreview() {
+    if (previewTimer) clearTimeout(previewTimer);
+    previewTimer = setTimeout(renderPreview, PREVIEW_DELAY_MS);
+}
+
+function updateInsetAvailability() {
+    const { locked } = getLockState();
+    const inset = panelEl.querySelector("#layout-inset");
+    inset.disabled = !locked;
+    inset.closest("label").classList.toggle("disabled", !locked);
+}
+
+function defaultSubtitle() {
+    const dataset = getDataset(STATE.period);
+    return dataset ? dataset.label : "";
+}
+
+function exportLayout() {
+    if (getExportingState()) return;
+    const options = readOptions();
+    setExportingState(true);
+    showLoading("Exporting layout...");
+
+    setTimeout(() => {
+        const fail = err => {
+            console.error("Export error:", err);
+            hideLoading();
+            setExportingState(false);
+            showNotice(`Export failed: ${err.message || err}. Please try again.`);
+        };
+        try {
+            const figure = renderLayout(options, options.dpi);
+            if (!figure) throw new Error("Map is not ready");
+            figure.toBlob(blob => {
+                if (!blob) {
+                    fail(new Error("Layout too large to encode"));
+                    return;
+                }
+                const url = URL.createObjectURL(blob);
+                const link = document.createElement("a");
+                link.download = `climate-layout_${options.paperId}-${options.orientation}_${options.dpi}dpi.png`;
+                link.href = url;
+                link.click();
+                setTimeout(() => URL.revokeObjectURL(url), 0);
+                hideLoading();
+                setExportingState(false);
+            }, "image/png");
+        } catch (err) {
+            fail(err);
+        }
+    }, 200);
+}
+
+export function initLayoutComposer() {
+    panelEl = document.getElementById("layout-composer");
+    const toggle = document.getElementById("toggle-layout-composer");
+    if (!panelEl) return;
+    makeLegendDraggable(panelEl, panelEl.querySelector(".layout-composer-title"));
+
+    d3.select(panelEl).select("#layout-paper")
+        .selectAll("option")
+        .data(PAPER_SIZES)
+        .join("option")
+        .attr("value", p => p.id)
+        .text(p => p.label);
+    d3.select(panelEl).select("#layout-dpi")
+        .selectAll("option")
+        .data(DPI_PRESETS)
+        .join("option")
+        .attr("value", dpi => dpi)
+        .property("selected", dpi => dpi === DEFAULT_DPI)
+        .text(dpi => `${dpi} dpi`);
+    panelEl.querySelector("#layout-title").value = DEFAULT_TITLE;
+    panelEl.querySelector("#layout-subtitle").value = defaultSubtitle();
+
+    panelEl.querySelectorAll("select, input").forEach(input => {
+        input.addEventListener(input.type === "text" ? "input" : "change", schedulePreview);
+    });
+    panelEl.querySelector("#layout-subtitle").addEventListener("input", () => {
+        subtitleEdited = true;
+    });
+    panelEl.querySelector(".layout-composer-export").addEventListener("click", exportLayout);
+    toggle?.addEventListener("change", () => {
+        panelEl.classList.toggle("active", toggle.checked);
+        schedulePreview();
+    });
+    updateInsetAvailability();
+
+    // The preview follows the view, the data and the lock
+    dispatcher.on("dataLoaded.layoutComposer", () => {
+        if (!subtitleEdited) panelEl.querySelector("#layout-subtitle").value = defaultSubtitle();
+        schedulePreview();
+    });
+    dispatcher.on("viewChanged.layoutComposer", schedulePreview);
+    dispatcher.on("projectionChanged.layoutComposer", schedulePreview);
+    dispatcher.on("classFilterChanged.layoutComposer", schedulePreview);
+    dispatcher.on("unitsChanged.layoutComposer", schedulePreview);
+    dispatcher.on("lock.layoutComposer", () => {
+        updateInsetAvailability();
+        schedulePreview();
+    });
+    dispatcher.on("unlock.layoutComposer", () => {
+        updateInsetAvailability();
+        schedulePreview();
+    });
+}
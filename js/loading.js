@@ -100,3 +100,29 @@ export function hideLoading() {
     syncOverlay();
     document.dispatchEvent(new CustomEvent("app-loading", { detail: { loading: false } }));
 }
+
+/* =========================================================
+   Notice toast
+   Non-blocking message (e.g. a failed export) shown briefly at the bottom of the page
+   ========================================================= */
+const NOTICE_DURATION = 4000;
+let noticeTimer = null;
+
+/**
+ * Show a short notice without blocking the page.
+ * @param {string} text - Message to display.
+ */
+export function showNotice(text) {
+    let notice = document.getElementById("app-notice");
+    if (!notice) {
+        notice = document.createElement("div");
+        notice.id = "app-notice";
+        notice.setAttribute("role", "status");
+        notice.setAttribute("aria-live", "polite");
+        document.body.appendChild(notice);
+    }
+    notice.textContent = text;
+    notice.classList.add("visible");
+    clearTimeout(noticeTimer);
+    noticeTimer = setTimeout(() => notice.classList.remove("visible"), NOTICE_DURATION);
+}
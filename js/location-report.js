@@ -0,0 +1,300 @@
+/* location-report.js
+   Location climate report: one self-contained HTML file for the locked location.
+   Purpose: a client deliverable with the coordinates, country, Köppen class and its explanation, the combo chart,
+   the monthly data table, derived statistics and where the location sits inside its class envelope on the
+   Temperature and Precipitation scatters. Charts are inline SVG and the styles are embedded; the file has no scripts.
+*/
+
+import { STATE } from "./shared.js";
+import {
+    MONTH_FULL, describeKgType, explainKgType, getExportingState, setExportingState,
+    precipColor, tempColor
+} from "./chart-common.js";
+import { getLockState } from "./chart-tab-overall.js";
+import { temperatureScatterScales } from "./chart-tab-temperature.js";
+import { precipitationScatterScales } from "./chart-tab-precipitation.js";
+import { inlineChartMarkup } from "./chart-export.js";
+import { CLIMATE_VARIABLES } from "./variables.js";
+import { getDataset } from "./data.js";
+import { downloadBlob } from "./svg-export.js";
+import { showLoading, hideLoading, showNotice } from "./loading.js";
+import { convertLabel, formatMeasure, formatNumber, precipUnit, tempUnit } from "./units.js";
+
+const SVG_NS = "http://www.w3.org/2000/svg";
+const CREDIT_TEXT = "Data: Beck et al. (2018), Köppen–Geiger climate classification · Natural Earth";
+const ENVELOPE_SIZE = { width: 340, height: 260 };
+const ENVELOPE_MARGIN = { top: 32, right: 24, bottom: 40, left: 44 };
+const LOCATION_COLOR = "#e94a4a";
+
+// Derived statistics listed in the report: the annual variables and indices of the map's variable colour mode
+const REPORT_STATISTICS = CLIMATE_VARIABLES.filter(def => def.group === "Annual" || def.group === "Indices");
+
+const REPORT_STYLE = `
+body { margin: 0; background: #f4f5f7; color: #333; font-family: Inter, system-ui, -apple-system, "Helvetica Neue", Arial, sans-serif; font-size: 14px; line-height: 1.5; }
+.report { max-width: 820px; margin: 24px auto; padding: 32px 40px; background: #fff; box-shadow: 0 2px 12px rgba(0,0,0,0.08); }
+h1 { margin: 0 0 4px; font-size: 26px; }
+h2 { margin: 28px 0 10px; padding-bottom: 4px; font-size: 17px; border-bottom: 1px solid #e2e5e9; }
+.report-subtitle { margin: 0; color: #555; font-size: 16px; }
+.report-meta { margin: 6px 0 0; color: #888; font-size: 12px; }
+.report-explain { margin: 0; padding-left: 18px; }
+.report-note { color: #777; font-size: 12px; }
+.report-figure { text-align: center; }
+.report-figure svg { max-width: 100%; height: auto; }
+.report-envelopes { display: flex; flex-wrap: wrap; gap: 16px; justify-content: center; }
+.report-envelopes figure { margin: 0; }
+.report-envelopes figcaption { color: #555; font-size: 12px; text-align: center; }
+table { width: 100%; border-collapse: collapse; font-variant-numeric: tabular-nums; }
+th, td { padding: 4px 8px; border-bottom: 1px solid #eceef1; text-align: right; }
+th:first-child, td:first-child { text-align: left; }
+thead th { color: #555; font-weight: 600; border-bottom-color: #cfd4da; }
+tfoot td { font-weight: 600; border-top: 1px solid #cfd4da; }
+footer { margin-top: 28px; color: #999; font-size: 11px; }
+@media print { body { background: #fff; } .report { margin: 0; box-shadow: none; } }
+`;
+
+/* =========================================================
+   Formatting helpers
+   ========================================================= */
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"]/g, c => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", "\"": "&quot;" }[c]));
+}
+
+function formatCoordinates(d) {
+    const latDir = d.lat >= 0 ? "N" : "S";
+    const lonDir = d.lon >= 0 ? "E" : "W";
+    return `${Math.abs(d.lat).toFixed(2)}° ${latDir}, ${Math.abs(d.lon).toFixed(2)}° ${lonDir}`;
+}
+
+function ordinal(n) {
+    const suffix = n % 100 >= 11 && n % 100 <= 13 ? "th" : ({ 1: "st", 2: "nd", 3: "rd" }[n % 10] || "th");
+    return `${n}${suffix}`;
+}
+
+/* =========================================================
+   Class envelope
+   The locked location against the convex hull of its class on a Tab2/Tab3 scatter
+   ========================================================= */
+// Percentile (0-100) of value among the sorted class values
+function percentileRank(sorted, value) {
+    if (!sorted.length) return NaN;
+    return Math.round(d3.bisectLeft(sorted, value) / sorted.length * 100);
+}
+
+function envelopeSvg({ title, scales, points, location, color }) {
+    const { width, height } = ENVELOPE_SIZE;
+    const margin = ENVELOPE_MARGIN;
+    const innerWidth = width - margin.left - margin.right;
+    const innerHeight = height - margin.top - margin.bottom;
+    const { x, y, ticksX, ticksY, tickFormat } = scales(innerWidth, innerHeight);
+
+    const svg = d3.select(document.createElementNS(SVG_NS, "svg"))
+        .attr("width", width)
+        .attr("height", height)
+        .attr("viewBox", `0 0 ${width} ${height}`);
+    const g = svg.append("g").attr("transform", `translate(${margin.left},${margin.top})`);
+
+    const grid = g.append("g")
+        .attr("stroke", "#e5e5e5")
+        .attr("stroke-width", 1)
+        .attr("stroke-dasharray", "2,2");
+    ticksY.forEach(v => grid.append("line").attr("x1", 0).attr("x2", innerWidth).attr("y1", y(v)).attr("y2", y(v)));
+    ticksX.forEach(v => grid.append("line").attr("y1", 0).attr("y2", innerHeight).attr("x1", x(v)).attr("x2", x(v)));
+
+    const hull = d3.polygonHull(points.map(([px, py]) => [x(px), y(py)]));
+    if (hull) {
+        g.append("path")
+            .attr("d", d3.line().curve(d3.curveLinearClosed)(hull))
+            .attr("fill", color)
+            .attr("fill-opacity", 0.35)
+            .attr("stroke", color)
+            .attr("stroke-width", 1);
+    }
+
+    g.append("g").call(d3.axisLeft(y).tickValues(ticksY).tickFormat(tickFormat));
+    g.append("g").attr("transform", `translate(0,${innerHeight})`).call(d3.axisBottom(x).tickValues(ticksX).tickFormat(tickFormat));
+    g.selectAll(".domain, .tick line").attr("stroke", "#bbbbbb");
+    g.selectAll(".tick text").attr("fill", "#666666");
+
+    g.append("text")
+        .attr("y", -16)
+        .attr("font-family", "sans-serif")
+        .attr("font-size", 12)
+        .attr("font-weight", 600)
+        .attr("fill", "#333333")
+        .text(title);
+
+    g.append("circle")
+        .attr("cx", x(location[0]))
+        .attr("cy", y(location[1]))
+        .attr("r", 5)
+        .attr("fill", LOCATION_COLOR)
+        .attr("stroke", "#ffffff")
+        .attr("stroke-width", 1.5);
+
+    return new XMLSerializer().serializeToString(svg.node());
+}
+
+// One envelope figure with a caption giving the location's percentile on both axes within its class
+function envelopeSection(d, { title, scales, valueOf, color, unit, digits, axisLabels }) {
+    const location = valueOf(d);
+    if (!location) return "";
+    const points = (STATE.data || []).filter(c => c.kg_type === d.kg_type).map(valueOf).filter(Boolean);
+    const markup = envelopeSvg({ title, scales, points, location, color });
+    const ranks = [0, 1].map(axis => percentileRank(points.map(p => p[axis]).sort(d3.ascending), location[axis]));
+    const caption = axisLabels.map((label, axis) =>
+        `${label}: ${formatMeasure(location[axis], unit, digits)} (${ordinal(ranks[axis])} percentile of ${d.kg_type})`
+    ).join("<br>");
+    return `
+        <figure>
+            ${markup}
+            <figcaption>${caption}<br>Envelope: convex hull of all ${points.length.toLocaleString()} ${escapeHtml(d.kg_type)} cells.</figcaption>
+        </figure>`;
+}
+
+/* =========================================================
+   Report document
+   ========================================================= */
+function monthlyTable(d) {
+    const rows = MONTH_FULL.map((name, m) => `
+            <tr><td>${name}</td><td>${formatNumber(d.t[m], "°C")}</td><td>${formatNumber(d.p[m], "mm", 0)}</td></tr>`).join("");
+    const meanTemp = d3.mean(d.t);
+    const totalPrecip = d3.sum(d.p);
+    return `
+        <table>
+            <thead><tr><th>Month</th><th>Temperature (${tempUnit()})</th><th>Precipitation (${precipUnit()})</th></tr></thead>
+            <tbody>${rows}
+            </tbody>
+            <tfoot><tr><td>Year</td><td>${formatNumber(meanTemp, "°C")}</td><td>${formatNumber(totalPrecip, "mm", 0)}</td></tr></tfoot>
+        </table>`;
+}
+
+function statisticsTable(d) {
+    const rows = REPORT_STATISTICS.map(def => {
+        const digits = def.unit === "mm" || def.unit === "months" ? 0 : 1;
+        return `
+            <tr><td>${escapeHtml(convertLabel(def.label))}</td><td>${formatMeasure(def.value(d.t, d.p), def.unit, digits, def.delta)}</td></tr>`;
+    }).join("");
+    return `
+        <table>
+            <tbody>${rows}
+            </tbody>
+        </table>`;
+}
+
+function buildReportHtml(d) {
+    const coordinates = formatCoordinates(d);
+    const country = d.countryName || "";
+    const description = describeKgType(d.kg_type);
+    const dataset = getDataset(STATE.period);
+    const explainLines = (explainKgType(d.kg_type) || []).filter(line => line !== "<br>");
+    const computedNote = d.kg_computed
+        ? `<p class="report-note">Class computed from the monthly data: ${escapeHtml(d.kg_computed)}${d.kg_mismatch ? " (differs from the dataset label)" : " (matches the dataset label)"}.</p>`
+        : "";
+    const decisionChart = inlineChartMarkup(document.getElementById("koppenDecisionChart"));
+    const comboChart = inlineChartMarkup(document.getElementById("climateComboChart"));
+
+    const envelopes = [
+        envelopeSection(d, {
+            title: `Month 1 vs Month 7 Temperature (${tempUnit()})`,
+            scales: temperatureScatterScales,
+            valueOf: c => (Number.isFinite(c.t_01) && Number.isFinite(c.t_07) ? [c.t_01, c.t_07] : null),
+            color: tempColor(d.baseColor),
+            unit: "°C",
+            digits: 1,
+            axisLabels: ["Month 1 temperature", "Month 7 temperature"]
+        }),
+        envelopeSection(d, {
+            title: `Month 1 vs Month 7 Precipitation (${precipUnit()})`,
+            scales: precipitationScatterScales,
+            valueOf: c => (c.p_01 > 0 && c.p_07 > 0 ? [c.p_01, c.p_07] : null),
+            color: precipColor(d.baseColor),
+            unit: "mm",
+            digits: 0,
+            axisLabels: ["Month 1 precipitation", "Month 7 precipitation"]
+        })
+    ].join("");
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Climate report · ${escapeHtml(d.kg_type)} · ${escapeHtml(coordinates)}</title>
+    <style>${REPORT_STYLE}</style>
+</head>
+<body>
+<main class="report">
+    <header>
+        <h1>${escapeHtml(d.kg_type)} · ${escapeHtml(description)}</h1>
+        <p class="report-subtitle">${escapeHtml(coordinates)}${country ? ` · ${escapeHtml(country)}` : ""}</p>
+        <p class="report-meta">${dataset ? `${escapeHtml(dataset.label)} · ` : ""}Generated ${new Date().toISOString().slice(0, 10)}</p>
+    </header>
+
+    <section>
+        <h2>Köppen classification</h2>
+        <ul class="report-explain">
+            ${explainLines.map(line => `<li>${line}</li>`).join("\n            ")}
+        </ul>
+        ${computedNote}
+        ${decisionChart ? `<div class="report-figure">${decisionChart}</div>` : ""}
+    </section>
+
+    <section>
+        <h2>Temperature and precipitation</h2>
+        <div class="report-figure">${comboChart}</div>
+    </section>
+
+    <section>
+        <h2>Monthly data</h2>
+        ${monthlyTable(d)}
+    </section>
+
+    <section>
+        <h2>Derived statistics</h2>
+        ${statisticsTable(d)}
+    </section>
+
+    <section>
+        <h2>Position within the class envelope</h2>
+        <p class="report-note">Month 1 is January in the Northern Hemisphere and July in the Southern Hemisphere.</p>
+        <div class="report-envelopes">${envelopes}
+        </div>
+    </section>
+
+    <footer>${escapeHtml(CREDIT_TEXT)}</footer>
+</main>
+</body>
+</html>
+`;
+}
+
+/* =========================================================
+   Export
+   ========================================================= */
+export function exportLocationReport() {
+    // Prevent concurrent exports
+    if (getExportingState()) {
+        return;
+    }
+    const { locked, data } = getLockState();
+    if (!locked || !data) {
+        showNotice("Lock a location to export its report.");
+        return;
+    }
+
+    setExportingState(true);
+    showLoading('Building report...');
+
+    setTimeout(() => {
+        try {
+            const html = buildReportHtml(data);
+            const fileName = `report_${data.kg_type}_${Number(data.lat).toFixed(2)}_${Number(data.lon).toFixed(2)}.html`;
+            downloadBlob(new Blob([html], { type: "text/html;charset=utf-8" }), fileName);
+        } catch (err) {
+            console.error("Export error:", err);
+            showNotice("Export failed. Please try again.");
+        }
+        hideLoading();
+        setExportingState(false);
+    }, 150);
+}
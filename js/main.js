@@ -4,7 +4,18 @@
 */
 import './chart.js';
 import { init as initMap } from './map.js';
-import { dispatcher } from './shared.js';
+import { dispatcher, STATE } from './shared.js';
+import { DATASETS, DEFAULT_DATASET_ID } from './data.js';
+import { PROJECTIONS, DEFAULT_PROJECTION_ID } from './projections.js';
+import { initMonthPlayer } from './month-player.js';
+import { initVariableLegend } from './variables.js';
+import { initBivariateLegend } from './bivariate.js';
+import { initGlyphLegend } from './glyph-legend.js';
+import { initClassLegend } from './class-legend.js';
+import { initRangeFilter } from './range-filter.js';
+import { initContourPanel } from './contours.js';
+import { initLayoutComposer } from './layout-composer.js';
+import { UNIT_SYSTEMS, setUnitSystem } from './units.js';
 import { showLoading, hideLoading } from './loading.js';
 
 // Initialize map asynchronously
@@ -75,7 +86,110 @@ function setupSymbolSelector() {
          dispatcher.call("symbolStyleChanged", null, selectedStyle);         
       });
    });
+
+   // Keep radios in sync if the map falls back to another style (e.g. change mode without a second period)
+   dispatcher.on("symbolStyleChanged.selector", style => {
+      const radio = radioButtons.find(r => r.value === style);
+      if (radio && !radio.checked) radio.checked = true;
+   });
+}
+
+// Initialize period selector from the dataset registry
+function setupPeriodSelector() {
+   const select = document.getElementById('period-select');
+   if (!select) {
+      return;
+   }
+
+   select.innerHTML = '';
+   DATASETS.forEach(ds => {
+      const option = document.createElement('option');
+      option.value = ds.id;
+      option.textContent = ds.label;
+      select.appendChild(option);
+   });
+   select.value = STATE.period || DEFAULT_DATASET_ID;
+
+   select.addEventListener('change', () => {
+      dispatcher.call("periodChanged", null, select.value);
+   });
+
+   // Keep selector in sync if the map falls back to another period (e.g. load failure)
+   dispatcher.on("periodChanged.selector", periodId => {
+      if (select.value !== periodId) select.value = periodId;
+   });
+}
+
+// Initialize colour mode selector (Köppen class or monthly climate)
+function setupColorModeSelector() {
+   const select = document.getElementById('color-mode-select');
+   if (!select) {
+      return;
+   }
+
+   select.value = STATE.colorMode;
+   select.addEventListener('change', () => {
+      dispatcher.call("colorModeChanged", null, select.value);
+   });
+
+   dispatcher.on("colorModeChanged.selector", mode => {
+      if (select.value !== mode) select.value = mode;
+   });
+}
+
+// Initialize projection selector from the projection registry
+function setupProjectionSelector() {
+   const select = document.getElementById('projection-select');
+   if (!select) {
+      return;
+   }
+
+   select.innerHTML = '';
+   PROJECTIONS.forEach(def => {
+      const option = document.createElement('option');
+      option.value = def.id;
+      option.textContent = def.label;
+      select.appendChild(option);
+   });
+   select.value = STATE.projectionId || DEFAULT_PROJECTION_ID;
+
+   select.addEventListener('change', () => {
+      dispatcher.call("projectionChanged", null, select.value);
+   });
+}
+
+// Initialize unit system selector (metric or imperial display units)
+function setupUnitSelector() {
+   const select = document.getElementById('unit-select');
+   if (!select) {
+      return;
+   }
+
+   select.innerHTML = '';
+   UNIT_SYSTEMS.forEach(def => {
+      const option = document.createElement('option');
+      option.value = def.id;
+      option.textContent = def.label;
+      select.appendChild(option);
+   });
+   select.value = STATE.unitSystem;
+
+   select.addEventListener('change', () => {
+      setUnitSystem(select.value);
+   });
 }
 
 document.addEventListener('DOMContentLoaded', setupPanelTabs);
 document.addEventListener('DOMContentLoaded', setupSymbolSelector);
+document.addEventListener('DOMContentLoaded', setupPeriodSelector);
+document.addEventListener('DOMContentLoaded', setupProjectionSelector);
+document.addEventListener('DOMContentLoaded', setupUnitSelector);
+document.addEventListener('DOMContentLoaded', setupColorModeSelector);
+document.addEventListener('DOMContentLoaded', initMonthPlayer);
+document.addEventListener('DOMContentLoaded', initVariableLegend);
+document.addEventListener('DOMContentLoaded', initBivariateLegend);
+document.addEventListener('DOMContentLoaded', initGlyphLegend);
+document.addEventListener('DOMContentLoaded', initClassLegend);
+document.addEventListener('DOMContentLoaded', initRangeFilter);
+document.addEventListener('DOMContentLoaded', initContourPanel);
+document.addEventListener('DOMContentLoaded', initLayoutComposer);
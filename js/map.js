@@ -22,16 +22,38 @@ const searchSuggestions = document.getElementById("search-suggestions");
 const toggleOcean = document.getElementById("toggle-ocean");
 const toggleBorders = document.getElementById("toggle-borders");
 const toggleGraticules = document.getElementById("toggle-graticules");
+const toggleContours = document.getElementById("toggle-contours");
+const toggleClassBoundaries = document.getElementById("toggle-class-boundaries");
 const toggleGeoLines = document.getElementById("toggle-geolines");
 const toggleCityLabels = document.getElementById("toggle-city-labels");
 const toggleCountryLabels = document.getElementById("toggle-country-labels");
 
+// Change-mode legend lines in the symbol selector (named after the compared periods)
+const changeFillLabel = document.getElementById("change-fill-label");
+const changeOutlineLabel = document.getElementById("change-outline-label");
+
 /* =========================================================
    Global application state (moved to shared module)
    ========================================================= */
 
-import { STATE, dispatcher, adjustColor, tempToR, precipToR, buildQuadtree, findNearestScreen } from "./shared.js";
-import { loadData, loadCountries, loadOcean, loadCityLabels } from "./data.js";
+import {
+    STATE, dispatcher, adjustColor, tempToR, precipToR, buildQuadtree, findNearestScreen, findNearest,
+    lonLatExtent, estimateSymbolRadius, gridStep, isClassVisible
+} from "./shared.js";
+import {
+    fitProjection, projectionKey, getProjectionDef, projectVisible, invertProjected, DEFAULT_PROJECTION_ID, SPHERE
+} from "./projections.js";
+import { loadData, loadInitialData, getDataset, DATASETS, DEFAULT_DATASET_ID } from "./data.js";
+import { annotatePeriodChange } from "./period-change.js";
+import { buildMonthColorBins, monthPalette } from "./month-player.js";
+import { getVariableColors, NO_VALUE_COLOR } from "./variables.js";
+import { bivariatePalette, getBivariateBins } from "./bivariate.js";
+import { getGlyphType, isGlyphStyle, PRECIP_RADIUS_SCALE } from "./glyphs.js";
+import { getRangeFilterMask, rangeFilterKey } from "./range-filter.js";
+import { getContourSet } from "./contours.js";
+import { getClassBoundaries, simplifyToleranceForZoom } from "./class-boundaries.js";
+import { SvgContext } from "./svg-export.js";
+import { getClimateStore } from "./climate-store.js";
 import { showLoading, hideLoading } from "./loading.js";
 import { getLockState, setPanelLocked } from "./chart-tab-overall.js";
 
@@ -47,25 +69,53 @@ let CITY_LABELS = [];
 let showOcean = true;
 let showBorders = true;
 let showGraticules = true;
+let showContours = false;
+let showClassBoundaries = false;
 let showGeoLines = true;
 let showCityLabels = false;
 let showCountryLabels = false;
 
-// Symbol style mode: 'point' (default) or 'glyph'
+// Symbol style mode: 'point' (default), a glyph design from glyphs.js ('glyph', 'glyph-bars', ...),
+// 'cell' (filled grid cells) or 'change' (cells whose class differs between periods)
 let symbolStyle = 'point';
 
+// Cell mode: projected corners of every grid cell, rebuilt when the projection changes
+let cellCorners = null;
+let cellCornersKey = null;
+let cellCornersData = null;
+
+// Monthly colour mode: palette bins of every cell and month for the current data and variable
+let monthColorCache = null;
+
+// Change mode: rows of STATE.data whose class differs from the compared period, and the transition picked in the matrix
+let changedRows = [];
+let highlightedTransition = null;
+let periodChangeToken = 0;
+// A comparison is loading and owns the loading overlay
+let periodChangePending = false;
+
 // Currently hovered datum (used for visual highlight)
 let hoveredDatum = null;
+// Climate type of the scatter-plot hull under the pointer (highlighted like a hovered class)
+let highlightedClass = null;
+// Bumped on every scatter-plot selection change, for the climate layer cache key
+let scatterSelectionVersion = 0;
 
 // Offscreen caches for staged rendering.
 let oceanCache = null;
 let countriesCache = null;
+let contoursCache = null;
+let boundariesCache = null;
 let climateLayerCache = null;
 let oceanCacheCtx = null;
 let countriesCacheCtx = null;
+let contoursCacheCtx = null;
+let boundariesCacheCtx = null;
 let climateLayerCacheCtx = null;
 let lastOceanCacheZoom = null;
 let lastCountriesCacheZoom = null;
+let contoursCacheKey = "";
+let boundariesCacheKey = "";
 let climateLayerKey = "";
 let interactionSnapshotCanvas = null;
 let interactionSnapshotCtx = null;
@@ -95,6 +145,10 @@ const OCEAN_GLOW_LAYERS = [
 ];
 const OCEAN_VIEWPORT_BUFFER_PX = 110;
 const REFINE_START_DELAY_MS = 120;
+// Screen margin (px) kept around a scatter-plot selection when zooming to it
+const SELECTION_ZOOM_PADDING = 40;
+// Margin (px) around the world outline in a whole-world SVG export, so edge symbols are not cut off
+const SVG_WORLD_MARGIN = 10;
 const CAN_USE_PATH2D = typeof Path2D === "function";
 
 function getViewportProjectedBounds(transform = STATE.zoomTransform) {
@@ -235,7 +289,7 @@ function updateCountryLabelPoints() {
         const labelLon = Number.isFinite(+props.LABEL_X) ? +props.LABEL_X : null;
         const labelLat = Number.isFinite(+props.LABEL_Y) ? +props.LABEL_Y : null;
         const lonLat = (labelLon !== null && labelLat !== null) ? [labelLon, labelLat] : d3.geoCentroid(feature);
-        const projected = Array.isArray(lonLat) ? STATE.projection(lonLat) : null;
+        const projected = Array.isArray(lonLat) ? projectVisible(STATE.projection, lonLat) : null;
         if (Array.isArray(projected) && projected.every(Number.isFinite)) {
             feature._labelPoint = projected;
         } else {
@@ -299,6 +353,13 @@ function getViewportLonLatBoundsFromProjectedBounds(bounds) {
     return { minLon, maxLon, minLat, maxLat };
 }
 
+// Lon/lat range of graticule lines to draw. Only rectangular outlines can be inverted corner by corner;
+// for curved outlines whole-globe lines are drawn and d3.geoPath clips them to the projection.
+function getGraticuleLonLatBounds(bounds) {
+    if (isRectangularProjection()) return getViewportLonLatBoundsFromProjectedBounds(bounds);
+    return { minLon: -180, maxLon: 180, minLat: -90, maxLat: 90 };
+}
+
 function buildParallelLine(lat, minLon, maxLon, lonStep) {
     if (!Number.isFinite(lat) || !Number.isFinite(minLon) || !Number.isFinite(maxLon)) return null;
     if (minLon >= maxLon) return null;
@@ -341,8 +402,35 @@ function makeTransformSnapshot(transform = STATE.zoomTransform) {
     return { x: transform.x, y: transform.y, k: transform.k };
 }
 
+// Highlight key of a datum: its class, or its from→to transition in change mode
+function highlightKeyOf(d) {
+    if (!d) return null;
+    if (symbolStyle === "change") return d.kgChange ? d.kgChange.key : null;
+    return d.kg_type;
+}
+
+// Locked/hovered highlight keys for the climate layer; a transition picked in the matrix acts as a lock
+function getHighlightTypes() {
+    const { locked, data: lockedData } = getLockState();
+    let lockedType = locked ? highlightKeyOf(lockedData) : null;
+    if (symbolStyle === "change" && highlightedTransition) lockedType = highlightedTransition;
+    let hoveredType = highlightKeyOf(hoveredDatum);
+    if (hoveredType === null && symbolStyle !== "change") hoveredType = highlightedClass;
+    return { lockedType, hoveredType };
+}
+
 function makeClimateLayerKey(transform, lockedType, hoveredType) {
-    return `${transform.k}|${transform.x}|${transform.y}|${symbolStyle}|${lockedType || ""}|${hoveredType || ""}`;
+    let colorKey = STATE.colorMode;
+    if (STATE.colorMode === "month") {
+        colorKey = `month:${STATE.monthVariable}:${STATE.month}`;
+    } else if (STATE.colorMode === "variable") {
+        colorKey = `variable:${STATE.colorVariable}:${STATE.colorScheme || ""}:${STATE.legendBand ? STATE.legendBand.join("-") : ""}`;
+    } else if (STATE.colorMode === "bivariate") {
+        colorKey = `bivariate:${STATE.bivariateSize}:${STATE.bivariateFilter ?? ""}`;
+    }
+    const glyphMonth = STATE.glyphMonthHighlight ?? "";
+    const classFilter = STATE.classFilter ? Array.from(STATE.classFilter).sort().join(",") : "*";
+    return `${transform.k}|${transform.x}|${transform.y}|${projectedCacheVersion}|${symbolStyle}|${glyphMonth}|${colorKey}|${classFilter}|${rangeFilterKey()}|${scatterSelectionVersion}|${lockedType || ""}|${hoveredType || ""}`;
 }
 
 function hasOceanCache(transform = STATE.zoomTransform) {
@@ -353,6 +441,26 @@ function hasCountriesCache(transform = STATE.zoomTransform) {
     return !!countriesCache && isCacheTransformMatch(lastCountriesCacheZoom, transform);
 }
 
+// Contours are keyed by the view and the contour set (variable, levels and data)
+function makeContoursCacheKey(transform) {
+    const contourSet = getContourSet(STATE.data);
+    return `${transform.k}|${transform.x}|${transform.y}|${projectedCacheVersion}|${contourSet ? contourSet.version : ""}`;
+}
+
+function hasContoursCache(transform = STATE.zoomTransform) {
+    return !!contoursCache && contoursCacheKey === makeContoursCacheKey(transform);
+}
+
+// Class boundaries are keyed by the view and the boundary lines at the zoom's simplification tolerance
+function makeBoundariesCacheKey(transform) {
+    const boundaries = getClassBoundaries(STATE.data, simplifyToleranceForZoom(transform.k));
+    return `${transform.k}|${transform.x}|${transform.y}|${projectedCacheVersion}|${boundaries ? boundaries.version : ""}`;
+}
+
+function hasBoundariesCache(transform = STATE.zoomTransform) {
+    return !!boundariesCache && boundariesCacheKey === makeBoundariesCacheKey(transform);
+}
+
 function hasClimateLayerCache(transform = STATE.zoomTransform, lockedType = null, hoveredType = null) {
     return !!climateLayerCache && climateLayerKey === makeClimateLayerKey(transform, lockedType, hoveredType);
 }
@@ -361,6 +469,8 @@ function hasClimateLayerCache(transform = STATE.zoomTransform, lockedType = null
 function invalidateCaches() {
     lastOceanCacheZoom = null;
     lastCountriesCacheZoom = null;
+    contoursCacheKey = "";
+    boundariesCacheKey = "";
     climateLayerKey = "";
 }
 
@@ -374,6 +484,14 @@ function initCaches() {
         countriesCache = document.createElement('canvas');
         countriesCacheCtx = countriesCache.getContext('2d');
     }
+    if (!contoursCache) {
+        contoursCache = document.createElement('canvas');
+        contoursCacheCtx = contoursCache.getContext('2d');
+    }
+    if (!boundariesCache) {
+        boundariesCache = document.createElement('canvas');
+        boundariesCacheCtx = boundariesCache.getContext('2d');
+    }
     if (!climateLayerCache) {
         climateLayerCache = document.createElement('canvas');
         climateLayerCacheCtx = climateLayerCache.getContext('2d');
@@ -382,7 +500,7 @@ function initCaches() {
 
 // Resize caches to match main canvas
 function resizeCaches() {
-    if (!oceanCache || !countriesCache || !climateLayerCache) return;
+    if (!oceanCache || !countriesCache || !contoursCache || !boundariesCache || !climateLayerCache) return;
     const w = canvas.width;
     const h = canvas.height;
     if (oceanCache.width !== w || oceanCache.height !== h) {
@@ -393,6 +511,14 @@ function resizeCaches() {
         countriesCache.width = w;
         countriesCache.height = h;
     }
+    if (contoursCache.width !== w || contoursCache.height !== h) {
+        contoursCache.width = w;
+        contoursCache.height = h;
+    }
+    if (boundariesCache.width !== w || boundariesCache.height !== h) {
+        boundariesCache.width = w;
+        boundariesCache.height = h;
+    }
     if (climateLayerCache.width !== w || climateLayerCache.height !== h) {
         climateLayerCache.width = w;
         climateLayerCache.height = h;
@@ -403,61 +529,67 @@ function generateOceanCache(transform = STATE.zoomTransform) {
     if (!OCEAN || !oceanCacheCtx) return;
     oceanCacheCtx.clearRect(0, 0, oceanCache.width, oceanCache.height);
     oceanCacheCtx.setTransform(CANVAS_DPR, 0, 0, CANVAS_DPR, 0, 0);
+    drawOceanLayer(oceanCacheCtx, transform);
+    lastOceanCacheZoom = makeTransformSnapshot(transform);
+}
+
+// Path2D geometry is only usable on a canvas; the SVG export traces paths through its context
+function canUsePath2D(drawCtx) {
+    return CAN_USE_PATH2D && !(drawCtx instanceof SvgContext);
+}
+
+// Ocean fill with a soft glow along the coasts (DPR transform space)
+function drawOceanLayer(drawCtx, transform = STATE.zoomTransform) {
+    if (!OCEAN) return;
     let fallbackPath = null;
     const { x, y, k } = transform;
     const viewportBounds = getViewportProjectedBounds(transform);
     const bufferProjected = OCEAN_VIEWPORT_BUFFER_PX / Math.max(k, 1e-6);
     const visibleFeatures = getVisibleOceanFeatures(viewportBounds, bufferProjected);
-    const visiblePath2D = buildCombinedProjectedPath2D(visibleFeatures);
+    if (!visibleFeatures.length) return;
+    const visiblePath2D = canUsePath2D(drawCtx) ? buildCombinedProjectedPath2D(visibleFeatures) : null;
 
-    if (!visibleFeatures.length) {
-        lastOceanCacheZoom = makeTransformSnapshot(transform);
-        return;
-    }
-
-    oceanCacheCtx.save();
-    oceanCacheCtx.translate(x, y);
-    oceanCacheCtx.scale(k, k);
+    drawCtx.save();
+    drawCtx.translate(x, y);
+    drawCtx.scale(k, k);
 
     if (visiblePath2D) {
-        oceanCacheCtx.fillStyle = "#e2f4fc";
-        oceanCacheCtx.fill(visiblePath2D, "evenodd");
+        drawCtx.fillStyle = "#e2f4fc";
+        drawCtx.fill(visiblePath2D, "evenodd");
 
-        oceanCacheCtx.save();
-        oceanCacheCtx.clip(visiblePath2D, "evenodd");
+        drawCtx.save();
+        drawCtx.clip(visiblePath2D, "evenodd");
         for (const layer of OCEAN_GLOW_LAYERS) {
             const glowColor = layer.color || "250, 252, 255";
-            oceanCacheCtx.strokeStyle = `rgba(${glowColor}, ${layer.alpha})`;
-            oceanCacheCtx.lineWidth = layer.width / k;
-            oceanCacheCtx.lineCap = "round";
-            oceanCacheCtx.lineJoin = "round";
-            oceanCacheCtx.stroke(visiblePath2D);
+            drawCtx.strokeStyle = `rgba(${glowColor}, ${layer.alpha})`;
+            drawCtx.lineWidth = layer.width / k;
+            drawCtx.lineCap = "round";
+            drawCtx.lineJoin = "round";
+            drawCtx.stroke(visiblePath2D);
         }
-        oceanCacheCtx.restore();
+        drawCtx.restore();
     } else {
-        fallbackPath = d3.geoPath(STATE.projection, oceanCacheCtx);
-        oceanCacheCtx.beginPath();
+        fallbackPath = d3.geoPath(STATE.projection, drawCtx);
+        drawCtx.beginPath();
         for (const feature of visibleFeatures) {
             fallbackPath(feature);
         }
-        oceanCacheCtx.fillStyle = "#e2f4fc";
-        oceanCacheCtx.fill("evenodd");
+        drawCtx.fillStyle = "#e2f4fc";
+        drawCtx.fill("evenodd");
 
-        oceanCacheCtx.save();
-        oceanCacheCtx.clip("evenodd");
+        drawCtx.save();
+        drawCtx.clip("evenodd");
         for (const layer of OCEAN_GLOW_LAYERS) {
             const glowColor = layer.color || "250, 252, 255";
-            oceanCacheCtx.strokeStyle = `rgba(${glowColor}, ${layer.alpha})`;
-            oceanCacheCtx.lineWidth = layer.width / k;
-            oceanCacheCtx.lineCap = "round";
-            oceanCacheCtx.lineJoin = "round";
-            oceanCacheCtx.stroke();
+            drawCtx.strokeStyle = `rgba(${glowColor}, ${layer.alpha})`;
+            drawCtx.lineWidth = layer.width / k;
+            drawCtx.lineCap = "round";
+            drawCtx.lineJoin = "round";
+            drawCtx.stroke();
         }
-        oceanCacheCtx.restore();
+        drawCtx.restore();
     }
-    oceanCacheCtx.restore();
-
-    lastOceanCacheZoom = makeTransformSnapshot(transform);
+    drawCtx.restore();
 }
 
 // Generate countries cache
@@ -466,53 +598,209 @@ function generateCountriesCache(transform = STATE.zoomTransform) {
     
     countriesCacheCtx.clearRect(0, 0, countriesCache.width, countriesCache.height);
     countriesCacheCtx.setTransform(CANVAS_DPR, 0, 0, CANVAS_DPR, 0, 0);
-    
+    drawCountriesLayer(countriesCacheCtx, transform);
+    lastCountriesCacheZoom = makeTransformSnapshot(transform);
+}
+
+// Country outlines (DPR transform space)
+function drawCountriesLayer(drawCtx, transform = STATE.zoomTransform) {
+    if (!COUNTRIES) return;
+    const usePath2D = canUsePath2D(drawCtx);
     let fallbackPath = null;
     const { x, y, k } = transform;
     const b = STATE.mapExtent;
     const viewportBounds = getViewportProjectedBounds(transform);
 
-    countriesCacheCtx.save();
-    countriesCacheCtx.translate(x, y);
-    countriesCacheCtx.scale(k, k);
+    drawCtx.save();
+    drawCtx.translate(x, y);
+    drawCtx.scale(k, k);
 
     const zoomFactor = Math.min(k, 6);
-    countriesCacheCtx.strokeStyle = "#7a7a7a";
-    countriesCacheCtx.lineWidth = (0.15 + (zoomFactor - 1) / 5 * 1.5) / k;
-    countriesCacheCtx.globalAlpha = 0.45;
+    drawCtx.strokeStyle = "#7a7a7a";
+    drawCtx.lineWidth = (0.15 + (zoomFactor - 1) / 5 * 1.5) / k;
+    drawCtx.globalAlpha = 0.45;
 
     // Clip slightly inside world extent to avoid projection seam strokes on the outer rectangle.
-    if (b) {
+    // Curved outlines clip to the sphere; the content frame covers seam strokes along its edge.
+    if (!isRectangularProjection()) {
+        traceMapOutline(drawCtx);
+        drawCtx.clip();
+    } else if (b) {
         const insetScreenPx = 1;
         const insetProjected = insetScreenPx / Math.max(k, 1e-6);
-        countriesCacheCtx.beginPath();
-        countriesCacheCtx.rect(
+        drawCtx.beginPath();
+        drawCtx.rect(
             b.minX + insetProjected,
             b.minY + insetProjected,
             Math.max(0, (b.maxX - b.minX) - insetProjected * 2),
             Math.max(0, (b.maxY - b.minY) - insetProjected * 2)
         );
-        countriesCacheCtx.clip();
+        drawCtx.clip();
     }
 
     // Stroke features one-by-one to avoid collection-level seam joins that can form a rectangle.
     for (const feature of COUNTRIES.features || []) {
         if (!featureIntersectsProjectedBounds(feature, viewportBounds)) continue;
-        const featurePath = getProjectedPath2DForObject(feature);
+        const featurePath = usePath2D ? getProjectedPath2DForObject(feature) : null;
         if (featurePath) {
-            countriesCacheCtx.stroke(featurePath);
+            drawCtx.stroke(featurePath);
         } else {
-            if (!fallbackPath) fallbackPath = d3.geoPath(STATE.projection, countriesCacheCtx);
-            countriesCacheCtx.beginPath();
+            if (!fallbackPath) fallbackPath = d3.geoPath(STATE.projection, drawCtx);
+            drawCtx.beginPath();
             fallbackPath(feature);
-            countriesCacheCtx.stroke();
+            drawCtx.stroke();
         }
     }
     
     // Reset alpha
-    countriesCacheCtx.globalAlpha = 1.0;
-    countriesCacheCtx.restore();
-    lastCountriesCacheZoom = makeTransformSnapshot(transform);
+    drawCtx.globalAlpha = 1.0;
+    drawCtx.restore();
+}
+
+// Generate contours cache: isolines stroked in projected space, labels placed along them in screen space
+function generateContoursCache(transform = STATE.zoomTransform) {
+    if (!contoursCacheCtx) return;
+    contoursCacheCtx.setTransform(1, 0, 0, 1, 0, 0);
+    contoursCacheCtx.clearRect(0, 0, contoursCache.width, contoursCache.height);
+    contoursCacheKey = makeContoursCacheKey(transform);
+    contoursCacheCtx.setTransform(CANVAS_DPR, 0, 0, CANVAS_DPR, 0, 0);
+    drawContoursLayer(contoursCacheCtx, transform);
+}
+
+// Isolines and their labels (DPR transform space)
+function drawContoursLayer(drawCtx, transform = STATE.zoomTransform) {
+    const contourSet = getContourSet(STATE.data);
+    if (!contourSet || !STATE.projection) return;
+
+    const usePath2D = canUsePath2D(drawCtx);
+    const { x, y, k } = transform;
+    const path = d3.geoPath(STATE.projection);
+    const zoomFactor = Math.min(k, 6);
+
+    drawCtx.save();
+    drawCtx.translate(x, y);
+    drawCtx.scale(k, k);
+    if (!isRectangularProjection()) {
+        traceMapOutline(drawCtx);
+        drawCtx.clip();
+    }
+    drawCtx.strokeStyle = contourSet.color;
+    drawCtx.lineWidth = (CONTOUR_LINE_WIDTH + (zoomFactor - 1) / 5 * CONTOUR_LINE_WIDTH) / k;
+    drawCtx.lineJoin = "round";
+    for (const level of contourSet.levels) {
+        // Projected paths are cached on the feature until the projection changes, like the country outlines
+        if (level.feature._projPathVersion !== projectedCacheVersion) cacheProjectedGeometry(level.feature, path);
+        const levelPath = usePath2D ? getProjectedPath2DForObject(level.feature) : null;
+        if (levelPath) {
+            drawCtx.stroke(levelPath);
+        } else {
+            const fallbackPath = d3.geoPath(STATE.projection, drawCtx);
+            drawCtx.beginPath();
+            fallbackPath(level.feature);
+            drawCtx.stroke();
+        }
+    }
+    drawCtx.restore();
+
+    drawContourLabels(drawCtx, contourSet, transform);
+}
+
+// One label every CONTOUR_LABEL_SPACING screen pixels along each visible isoline, rotated along the line
+function drawContourLabels(labelCtx, contourSet, transform) {
+    const { x, y, k } = transform;
+    labelCtx.font = CONTOUR_LABEL_FONT;
+    labelCtx.textAlign = "center";
+    labelCtx.textBaseline = "middle";
+    labelCtx.lineJoin = "round";
+
+    for (const level of contourSet.levels) {
+        for (const line of level.feature.coordinates) {
+            let travelled = CONTOUR_LABEL_SPACING / 2;
+            let prev = null;
+            for (const lonLat of line) {
+                const p = projectVisible(STATE.projection, lonLat);
+                if (!p) {
+                    prev = null;
+                    continue;
+                }
+                const sx = p[0] * k + x;
+                const sy = p[1] * k + y;
+                if (prev) {
+                    const dx = sx - prev[0];
+                    const dy = sy - prev[1];
+                    const segment = Math.hypot(dx, dy);
+                    // Long jumps are wraps across the projection edge, not part of the line
+                    if (segment > CONTOUR_LABEL_SPACING) {
+                        prev = [sx, sy];
+                        continue;
+                    }
+                    travelled += segment;
+                    if (travelled >= CONTOUR_LABEL_SPACING && sx > 0 && sx < STATE.width && sy > 0 && sy < STATE.height) {
+                        travelled = 0;
+                        // Keep the text upright
+                        let angle = Math.atan2(dy, dx);
+                        if (angle > Math.PI / 2) angle -= Math.PI;
+                        if (angle < -Math.PI / 2) angle += Math.PI;
+                        labelCtx.save();
+                        labelCtx.translate(sx, sy);
+                        labelCtx.rotate(angle);
+                        labelCtx.strokeStyle = CONTOUR_LABEL_HALO;
+                        labelCtx.lineWidth = CONTOUR_LABEL_HALO_WIDTH;
+                        labelCtx.strokeText(level.label, 0, 0);
+                        labelCtx.fillStyle = contourSet.color;
+                        labelCtx.fillText(level.label, 0, 0);
+                        labelCtx.restore();
+                    }
+                }
+                prev = [sx, sy];
+            }
+        }
+    }
+}
+
+// Generate class boundaries cache: subtype boundaries first, main-group boundaries stroked over them
+function generateBoundariesCache(transform = STATE.zoomTransform) {
+    if (!boundariesCacheCtx) return;
+    boundariesCacheCtx.setTransform(1, 0, 0, 1, 0, 0);
+    boundariesCacheCtx.clearRect(0, 0, boundariesCache.width, boundariesCache.height);
+    boundariesCacheKey = makeBoundariesCacheKey(transform);
+    boundariesCacheCtx.setTransform(CANVAS_DPR, 0, 0, CANVAS_DPR, 0, 0);
+    drawBoundariesLayer(boundariesCacheCtx, transform);
+}
+
+// Class boundary lines (DPR transform space)
+function drawBoundariesLayer(drawCtx, transform = STATE.zoomTransform) {
+    const boundaries = getClassBoundaries(STATE.data, simplifyToleranceForZoom(transform.k));
+    if (!boundaries || !STATE.projection) return;
+
+    const usePath2D = canUsePath2D(drawCtx);
+    const { x, y, k } = transform;
+    const path = d3.geoPath(STATE.projection);
+    drawCtx.save();
+    drawCtx.translate(x, y);
+    drawCtx.scale(k, k);
+    if (!isRectangularProjection()) {
+        traceMapOutline(drawCtx);
+        drawCtx.clip();
+    }
+    drawCtx.lineJoin = "round";
+    drawCtx.lineCap = "round";
+    for (const [feature, style] of [[boundaries.sub, BOUNDARY_SUB_STYLE], [boundaries.main, BOUNDARY_MAIN_STYLE]]) {
+        // Projected paths are cached on the feature until the projection changes
+        if (feature._projPathVersion !== projectedCacheVersion) cacheProjectedGeometry(feature, path);
+        drawCtx.strokeStyle = style.color;
+        drawCtx.lineWidth = style.width / k;
+        const featurePath = usePath2D ? getProjectedPath2DForObject(feature) : null;
+        if (featurePath) {
+            drawCtx.stroke(featurePath);
+        } else {
+            const fallbackPath = d3.geoPath(STATE.projection, drawCtx);
+            drawCtx.beginPath();
+            fallbackPath(feature);
+            drawCtx.stroke();
+        }
+    }
+    drawCtx.restore();
 }
 
 function drawClimateLayerToCache(transform = STATE.zoomTransform, lockedType = null, hoveredType = null) {
@@ -522,16 +810,17 @@ function drawClimateLayerToCache(transform = STATE.zoomTransform, lockedType = n
     climateLayerCacheCtx.setTransform(1, 0, 0, 1, 0, 0);
     climateLayerCacheCtx.clearRect(0, 0, climateLayerCache.width, climateLayerCache.height);
     climateLayerCacheCtx.setTransform(CANVAS_DPR, 0, 0, CANVAS_DPR, 0, 0);
-    if (symbolStyle === "point") {
-        drawPointsBatchOnContext(climateLayerCacheCtx, transform, lockedType, hoveredType);
-    } else {
-        drawGlyphsBatchOnContext(climateLayerCacheCtx, transform, lockedType, hoveredType);
-    }
+    drawClimateSymbolsOnContext(climateLayerCacheCtx, transform, lockedType, hoveredType);
     climateLayerCacheCtx.globalAlpha = 1.0;
     climateLayerKey = makeClimateLayerKey(transform, lockedType, hoveredType);
 }
 
-function getCountryNameForDatum(d) {
+// Country of the previous lookup: neighbouring cells (consecutive rows) are usually in the same country,
+// so it is tested before scanning every feature
+let lastCountryFeature = null;
+
+// Country name at a climate row (Natural Earth ADMIN), cached on the row as d.countryName
+export function getCountryNameForDatum(d) {
     if (!d || d.countryName !== undefined || !COUNTRIES) return d ? (d.countryName || "") : "";
     const pt = [d.lon, d.lat];
 
@@ -556,6 +845,15 @@ function getCountryNameForDatum(d) {
         return false;
     }
 
+    function countryName(feature) {
+        return feature.properties?.ADMIN || feature.properties?.NAME || "";
+    }
+
+    if (lastCountryFeature && featureContainsPoint(lastCountryFeature, pt)) {
+        d.countryName = countryName(lastCountryFeature);
+        return d.countryName;
+    }
+
     for (const feature of COUNTRIES.features || []) {
         if (!feature._bbox) {
             feature._bbox = d3.geoBounds(feature);
@@ -567,7 +865,8 @@ function getCountryNameForDatum(d) {
         }
 
         if (featureContainsPoint(feature, pt)) {
-            d.countryName = feature.properties?.ADMIN || feature.properties?.NAME || "";
+            lastCountryFeature = feature;
+            d.countryName = countryName(feature);
             return d.countryName;
         }
     }
@@ -576,57 +875,53 @@ function getCountryNameForDatum(d) {
 }
 
 /* =========================================================
-   Data range and geometry parameters
+   Geometry parameters
+   Glyph scale ranges and the precipitation mapping live in shared.js (GLYPH_*, tempToR, precipToR)
    ========================================================= */
 
-const TEMP_MIN = -63.9375;
-const TEMP_MAX = 39.0;
-const PRECIP_MAX = 1519.375;
-
-const PRECIP_RADIUS_SCALE = 2.3;
 const DENSITY_FACTOR = 1.1;
 
-/* =========================================================
-   Precipitation nonlinear mapping parameters
-   ========================================================= */
-
-const X1 = 0.10;
-const X2 = 0.90;
-const Y1 = 0.20;
-const Y2 = 0.80;
-
-const R_MIN = 0.10;
-const R_MAX = 1;
-
 /* =========================================================
    Color and opacity parameters
    ========================================================= */
 
 const PRECIP_SAT_FACTOR = 0.75;
 const PRECIP_L_FACTOR   = 0.5;
-const PRECIP_ALPHA      = 0.5;
 
 const TEMP_FILL_SAT_FACTOR = 0.75;
 const TEMP_FILL_L_FACTOR   = 0.5;
-const TEMP_FILL_ALPHA      = 0.10;
 
 const TEMP_LINE_SAT_FACTOR = 0.75;
 const TEMP_LINE_L_FACTOR   = 0.5;
-const TEMP_LINE_ALPHA      = 1.0;
 const TEMP_LINE_WIDTH      = 0.1;
 const MAP_CONTENT_FRAME_COLOR = "#d6d6d6";
 const MAP_CONTENT_FRAME_WIDTH = 3;
 
-const JAN_LINE_ALPHA = 1.0;
+// Contour overlay (contours.js): isoline width at zoom 1 (grows with zoom like the country borders) and labels
+const CONTOUR_LINE_WIDTH = 0.8;
+const CONTOUR_LABEL_SPACING = 260;
+const CONTOUR_LABEL_FONT = `600 10px ${CITY_LABEL_FONT_FAMILY}`;
+const CONTOUR_LABEL_HALO = "rgba(255, 255, 255, 0.85)";
+const CONTOUR_LABEL_HALO_WIDTH = 3;
+
+// Köppen zone boundaries (class-boundaries.js): screen-pixel widths, main groups (A–E) stronger than subtypes
+const BOUNDARY_MAIN_STYLE = { color: "rgba(40, 40, 40, 0.85)", width: 1.2 };
+const BOUNDARY_SUB_STYLE = { color: "rgba(70, 70, 70, 0.5)", width: 0.5 };
+
+const CELL_ALPHA = 0.85;
+const CELL_DIM_ALPHA = 0.15;
+const CELL_SEAM_WIDTH = 0.6;
 
 const MAP_POINT_TEMP_SAT_FACTOR = 0.5;
 const MAP_POINT_TEMP_L_FACTOR = 0.75;
 const MAP_BUSY_LOADING_DELAY_MS = 140;
-const GLYPH_SAMPLE_SIZE = 2000;
-const GLYPH_FALLBACK_RADIUS = 1.2;
-const GLYPH_ANGLE_COUNT = 12;
-const GLYPH_SIN = Array.from({ length: GLYPH_ANGLE_COUNT }, (_, i) => Math.sin(i * 2 * Math.PI / GLYPH_ANGLE_COUNT));
-const GLYPH_COS = Array.from({ length: GLYPH_ANGLE_COUNT }, (_, i) => Math.cos(i * 2 * Math.PI / GLYPH_ANGLE_COUNT));
+
+// Largest symbol extent in units of the base glyph radius: the active glyph design's, else the classic glyph's
+// precipitation ring (points and cells keep the hover and hit-test radius they had before glyph designs)
+function symbolRadiusScale() {
+    const glyphType = getGlyphType(symbolStyle);
+    return glyphType ? glyphType.maxRadius : PRECIP_RADIUS_SCALE;
+}
 
 // Map-only point color helper: keep chart colors unchanged.
 function tempColorForMapPoint(baseColor) {
@@ -656,18 +951,12 @@ function beginInteractionBitmapMode() {
     resizeInteractionSnapshot();
     if (!interactionSnapshotCtx) return false;
     zoomStartTransform = { x: STATE.zoomTransform.x, y: STATE.zoomTransform.y, k: STATE.zoomTransform.k };
-    const { locked, data: lockedData } = getLockState();
-    const lockedType = locked ? (lockedData ? lockedData.kg_type : null) : null;
-    const hoveredType = hoveredDatum ? hoveredDatum.kg_type : null;
+    const { lockedType, hoveredType } = getHighlightTypes();
 
     interactionSnapshotCtx.setTransform(1, 0, 0, 1, 0, 0);
     interactionSnapshotCtx.clearRect(0, 0, interactionSnapshotCanvas.width, interactionSnapshotCanvas.height);
     interactionSnapshotCtx.setTransform(CANVAS_DPR, 0, 0, CANVAS_DPR, 0, 0);
-    if (symbolStyle === "point") {
-        drawPointsBatchOnContext(interactionSnapshotCtx, zoomStartTransform, lockedType, hoveredType);
-    } else {
-        drawGlyphsBatchOnContext(interactionSnapshotCtx, zoomStartTransform, lockedType, hoveredType);
-    }
+    drawClimateSymbolsOnContext(interactionSnapshotCtx, zoomStartTransform, lockedType, hoveredType);
     interactionSnapshotCtx.setTransform(1, 0, 0, 1, 0, 0);
     interactionSnapshotCtx.globalAlpha = 1.0;
 
@@ -753,34 +1042,34 @@ window.addEventListener("resize", resize);
    Data loading (moved to data.js)
    ========================================================= */
 
-// Data loading is handled by ./data.js (loadData, loadCountries)
+// Data loading is handled by ./data.js (loadInitialData, loadData), parsing runs in ./data-worker.js
 
 
 /* =========================================================
    Map projection
    ========================================================= */
 
-// Compute and set projection to fit current data and canvas size
+// Compute and set the selected projection (projections.js) to fit current data and canvas size
 function updateProjection() {
-    STATE.projection = d3.geoEquirectangular()
-        .fitExtent([[0, 0], [STATE.width, STATE.height]], {
-            type: "FeatureCollection",
-            features: STATE.data.map(d => ({
-                type: "Feature",
-                geometry: {
-                    type: "Point",
-                    coordinates: [d.lon, d.lat]
-                }
-            }))
-        });
+    const store = getClimateStore(STATE.data);
+    const extent = store
+        ? lonLatExtent(store.lon, store.lat)
+        : lonLatExtent(STATE.data.map(d => d.lon), STATE.data.map(d => d.lat));
+    STATE.projection = fitProjection(STATE.projectionId, extent, STATE.width, STATE.height, STATE.globeRotation);
     projectedCacheVersion += 1;
     computeProjectedFeatureBounds();
 }
 
 function updateProjectedDataCache() {
     if (!STATE.projection || !STATE.data) return;
+    // Columnar data: project straight into the store's px/py columns
+    const store = getClimateStore(STATE.data);
+    if (store) {
+        store.project(lonLat => projectVisible(STATE.projection, lonLat), projectedCacheVersion, projectionKey(STATE.projection));
+        return;
+    }
     STATE.data.forEach(d => {
-        const [px, py] = STATE.projection([d.lon, d.lat]);
+        const [px, py] = projectVisible(STATE.projection, [d.lon, d.lat]) || [NaN, NaN];
         d.px = px;
         d.py = py;
         d.projectedCacheVersion = projectedCacheVersion;
@@ -790,7 +1079,7 @@ function updateProjectedDataCache() {
 function updateProjectedCityLabelCache() {
     if (!STATE.projection || !CITY_LABELS?.length) return;
     CITY_LABELS.forEach(d => {
-        const [px, py] = STATE.projection([d.lon, d.lat]);
+        const [px, py] = projectVisible(STATE.projection, [d.lon, d.lat]) || [NaN, NaN];
         d.px = px;
         d.py = py;
         d.projectedCacheVersion = projectedCacheVersion;
@@ -799,6 +1088,18 @@ function updateProjectedCityLabelCache() {
 
 function buildGlyphRenderCache() {
     if (!STATE.data) return;
+    // Columnar data: radii as Float32 columns, colours once per class
+    const store = getClimateStore(STATE.data);
+    if (store) {
+        store.buildGlyphColumns(tempToR, precipToR);
+        store.setClassStyles(entry => ({
+            glyphPrecipFill: adjustColor(entry.color1, PRECIP_SAT_FACTOR, PRECIP_L_FACTOR),
+            glyphTempFill: adjustColor(entry.color1, TEMP_FILL_SAT_FACTOR, TEMP_FILL_L_FACTOR),
+            glyphTempStroke: adjustColor(entry.color1, TEMP_LINE_SAT_FACTOR, TEMP_LINE_L_FACTOR),
+            mapPointFill: tempColorForMapPoint(entry.color1)
+        }));
+        return;
+    }
     STATE.data.forEach(d => {
         d.tempR12 = d.t.map(v => tempToR(v));
         d.precipR12 = d.p.map(v => precipToR(v));
@@ -808,75 +1109,23 @@ function buildGlyphRenderCache() {
     });
 }
 
-function nearestDistanceFromQuadtree(quadtree, p) {
-    let minDist2 = Infinity;
-    quadtree.visit((node, x0, y0, x1, y1) => {
-        const dx = p.x < x0 ? x0 - p.x : p.x > x1 ? p.x - x1 : 0;
-        const dy = p.y < y0 ? y0 - p.y : p.y > y1 ? p.y - y1 : 0;
-        if (dx * dx + dy * dy > minDist2) return true;
-
-        if (!node.length) {
-            let q = node;
-            do {
-                if (q.data !== p) {
-                    const ddx = q.data.x - p.x;
-                    const ddy = q.data.y - p.y;
-                    const dist2 = ddx * ddx + ddy * ddy;
-                    if (dist2 < minDist2) minDist2 = dist2;
-                }
-                q = q.next;
-            } while (q);
-        }
-        return false;
-    });
-
-    return Number.isFinite(minDist2) ? Math.sqrt(minDist2) : NaN;
-}
-
 /* =========================================================
    Symbol radius estimation
    Based on median nearest-neighbor distance
    ========================================================= */
 
 // Estimate base symbol radius from median nearest-neighbor distance
+// (reuses the value computed by the data worker when the store was projected with the current projection)
 function computeSymbolRadius() {
-    const pts = STATE.data
-        .map(d => ({ x: d.px, y: d.py }))
-        .filter(p => Number.isFinite(p.x) && Number.isFinite(p.y));
-    if (pts.length < 2) {
-        STATE.symbolRadius = GLYPH_FALLBACK_RADIUS;
-        return;
-    }
-
-    const sampleSize = Math.min(GLYPH_SAMPLE_SIZE, pts.length);
-    const step = Math.max(1, Math.floor(pts.length / sampleSize));
-    const sampled = [];
-    for (let i = 0; i < pts.length && sampled.length < sampleSize; i += step) {
-        sampled.push(pts[i]);
-    }
-
-    const quadtree = d3.quadtree().x(p => p.x).y(p => p.y).addAll(pts);
-    const distances = [];
-    sampled.forEach(p => {
-        const dist = nearestDistanceFromQuadtree(quadtree, p);
-        if (Number.isFinite(dist)) {
-            distances.push(dist);
-        }
-    });
-
-    if (!distances.length) {
-        STATE.symbolRadius = GLYPH_FALLBACK_RADIUS;
+    const store = getClimateStore(STATE.data);
+    if (store && store.symbolRadius !== null && store.projectionKey === projectionKey(STATE.projection)) {
+        STATE.symbolRadius = store.symbolRadius;
         return;
     }
-
-    distances.sort((a, b) => a - b);
-    const m = Math.floor(distances.length / 2);
-    const median =
-        distances.length % 2
-            ? distances[m]
-            : 0.5 * (distances[m - 1] + distances[m]);
-
-    STATE.symbolRadius = Math.max(GLYPH_FALLBACK_RADIUS, median / 2);
+    const px = store ? store.px : STATE.data.map(d => d.px);
+    const py = store ? store.py : STATE.data.map(d => d.py);
+    STATE.symbolRadius = estimateSymbolRadius(px, py);
+    if (store) store.symbolRadius = STATE.symbolRadius;
 }
 
 /* =========================================================
@@ -885,6 +1134,13 @@ function computeSymbolRadius() {
    ========================================================= */
 
 function computeMapBounds() {
+    // Globe: the visible cells change with every rotation, so bound the whole disc instead
+    if (isGlobeProjection()) {
+        const [[minX, minY], [maxX, maxY]] = d3.geoPath(STATE.projection).bounds(SPHERE);
+        STATE.mapBounds = { minX, maxX, minY, maxY };
+        return;
+    }
+
     let minX = Infinity, maxX = -Infinity;
     let minY = Infinity, maxY = -Infinity;
 
@@ -896,7 +1152,7 @@ function computeMapBounds() {
         maxY = Math.max(maxY, d.py);
     });
 
-    const pad = STATE.symbolRadius * DENSITY_FACTOR * PRECIP_RADIUS_SCALE * 2;
+    const pad = STATE.symbolRadius * DENSITY_FACTOR * symbolRadiusScale() * 2;
 
     if (!Number.isFinite(minX) || !Number.isFinite(maxX) || !Number.isFinite(minY) || !Number.isFinite(maxY)) {
         minX = 0;
@@ -917,25 +1173,25 @@ function computeMapBounds() {
    World extent
    ========================================================= */
 
+// Bounding box of the projected globe outline (the lon/lat rectangle for equirectangular)
 function computeMapExtent() {
-    const corners = [
-        [-180, -90],
-        [-180,  90],
-        [ 180, -90],
-        [ 180,  90]
-    ].map(c => STATE.projection(c));
+    const [[minX, minY], [maxX, maxY]] = d3.geoPath(STATE.projection).bounds(SPHERE);
+    STATE.mapExtent = { minX, maxX, minY, maxY };
+}
 
-    let minX = Infinity, maxX = -Infinity;
-    let minY = Infinity, maxY = -Infinity;
+// Rectangular outlines are drawn and clipped as plain rectangles; others follow the projected sphere
+function isRectangularProjection() {
+    return !!getProjectionDef(STATE.projectionId).rectangular;
+}
 
-    corners.forEach(([x, y]) => {
-        minX = Math.min(minX, x);
-        maxX = Math.max(maxX, x);
-        minY = Math.min(minY, y);
-        maxY = Math.max(maxY, y);
-    });
+function isGlobeProjection() {
+    return !!getProjectionDef(STATE.projectionId).globe;
+}
 
-    STATE.mapExtent = { minX, maxX, minY, maxY };
+// Trace the projected globe outline as the current path (projected coordinates)
+function traceMapOutline(drawCtx) {
+    drawCtx.beginPath();
+    d3.geoPath(STATE.projection, drawCtx)(SPHERE);
 }
 
 /* =========================================================
@@ -983,16 +1239,25 @@ function constrainTransform() {
    Background and graticules
    ========================================================= */
 
-function drawMapBackground(transform = STATE.zoomTransform) {
+function drawMapBackground(transform = STATE.zoomTransform, drawCtx = ctx) {
     const b = STATE.mapExtent;
     const { x, y, k } = transform;
 
-    ctx.setTransform(CANVAS_DPR, 0, 0, CANVAS_DPR, 0, 0);
-    ctx.fillStyle = "#ffffff";
-    ctx.fillRect(0, 0, STATE.width, STATE.height);
+    drawCtx.setTransform(CANVAS_DPR, 0, 0, CANVAS_DPR, 0, 0);
+    drawCtx.fillStyle = "#ffffff";
+    drawCtx.fillRect(0, 0, STATE.width, STATE.height);
 
-    ctx.fillStyle = "#ffffff";
-    ctx.fillRect(
+    drawCtx.fillStyle = "#ffffff";
+    if (!isRectangularProjection()) {
+        drawCtx.save();
+        drawCtx.translate(x, y);
+        drawCtx.scale(k, k);
+        traceMapOutline(drawCtx);
+        drawCtx.fill();
+        drawCtx.restore();
+        return;
+    }
+    drawCtx.fillRect(
         b.minX * k + x,
         b.minY * k + y,
         (b.maxX - b.minX) * k,
@@ -1000,7 +1265,7 @@ function drawMapBackground(transform = STATE.zoomTransform) {
     );
 }
 
-function drawMapContentFrame(transform = STATE.zoomTransform) {
+function drawMapContentFrame(transform = STATE.zoomTransform, drawCtx = ctx) {
     const b = STATE.mapExtent;
     if (!b) return;
     const { x, y, k } = transform;
@@ -1009,12 +1274,20 @@ function drawMapContentFrame(transform = STATE.zoomTransform) {
     const width = (b.maxX - b.minX) * k;
     const height = (b.maxY - b.minY) * k;
 
-    ctx.save();
-    ctx.setTransform(CANVAS_DPR, 0, 0, CANVAS_DPR, 0, 0);
-    ctx.strokeStyle = MAP_CONTENT_FRAME_COLOR;
-    ctx.lineWidth = MAP_CONTENT_FRAME_WIDTH;
-    ctx.strokeRect(left, top, width, height);
-    ctx.restore();
+    drawCtx.save();
+    drawCtx.setTransform(CANVAS_DPR, 0, 0, CANVAS_DPR, 0, 0);
+    drawCtx.strokeStyle = MAP_CONTENT_FRAME_COLOR;
+    if (isRectangularProjection()) {
+        drawCtx.lineWidth = MAP_CONTENT_FRAME_WIDTH;
+        drawCtx.strokeRect(left, top, width, height);
+    } else {
+        drawCtx.translate(x, y);
+        drawCtx.scale(k, k);
+        drawCtx.lineWidth = MAP_CONTENT_FRAME_WIDTH / k;
+        traceMapOutline(drawCtx);
+        drawCtx.stroke();
+    }
+    drawCtx.restore();
 }
 
 
@@ -1024,12 +1297,12 @@ function drawGraticules(transform = STATE.zoomTransform) {
     drawGraticulesViewport(transform, bounds);
 }
 
-function drawGraticulesViewport(transform = STATE.zoomTransform, bounds = getViewportProjectedBounds(transform)) {
+function drawGraticulesViewport(transform = STATE.zoomTransform, bounds = getViewportProjectedBounds(transform), drawCtx = ctx) {
     if (!showGraticules || !STATE.projection) return;
-    const geoBounds = getViewportLonLatBoundsFromProjectedBounds(bounds);
+    const geoBounds = getGraticuleLonLatBounds(bounds);
     if (!geoBounds) return;
 
-    const path = d3.geoPath(STATE.projection, ctx);
+    const path = d3.geoPath(STATE.projection, drawCtx);
     const { x, y, k } = transform;
     const lineSampleStep = k < 6 ? 1 : 0.5;
     const lonStartMinor = Math.ceil(geoBounds.minLon / 10) * 10;
@@ -1037,48 +1310,48 @@ function drawGraticulesViewport(transform = STATE.zoomTransform, bounds = getVie
     const latStartMinor = Math.ceil(geoBounds.minLat / 10) * 10;
     const latStartMajor = Math.ceil(geoBounds.minLat / 30) * 30;
 
-    ctx.save();
-    ctx.translate(x, y);
-    ctx.scale(k, k);
+    drawCtx.save();
+    drawCtx.translate(x, y);
+    drawCtx.scale(k, k);
 
     // Adjust stroke width based on zoom level
     const zoomFactor = Math.min(k, 6); // cap zoom effect at 6x
 
-    ctx.strokeStyle = "#e0e0e0";
-    ctx.lineWidth = (0.25 + (zoomFactor - 1) / 5 * 0.5) / k; // ranges from 0.25 to 0.75
+    drawCtx.strokeStyle = "#e0e0e0";
+    drawCtx.lineWidth = (0.25 + (zoomFactor - 1) / 5 * 0.5) / k; // ranges from 0.25 to 0.75
     for (let lon = lonStartMinor; lon <= geoBounds.maxLon; lon += 10) {
         const line = buildMeridianLine(lon, geoBounds.minLat, geoBounds.maxLat, lineSampleStep);
         if (!line) continue;
-        ctx.beginPath();
+        drawCtx.beginPath();
         path(line);
-        ctx.stroke();
+        drawCtx.stroke();
     }
     for (let lat = latStartMinor; lat <= geoBounds.maxLat; lat += 10) {
         const line = buildParallelLine(lat, geoBounds.minLon, geoBounds.maxLon, lineSampleStep);
         if (!line) continue;
-        ctx.beginPath();
+        drawCtx.beginPath();
         path(line);
-        ctx.stroke();
+        drawCtx.stroke();
     }
 
-    ctx.strokeStyle = "#c0c0c0";
-    ctx.lineWidth = (0.5 + (zoomFactor - 1) / 5 * 1.0) / k; // ranges from 0.5 to 1.5
+    drawCtx.strokeStyle = "#c0c0c0";
+    drawCtx.lineWidth = (0.5 + (zoomFactor - 1) / 5 * 1.0) / k; // ranges from 0.5 to 1.5
     for (let lon = lonStartMajor; lon <= geoBounds.maxLon; lon += 30) {
         const line = buildMeridianLine(lon, geoBounds.minLat, geoBounds.maxLat, lineSampleStep);
         if (!line) continue;
-        ctx.beginPath();
+        drawCtx.beginPath();
         path(line);
-        ctx.stroke();
+        drawCtx.stroke();
     }
     for (let lat = latStartMajor; lat <= geoBounds.maxLat; lat += 30) {
         const line = buildParallelLine(lat, geoBounds.minLon, geoBounds.maxLon, lineSampleStep);
         if (!line) continue;
-        ctx.beginPath();
+        drawCtx.beginPath();
         path(line);
-        ctx.stroke();
+        drawCtx.stroke();
     }
 
-    ctx.restore();
+    drawCtx.restore();
 }
 
 function drawGeographicLines(transform = STATE.zoomTransform) {
@@ -1087,18 +1360,18 @@ function drawGeographicLines(transform = STATE.zoomTransform) {
     drawGeographicLinesViewport(transform, bounds);
 }
 
-function drawGeographicLinesViewport(transform = STATE.zoomTransform, bounds = getViewportProjectedBounds(transform)) {
+function drawGeographicLinesViewport(transform = STATE.zoomTransform, bounds = getViewportProjectedBounds(transform), drawCtx = ctx) {
     if (!showGeoLines || !STATE.projection) return;
-    const geoBounds = getViewportLonLatBoundsFromProjectedBounds(bounds);
+    const geoBounds = getGraticuleLonLatBounds(bounds);
     if (!geoBounds) return;
 
-    const path = d3.geoPath(STATE.projection, ctx);
+    const path = d3.geoPath(STATE.projection, drawCtx);
     const { x, y, k } = transform;
     const lineSampleStep = k < 6 ? 1 : 0.5;
 
-    ctx.save();
-    ctx.translate(x, y);
-    ctx.scale(k, k);
+    drawCtx.save();
+    drawCtx.translate(x, y);
+    drawCtx.scale(k, k);
 
     // Adjust stroke width based on zoom level
     const zoomFactor = Math.min(k, 6); // cap zoom effect at 6x
@@ -1107,16 +1380,16 @@ function drawGeographicLinesViewport(transform = STATE.zoomTransform, bounds = g
         if (d.lat < geoBounds.minLat || d.lat > geoBounds.maxLat) return;
         const line = buildParallelLine(d.lat, geoBounds.minLon, geoBounds.maxLon, lineSampleStep);
         if (!line) return;
-        ctx.beginPath();
+        drawCtx.beginPath();
         path(line);
-        ctx.setLineDash(d.dashed ? [6 / k, 4 / k] : []);
-        ctx.strokeStyle = "#999999";
-        ctx.lineWidth = (0.25 + (zoomFactor - 1) / 5 * 0.5) / k; // ranges from 0.25 to 0.75
-        ctx.stroke();
-        ctx.setLineDash([]);
+        drawCtx.setLineDash(d.dashed ? [6 / k, 4 / k] : []);
+        drawCtx.strokeStyle = "#999999";
+        drawCtx.lineWidth = (0.25 + (zoomFactor - 1) / 5 * 0.5) / k; // ranges from 0.25 to 0.75
+        drawCtx.stroke();
+        drawCtx.setLineDash([]);
     });
 
-    ctx.restore();
+    drawCtx.restore();
 }
 
 function getLabelRankLimit(k) {
@@ -1141,9 +1414,9 @@ function getPopulationThreshold(k) {
     return 0;
 }
 
-function drawCityLabels(transform = STATE.zoomTransform, collision = null) {
+function drawCityLabels(transform = STATE.zoomTransform, collision = null, drawCtx = ctx) {
     if (!showCityLabels || !CITY_LABELS?.length || !STATE.projection) return;
-    ctx.setTransform(CANVAS_DPR, 0, 0, CANVAS_DPR, 0, 0);
+    drawCtx.setTransform(CANVAS_DPR, 0, 0, CANVAS_DPR, 0, 0);
     const { x, y, k } = transform;
     const rankLimit = getLabelRankLimit(k);
     const popThreshold = getPopulationThreshold(k);
@@ -1219,22 +1492,22 @@ function drawCityLabels(transform = STATE.zoomTransform, collision = null) {
         return false;
     };
 
-    ctx.textAlign = "center";
-    ctx.textBaseline = "middle";
-    ctx.strokeStyle = CITY_LABEL_HALO;
-    ctx.lineWidth = CITY_LABEL_HALO_WIDTH;
-    ctx.lineJoin = "round";
+    drawCtx.textAlign = "center";
+    drawCtx.textBaseline = "middle";
+    drawCtx.strokeStyle = CITY_LABEL_HALO;
+    drawCtx.lineWidth = CITY_LABEL_HALO_WIDTH;
+    drawCtx.lineJoin = "round";
 
     for (const d of visible) {
         const fontSize = getCityLabelFontSize(d._rank, k);
-        ctx.font = `${fontSize}px ${CITY_LABEL_FONT_FAMILY}`;
+        drawCtx.font = `${fontSize}px ${CITY_LABEL_FONT_FAMILY}`;
         const label = d.name;
         if (!label) continue;
         const isCapital = d._isCapital;
-        ctx.fillStyle = isCapital ? "#111111" : "#666666";
+        drawCtx.fillStyle = isCapital ? "#111111" : "#666666";
         const sx = d.px * k + x;
         const sy = d.py * k + y;
-        const textWidth = ctx.measureText(label).width;
+        const textWidth = drawCtx.measureText(label).width;
         const rect = {
             x: sx - (textWidth / 2) + CITY_LABEL_OFFSET_X - CITY_LABEL_PADDING,
             y: sy - (fontSize / 2) + CITY_LABEL_OFFSET_Y - CITY_LABEL_PADDING,
@@ -1249,10 +1522,10 @@ function drawCityLabels(transform = STATE.zoomTransform, collision = null) {
         addToGrid(rect);
         const textX = sx + CITY_LABEL_OFFSET_X;
         const textY = sy + CITY_LABEL_OFFSET_Y;
-        ctx.strokeText(label, textX, textY);
-        ctx.fillText(label, textX, textY);
+        drawCtx.strokeText(label, textX, textY);
+        drawCtx.fillText(label, textX, textY);
     }
-    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    drawCtx.setTransform(1, 0, 0, 1, 0, 0);
 }
 
 function getCountryLabelRankLimit(k) {
@@ -1262,9 +1535,9 @@ function getCountryLabelRankLimit(k) {
     return 5;
 }
 
-function drawCountryLabels(transform = STATE.zoomTransform, collision = null) {
+function drawCountryLabels(transform = STATE.zoomTransform, collision = null, drawCtx = ctx) {
     if (!showCountryLabels || !COUNTRIES?.features || !STATE.projection) return;
-    ctx.setTransform(CANVAS_DPR, 0, 0, CANVAS_DPR, 0, 0);
+    drawCtx.setTransform(CANVAS_DPR, 0, 0, CANVAS_DPR, 0, 0);
     updateCountryLabelPoints();
 
     const { x, y, k } = transform;
@@ -1338,22 +1611,22 @@ function drawCountryLabels(transform = STATE.zoomTransform, collision = null) {
         return false;
     };
 
-    ctx.textAlign = "center";
-    ctx.textBaseline = "middle";
-    ctx.fillStyle = COUNTRY_LABEL_COLOR;
-    ctx.strokeStyle = COUNTRY_LABEL_HALO;
-    ctx.lineWidth = COUNTRY_LABEL_HALO_WIDTH;
-    ctx.lineJoin = "round";
+    drawCtx.textAlign = "center";
+    drawCtx.textBaseline = "middle";
+    drawCtx.fillStyle = COUNTRY_LABEL_COLOR;
+    drawCtx.strokeStyle = COUNTRY_LABEL_HALO;
+    drawCtx.lineWidth = COUNTRY_LABEL_HALO_WIDTH;
+    drawCtx.lineJoin = "round";
 
     const fontSize = 10 * Math.max(0.9, Math.min(1.1, Math.pow(k, 0.1)));
-    ctx.font = `${fontSize}px ${CITY_LABEL_FONT_FAMILY}`;
+    drawCtx.font = `${fontSize}px ${CITY_LABEL_FONT_FAMILY}`;
 
     for (const d of visible) {
         const [px, py] = d.f._labelPoint;
         const sx = px * k + x;
         const sy = py * k + y;
         const labelText = d.label.toUpperCase();
-        const textWidth = ctx.measureText(labelText).width;
+        const textWidth = drawCtx.measureText(labelText).width;
         const rect = {
             x: sx - (textWidth / 2) - COUNTRY_LABEL_PADDING,
             y: sy - (fontSize / 2) - COUNTRY_LABEL_PADDING,
@@ -1362,10 +1635,10 @@ function drawCountryLabels(transform = STATE.zoomTransform, collision = null) {
         };
         if (collides(rect)) continue;
         addToGrid(rect);
-        ctx.strokeText(labelText, sx, sy);
-        ctx.fillText(labelText, sx, sy);
+        drawCtx.strokeText(labelText, sx, sy);
+        drawCtx.fillText(labelText, sx, sy);
     }
-    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    drawCtx.setTransform(1, 0, 0, 1, 0, 0);
 }
 
 /* =========================================================
@@ -1379,14 +1652,15 @@ function drawCountryLabels(transform = STATE.zoomTransform, collision = null) {
    Glyph rendering
    ========================================================= */
 
-// Draw a station's precipitation and temperature glyph at projected position (fill + outline + January line)
+// Draw a station's glyph at its projected position in the current glyph design (see glyphs.js)
 // lockedType: null (not locked) or kg_type string (locked to this type)
-function drawGlyphOnContext(drawCtx, d, transform, lockedType = null, hoveredType = null) {
+// filteredOut: the cell is outside the range filter or the scatter-plot selection and is faded
+function drawGlyphOnContext(drawCtx, d, transform, glyphType, lockedType = null, hoveredType = null, filteredOut = false) {
     // Quickly determine if this glyph should be faded
     // Priority: locked > hovered (if not locked) > none
     let glyphAlpha = 1.0;
     const highlightType = lockedType !== null ? lockedType : hoveredType;
-    if (highlightType !== null && d.kg_type !== highlightType) {
+    if ((highlightType !== null && d.kg_type !== highlightType) || !isClassVisible(d.kg_type) || filteredOut) {
         glyphAlpha = 0.2;
     }
 
@@ -1399,65 +1673,29 @@ function drawGlyphOnContext(drawCtx, d, transform, lockedType = null, hoveredTyp
     const cy = y0 * k + y;
 
     const R_BASE = STATE.symbolRadius * DENSITY_FACTOR * k;
-    const R_PRECIP = R_BASE * PRECIP_RADIUS_SCALE;
-    const tempR12 = d.tempR12 || d.t.map(v => tempToR(v));
-    const precipR12 = d.precipR12 || d.p.map(v => precipToR(v));
-    const precipFill = d.glyphPrecipFill || adjustColor(d.baseColor, PRECIP_SAT_FACTOR, PRECIP_L_FACTOR);
-    const tempFill = d.glyphTempFill || adjustColor(d.baseColor, TEMP_FILL_SAT_FACTOR, TEMP_FILL_L_FACTOR);
-    const tempStroke = d.glyphTempStroke || adjustColor(d.baseColor, TEMP_LINE_SAT_FACTOR, TEMP_LINE_L_FACTOR);
+    const style = {
+        alpha: glyphAlpha,
+        precipFill: d.glyphPrecipFill || adjustColor(d.baseColor, PRECIP_SAT_FACTOR, PRECIP_L_FACTOR),
+        tempFill: d.glyphTempFill || adjustColor(d.baseColor, TEMP_FILL_SAT_FACTOR, TEMP_FILL_L_FACTOR),
+        tempStroke: d.glyphTempStroke || adjustColor(d.baseColor, TEMP_LINE_SAT_FACTOR, TEMP_LINE_L_FACTOR),
+        lineWidth: TEMP_LINE_WIDTH * DENSITY_FACTOR * k
+    };
 
     drawCtx.save();
     drawCtx.translate(cx, cy);
-
-    // Precip ring
-    drawCtx.beginPath();
-    for (let i = 0; i < GLYPH_ANGLE_COUNT; i++) {
-        const r = precipR12[i] * R_PRECIP;
-        drawCtx.lineTo(GLYPH_SIN[i] * r, -GLYPH_COS[i] * r);
+    glyphType.draw(drawCtx, d, R_BASE, style);
+    if (STATE.glyphMonthHighlight !== null) {
+        glyphType.highlight(drawCtx, d, R_BASE, style, STATE.glyphMonthHighlight);
     }
-    drawCtx.closePath();
-    drawCtx.fillStyle = precipFill;
-    drawCtx.globalAlpha = PRECIP_ALPHA * glyphAlpha;
-    drawCtx.fill();
-
-    // Temp fill
-    drawCtx.beginPath();
-    for (let i = 0; i < GLYPH_ANGLE_COUNT; i++) {
-        const r = tempR12[i] * R_BASE;
-        drawCtx.lineTo(GLYPH_SIN[i] * r, -GLYPH_COS[i] * r);
-    }
-    drawCtx.closePath();
-    drawCtx.fillStyle = tempFill;
-    drawCtx.globalAlpha = TEMP_FILL_ALPHA * glyphAlpha;
-    drawCtx.fill();
-
-    // Temp outline
-    drawCtx.beginPath();
-    for (let i = 0; i < GLYPH_ANGLE_COUNT; i++) {
-        const r = tempR12[i] * R_BASE;
-        drawCtx.lineTo(GLYPH_SIN[i] * r, -GLYPH_COS[i] * r);
-    }
-    drawCtx.closePath();
-    drawCtx.strokeStyle = tempStroke;
-    drawCtx.globalAlpha = TEMP_LINE_ALPHA * glyphAlpha;
-    drawCtx.lineWidth = TEMP_LINE_WIDTH * DENSITY_FACTOR * k;
-    drawCtx.stroke();
-
-    // Jan line
-    const janR = tempR12[0] * R_BASE;
-    drawCtx.beginPath();
-    drawCtx.moveTo(0, 0);
-    drawCtx.lineTo(0, -janR);
-    drawCtx.lineWidth = TEMP_LINE_WIDTH * DENSITY_FACTOR * k;
-    drawCtx.globalAlpha = JAN_LINE_ALPHA * glyphAlpha;
-    drawCtx.stroke();
-
     drawCtx.restore();
 }
 
-// Batch render all points with optimized opacity handling and performance
+// Batch render all points with optimized opacity handling and performance.
+// Change mode draws only changed cells: fill = destination class, outline = origin class.
 function drawPointsBatchOnContext(drawCtx, transform, lockedType = null, hoveredType = null) {
-    if (!STATE.data || !STATE.data.length) return;
+    const changeMode = symbolStyle === "change";
+    const rows = changeMode ? changedRows : STATE.data;
+    if (!rows || !rows.length) return;
 
     const { x, y, k } = transform;
     const locked = lockedType !== null;
@@ -1473,7 +1711,12 @@ function drawPointsBatchOnContext(drawCtx, transform, lockedType = null, hovered
     const viewportTop = -viewportPadding - y / k;
     const viewportBottom = (STATE.height - y) / k + viewportPadding;
 
-    STATE.data.forEach(d => {
+    const baseAlpha = changeMode ? 0.9 : 0.6;
+    const outlineWidth = Math.max(1, pointRadius * 0.35);
+    const modeColors = changeMode ? null : getModeColors();
+    const filterMasks = changeMode ? [] : getFilterMasks();
+
+    rows.forEach((d, i) => {
         const x0 = d.px;
         const y0 = d.py;
         if (!Number.isFinite(x0) || !Number.isFinite(y0)) return;
@@ -1487,34 +1730,223 @@ function drawPointsBatchOnContext(drawCtx, transform, lockedType = null, hovered
         const cy = y0 * k + y;
 
         // Set opacity based on lock state or hover state
-        let pointAlpha = 0.6;
+        let pointAlpha = baseAlpha;
+        const key = changeMode ? d.kgChange.key : d.kg_type;
         
         // In point mode: apply transparency effect on hover (like Lock behavior)
         if (hoveredType && !locked) {
             // Hover effect: same type stays full opacity, others become semi-transparent
-            pointAlpha = d.kg_type !== hoveredType ? 0.1 : 0.6;
+            pointAlpha = key !== hoveredType ? 0.1 : baseAlpha;
         } else if (locked && lockedType) {
             // Lock effect: same type full opacity, others become semi-transparent
-            pointAlpha = d.kg_type !== lockedType ? 0.1 : 0.6;
+            pointAlpha = key !== lockedType ? 0.1 : baseAlpha;
         }
+        const bin = modeColors ? modeColorBin(modeColors, i) : -1;
+        if (modeColors && outsideLegendBand(modeColors, bin)) pointAlpha = 0.1;
+        if (!isClassVisible(d.kg_type) || isFilteredOut(filterMasks, i)) pointAlpha = 0.1;
         
         drawCtx.globalAlpha = pointAlpha;
 
         // Draw point with map-specific temperature color (lighter than chart tempColor).
         drawCtx.beginPath();
         drawCtx.arc(cx, cy, pointRadius, 0, 2 * Math.PI);
-        drawCtx.fillStyle = tempColorForMapPoint(d.baseColor);
+        drawCtx.fillStyle = changeMode
+            ? tempColorForMapPoint(d.kgChange.toColor)
+            : modeColors
+                ? (modeColors.palette[bin] || NO_VALUE_COLOR)
+                : (d.classStyle?.mapPointFill || tempColorForMapPoint(d.baseColor));
         drawCtx.fill();
+        if (changeMode) {
+            drawCtx.lineWidth = outlineWidth;
+            drawCtx.strokeStyle = d.kgChange.fromColor;
+            drawCtx.stroke();
+        }
     });
     
     // Reset global alpha
     drawCtx.globalAlpha = 1.0;
 }
 
+// Masks aligned with STATE.data that fade cells: the range filter and the scatter-plot selection
+function getFilterMasks() {
+    const masks = [];
+    const rangeMask = getRangeFilterMask(STATE.data);
+    if (rangeMask) masks.push(rangeMask);
+    const selection = STATE.scatterSelection;
+    if (selection && selection.data === STATE.data) masks.push(selection.mask);
+    return masks;
+}
+
+function isFilteredOut(masks, i) {
+    for (let m = 0; m < masks.length; m++) {
+        if (!masks[m][i]) return true;
+    }
+    return false;
+}
+
+// Precomputed palette bins of the month (month-player.js), variable (variables.js) or bivariate (bivariate.js)
+// colour mode, or null in class colour mode. The bin of row i is bins[i * stride + offset].
+function getModeColors() {
+    if (!STATE.data?.length) return null;
+    if (STATE.colorMode === "bivariate") {
+        const filter = STATE.bivariateFilter;
+        return {
+            palette: bivariatePalette(STATE.bivariateSize),
+            bins: getBivariateBins(STATE.data, STATE.bivariateSize),
+            stride: 1,
+            offset: 0,
+            band: filter !== null ? [filter, filter] : null
+        };
+    }
+    if (STATE.colorMode === "variable") {
+        const colors = getVariableColors(STATE.data);
+        return colors ? { palette: colors.palette, bins: colors.bins, stride: 1, offset: 0, band: STATE.legendBand } : null;
+    }
+    if (STATE.colorMode !== "month") return null;
+    const variable = STATE.monthVariable;
+    if (!monthColorCache || monthColorCache.data !== STATE.data || monthColorCache.variable !== variable) {
+        monthColorCache = {
+            data: STATE.data,
+            variable,
+            bins: buildMonthColorBins(STATE.data, variable),
+            palette: monthPalette(variable)
+        };
+    }
+    return { palette: monthColorCache.palette, bins: monthColorCache.bins, stride: 12, offset: STATE.month, band: null };
+}
+
+function modeColorBin(modeColors, i) {
+    return modeColors.bins[i * modeColors.stride + modeColors.offset];
+}
+
+// Cells outside the value band hovered in the variable legend (or the bivariate class picked in its legend) are dimmed
+function outsideLegendBand(modeColors, bin) {
+    return modeColors.band !== null && (bin < modeColors.band[0] || bin > modeColors.band[1]);
+}
+
+function hasCellCorners() {
+    return !!cellCorners && cellCornersKey === projectionKey(STATE.projection) && cellCornersData === STATE.data;
+}
+
+// Projected corners of each grid cell: 8 values (4 corners, counter-clockwise from south-west) per row of STATE.data,
+// cached per projection key (zooming and panning reuse them; a globe rotation needs new ones).
+// A cell with any corner clipped by the projection is NaN and skipped when drawing.
+function getCellCorners() {
+    const data = STATE.data;
+    if (hasCellCorners()) return cellCorners;
+    const store = getClimateStore(data);
+    const lon = store ? store.lon : data.map(d => d.lon);
+    const lat = store ? store.lat : data.map(d => d.lat);
+    const halfLon = gridStep(lon) / 2;
+    const halfLat = gridStep(lat) / 2;
+
+    const corners = new Float64Array(data.length * 8);
+    const offsets = [[-halfLon, -halfLat], [halfLon, -halfLat], [halfLon, halfLat], [-halfLon, halfLat]];
+    for (let i = 0; i < data.length; i++) {
+        const base = i * 8;
+        for (let c = 0; c < 4; c++) {
+            const cornerLat = Math.max(-90, Math.min(90, lat[i] + offsets[c][1]));
+            const p = projectVisible(STATE.projection, [lon[i] + offsets[c][0], cornerLat]);
+            corners[base + c * 2] = p ? p[0] : NaN;
+            corners[base + c * 2 + 1] = p ? p[1] : NaN;
+        }
+    }
+    cellCorners = corners;
+    cellCornersKey = projectionKey(STATE.projection);
+    cellCornersData = data;
+    return corners;
+}
+
+// Filled grid cells in their Köppen colour (or the colour mode's colour), batched into one path per colour and opacity
+function drawCellsBatchOnContext(drawCtx, transform, lockedType = null, hoveredType = null) {
+    if (!STATE.data || !STATE.data.length) return;
+    // Globe drag: the rotation changes every frame, so cells are previewed as points (already projected)
+    // and their corners are reprojected once when the drag ends
+    if (isZooming && !hasCellCorners()) {
+        drawPointsBatchOnContext(drawCtx, transform, lockedType, hoveredType);
+        return;
+    }
+    const corners = getCellCorners();
+    const { x, y, k } = transform;
+    const locked = lockedType !== null;
+    const bounds = getViewportProjectedBounds(transform);
+    const modeColors = getModeColors();
+    const filterMasks = getFilterMasks();
+
+    const groups = new Map();
+    STATE.data.forEach((d, i) => {
+        const base = i * 8;
+        let minX = Infinity, maxX = -Infinity, minY = Infinity, maxY = -Infinity;
+        for (let c = 0; c < 8; c += 2) {
+            const cx = corners[base + c];
+            const cy = corners[base + c + 1];
+            if (!Number.isFinite(cx) || !Number.isFinite(cy)) return;
+            if (cx < minX) minX = cx;
+            if (cx > maxX) maxX = cx;
+            if (cy < minY) minY = cy;
+            if (cy > maxY) maxY = cy;
+        }
+        if (maxX < bounds.minX || minX > bounds.maxX || maxY < bounds.minY || minY > bounds.maxY) return;
+
+        // Same dimming rules as points: hover dims other classes unless a class is locked
+        let alpha = CELL_ALPHA;
+        if (hoveredType && !locked) {
+            alpha = d.kg_type !== hoveredType ? CELL_DIM_ALPHA : CELL_ALPHA;
+        } else if (locked && lockedType) {
+            alpha = d.kg_type !== lockedType ? CELL_DIM_ALPHA : CELL_ALPHA;
+        }
+
+        const bin = modeColors ? modeColorBin(modeColors, i) : -1;
+        if (modeColors && outsideLegendBand(modeColors, bin)) alpha = CELL_DIM_ALPHA;
+        if (!isClassVisible(d.kg_type) || isFilteredOut(filterMasks, i)) alpha = CELL_DIM_ALPHA;
+        const color = modeColors ? (modeColors.palette[bin] || NO_VALUE_COLOR) : d.baseColor;
+        const groupKey = `${color}|${alpha}`;
+        let group = groups.get(groupKey);
+        if (!group) {
+            group = { color, alpha, indices: [] };
+            groups.set(groupKey, group);
+        }
+        group.indices.push(base);
+    });
+
+    // A thin stroke in the fill colour closes the anti-aliasing seams between neighbouring cells
+    drawCtx.lineWidth = CELL_SEAM_WIDTH;
+    drawCtx.lineJoin = "miter";
+    groups.forEach(group => {
+        drawCtx.globalAlpha = group.alpha;
+        drawCtx.fillStyle = group.color;
+        drawCtx.strokeStyle = group.color;
+        drawCtx.beginPath();
+        for (const base of group.indices) {
+            drawCtx.moveTo(corners[base] * k + x, corners[base + 1] * k + y);
+            for (let c = 2; c < 8; c += 2) {
+                drawCtx.lineTo(corners[base + c] * k + x, corners[base + c + 1] * k + y);
+            }
+            drawCtx.closePath();
+        }
+        drawCtx.fill();
+        drawCtx.stroke();
+    });
+
+    drawCtx.globalAlpha = 1.0;
+}
+
+// Draw the climate layer in the current symbol style
+function drawClimateSymbolsOnContext(drawCtx, transform, lockedType = null, hoveredType = null) {
+    if (isGlyphStyle(symbolStyle)) {
+        drawGlyphsBatchOnContext(drawCtx, transform, lockedType, hoveredType);
+    } else if (symbolStyle === "cell") {
+        drawCellsBatchOnContext(drawCtx, transform, lockedType, hoveredType);
+    } else {
+        drawPointsBatchOnContext(drawCtx, transform, lockedType, hoveredType);
+    }
+}
+
 function drawGlyphsBatchOnContext(drawCtx, transform, lockedType = null, hoveredType = null) {
     if (!STATE.data || !STATE.data.length) return;
     const { x, y, k } = transform;
-    const maxGlyphRadius = STATE.symbolRadius * DENSITY_FACTOR * PRECIP_RADIUS_SCALE * k;
+    const glyphType = getGlyphType(symbolStyle);
+    const maxGlyphRadius = STATE.symbolRadius * DENSITY_FACTOR * glyphType.maxRadius * k;
     if (maxGlyphRadius < 0.5) return;
 
     const viewportPadding = maxGlyphRadius + 2;
@@ -1523,12 +1955,14 @@ function drawGlyphsBatchOnContext(drawCtx, transform, lockedType = null, hovered
     const viewportTop = -viewportPadding - y / k;
     const viewportBottom = (STATE.height - y) / k + viewportPadding;
 
-    STATE.data.forEach(d => {
+    const filterMasks = getFilterMasks();
+
+    STATE.data.forEach((d, i) => {
         const x0 = d.px;
         const y0 = d.py;
         if (!Number.isFinite(x0) || !Number.isFinite(y0)) return;
         if (x0 < viewportLeft || x0 > viewportRight || y0 < viewportTop || y0 > viewportBottom) return;
-        drawGlyphOnContext(drawCtx, d, transform, lockedType, hoveredType);
+        drawGlyphOnContext(drawCtx, d, transform, glyphType, lockedType, hoveredType, isFilteredOut(filterMasks, i));
     });
 }
 
@@ -1540,36 +1974,22 @@ function drawGlyphsBatchOnContext(drawCtx, transform, lockedType = null, hovered
 const LABEL_RIGHT_PADDING = 8;
 const LABEL_BOTTOM_OFFSET = 16;
 
-function buildAxisLabelSpecs(width, height, zoomTransform) {
-    // Early return if neither layer is enabled
-    if (!showGraticules && !showGeoLines) {
-        return { latLabels: [], lonLabels: [] };
-    }
-
-    const { x, y, k } = zoomTransform;
-    const corners = [
-        [0, 0],
-        [width, 0],
-        [0, height],
-        [width, height]
-    ].map(([sx, sy]) => STATE.projection.invert([(sx - x) / k, (sy - y) / k]));
+// Latitude label text for graticules and reference lines
+function formatLatLabel(lat) {
+    return lat === 0 ? "0°" : (lat > 0 ? `${lat}°N` : `${-lat}°S`);
+}
 
-    let minLon = Infinity, maxLon = -Infinity;
-    let minLat = Infinity, maxLat = -Infinity;
-    corners.forEach(([lon, lat]) => {
-        minLon = Math.min(minLon, lon);
-        maxLon = Math.max(maxLon, lon);
-        minLat = Math.min(minLat, lat);
-        maxLat = Math.max(maxLat, lat);
-    });
+function formatLonLabel(lon) {
+    return lon === 0 ? "0°" : (lon > 0 ? `${lon}°E` : `${-lon}°W`);
+}
 
+// Latitudes that get a label: graticule steps and named reference lines within [minLat, maxLat]
+function collectLatLabelSpecs(minLat, maxLat, latStep) {
     const latSpecs = new Map();
     if (showGraticules) {
-        const latStep = k <= 3 ? 30 : 10;
         for (let lat = Math.ceil(minLat / latStep) * latStep; lat <= maxLat; lat += latStep) {
             if (lat < -90 || lat > 90) continue;
-            const label = lat === 0 ? "0°" : (lat > 0 ? `${lat}°N` : `${-lat}°S`);
-            latSpecs.set(lat, label);
+            latSpecs.set(lat, formatLatLabel(lat));
         }
     }
     if (showGeoLines) {
@@ -1579,10 +1999,35 @@ function buildAxisLabelSpecs(width, height, zoomTransform) {
             }
         });
     }
+    return latSpecs;
+}
+
+function buildAxisLabelSpecs(width, height, zoomTransform) {
+    // Early return if neither layer is enabled
+    if (!showGraticules && !showGeoLines) {
+        return { latLabels: [], lonLabels: [] };
+    }
+    if (getProjectionDef(STATE.projectionId).azimuthal) {
+        return buildAzimuthalAxisLabelSpecs(width, height, zoomTransform);
+    }
+    if (isGlobeProjection()) {
+        return buildGlobeAxisLabelSpecs(width, height, zoomTransform);
+    }
+
+    // Parallels are (close to) horizontal lines: invert the top and bottom of the viewport along the
+    // central meridian, falling back to the poles when the viewport extends past the outline
+    const { x, y, k } = zoomTransform;
+    const [centerX] = projectVisible(STATE.projection, [0, 0]);
+    const top = invertProjected(STATE.projection, [centerX, (0 - y) / k]);
+    const bottom = invertProjected(STATE.projection, [centerX, (height - y) / k]);
+    const maxLat = top ? top[1] : 90;
+    const minLat = bottom ? bottom[1] : -90;
+
+    const latSpecs = collectLatLabelSpecs(minLat, maxLat, k <= 3 ? 30 : 10);
 
     const latLabels = [];
     Array.from(latSpecs.keys()).sort((a, b) => a - b).forEach(lat => {
-        const [px, py] = STATE.projection([0, lat]);
+        const [, py] = projectVisible(STATE.projection, [0, lat]);
         const screenY = py * k + y;
         if (screenY > 0 && screenY < height) {
             latLabels.push({
@@ -1599,11 +2044,11 @@ function buildAxisLabelSpecs(width, height, zoomTransform) {
     if (showGraticules) {
         const lonStep = k <= 3 ? 30 : 10;
         for (let lon = -180; lon <= 180; lon += lonStep) {
-            const [px, py] = STATE.projection([lon, 0]);
+            const [px, py] = projectVisible(STATE.projection, [lon, 0]);
             const screenX = px * k + x;
             if (screenX > 0 && screenX < width) {
                 lonLabels.push({
-                    text: lon === 0 ? "0°" : (lon > 0 ? `${lon}°E` : `${-lon}°W`),
+                    text: formatLonLabel(lon),
                     baseX: screenX,
                     baseY: height - LABEL_BOTTOM_OFFSET,
                     align: "center",
@@ -1616,6 +2061,96 @@ function buildAxisLabelSpecs(width, height, zoomTransform) {
     return { latLabels, lonLabels };
 }
 
+// Polar views: latitude labels along the prime meridian, longitude labels just outside the rim
+const AZIMUTHAL_LABEL_OFFSET = 12;
+
+function buildAzimuthalAxisLabelSpecs(width, height, zoomTransform) {
+    const def = getProjectionDef(STATE.projectionId);
+    const { x, y, k } = zoomTransform;
+    const toScreen = p => p ? [p[0] * k + x, p[1] * k + y] : null;
+    const onScreen = p => p && p[0] > 0 && p[0] < width && p[1] > 0 && p[1] < height;
+    // The projection is rotated so that the pole sits at the centre
+    const poleLat = -STATE.projection.rotate()[1];
+    const poleScreen = toScreen(projectVisible(STATE.projection, [0, poleLat]));
+
+    const latLabels = [];
+    const latSpecs = collectLatLabelSpecs(-90, 90, k <= 3 ? 30 : 10);
+    Array.from(latSpecs.keys()).sort((a, b) => a - b).forEach(lat => {
+        const p = toScreen(projectVisible(STATE.projection, [0, lat]));
+        if (!onScreen(p)) return;
+        latLabels.push({
+            text: latSpecs.get(lat),
+            baseX: p[0] + 4,
+            baseY: p[1],
+            align: "left",
+            baseline: "middle"
+        });
+    });
+
+    const lonLabels = [];
+    if (showGraticules && poleScreen) {
+        const lonStep = k <= 3 ? 30 : 10;
+        for (let lon = -180; lon < 180; lon += lonStep) {
+            const p = toScreen(STATE.projection([lon, def.rimLat]));
+            if (!p) continue;
+            const dx = p[0] - poleScreen[0];
+            const dy = p[1] - poleScreen[1];
+            const len = Math.hypot(dx, dy) || 1;
+            const labelPos = [p[0] + dx / len * AZIMUTHAL_LABEL_OFFSET, p[1] + dy / len * AZIMUTHAL_LABEL_OFFSET];
+            if (!onScreen(labelPos)) continue;
+            lonLabels.push({
+                text: formatLonLabel(lon),
+                baseX: labelPos[0],
+                baseY: labelPos[1],
+                align: "center",
+                baseline: "middle"
+            });
+        }
+    }
+
+    return { latLabels, lonLabels };
+}
+
+// Globe: latitude labels along the central meridian, longitude labels along the equator (front hemisphere only)
+function buildGlobeAxisLabelSpecs(width, height, zoomTransform) {
+    const { x, y, k } = zoomTransform;
+    const centerLon = -STATE.projection.rotate()[0];
+    const toScreen = p => p ? [p[0] * k + x, p[1] * k + y] : null;
+    const onScreen = p => p && p[0] > 0 && p[0] < width && p[1] > 0 && p[1] < height;
+    const step = k <= 3 ? 30 : 10;
+
+    const latLabels = [];
+    const latSpecs = collectLatLabelSpecs(-90, 90, step);
+    Array.from(latSpecs.keys()).sort((a, b) => a - b).forEach(lat => {
+        const p = toScreen(projectVisible(STATE.projection, [centerLon, lat]));
+        if (!onScreen(p)) return;
+        latLabels.push({
+            text: latSpecs.get(lat),
+            baseX: p[0] + 4,
+            baseY: p[1],
+            align: "left",
+            baseline: "middle"
+        });
+    });
+
+    const lonLabels = [];
+    if (showGraticules) {
+        for (let lon = -180; lon < 180; lon += step) {
+            const p = toScreen(projectVisible(STATE.projection, [lon, 0]));
+            if (!onScreen(p)) continue;
+            lonLabels.push({
+                text: formatLonLabel(lon),
+                baseX: p[0],
+                baseY: p[1] + 4,
+                align: "center",
+                baseline: "top"
+            });
+        }
+    }
+
+    return { latLabels, lonLabels };
+}
+
 function renderAxisLabelSpecs(ctx, specs, fontSize, scale = 1) {
     ctx.font = `${fontSize}px Inter, system-ui`;
     ctx.globalAlpha = 1;
@@ -1668,6 +2203,13 @@ function ensureBaseLayerCaches(transform = STATE.zoomTransform, options = { ocea
     if (showBorders && options.countries && !hasCountriesCache(transform)) {
         generateCountriesCache(transform);
     }
+    // Contours and class boundaries are refined together with the countries
+    if (showContours && options.countries && !hasContoursCache(transform)) {
+        generateContoursCache(transform);
+    }
+    if (showClassBoundaries && options.countries && !hasBoundariesCache(transform)) {
+        generateBoundariesCache(transform);
+    }
 }
 
 function scheduleMapBusyLoadingOverlay() {
@@ -1749,9 +2291,15 @@ function composeFrameFromCaches({ transform = STATE.zoomTransform, drawLabels =
     if (showGraticules) drawGraticules(transform);
     if (showGeoLines) drawGeographicLines(transform);
     ctx.setTransform(1, 0, 0, 1, 0, 0);
+    if (showContours && contoursCache && hasContoursCache(transform)) {
+        ctx.drawImage(contoursCache, 0, 0);
+    }
     if (climateLayerCache) {
         ctx.drawImage(climateLayerCache, 0, 0);
     }
+    if (showClassBoundaries && boundariesCache && hasBoundariesCache(transform)) {
+        ctx.drawImage(boundariesCache, 0, 0);
+    }
     const labelCollision = (showCityLabels || showCountryLabels) ? { grid: new Map(), size: 160 } : null;
     drawCountryLabels(transform, labelCollision);
     drawCityLabels(transform, labelCollision);
@@ -1767,9 +2315,7 @@ function composeFrameFromCaches({ transform = STATE.zoomTransform, drawLabels =
 function redrawFastPostInteraction() {
     endInteractionBitmapMode();
     const transform = makeTransformSnapshot();
-    const { locked, data: lockedData } = getLockState();
-    const lockedType = locked ? (lockedData ? lockedData.kg_type : null) : null;
-    const hoveredType = hoveredDatum ? hoveredDatum.kg_type : null;
+    const { lockedType, hoveredType } = getHighlightTypes();
     initCaches();
     resizeCaches();
     drawClimateLayerToCache(transform, lockedType, hoveredType);
@@ -1823,9 +2369,7 @@ function redrawGlyphsOnly() {
     initCaches();
     resizeCaches();
     const transform = makeTransformSnapshot();
-    const { locked, data: lockedData } = getLockState();
-    const lockedType = locked ? (lockedData ? lockedData.kg_type : null) : null;
-    const hoveredType = hoveredDatum ? hoveredDatum.kg_type : null;
+    const { lockedType, hoveredType } = getHighlightTypes();
     drawClimateLayerToCache(transform, lockedType, hoveredType);
     drawMapBackground();
     drawMapContentFrame(transform);
@@ -1840,9 +2384,7 @@ function redraw(skipAxisLabels = false) {
     cancelRefineJob();
     endInteractionBitmapMode();
     const transform = makeTransformSnapshot();
-    const { locked, data: lockedData } = getLockState();
-    const lockedType = locked ? (lockedData ? lockedData.kg_type : null) : null;
-    const hoveredType = hoveredDatum ? hoveredDatum.kg_type : null;
+    const { lockedType, hoveredType } = getHighlightTypes();
     initCaches();
     resizeCaches();
     drawClimateLayerToCache(transform, lockedType, hoveredType);
@@ -1853,22 +2395,119 @@ function redraw(skipAxisLabels = false) {
     }
 }
 
-// Redraw map without axis labels for export
-function redrawMapForExport() {
-    redraw(true);
+/* =========================================================
+   Export rendering
+   ========================================================= */
+
+// Every map layer in screen order, each drawn in DPR transform space; an SvgContext gets one named group per layer
+function drawMapLayers(drawCtx, transform) {
+    const bounds = getViewportProjectedBounds(transform);
+    const { lockedType, hoveredType } = getHighlightTypes();
+    const layer = (id, draw) => {
+        drawCtx.beginGroup?.(id);
+        drawCtx.save();
+        drawCtx.setTransform(CANVAS_DPR, 0, 0, CANVAS_DPR, 0, 0);
+        draw();
+        drawCtx.restore();
+        drawCtx.endGroup?.();
+    };
+
+    layer("background", () => drawMapBackground(transform, drawCtx));
+    if (showOcean) layer("ocean", () => drawOceanLayer(drawCtx, transform));
+    if (showBorders) layer("countries", () => drawCountriesLayer(drawCtx, transform));
+    layer("frame", () => drawMapContentFrame(transform, drawCtx));
+    if (showGraticules) layer("graticules", () => drawGraticulesViewport(transform, bounds, drawCtx));
+    if (showGeoLines) layer("reference-lines", () => drawGeographicLinesViewport(transform, bounds, drawCtx));
+    if (showContours) layer("contours", () => drawContoursLayer(drawCtx, transform));
+    const climateLayerId = symbolStyle === "cell" ? "climate-cells" : (isGlyphStyle(symbolStyle) ? "climate-glyphs" : "climate-points");
+    layer(climateLayerId, () => drawClimateSymbolsOnContext(drawCtx, transform, lockedType, hoveredType));
+    if (showClassBoundaries) layer("class-boundaries", () => drawBoundariesLayer(drawCtx, transform));
+
+    layer("labels", () => {
+        const labelCollision = (showCityLabels || showCountryLabels) ? { grid: new Map(), size: 160 } : null;
+        if (showCountryLabels) layer("country-labels", () => drawCountryLabels(transform, labelCollision, drawCtx));
+        if (showCityLabels) layer("city-labels", () => drawCityLabels(transform, labelCollision, drawCtx));
+        if (showGraticules || showGeoLines) {
+            layer("axis-labels", () => renderAxisLabelSpecs(drawCtx, buildAxisLabelSpecs(STATE.width, STATE.height, transform), 11));
+        }
+    });
+
+    const { locked, data: lockedData } = getLockState();
+    if (locked && lockedData && Number.isFinite(lockedData.px) && Number.isFinite(lockedData.py)) {
+        layer("locked-marker", () => {
+            const R_BASE = STATE.symbolRadius * DENSITY_FACTOR * transform.k;
+            const outerR = Math.max(R_BASE * symbolRadiusScale(), R_BASE) * 1.35;
+            drawCtx.beginPath();
+            drawCtx.arc(lockedData.px * transform.k + transform.x, lockedData.py * transform.k + transform.y, outerR * 0.75, 0, 2 * Math.PI);
+            drawCtx.strokeStyle = adjustColor(lockedData.baseColor, 1, 0.4);
+            drawCtx.lineWidth = 3;
+            drawCtx.globalAlpha = 0.95;
+            drawCtx.stroke();
+        });
+    }
+}
+
+// Canvas context that renders the DPR transforms of the map layers at pixelRatio instead
+function withPixelRatio(targetCtx, pixelRatio) {
+    const factor = pixelRatio / CANVAS_DPR;
+    return new Proxy(targetCtx, {
+        get(target, prop) {
+            if (prop === "setTransform") {
+                return (a, b, c, d, e, f) => target.setTransform(a * factor, b * factor, c * factor, d * factor, e * factor, f * factor);
+            }
+            const value = target[prop];
+            return typeof value === "function" ? value.bind(target) : value;
+        },
+        set(target, prop, value) {
+            target[prop] = value;
+            return true;
+        }
+    });
+}
+
+// Redraw map without axis labels for export.
+// With { pixelRatio }, the current view is instead rendered offscreen at that resolution
+// (every layer redrawn, not the screen canvas upscaled) and the canvas is returned.
+function redrawMapForExport({ pixelRatio = null } = {}) {
+    if (!pixelRatio) {
+        redraw(true);
+        return null;
+    }
+    if (!STATE.projection || !STATE.data) return null;
+    const exportCanvas = document.createElement("canvas");
+    exportCanvas.width = Math.round(STATE.width * pixelRatio);
+    exportCanvas.height = Math.round(STATE.height * pixelRatio);
+    drawMapLayers(withPixelRatio(exportCanvas.getContext("2d"), pixelRatio), makeTransformSnapshot());
+    return exportCanvas;
+}
+
+// Layered vector export: every map layer as a named SVG group, drawn with the screen projection.
+// extent "viewport" exports the current view; "world" the unzoomed map, cropped to the world outline.
+function buildMapSvgForExport(extent = "viewport") {
+    if (!STATE.projection || !STATE.data) return null;
+    const world = extent === "world";
+    const transform = world ? { x: 0, y: 0, k: 1 } : makeTransformSnapshot();
+    const b = STATE.mapExtent;
+    const frame = world && b
+        ? { x: b.minX - SVG_WORLD_MARGIN, y: b.minY - SVG_WORLD_MARGIN, width: b.maxX - b.minX + SVG_WORLD_MARGIN * 2, height: b.maxY - b.minY + SVG_WORLD_MARGIN * 2 }
+        : { x: 0, y: 0, width: STATE.width, height: STATE.height };
+    const svg = new SvgContext({ ...frame, pixelRatio: CANVAS_DPR });
+    drawMapLayers(svg, transform);
+    return svg.toString();
 }
 
 // Export for use in export dialog
 window.redrawMapForExport = redrawMapForExport;
+window.buildMapSvgForExport = buildMapSvgForExport;
 // Allow restoring map layers after export
 window.redrawMap = redraw;
 
 // Helper: Calculate hover circle radius  
 function calcHoverRadius() {
     const R_BASE = STATE.symbolRadius * DENSITY_FACTOR * STATE.zoomTransform.k;
-    const R_PRECIP = R_BASE * PRECIP_RADIUS_SCALE;
-    const outerR = Math.max(R_PRECIP, R_BASE) * 1.35;
-    return { R_BASE, R_PRECIP, outerR };
+    const R_OUTER = R_BASE * symbolRadiusScale();
+    const outerR = Math.max(R_OUTER, R_BASE) * 1.35;
+    return { R_BASE, R_OUTER, outerR };
 }
 
 // Helper: Project datum to screen coordinates
@@ -1877,7 +2516,9 @@ function projectDatumToScreen(datum) {
     let x0 = datum.px;
     let y0 = datum.py;
     if (!Number.isFinite(x0) || !Number.isFinite(y0)) {
-        [x0, y0] = STATE.projection([datum.lon, datum.lat]);
+        const projected = projectVisible(STATE.projection, [datum.lon, datum.lat]);
+        if (!projected) return null;
+        [x0, y0] = projected;
     }
     return {
         cx: x0 * STATE.zoomTransform.k + STATE.zoomTransform.x,
@@ -1919,12 +2560,19 @@ function updateSearchMarker() {
     }
 
     // searchPoint: the searched location (search result location)
-    const [sx0, sy0] = STATE.projection([searchPoint.lon, searchPoint.lat]);
+    // searchMarker: nearest climate data point (climate data point to avoid)
+    const searchProjected = projectVisible(STATE.projection, [searchPoint.lon, searchPoint.lat]);
+    const markerProjected = projectVisible(STATE.projection, [searchMarker.lon, searchMarker.lat]);
+    // Clipped away by the current projection (e.g. other hemisphere of a polar view)
+    if (!searchProjected || !markerProjected) {
+        searchLayer.style("display", "none");
+        return;
+    }
+    const [sx0, sy0] = searchProjected;
     const sx = sx0 * STATE.zoomTransform.k + STATE.zoomTransform.x;
     const sy = sy0 * STATE.zoomTransform.k + STATE.zoomTransform.y;
 
-    // searchMarker: nearest climate data point (climate data point to avoid)
-    const [cx0, cy0] = STATE.projection([searchMarker.lon, searchMarker.lat]);
+    const [cx0, cy0] = markerProjected;
     const cx = cx0 * STATE.zoomTransform.k + STATE.zoomTransform.x;
     const cy = cy0 * STATE.zoomTransform.k + STATE.zoomTransform.y;
 
@@ -2015,6 +2663,13 @@ let scheduleFullRedraw = false;
 
 const zoomBehavior = d3.zoom()
     .scaleExtent([1, 20])
+    // Globe: one-pointer drags rotate the globe (globeDrag below); wheel and pinch still zoom
+    .filter(event => {
+        if (event.ctrlKey && event.type !== "wheel") return false;
+        if (event.button) return false;
+        if (!isGlobeProjection()) return true;
+        return event.type === "wheel" || event.type === "dblclick" || (event.touches && event.touches.length > 1);
+    })
     .on("zoom", e => {
         cancelRefineJob();
         if (zoomEndRaf) {
@@ -2025,7 +2680,7 @@ const zoomBehavior = d3.zoom()
         isZooming = true;
         scheduleFullRedraw = true;
 
-        if (symbolStyle === "glyph" && !isInteractingBitmapMode) {
+        if (isGlyphStyle(symbolStyle) && !isInteractingBitmapMode) {
             beginInteractionBitmapMode();
         }
         hoverLayer.style("display", "none");
@@ -2036,7 +2691,7 @@ const zoomBehavior = d3.zoom()
             zoomRaf = null;
             constrainTransform();
             // During active zoom in glyph mode: transform snapshot bitmap for smooth interaction
-            if (symbolStyle === "glyph" && isInteractingBitmapMode && drawInteractionBitmap()) {
+            if (isGlyphStyle(symbolStyle) && isInteractingBitmapMode && drawInteractionBitmap()) {
                 return;
             }
             // Point mode fallback keeps lightweight redraw behavior
@@ -2061,6 +2716,7 @@ const zoomBehavior = d3.zoom()
                 const epoch = renderEpoch;
                 redrawFastPostInteraction();
                 scheduleRefineJobWithDelay(epoch);
+                dispatcher.call("viewChanged", null, STATE.zoomTransform);
             });
         } else if (!pendingRefineJob) {
             clearMapBusyLoadingOverlay();
@@ -2069,6 +2725,70 @@ const zoomBehavior = d3.zoom()
 
 overlay.call(zoomBehavior);
 
+/* =========================================================
+   Globe rotation
+   Dragging in globe mode rotates the orthographic projection (STATE.globeRotation)
+   instead of panning the zoom transform.
+   ========================================================= */
+
+let globeDragRaf = null;
+
+// Apply STATE.globeRotation. While dragging only the climate cells are reprojected;
+// with full = true the base layers, labels and the quadtree are rebuilt for the new rotation as well.
+function applyGlobeRotation(full = false) {
+    if (!STATE.projection || !isGlobeProjection()) return;
+    STATE.projection.rotate(STATE.globeRotation);
+    projectedCacheVersion += 1;
+    updateProjectedDataCache();
+    if (!full) return;
+    computeProjectedFeatureBounds();
+    updateProjectedCityLabelCache();
+    updateCountryLabelPoints();
+    buildQuadtree();
+    invalidateCaches();
+}
+
+const globeDrag = d3.drag()
+    .filter(event => isGlobeProjection() && !event.ctrlKey && !event.button)
+    .on("start", () => {
+        cancelRefineJob();
+        isZooming = true;
+        hoverLayer.style("display", "none");
+        searchLayer.style("display", "none");
+    })
+    .on("drag", event => {
+        // One screen pixel at the centre of the disc spans 1 / (scale · k) radians
+        const degPerPixel = 180 / (Math.PI * STATE.projection.scale() * STATE.zoomTransform.k);
+        const [lambda, phi, gamma] = STATE.globeRotation;
+        STATE.globeRotation = [
+            lambda + event.dx * degPerPixel,
+            Math.max(-90, Math.min(90, phi - event.dy * degPerPixel)),
+            gamma
+        ];
+        if (globeDragRaf) return;
+        globeDragRaf = requestAnimationFrame(() => {
+            globeDragRaf = null;
+            applyGlobeRotation();
+            redrawGlyphsOnly();
+        });
+    })
+    .on("end", () => {
+        if (globeDragRaf) {
+            cancelAnimationFrame(globeDragRaf);
+            globeDragRaf = null;
+        }
+        isZooming = false;
+        applyGlobeRotation(true);
+        // Same staged refine as after zooming: climate layer first, then ocean and countries
+        renderEpoch += 1;
+        const epoch = renderEpoch;
+        redrawFastPostInteraction();
+        scheduleRefineJobWithDelay(epoch);
+        dispatcher.call("viewChanged", null, STATE.zoomTransform);
+    });
+
+overlay.call(globeDrag);
+
 
 // Hover and interaction handling
 const overlayNode = overlay.node();
@@ -2154,13 +2874,318 @@ dispatcher.on('unlock.map', () => {
     if (typeof redraw === 'function') redraw();
 })
 
-// Handle symbol style change (point vs glyph mode)
+// Periods compared in change mode: baseline → shown period, or baseline → first scenario while the baseline is shown
+function getComparedPeriods() {
+    const fromId = DEFAULT_DATASET_ID;
+    if (STATE.period && STATE.period !== fromId) return { fromId, toId: STATE.period };
+    const scenario = DATASETS.find(ds => ds.id !== fromId);
+    return { fromId, toId: scenario ? scenario.id : null };
+}
+
+// Name the compared periods in the change-mode legend (outline: baseline, fill: the other period)
+function updateChangeModeLabels() {
+    const { fromId, toId } = getComparedPeriods();
+    const from = getDataset(fromId);
+    const to = toId ? getDataset(toId) : null;
+    if (changeOutlineLabel && from) changeOutlineLabel.textContent = `Outline: ${from.label} class`;
+    if (changeFillLabel && to) changeFillLabel.textContent = `Fill: ${to.label} class`;
+}
+
+// Load both compared periods, flag changed cells of STATE.data and publish the transition matrix
+async function updatePeriodChange() {
+    const token = ++periodChangeToken;
+    const { fromId, toId } = getComparedPeriods();
+    if (!toId) {
+        console.warn("Change mode needs at least two periods in DATASETS");
+        return;
+    }
+
+    periodChangePending = true;
+    showLoading("Comparing periods...");
+    let fromData;
+    let toData;
+    try {
+        const options = {
+            width: STATE.width,
+            height: STATE.height,
+            projectionId: STATE.projectionId,
+            rotation: STATE.globeRotation,
+            onProgress: text => showLoading(`Comparing periods: ${text}`)
+        };
+        [fromData, toData] = await Promise.all([loadData(fromId, options), loadData(toId, options)]);
+    } catch (err) {
+        console.error("Failed to load periods for change mode:", err);
+        // A newer comparison owns the loading state
+        if (token !== periodChangeToken) return;
+        periodChangePending = false;
+        hideLoading();
+        if (symbolStyle === "change") {
+            dispatcher.call("symbolStyleChanged", null, "point");
+        }
+        return;
+    }
+    // Superseded by a newer comparison, or change mode was left (clearPeriodChange hid the overlay)
+    if (token !== periodChangeToken) return;
+    periodChangePending = false;
+
+    const summary = annotatePeriodChange(STATE.data, fromData, toData);
+    changedRows = STATE.data.filter(d => d.kgChange);
+    highlightedTransition = null;
+    invalidateCaches();
+    redraw();
+    hideLoading();
+    dispatcher.call("periodChangeComputed", null, {
+        ...summary,
+        from: getDataset(fromId),
+        to: getDataset(toId)
+    });
+}
+
+function clearPeriodChange() {
+    periodChangeToken += 1;
+    if (periodChangePending) {
+        periodChangePending = false;
+        hideLoading();
+    }
+    changedRows = [];
+    highlightedTransition = null;
+    dispatcher.call("periodChangeComputed", null, null);
+}
+
+// Handle symbol style change (point, a glyph design, cell or change mode)
 dispatcher.on('symbolStyleChanged.map', newStyle => {
+    const wasChange = symbolStyle === "change";
     symbolStyle = newStyle;
+    // Glyph designs differ in extent, so the bounds padding follows the style
+    if (STATE.projection && STATE.data?.length) computeMapBounds();
+    if (newStyle === "change") {
+        updatePeriodChange();
+    } else if (wasChange) {
+        clearPeriodChange();
+    }
     // Maintain current lock state while switching symbol style
     redraw();
 });
 
+// Colour mode change (Köppen class or monthly climate)
+dispatcher.on('colorModeChanged.map', mode => {
+    STATE.colorMode = mode;
+    redraw();
+});
+
+// Month or monthly variable change: only the climate layer changes, the key in makeClimateLayerKey invalidates it
+dispatcher.on('monthChanged.map', () => {
+    if (STATE.colorMode !== "month") return;
+    redraw();
+});
+
+// Choropleth variable/scheme change, or a value band hovered in its legend
+dispatcher.on('colorVariableChanged.map', () => {
+    if (STATE.colorMode !== "variable") return;
+    redraw();
+});
+dispatcher.on('legendHighlight.map', () => {
+    if (STATE.colorMode !== "variable") return;
+    redraw();
+});
+
+// Class legend filter: classes that are off are dimmed like unlocked classes
+dispatcher.on('classFilterChanged.map', () => {
+    redraw();
+});
+
+// Range filter: cells outside the brushed ranges are faded
+dispatcher.on('rangeFilterChanged.map', () => {
+    redraw();
+});
+
+// Contour variable or levels changed in the contour panel
+dispatcher.on('contoursChanged.map', () => {
+    if (!showContours) return;
+    redraw();
+});
+
+// Scatter-plot brush: cells outside the selection are faded
+dispatcher.on('scatterSelectionChanged.map', () => {
+    scatterSelectionVersion++;
+    redraw();
+});
+
+// Hull hovered in a scatter plot (null when the pointer leaves it)
+dispatcher.on('classHighlight.map', kgType => {
+    if (highlightedClass === kgType) return;
+    highlightedClass = kgType;
+    redraw();
+});
+
+// Fit the view to the projected positions of the selected cells
+dispatcher.on('zoomToSelection.map', selection => {
+    if (!selection || selection.data !== STATE.data) return;
+    let minX = Infinity, maxX = -Infinity, minY = Infinity, maxY = -Infinity;
+    STATE.data.forEach((d, i) => {
+        if (!selection.mask[i]) return;
+        const px = d.px;
+        const py = d.py;
+        if (!Number.isFinite(px) || !Number.isFinite(py)) return;
+        if (px < minX) minX = px;
+        if (px > maxX) maxX = px;
+        if (py < minY) minY = py;
+        if (py > maxY) maxY = py;
+    });
+    if (!Number.isFinite(minX)) return;
+
+    const [minK, maxK] = zoomBehavior.scaleExtent();
+    const pad = SELECTION_ZOOM_PADDING;
+    const spanX = Math.max(maxX - minX, 1);
+    const spanY = Math.max(maxY - minY, 1);
+    const k = Math.max(minK, Math.min(maxK, Math.min((STATE.width - 2 * pad) / spanX, (STATE.height - 2 * pad) / spanY)));
+    const newTransform = d3.zoomIdentity
+        .translate(STATE.width / 2 - k * (minX + maxX) / 2, STATE.height / 2 - k * (minY + maxY) / 2)
+        .scale(k);
+    overlay.interrupt();
+    overlay.transition()
+        .duration(900)
+        .ease(d3.easeCubicOut)
+        .call(zoomBehavior.transform, newTransform);
+});
+
+// Month hovered in the glyph legend: highlighted on every glyph
+dispatcher.on('glyphMonthHighlight.map', () => {
+    if (!isGlyphStyle(symbolStyle)) return;
+    redraw();
+});
+
+// Bivariate grid size or class filter change
+dispatcher.on('bivariateChanged.map', () => {
+    if (STATE.colorMode !== "bivariate") return;
+    redraw();
+});
+
+// Transition picked in the panel matrix (null clears it)
+dispatcher.on('transitionHighlight.map', key => {
+    highlightedTransition = symbolStyle === "change" ? (key || null) : null;
+    redraw();
+});
+
+// Handle period change: swap STATE.data and rebuild every data-derived cache
+let periodSwitchToken = 0;
+// Period whose data is being loaded (null when no switch is in flight)
+let pendingPeriod = null;
+
+async function switchPeriod(periodId) {
+    if (!STATE.projection) return;
+    // Back to the period on screen: invalidate the load in flight so it is not applied
+    if (periodId === STATE.period) {
+        if (pendingPeriod !== null) {
+            periodSwitchToken++;
+            pendingPeriod = null;
+            hideLoading();
+        }
+        return;
+    }
+    const dataset = getDataset(periodId);
+    if (!dataset) return;
+
+    const token = ++periodSwitchToken;
+    pendingPeriod = periodId;
+    showLoading(`Loading ${dataset.label}...`);
+    let data;
+    try {
+        data = await loadData(periodId, {
+            width: STATE.width,
+            height: STATE.height,
+            projectionId: STATE.projectionId,
+            rotation: STATE.globeRotation,
+            onProgress: text => showLoading(`${dataset.label}: ${text}`)
+        });
+    } catch (err) {
+        console.error(`Failed to load period ${periodId}:`, err);
+        // A newer switch owns the loading state and the selector
+        if (token !== periodSwitchToken) return;
+        pendingPeriod = null;
+        hideLoading();
+        // Keep the selector in sync with the data that is still shown
+        dispatcher.call("periodChanged", null, STATE.period);
+        return;
+    }
+    // A newer switch started while this one was loading
+    if (token !== periodSwitchToken) return;
+    pendingPeriod = null;
+
+    const { locked, data: lockedData } = getLockState();
+
+    cancelRefineJob();
+    endInteractionBitmapMode();
+    STATE.period = periodId;
+    STATE.data = data;
+    updateChangeModeLabels();
+    hoveredDatum = null;
+    changedRows = [];
+    buildGlyphRenderCache();
+    updateProjection();
+    updateProjectedDataCache();
+    updateProjectedCityLabelCache();
+    updateCountryLabelPoints();
+    computeSymbolRadius();
+    computeMapBounds();
+    computeMapExtent();
+    buildQuadtree();
+    constrainTransform();
+    invalidateCaches();
+
+    dispatcher.call("dataLoaded", null, STATE.data);
+
+    // Keep the locked location locked: re-lock the same grid cell of the new period
+    if (locked && lockedData) {
+        const next = findNearest(lockedData.lon, lockedData.lat);
+        if (next) {
+            next.countryName = next.countryName || lockedData.countryName;
+            setPanelLocked(true, next);
+            dispatcher.call("lock", null, next);
+        } else {
+            setPanelLocked(false, null);
+            dispatcher.call("unlock", null);
+        }
+    }
+
+    redraw();
+    hideLoading();
+    // After hiding the period overlay: the comparison shows its own until it is done
+    if (symbolStyle === "change") updatePeriodChange();
+}
+
+dispatcher.on('periodChanged.map', periodId => {
+    switchPeriod(periodId);
+});
+
+// Handle projection change: refit the projection and rebuild every projected cache
+function switchProjection(projectionId) {
+    const def = getProjectionDef(projectionId);
+    if (!STATE.projection || def.id === STATE.projectionId) return;
+
+    cancelRefineJob();
+    endInteractionBitmapMode();
+    STATE.projectionId = def.id;
+    hoveredDatum = null;
+    updateProjection();
+    updateProjectedDataCache();
+    updateProjectedCityLabelCache();
+    updateCountryLabelPoints();
+    computeSymbolRadius();
+    computeMapBounds();
+    computeMapExtent();
+    buildQuadtree();
+    // Projected coordinates changed entirely: return to the full view
+    overlay.interrupt().call(zoomBehavior.transform, d3.zoomIdentity);
+    constrainTransform();
+    invalidateCaches();
+    redraw();
+}
+
+dispatcher.on('projectionChanged.map', projectionId => {
+    switchProjection(projectionId);
+});
+
 // Track if a redraw is already scheduled
 let hoverRedrawScheduled = false;
 
@@ -2179,7 +3204,7 @@ function onMouseMove(e) {
     if (locked) return;
 
     // Use screen-space quadtree for fast nearest lookup
-    const pixelRadius = STATE.symbolRadius * DENSITY_FACTOR * PRECIP_RADIUS_SCALE * STATE.zoomTransform.k * 1.2;
+    const pixelRadius = STATE.symbolRadius * DENSITY_FACTOR * symbolRadiusScale() * STATE.zoomTransform.k * 1.2;
     const nearest = findNearestScreen(sx, sy, pixelRadius);
 
     // Only update state when hover target changes
@@ -2319,7 +3344,17 @@ function jumpToLocation(lat, lon, label) {
     searchPoint = { lat, lon };
 
     const targetZoom = 10;
-    const [x, y] = STATE.projection([lon, lat]);
+    // Globe: turn the location to the front first
+    if (isGlobeProjection()) {
+        STATE.globeRotation = [-lon, -lat, 0];
+        applyGlobeRotation(true);
+    }
+    const projected = projectVisible(STATE.projection, [lon, lat]);
+    if (!projected) {
+        console.warn(`${label || "Location"} is not visible in the current projection`);
+        return;
+    }
+    const [x, y] = projected;
 
     // Calculate center of screen
     const centerX = STATE.width / 2;
@@ -2501,6 +3536,8 @@ setupToggleControl(toggleBorders, (checked) => {
     invalidateCaches(); // Countries cache needs update
 });
 setupToggleControl(toggleGraticules, (checked) => { showGraticules = checked; });
+setupToggleControl(toggleContours, (checked) => { showContours = checked; });
+setupToggleControl(toggleClassBoundaries, (checked) => { showClassBoundaries = checked; });
 setupToggleControl(toggleGeoLines, (checked) => { showGeoLines = checked; });
 setupToggleControl(toggleCityLabels, (checked) => { showCityLabels = checked; });
 setupToggleControl(toggleCountryLabels, (checked) => { showCountryLabels = checked; });
@@ -2508,10 +3545,20 @@ setupToggleControl(toggleCountryLabels, (checked) => { showCountryLabels = check
 export async function init() {
     showLoading("Loading map...");
     resize();
-    STATE.data = await loadData();
-    COUNTRIES = await loadCountries();
-    OCEAN = await loadOcean();
-    CITY_LABELS = await loadCityLabels();
+    STATE.period = STATE.period || DEFAULT_DATASET_ID;
+    STATE.projectionId = STATE.projectionId || DEFAULT_PROJECTION_ID;
+    const initial = await loadInitialData(STATE.period, {
+        width: STATE.width,
+        height: STATE.height,
+        projectionId: STATE.projectionId,
+        rotation: STATE.globeRotation,
+        onProgress: text => showLoading(text)
+    });
+    STATE.data = initial.data;
+    updateChangeModeLabels();
+    COUNTRIES = initial.countries;
+    OCEAN = initial.ocean;
+    CITY_LABELS = initial.cityLabels;
     buildGlyphRenderCache();
     await new Promise(r => requestAnimationFrame(r));
     updateProjection();
@@ -2537,7 +3584,7 @@ export async function init() {
         const rect = overlay.node().getBoundingClientRect();
         const sx = e.clientX - rect.left;
         const sy = e.clientY - rect.top;
-        const pixelRadius = STATE.symbolRadius * DENSITY_FACTOR * PRECIP_RADIUS_SCALE * STATE.zoomTransform.k * 1.2;
+        const pixelRadius = STATE.symbolRadius * DENSITY_FACTOR * symbolRadiusScale() * STATE.zoomTransform.k * 1.2;
         const d = findNearestScreen(sx, sy, pixelRadius);
 
         if (d) {
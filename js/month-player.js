@@ -0,0 +1,169 @@
+/* month-player.js
+   Monthly colour mode: per-month colour scales, precomputed colour bins and the month playback control.
+   Purpose: let the map show one month at a time (STATE.month) and animate through the year.
+*/
+
+import { STATE, dispatcher } from "./shared.js";
+import { getClimateStore } from "./climate-store.js";
+import { MONTH_FULL } from "./chart-common.js";
+import { formatMeasure } from "./units.js";
+
+/* =========================================================
+   Monthly colour scales
+   Values are binned once per dataset so drawing only looks up a palette entry
+   ========================================================= */
+const MONTH_COLOR_STEPS = 64;
+
+export const MONTH_VARIABLES = {
+    t: {
+        label: "Temperature",
+        unit: "°C",
+        domain: [-40, 40],
+        // Diverging around 0 °C: blue (cold) to red (warm)
+        normalize: v => (v + 40) / 80,
+        interpolator: u => d3.interpolateRdYlBu(1 - u)
+    },
+    p: {
+        label: "Precipitation",
+        unit: "mm",
+        domain: [0, 400],
+        // Square-root scale so dry months still spread across the ramp
+        normalize: v => Math.sqrt(Math.max(0, v) / 400),
+        interpolator: d3.interpolateYlGnBu
+    }
+};
+
+const paletteCache = new Map();
+
+// Colour of every bin for a variable (hex strings, computed once)
+export function monthPalette(variable) {
+    if (!paletteCache.has(variable)) {
+        const spec = MONTH_VARIABLES[variable];
+        paletteCache.set(variable, Array.from({ length: MONTH_COLOR_STEPS }, (_, i) =>
+            d3.color(spec.interpolator(i / (MONTH_COLOR_STEPS - 1))).formatHex()
+        ));
+    }
+    return paletteCache.get(variable);
+}
+
+// Palette bin of every cell and month: bins[i * 12 + month] (calendar months, Jan = 0)
+export function buildMonthColorBins(data, variable) {
+    const spec = MONTH_VARIABLES[variable];
+    const store = getClimateStore(data);
+    const values = store ? store[variable] : null;
+    const bins = new Uint8Array(data.length * 12);
+    for (let i = 0; i < data.length; i++) {
+        const months = values ? null : data[i][variable];
+        for (let m = 0; m < 12; m++) {
+            const v = values ? values[i * 12 + m] : months[m];
+            const u = Math.max(0, Math.min(1, spec.normalize(v)));
+            bins[i * 12 + m] = Number.isFinite(u) ? Math.round(u * (MONTH_COLOR_STEPS - 1)) : 0;
+        }
+    }
+    return bins;
+}
+
+/* =========================================================
+   Playback control
+   ========================================================= */
+const SPEED_OPTIONS = [0.5, 1, 2, 4];
+const BASE_FRAME_MS = 800;
+
+let playTimer = null;
+
+function setMonth(month) {
+    STATE.month = ((month % 12) + 12) % 12;
+    dispatcher.call("monthChanged", null, STATE.month);
+}
+
+function stopPlayback(playButton) {
+    if (playTimer) {
+        playTimer.stop();
+        playTimer = null;
+    }
+    if (playButton) {
+        playButton.textContent = "▶";
+        playButton.title = "Play";
+    }
+}
+
+function startPlayback(playButton, speedSelect) {
+    stopPlayback(playButton);
+    const interval = BASE_FRAME_MS / (+speedSelect.value || 1);
+    playTimer = d3.interval(() => setMonth(STATE.month + 1), interval);
+    playButton.textContent = "❚❚";
+    playButton.title = "Pause";
+}
+
+// Gradient strip for the current variable, built from the same palette the map uses
+function renderScale(scaleBar, scaleMin, scaleMax) {
+    const spec = MONTH_VARIABLES[STATE.monthVariable];
+    const palette = monthPalette(STATE.monthVariable);
+    const stops = palette.filter((_, i) => i % 8 === 0 || i === palette.length - 1);
+    scaleBar.style.background = `linear-gradient(to right, ${stops.join(", ")})`;
+    scaleMin.textContent = formatMeasure(spec.domain[0], spec.unit, 0);
+    scaleMax.textContent = formatMeasure(spec.domain[1], spec.unit, 0);
+}
+
+export function initMonthPlayer() {
+    const player = document.getElementById("month-player");
+    if (!player) return;
+
+    const playButton = player.querySelector("#month-play");
+    const slider = player.querySelector("#month-slider");
+    const monthLabel = player.querySelector("#month-label");
+    const variableSelect = player.querySelector("#month-variable");
+    const speedSelect = player.querySelector("#month-speed");
+    const scaleBar = player.querySelector(".month-scale-bar");
+    const scaleMin = player.querySelector(".month-scale-min");
+    const scaleMax = player.querySelector(".month-scale-max");
+
+    speedSelect.innerHTML = "";
+    SPEED_OPTIONS.forEach(speed => {
+        const option = document.createElement("option");
+        option.value = speed;
+        option.textContent = `${speed}×`;
+        speedSelect.appendChild(option);
+    });
+    speedSelect.value = 1;
+
+    variableSelect.innerHTML = "";
+    Object.entries(MONTH_VARIABLES).forEach(([key, spec]) => {
+        const option = document.createElement("option");
+        option.value = key;
+        option.textContent = spec.label;
+        variableSelect.appendChild(option);
+    });
+    variableSelect.value = STATE.monthVariable;
+
+    slider.value = STATE.month + 1;
+    monthLabel.textContent = MONTH_FULL[STATE.month];
+    renderScale(scaleBar, scaleMin, scaleMax);
+
+    slider.addEventListener("input", () => setMonth(+slider.value - 1));
+    playButton.addEventListener("click", () => {
+        if (playTimer) stopPlayback(playButton);
+        else startPlayback(playButton, speedSelect);
+    });
+    speedSelect.addEventListener("change", () => {
+        if (playTimer) startPlayback(playButton, speedSelect);
+    });
+    variableSelect.addEventListener("change", () => {
+        STATE.monthVariable = variableSelect.value;
+        renderScale(scaleBar, scaleMin, scaleMax);
+        dispatcher.call("monthChanged", null, STATE.month);
+    });
+
+    dispatcher.on("monthChanged.player", month => {
+        slider.value = month + 1;
+        monthLabel.textContent = MONTH_FULL[month];
+    });
+    dispatcher.on("unitsChanged.player", () => renderScale(scaleBar, scaleMin, scaleMax));
+
+    // The player is only shown (and only runs) in the monthly colour mode
+    dispatcher.on("colorModeChanged.player", mode => {
+        const active = mode === "month";
+        player.classList.toggle("active", active);
+        if (!active) stopPlayback(playButton);
+    });
+}
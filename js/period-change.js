@@ -0,0 +1,85 @@
+/* period-change.js
+   Köppen class change between two periods: join both grids by lon/lat, flag changed cells and build a from/to transition matrix.
+   Purpose: feed the map's "change" mode and the panel's transition matrix.
+*/
+
+import { gridStep } from "./shared.js";
+
+const EARTH_RADIUS_KM = 6371.0088;
+const DEG = Math.PI / 180;
+
+function cellKey(d) {
+    return `${d.lon.toFixed(4)},${d.lat.toFixed(4)}`;
+}
+
+// Key used for highlighting one transition, e.g. "Cfb→Cfa"; null when the class did not change
+export function transitionKey(from, to) {
+    if (!from || !to || from === to) return null;
+    return `${from}→${to}`;
+}
+
+// Approximate area of one grid cell (km²) at a given latitude
+function cellAreaKm2(lat, dLon, dLat) {
+    return EARTH_RADIUS_KM * EARTH_RADIUS_KM * (dLon * DEG) * (dLat * DEG) * Math.cos(lat * DEG);
+}
+
+// Annotate the rows of `data` (either fromData or toData) with d.kgChange = { from, to, fromColor, toColor, key } or null.
+// Returns a summary with the transition matrix entries sorted by area.
+export function annotatePeriodChange(data, fromData, toData) {
+    const isFromSide = data === fromData;
+    const other = new Map();
+    for (const d of (isFromSide ? toData : fromData) || []) {
+        other.set(cellKey(d), d);
+    }
+
+    const dLon = gridStep((data || []).map(d => d.lon));
+    const dLat = gridStep((data || []).map(d => d.lat));
+
+    const entries = new Map();
+    let matched = 0;
+    let changedCount = 0;
+    let totalArea = 0;
+    let changedArea = 0;
+
+    for (const d of data || []) {
+        const counterpart = other.get(cellKey(d));
+        d.kgChange = null;
+        if (!counterpart) continue;
+
+        matched += 1;
+        const area = cellAreaKm2(d.lat, dLon, dLat);
+        totalArea += area;
+
+        const fromRow = isFromSide ? d : counterpart;
+        const toRow = isFromSide ? counterpart : d;
+        const key = transitionKey(fromRow.kg_type, toRow.kg_type);
+        if (!key) continue;
+
+        d.kgChange = {
+            from: fromRow.kg_type,
+            to: toRow.kg_type,
+            fromColor: fromRow.baseColor,
+            toColor: toRow.baseColor,
+            key
+        };
+        changedCount += 1;
+        changedArea += area;
+
+        let entry = entries.get(key);
+        if (!entry) {
+            entry = { key, from: fromRow.kg_type, to: toRow.kg_type, fromColor: fromRow.baseColor, toColor: toRow.baseColor, count: 0, area: 0 };
+            entries.set(key, entry);
+        }
+        entry.count += 1;
+        entry.area += area;
+    }
+
+    const matrix = Array.from(entries.values()).sort((a, b) => b.area - a.area);
+    return {
+        totalCount: matched,
+        changedCount,
+        totalArea,
+        changedArea,
+        matrix
+    };
+}
@@ -0,0 +1,101 @@
+/* projections.js
+   Map projection registry: every projection the map can switch to, and how each is fitted to the canvas.
+   Purpose: shared by map.js and the data worker, so projected caches computed off-thread match the map.
+   Robinson and Winkel Tripel come from d3-geo-projection (loaded next to d3).
+*/
+
+// rectangular: the outline is a rectangle, so the viewport can be inverted corner by corner
+// azimuthal: parallels are circles around the pole; axis labels follow the prime meridian and the rim
+// globe: orthographic view rotated by dragging (STATE.globeRotation); the back hemisphere is clipped
+export const PROJECTIONS = [
+    {
+        id: "equirectangular",
+        label: "Equirectangular",
+        rectangular: true,
+        create: () => d3.geoEquirectangular()
+    },
+    {
+        id: "equal-earth",
+        label: "Equal Earth",
+        create: () => d3.geoEqualEarth()
+    },
+    {
+        id: "robinson",
+        label: "Robinson",
+        create: () => d3.geoRobinson()
+    },
+    {
+        id: "winkel-tripel",
+        label: "Winkel Tripel",
+        create: () => d3.geoWinkel3()
+    },
+    {
+        id: "north-polar",
+        label: "North polar (azimuthal)",
+        azimuthal: true,
+        rimLat: 0,
+        create: () => d3.geoAzimuthalEqualArea().rotate([0, -90]).clipAngle(90)
+    },
+    {
+        id: "south-polar",
+        label: "South polar (azimuthal)",
+        azimuthal: true,
+        rimLat: 0,
+        create: () => d3.geoAzimuthalEqualArea().rotate([0, 90]).clipAngle(90)
+    },
+    {
+        id: "globe",
+        label: "Globe (drag to rotate)",
+        globe: true,
+        create: () => d3.geoOrthographic().clipAngle(90)
+    }
+];
+
+export const DEFAULT_PROJECTION_ID = PROJECTIONS[0].id;
+
+export function getProjectionDef(id) {
+    return PROJECTIONS.find(def => def.id === id) || PROJECTIONS[0];
+}
+
+// GeoJSON outline of the globe (d3 projects it to the projection's clip outline)
+export const SPHERE = { type: "Sphere" };
+
+// Projection fitted to the canvas: the data extent for rectangular projections (as before),
+// the whole globe outline for the others. rotation ([λ, φ, γ]) only applies to the globe.
+export function fitProjection(id, extent, width, height, rotation = null) {
+    const def = getProjectionDef(id);
+    const projection = def.create();
+    if (def.globe && rotation) projection.rotate(rotation);
+    const target = def.rectangular ? { type: "MultiPoint", coordinates: extent } : SPHERE;
+    projection.fitExtent([[0, 0], [width, height]], target);
+    projection.projectionId = def.id;
+    return projection;
+}
+
+// Identifies a projection's parameters, so projected caches can be reused across threads
+export function projectionKey(projection) {
+    if (!projection) return null;
+    const [tx, ty] = projection.translate();
+    return `${projection.projectionId || ""}|${projection.scale()}|${tx}|${ty}|${projection.rotate().join(",")}`;
+}
+
+// Project a lon/lat point; null when the projection's clip circle hides it
+// (d3 clips geometry streams to clipAngle, but not single points)
+export function projectVisible(projection, lonLat) {
+    const clip = projection.clipAngle();
+    if (clip) {
+        const [lambda, phi] = projection.rotate();
+        if (d3.geoDistance(lonLat, [-lambda, -phi]) > clip * Math.PI / 180 + 1e-9) return null;
+    }
+    return projection(lonLat);
+}
+
+// Invert a projected point; null when it falls outside the outline (the round trip does not come back to the point)
+export function invertProjected(projection, point, tolerance = 0.5) {
+    const lonLat = projection.invert(point);
+    if (!lonLat || !Number.isFinite(lonLat[0]) || !Number.isFinite(lonLat[1])) return null;
+    if (Math.abs(lonLat[1]) > 90 || Math.abs(lonLat[0]) > 180 + 1e-9) return null;
+    const back = projectVisible(projection, lonLat);
+    if (!back || Math.abs(back[0] - point[0]) > tolerance || Math.abs(back[1] - point[1]) > tolerance) return null;
+    return lonLat;
+}
@@ -0,0 +1,224 @@
+/* range-filter.js
+   Range filter panel: a brushable histogram per key climate variable, combined with AND.
+   Purpose: answer "annual precipitation 500–800 mm and coldest month above 0 °C" style questions. Cells outside
+   the ranges (STATE.rangeFilter) fade on the map, and the Temperature/Precipitation hulls only enclose matching cells.
+*/
+
+import { STATE, dispatcher } from "./shared.js";
+import { getVariableDef, getVariableValues, makeLegendDraggable } from "./variables.js";
+import { formatMeasure, toDisplay, unitTicks } from "./units.js";
+
+// Variables offered as range brushes (ids from the variables.js registry)
+const FILTER_VARIABLES = ["t_mean", "t_coldest", "t_warmest", "p_total", "p_driest", "p_wettest", "aridity"];
+
+const HISTOGRAM_WIDTH = 220;
+const HISTOGRAM_HEIGHT = 30;
+const HISTOGRAM_BINS = 40;
+// Histogram domain quantiles; a brush reaching either end of the histogram is open on that side
+const DOMAIN_QUANTILES = [0.005, 0.995];
+
+let panelEl = null;
+let maskCache = null;
+
+/* =========================================================
+   Mask
+   ========================================================= */
+function rangesKey(ranges) {
+    return Object.keys(ranges).sort().map(id => `${id}:${ranges[id][0]}:${ranges[id][1]}`).join(",");
+}
+
+// Signature of the active ranges for render caches ("" when no filter is set)
+export function rangeFilterKey() {
+    return STATE.rangeFilter ? rangesKey(STATE.rangeFilter) : "";
+}
+
+function buildMask(data, ranges) {
+    const mask = new Uint8Array(data.length).fill(1);
+    Object.entries(ranges).forEach(([id, [lo, hi]]) => {
+        const values = getVariableValues(data, id);
+        for (let i = 0; i < values.length; i++) {
+            const v = values[i];
+            // NaN fails every comparison, so undefined values never match
+            if (!(v >= lo && v <= hi)) mask[i] = 0;
+        }
+    });
+    return mask;
+}
+
+// Uint8Array aligned with data (1 where a cell is inside every range), or null without a filter
+export function getRangeFilterMask(data) {
+    const ranges = STATE.rangeFilter;
+    if (!ranges || !data || !data.length) return null;
+    const key = rangesKey(ranges);
+    if (!maskCache || maskCache.data !== data || maskCache.key !== key) {
+        maskCache = { data, key, mask: buildMask(data, ranges) };
+    }
+    return maskCache.mask;
+}
+
+function countMatches(data, ranges) {
+    if (!Object.keys(ranges).length) return data.length;
+    const mask = buildMask(data, ranges);
+    let count = 0;
+    for (let i = 0; i < mask.length; i++) count += mask[i];
+    return count;
+}
+
+/* =========================================================
+   Panel
+   ========================================================= */
+function computeDomain(values) {
+    const finite = Array.from(values).filter(Number.isFinite).sort((a, b) => a - b);
+    if (!finite.length) return [0, 1];
+    let lo = d3.quantileSorted(finite, DOMAIN_QUANTILES[0]);
+    let hi = d3.quantileSorted(finite, DOMAIN_QUANTILES[1]);
+    if (!(hi > lo)) hi = lo + 1;
+    return d3.scaleLinear().domain([lo, hi]).nice().domain();
+}
+
+function formatValue(v, def) {
+    return formatMeasure(v, def.unit, Math.abs(v) >= 100 ? 0 : 1, def.delta);
+}
+
+function formatRange(range, def) {
+    if (!range) return "any";
+    const [lo, hi] = range;
+    if (lo === -Infinity) return `≤ ${formatValue(hi, def)}`;
+    if (hi === Infinity) return `≥ ${formatValue(lo, def)}`;
+    return `${formatValue(lo, def)} – ${formatValue(hi, def)}`;
+}
+
+// Brush selection in pixels → value range; an edge touching the histogram end is open
+function selectionToRange(selection, x) {
+    const [x0, x1] = selection;
+    return [
+        x0 <= 0 ? -Infinity : x.invert(x0),
+        x1 >= HISTOGRAM_WIDTH ? Infinity : x.invert(x1)
+    ];
+}
+
+function rangeToSelection(range, x) {
+    return [
+        range[0] === -Infinity ? 0 : Math.max(0, x(range[0])),
+        range[1] === Infinity ? HISTOGRAM_WIDTH : Math.min(HISTOGRAM_WIDTH, x(range[1]))
+    ];
+}
+
+function pendingRanges(id, range) {
+    const ranges = { ...(STATE.rangeFilter || {}) };
+    if (range) ranges[id] = range;
+    else delete ranges[id];
+    return ranges;
+}
+
+function updateSummary(ranges) {
+    const data = STATE.data || [];
+    const active = Object.keys(ranges).length;
+    const text = active
+        ? `${d3.format(",")(countMatches(data, ranges))} of ${d3.format(",")(data.length)} cells match`
+        : `${d3.format(",")(data.length)} cells, no range set`;
+    d3.select(panelEl).select(".range-filter-summary").text(text);
+}
+
+function setRanges(ranges) {
+    STATE.rangeFilter = Object.keys(ranges).length ? ranges : null;
+    dispatcher.call("rangeFilterChanged", null, STATE.rangeFilter);
+}
+
+function renderRow(row, id) {
+    const def = getVariableDef(id);
+    const values = getVariableValues(STATE.data, id);
+    const domain = computeDomain(values);
+    const x = d3.scaleLinear().domain(domain).range([0, HISTOGRAM_WIDTH]).clamp(true);
+
+    // Values beyond the domain are counted in the end bins
+    const clamped = Array.from(values).filter(Number.isFinite).map(v => Math.max(domain[0], Math.min(domain[1], v)));
+    const bins = d3.bin().domain(domain).thresholds(x.ticks(HISTOGRAM_BINS))(clamped);
+    const y = d3.scaleLinear()
+        .domain([0, d3.max(bins, b => b.length) || 1])
+        .range([HISTOGRAM_HEIGHT, 0]);
+
+    const readout = row.select(".range-filter-value");
+    readout.text(formatRange(STATE.rangeFilter?.[id], def));
+
+    const svg = row.select("svg")
+        .attr("width", HISTOGRAM_WIDTH)
+        .attr("height", HISTOGRAM_HEIGHT + 12);
+    svg.selectAll("*").remove();
+    svg.append("g")
+        .selectAll("rect")
+        .data(bins)
+        .join("rect")
+        .attr("class", "range-filter-bar")
+        .attr("x", b => x(b.x0))
+        .attr("width", b => Math.max(0, x(b.x1) - x(b.x0) - 1))
+        .attr("y", b => y(b.length))
+        .attr("height", b => HISTOGRAM_HEIGHT - y(b.length));
+    const formatTick = d3.format("~s");
+    svg.append("g")
+        .attr("class", "range-filter-axis")
+        .attr("transform", `translate(0,${HISTOGRAM_HEIGHT})`)
+        .call(d3.axisBottom(x)
+            .tickValues(unitTicks(domain, def.unit, 4, null, def.delta))
+            .tickSize(2)
+            .tickFormat(v => formatTick(toDisplay(v, def.unit, def.delta))));
+
+    const brush = d3.brushX()
+        .extent([[0, 0], [HISTOGRAM_WIDTH, HISTOGRAM_HEIGHT]])
+        .on("brush", event => {
+            if (!event.sourceEvent || !event.selection) return;
+            const range = selectionToRange(event.selection, x);
+            readout.text(formatRange(range, def));
+            updateSummary(pendingRanges(id, range));
+        })
+        .on("end", event => {
+            if (!event.sourceEvent) return;
+            const range = event.selection ? selectionToRange(event.selection, x) : null;
+            readout.text(formatRange(range, def));
+            setRanges(pendingRanges(id, range));
+        });
+    const brushG = svg.append("g").attr("class", "range-filter-brush").call(brush);
+    const range = STATE.rangeFilter?.[id];
+    if (range) brushG.call(brush.move, rangeToSelection(range, x));
+}
+
+function renderPanel() {
+    if (!panelEl || !panelEl.classList.contains("active") || !STATE.data?.length) return;
+    const rows = d3.select(panelEl).select(".range-filter-rows")
+        .selectAll("div.range-filter-row")
+        .data(FILTER_VARIABLES, id => id)
+        .join(enter => {
+            const row = enter.append("div").attr("class", "range-filter-row");
+            const head = row.append("div").attr("class", "range-filter-head");
+            head.append("span").attr("class", "range-filter-label");
+            head.append("span").attr("class", "range-filter-value");
+            row.append("svg");
+            return row;
+        });
+    rows.select(".range-filter-label").text(id => getVariableDef(id).label);
+    rows.each(function(id) {
+        renderRow(d3.select(this), id);
+    });
+    updateSummary(STATE.rangeFilter || {});
+}
+
+export function initRangeFilter() {
+    panelEl = document.getElementById("range-filter");
+    const toggle = document.getElementById("toggle-range-filter");
+    if (!panelEl) return;
+    makeLegendDraggable(panelEl, panelEl.querySelector(".range-filter-title"));
+
+    panelEl.querySelector(".range-filter-clear")?.addEventListener("click", () => {
+        setRanges({});
+        renderPanel();
+    });
+    toggle?.addEventListener("change", () => {
+        panelEl.classList.toggle("active", toggle.checked);
+        renderPanel();
+    });
+
+    // New data (dataset or period): histograms and the live count follow it, the ranges stay
+    dispatcher.on("dataLoaded.rangeFilter", renderPanel);
+    dispatcher.on("rangeFilterChanged.rangeFilter", () => updateSummary(STATE.rangeFilter || {}));
+    dispatcher.on("unitsChanged.rangeFilter", renderPanel);
+}
@@ -3,22 +3,63 @@
    Purpose: decouple map and chart for easier testing and extension.
 */
 
+import { projectVisible, invertProjected } from "./projections.js";
+
 export const STATE = {
     width: 0,
     height: 0,
     data: [],
+    period: null,
+    projectionId: null,
     projection: null,
     zoomTransform: d3.zoomIdentity,
+    // Globe projection rotation [λ, φ, γ] in degrees, changed by dragging (orthographic mode only)
+    globeRotation: [0, -20, 0],
     mapBounds: null,
     mapExtent: null,
-    symbolRadius: null
+    symbolRadius: null,
+    // Colour of points and cells: "class" (Köppen colours), "month" (STATE.month of STATE.monthVariable, see month-player.js)
+    // "variable" (STATE.colorVariable on STATE.colorScheme, see variables.js)
+    // or "bivariate" (mean temperature × precipitation classes, see bivariate.js)
+    colorMode: "class",
+    month: 0,
+    monthVariable: "t",
+    colorVariable: "t_mean",
+    colorScheme: null,
+    // Palette bins [lo, hi] highlighted from the variable legend (null when not hovering it)
+    legendBand: null,
+    bivariateSize: 3,
+    // Bivariate class picked in its legend (null shows all classes)
+    bivariateFilter: null,
+    // Month hovered in the glyph legend, highlighted on every glyph (null when none)
+    glyphMonthHighlight: null,
+    // Köppen classes left on by the class legend (a Set of kg_type); null shows every class
+    classFilter: null,
+    // Value ranges set in the range filter panel, { [variableId]: [lo, hi] } combined with AND (see range-filter.js); null when none
+    rangeFilter: null,
+    // Locations brushed in a scatter plot: { source, data, extent, mask, count } (see chart-scatter-brush.js); null when none
+    scatterSelection: null,
+    // Contour overlay: variable and isoline levels (see contours.js)
+    contourVariable: "t_coldest",
+    contourLevels: [0, 18],
+    // Units of displayed values: "metric" (°C, mm) or "imperial" (°F, in); data stays metric (see units.js)
+    unitSystem: "metric"
 };
 
 export const dispatcher = d3.dispatch(
     "hover", "hoverend", 
-    "select", "viewChanged", "dataLoaded", "lock", "unlock", "tabChanged", "symbolStyleChanged"
+    "select", "viewChanged", "dataLoaded", "lock", "unlock", "tabChanged", "symbolStyleChanged",
+    "periodChanged", "periodChangeComputed", "transitionHighlight", "projectionChanged",
+    "colorModeChanged", "monthChanged", "colorVariableChanged", "legendHighlight", "bivariateChanged",
+    "glyphMonthHighlight", "classFilterChanged", "rangeFilterChanged",
+    "scatterSelectionChanged", "classHighlight", "zoomToSelection", "contoursChanged", "unitsChanged"
 );
 
+// Whether the class legend filter leaves a Köppen class on
+export function isClassVisible(kgType) {
+    return !STATE.classFilter || STATE.classFilter.has(kgType);
+}
+
 // Hover threshold (degrees^2) - preserved for backward compatibility
 export const HOVER_MAX_DIST2 = 0.25 * 0.25; // degrees^2 (~25 km)
 
@@ -31,18 +72,21 @@ export function adjustColor(hex, satFactor, lightFactor) {
     return hsl.formatHex();
 }
 
+// Glyph scale ranges: the full temperature radius spans TEMP_MIN..TEMP_MAX, the precipitation radius saturates at PRECIP_MAX
+export const GLYPH_TEMP_MIN = -63.9375;
+export const GLYPH_TEMP_MAX = 39.0;
+export const GLYPH_PRECIP_MAX = 1519.375;
+
 // Temperature mapping (uses original constants)
 // Normalize temperature to 0..1 for glyph scaling
 export function tempToR(t) {
-    const TEMP_MIN = -63.9375;
-    const TEMP_MAX = 39.0;
-    return (t - TEMP_MIN) / (TEMP_MAX - TEMP_MIN);
+    return (t - GLYPH_TEMP_MIN) / (GLYPH_TEMP_MAX - GLYPH_TEMP_MIN);
 }
 
 // Precipitation mapping (preserves original nonlinear mapping)
 // Map precipitation to a relative radius proportion
 export function precipToR(p) {
-    const PRECIP_MAX = 1519.375;
+    const PRECIP_MAX = GLYPH_PRECIP_MAX;
     const X1 = 0.10, X2 = 0.90, Y1 = 0.20, Y2 = 0.80;
     const R_MIN = 0.10, R_MAX = 1;
 
@@ -53,10 +97,11 @@ export function precipToR(p) {
     return R_MIN + (R_MAX - R_MIN) * y;
 }
 
-// Convert screen pixel coordinates to lon/lat (based on current zoomTransform and projection)
+// Convert screen pixel coordinates to lon/lat (based on current zoomTransform and projection).
+// Returns null outside the projection's outline.
 export function screenToLonLat(x, y) {
     const t = STATE.zoomTransform;
-    return STATE.projection.invert([
+    return invertProjected(STATE.projection, [
         (x - t.x) / t.k,
         (y - t.y) / t.k
     ]);
@@ -80,6 +125,119 @@ export function findNearest(lon, lat) {
     return minDist <= HOVER_MAX_DIST2 * 25 ? best : null;
 }
 
+/* =========================================================
+   Data extent (main thread and data worker)
+   ========================================================= */
+
+// Lon/lat extent of the data cells: [[minLon, minLat], [maxLon, maxLat]]
+export function lonLatExtent(lon, lat) {
+    let minLon = Infinity, maxLon = -Infinity, minLat = Infinity, maxLat = -Infinity;
+    for (let i = 0; i < lon.length; i++) {
+        const x = lon[i];
+        const y = lat[i];
+        if (!Number.isFinite(x) || !Number.isFinite(y)) continue;
+        if (x < minLon) minLon = x;
+        if (x > maxLon) maxLon = x;
+        if (y < minLat) minLat = y;
+        if (y > maxLat) maxLat = y;
+    }
+    return [[minLon, minLat], [maxLon, maxLat]];
+}
+
+// Smallest positive step between sorted unique values (grid spacing in degrees)
+export function gridStep(values, fallback = 0.5) {
+    const sorted = Array.from(new Set(values)).sort((a, b) => a - b);
+    let step = Infinity;
+    for (let i = 1; i < sorted.length; i++) {
+        const diff = sorted[i] - sorted[i - 1];
+        if (diff > 1e-6 && diff < step) step = diff;
+    }
+    return Number.isFinite(step) ? step : fallback;
+}
+
+// Regular raster over the grid cells: column/row of every cell (row 0 = northernmost).
+// Cell centres sit at lonMin + col × step, latMax − row × step.
+export function gridLayout(lon, lat) {
+    const step = gridStep(lon);
+    const [[lonMin, latMin], [lonMax, latMax]] = lonLatExtent(lon, lat);
+    const width = Math.round((lonMax - lonMin) / step) + 1;
+    const height = Math.round((latMax - latMin) / step) + 1;
+    const col = new Int32Array(lon.length);
+    const row = new Int32Array(lon.length);
+    for (let i = 0; i < lon.length; i++) {
+        col[i] = Math.round((lon[i] - lonMin) / step);
+        row[i] = Math.round((latMax - lat[i]) / step);
+    }
+    return { step, lonMin, latMax, width, height, col, row };
+}
+
+/* =========================================================
+   Symbol radius estimation
+   Based on median nearest-neighbor distance in projected coordinates
+   ========================================================= */
+export const SYMBOL_RADIUS_SAMPLE_SIZE = 2000;
+export const SYMBOL_RADIUS_FALLBACK = 1.2;
+
+function nearestDistanceFromQuadtree(quadtree, p) {
+    let minDist2 = Infinity;
+    quadtree.visit((node, x0, y0, x1, y1) => {
+        const dx = p.x < x0 ? x0 - p.x : p.x > x1 ? p.x - x1 : 0;
+        const dy = p.y < y0 ? y0 - p.y : p.y > y1 ? p.y - y1 : 0;
+        if (dx * dx + dy * dy > minDist2) return true;
+
+        if (!node.length) {
+            let q = node;
+            do {
+                if (q.data !== p) {
+                    const ddx = q.data.x - p.x;
+                    const ddy = q.data.y - p.y;
+                    const dist2 = ddx * ddx + ddy * ddy;
+                    if (dist2 < minDist2) minDist2 = dist2;
+                }
+                q = q.next;
+            } while (q);
+        }
+        return false;
+    });
+
+    return Number.isFinite(minDist2) ? Math.sqrt(minDist2) : NaN;
+}
+
+// Estimate base symbol radius (half the median nearest-neighbor distance) from projected x/y arrays
+export function estimateSymbolRadius(px, py, sampleLimit = SYMBOL_RADIUS_SAMPLE_SIZE, fallback = SYMBOL_RADIUS_FALLBACK) {
+    const pts = [];
+    for (let i = 0; i < px.length; i++) {
+        if (Number.isFinite(px[i]) && Number.isFinite(py[i])) pts.push({ x: px[i], y: py[i] });
+    }
+    if (pts.length < 2) return fallback;
+
+    const sampleSize = Math.min(sampleLimit, pts.length);
+    const step = Math.max(1, Math.floor(pts.length / sampleSize));
+    const sampled = [];
+    for (let i = 0; i < pts.length && sampled.length < sampleSize; i += step) {
+        sampled.push(pts[i]);
+    }
+
+    const quadtree = d3.quadtree().x(p => p.x).y(p => p.y).addAll(pts);
+    const distances = [];
+    sampled.forEach(p => {
+        const dist = nearestDistanceFromQuadtree(quadtree, p);
+        if (Number.isFinite(dist)) {
+            distances.push(dist);
+        }
+    });
+    if (!distances.length) return fallback;
+
+    distances.sort((a, b) => a - b);
+    const m = Math.floor(distances.length / 2);
+    const median =
+        distances.length % 2
+            ? distances[m]
+            : 0.5 * (distances[m - 1] + distances[m]);
+
+    return Math.max(fallback, median / 2);
+}
+
 /* =========================================================
    Screen-space quadtree for fast nearest-neighbor lookup
    Build once when projection or data changes; searches operate
@@ -95,11 +253,12 @@ export function buildQuadtree() {
         return;
     }
 
+    // Cells clipped away by the projection (NaN) are skipped by d3.quadtree
     const pts = STATE.data.map(d => {
         let x = d.px;
         let y = d.py;
         if (!Number.isFinite(x) || !Number.isFinite(y)) {
-            [x, y] = STATE.projection([d.lon, d.lat]);
+            [x, y] = projectVisible(STATE.projection, [d.lon, d.lat]) || [NaN, NaN];
         }
         return { x, y, d };
     });
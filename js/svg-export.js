@@ -0,0 +1,358 @@
+/* svg-export.js
+   SVG drawing context: records the subset of the canvas 2D API the map layers use and writes it out as SVG markup.
+   Purpose: vector map export. map.js runs its usual layer drawing code against an SvgContext instead of a canvas,
+   one named group per layer, so the export matches the screen projection and transform and stays editable.
+   Path2D objects cannot be read back, so callers trace geometry through the context (d3.geoPath(projection, svg)).
+*/
+
+const SVG_NS = "http://www.w3.org/2000/svg";
+const TWO_PI = Math.PI * 2;
+
+// Style state saved and restored with save()/restore(), as on a canvas
+const STYLE_DEFAULTS = {
+    fillStyle: "#000000",
+    strokeStyle: "#000000",
+    lineWidth: 1,
+    lineJoin: "miter",
+    lineCap: "butt",
+    globalAlpha: 1,
+    font: "10px sans-serif",
+    textAlign: "start",
+    textBaseline: "alphabetic"
+};
+
+const TEXT_ANCHOR = { start: "start", left: "start", center: "middle", end: "end", right: "end" };
+const DOMINANT_BASELINE = { top: "hanging", hanging: "hanging", middle: "central", bottom: "text-after-edge", ideographic: "ideographic" };
+
+let measureCtx = null;
+
+function num(v) {
+    return Math.round(v * 100) / 100;
+}
+
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;");
+}
+
+// Canvas colour string → hex colour and opacity (rgba() is not valid in every SVG editor)
+function paint(style, alpha) {
+    const c = d3.color(style);
+    if (!c) return { color: "none", opacity: 0 };
+    return { color: c.formatHex(), opacity: num(alpha * c.opacity * 1000) / 1000 };
+}
+
+// "bold 12px Inter, sans-serif" → SVG font attributes
+function fontAttrs(font) {
+    const match = /^(.*?)(\d+(?:\.\d+)?)px\s+(.+)$/.exec(font);
+    if (!match) return ` font-family="sans-serif" font-size="10"`;
+    const [, prefix, size, family] = match;
+    let attrs = ` font-family="${escapeXml(family)}" font-size="${num(+size)}"`;
+    if (/\bbold\b|\b[6-9]00\b/.test(prefix)) attrs += ` font-weight="bold"`;
+    if (/\bitalic\b/.test(prefix)) attrs += ` font-style="italic"`;
+    return attrs;
+}
+
+// Matrix product a × b for [a, b, c, d, e, f] affine matrices
+function multiply(m, n) {
+    return [
+        m[0] * n[0] + m[2] * n[1],
+        m[1] * n[0] + m[3] * n[1],
+        m[0] * n[2] + m[2] * n[3],
+        m[1] * n[2] + m[3] * n[3],
+        m[0] * n[4] + m[2] * n[5] + m[4],
+        m[1] * n[4] + m[3] * n[5] + m[5]
+    ];
+}
+
+/* =========================================================
+   SvgContext
+   Coordinates are written in CSS pixels: pixelRatio undoes the devicePixelRatio transforms the map layers set.
+   Consecutive fills (or strokes) with the same style are merged into one <path>, which keeps point and cell layers small.
+   ========================================================= */
+export class SvgContext {
+    constructor({ width, height, x = 0, y = 0, pixelRatio = 1 }) {
+        this.viewBox = [x, y, width, height];
+        this.root = [1 / pixelRatio, 0, 0, 1 / pixelRatio, 0, 0];
+        this.matrix = this.root.slice();
+        this.lineDash = [];
+        this.clipId = null;
+        this.stack = [];
+        this.defs = [];
+        this.groups = [{ id: null, children: [] }];
+        this.path = [];
+        this.hasCurrentPoint = false;
+        Object.assign(this, STYLE_DEFAULTS);
+    }
+
+    /* ----- Layers ----- */
+    beginGroup(id) {
+        this.groups.push({ id, children: [] });
+    }
+
+    endGroup() {
+        if (this.groups.length < 2) return;
+        const group = this.groups.pop();
+        const body = group.children.map(child => this.serialize(child)).join("\n");
+        this.append({ markup: `<g id="${escapeXml(group.id)}">\n${body}\n</g>` });
+    }
+
+    toString() {
+        while (this.groups.length > 1) this.endGroup();
+        const [x, y, width, height] = this.viewBox.map(num);
+        const defs = this.defs.length ? `<defs>\n${this.defs.join("\n")}\n</defs>\n` : "";
+        const body = this.groups[0].children.map(child => this.serialize(child)).join("\n");
+        return `<?xml version="1.0" encoding="UTF-8"?>\n<svg xmlns="${SVG_NS}" width="${width}" height="${height}" viewBox="${x} ${y} ${width} ${height}">\n${defs}${body}\n</svg>\n`;
+    }
+
+    /* ----- State and transforms ----- */
+    save() {
+        const state = { matrix: this.matrix, lineDash: this.lineDash, clipId: this.clipId };
+        Object.keys(STYLE_DEFAULTS).forEach(key => {
+            state[key] = this[key];
+        });
+        this.stack.push(state);
+    }
+
+    restore() {
+        const state = this.stack.pop();
+        if (state) Object.assign(this, state);
+    }
+
+    setTransform(a, b, c, d, e, f) {
+        this.matrix = multiply(this.root, [a, b, c, d, e, f]);
+    }
+
+    transform(a, b, c, d, e, f) {
+        this.matrix = multiply(this.matrix, [a, b, c, d, e, f]);
+    }
+
+    translate(x, y) {
+        this.transform(1, 0, 0, 1, x, y);
+    }
+
+    scale(sx, sy) {
+        this.transform(sx, 0, 0, sy, 0, 0);
+    }
+
+    rotate(angle) {
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        this.transform(cos, sin, -sin, cos, 0, 0);
+    }
+
+    setLineDash(segments) {
+        this.lineDash = segments.slice();
+    }
+
+    getLineDash() {
+        return this.lineDash.slice();
+    }
+
+    // Uniform scale of the current matrix, for line widths, radii and dashes
+    scaleFactor() {
+        const [a, b, c, d] = this.matrix;
+        return Math.sqrt(Math.abs(a * d - b * c));
+    }
+
+    point(x, y) {
+        const [a, b, c, d, e, f] = this.matrix;
+        return [a * x + c * y + e, b * x + d * y + f];
+    }
+
+    /* ----- Paths ----- */
+    beginPath() {
+        this.path = [];
+        this.hasCurrentPoint = false;
+    }
+
+    moveTo(x, y) {
+        const [px, py] = this.point(x, y);
+        this.path.push(`M${num(px)},${num(py)}`);
+        this.hasCurrentPoint = true;
+    }
+
+    lineTo(x, y) {
+        if (!this.hasCurrentPoint) {
+            this.moveTo(x, y);
+            return;
+        }
+        const [px, py] = this.point(x, y);
+        this.path.push(`L${num(px)},${num(py)}`);
+    }
+
+    closePath() {
+        if (this.path.length) this.path.push("Z");
+    }
+
+    rect(x, y, w, h) {
+        this.moveTo(x, y);
+        this.lineTo(x + w, y);
+        this.lineTo(x + w, y + h);
+        this.lineTo(x, y + h);
+        this.closePath();
+    }
+
+    arc(cx, cy, r, startAngle, endAngle, counterclockwise = false) {
+        let sweep = counterclockwise ? startAngle - endAngle : endAngle - startAngle;
+        const full = sweep >= TWO_PI;
+        if (!full) sweep = ((sweep % TWO_PI) + TWO_PI) % TWO_PI;
+        const at = angle => [cx + r * Math.cos(angle), cy + r * Math.sin(angle)];
+        const [sx, sy] = at(startAngle);
+        if (this.hasCurrentPoint) this.lineTo(sx, sy);
+        else this.moveTo(sx, sy);
+        if (r <= 0 || sweep === 0) return;
+
+        const radius = num(r * this.scaleFactor());
+        const sweepFlag = counterclockwise ? 0 : 1;
+        const direction = counterclockwise ? -1 : 1;
+        const arcTo = (angle, large) => {
+            const [px, py] = this.point(...at(angle));
+            this.path.push(`A${radius},${radius} 0 ${large} ${sweepFlag} ${num(px)},${num(py)}`);
+        };
+        if (full) {
+            // A single SVG arc cannot close on itself: two half circles
+            arcTo(startAngle + direction * Math.PI, 0);
+            arcTo(startAngle, 0);
+        } else {
+            arcTo(startAngle + direction * sweep, sweep > Math.PI ? 1 : 0);
+        }
+    }
+
+    /* ----- Painting ----- */
+    fill(fillRule = "nonzero") {
+        if (!this.path.length) return;
+        const { color, opacity } = paint(this.fillStyle, this.globalAlpha);
+        let attrs = `fill="${color}"`;
+        if (opacity < 1) attrs += ` fill-opacity="${opacity}"`;
+        if (fillRule === "evenodd") attrs += ` fill-rule="evenodd"`;
+        this.appendPath(attrs, this.path.join(""));
+    }
+
+    stroke() {
+        if (!this.path.length) return;
+        this.appendPath(this.strokeAttrs(), this.path.join(""));
+    }
+
+    fillRect(x, y, w, h) {
+        this.withTemporaryPath(() => this.rect(x, y, w, h), () => this.fill());
+    }
+
+    strokeRect(x, y, w, h) {
+        this.withTemporaryPath(() => this.rect(x, y, w, h), () => this.stroke());
+    }
+
+    // The SVG starts empty, so there is nothing to clear
+    clearRect() {}
+
+    clip(fillRule = "nonzero") {
+        if (!this.path.length) return;
+        const id = `clip-${this.defs.length + 1}`;
+        const outer = this.clipId ? ` clip-path="url(#${this.clipId})"` : "";
+        const rule = fillRule === "evenodd" ? ` clip-rule="evenodd"` : "";
+        this.defs.push(`<clipPath id="${id}"${outer}><path d="${this.path.join("")}"${rule}/></clipPath>`);
+        this.clipId = id;
+    }
+
+    strokeAttrs() {
+        const { color, opacity } = paint(this.strokeStyle, this.globalAlpha);
+        const scale = this.scaleFactor();
+        let attrs = `fill="none" stroke="${color}" stroke-width="${num(this.lineWidth * scale * 1000) / 1000}"`;
+        if (opacity < 1) attrs += ` stroke-opacity="${opacity}"`;
+        if (this.lineJoin !== "miter") attrs += ` stroke-linejoin="${this.lineJoin}"`;
+        if (this.lineCap !== "butt") attrs += ` stroke-linecap="${this.lineCap}"`;
+        if (this.lineDash.length) attrs += ` stroke-dasharray="${this.lineDash.map(v => num(v * scale)).join(" ")}"`;
+        return attrs;
+    }
+
+    withTemporaryPath(trace, paintPath) {
+        const path = this.path;
+        const hasCurrentPoint = this.hasCurrentPoint;
+        this.beginPath();
+        trace();
+        paintPath();
+        this.path = path;
+        this.hasCurrentPoint = hasCurrentPoint;
+    }
+
+    /* ----- Text ----- */
+    measureText(text) {
+        if (!measureCtx) measureCtx = document.createElement("canvas").getContext("2d");
+        measureCtx.font = this.font;
+        return measureCtx.measureText(text);
+    }
+
+    fillText(text, x, y) {
+        const { color, opacity } = paint(this.fillStyle, this.globalAlpha);
+        let attrs = `fill="${color}"`;
+        if (opacity < 1) attrs += ` fill-opacity="${opacity}"`;
+        this.appendText(text, x, y, attrs);
+    }
+
+    strokeText(text, x, y) {
+        this.appendText(text, x, y, this.strokeAttrs());
+    }
+
+    appendText(text, x, y, paintAttrs) {
+        const [a, b, c, d] = this.matrix;
+        const scale = this.scaleFactor();
+        let position;
+        // Unrotated text is placed directly; rotated text (contour labels) keeps its matrix
+        if (Math.abs(b) < 1e-9 && Math.abs(c) < 1e-9 && Math.abs(a - d) < 1e-9) {
+            const [px, py] = this.point(x, y);
+            position = `x="${num(px)}" y="${num(py)}"`;
+        } else {
+            const m = this.matrix.map((v, i) => (i < 4 ? v / scale : v)).map(v => num(v * 1e4) / 1e4);
+            const [px, py] = [x * scale, y * scale];
+            position = `x="${num(px)}" y="${num(py)}" transform="matrix(${m.join(" ")})"`;
+        }
+        // Font size follows the current scale, as canvas text does
+        const font = fontAttrs(this.font).replace(/font-size="([\d.]+)"/, (_, size) => `font-size="${num(size * scale)}"`);
+        let attrs = `${position}${font} text-anchor="${TEXT_ANCHOR[this.textAlign] || "start"}"`;
+        if (DOMINANT_BASELINE[this.textBaseline]) attrs += ` dominant-baseline="${DOMINANT_BASELINE[this.textBaseline]}"`;
+        this.append({ markup: `<text ${attrs} ${paintAttrs}${this.clipAttr()}>${escapeXml(text)}</text>` });
+    }
+
+    /* ----- Output ----- */
+    clipAttr() {
+        return this.clipId ? ` clip-path="url(#${this.clipId})"` : "";
+    }
+
+    appendPath(attrs, d) {
+        const key = `${attrs}${this.clipAttr()}`;
+        const children = this.groups[this.groups.length - 1].children;
+        const last = children[children.length - 1];
+        if (last && last.key === key) {
+            last.d.push(d);
+            return;
+        }
+        children.push({ key, d: [d] });
+    }
+
+    append(child) {
+        this.groups[this.groups.length - 1].children.push(child);
+    }
+
+    serialize(child) {
+        if (child.markup) return child.markup;
+        return `<path d="${child.d.join("")}" ${child.key}/>`;
+    }
+}
+
+// Save a blob (SVG markup, PNG) as a file
+export function downloadBlob(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.download = fileName;
+    link.href = url;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// Save SVG markup as a file
+export function downloadSvg(markup, fileName) {
+    downloadBlob(new Blob([markup], { type: "image/svg+xml;charset=utf-8" }), fileName);
+}
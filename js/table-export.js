@@ -0,0 +1,183 @@
+/* table-export.js
+   Tabular data export: the numbers behind the charts as CSV, JSON or GeoJSON.
+   Purpose: download the locked location, the scatter multi-selection or every cell the map currently shows
+   (range filter, scatter selection and class filter applied) with coordinates, country, Köppen class,
+   the 12 monthly temperatures and precipitations and the climate-stats figures; units travel with the columns
+   and follow the selected unit system.
+*/
+
+import { STATE, isClassVisible } from "./shared.js";
+import { MONTH_SHORT } from "./chart-common.js";
+import { getLockState } from "./chart-tab-overall.js";
+import { getRangeFilterMask } from "./range-filter.js";
+import { getCountryNameForDatum } from "./map.js";
+import { getDataset } from "./data.js";
+import { rowMonths } from "./climate-store.js";
+import { downloadBlob } from "./svg-export.js";
+import { displayDigits, displayUnit, toDisplay } from "./units.js";
+
+const SCOPE_LABELS = {
+    location: "Locked location",
+    selection: "Scatter selection",
+    filtered: "Filtered cells"
+};
+
+const FORMATS = {
+    csv: { extension: "csv", type: "text/csv;charset=utf-8" },
+    json: { extension: "json", type: "application/json;charset=utf-8" },
+    geojson: { extension: "geojson", type: "application/geo+json;charset=utf-8" }
+};
+
+// Exported columns; value(d, t, p) reads one climate row in metric units (t / p: its monthly values, see rowMonths),
+// digits rounds numbers in the file (delta: a temperature difference, see units.js)
+const COLUMNS = [
+    { key: "lon", unit: "°", digits: 4, value: d => d.lon },
+    { key: "lat", unit: "°", digits: 4, value: d => d.lat },
+    { key: "country", value: d => countryName(d) },
+    { key: "kg_type", value: d => d.kg_type },
+    ...MONTH_SHORT.map((name, m) => ({ key: `t_${name.toLowerCase()}`, unit: "°C", digits: 1, value: (d, t) => t[m] })),
+    ...MONTH_SHORT.map((name, m) => ({ key: `p_${name.toLowerCase()}`, unit: "mm", digits: 1, value: (d, t, p) => p[m] })),
+    // The climate-stats figures of the Overall tab
+    { key: "annual_mean_temp", unit: "°C", digits: 1, value: (d, t) => d3.mean(t) },
+    { key: "temp_range", unit: "°C", digits: 1, delta: true, value: (d, t) => d3.max(t) - d3.min(t) },
+    { key: "annual_precip", unit: "mm", digits: 0, value: (d, t, p) => d3.sum(p) }
+];
+
+// Country per grid cell, shared by every period (they use the same grid), so a large "filtered" export runs the
+// point-in-polygon lookup once per cell rather than again for each period's row objects
+const countryByCell = new Map();
+
+function countryName(d) {
+    if (d.countryName !== undefined) return d.countryName || "";
+    const key = `${d.lon},${d.lat}`;
+    let name = countryByCell.get(key);
+    if (name === undefined) {
+        name = getCountryNameForDatum(d);
+        // Only remembered once the country outlines are loaded (the lookup then caches d.countryName too)
+        if (d.countryName !== undefined) countryByCell.set(key, name);
+    }
+    return name;
+}
+
+/* =========================================================
+   Rows in scope
+   ========================================================= */
+function selectionMask() {
+    const selection = STATE.scatterSelection;
+    return selection && selection.data === STATE.data ? selection.mask : null;
+}
+
+function filteredRows() {
+    const data = STATE.data || [];
+    const masks = [getRangeFilterMask(data), selectionMask()].filter(Boolean);
+    return data.filter((d, i) => isClassVisible(d.kg_type) && masks.every(mask => mask[i]));
+}
+
+function scopeRows(scope) {
+    if (scope === "location") {
+        const { locked, data } = getLockState();
+        return locked && data ? [data] : [];
+    }
+    if (scope === "selection") {
+        const mask = selectionMask();
+        return mask ? (STATE.data || []).filter((_, i) => mask[i]) : [];
+    }
+    return filteredRows();
+}
+
+// Refresh a scope <select>: counts in the labels, unavailable scopes disabled, the narrowest available one picked
+export function updateTableExportScopes(select) {
+    const { locked } = getLockState();
+    const selection = selectionMask() ? STATE.scatterSelection.count : 0;
+    const counts = { location: locked ? 1 : 0, selection, filtered: filteredRows().length };
+    Array.from(select.options).forEach(option => {
+        const count = counts[option.value];
+        option.textContent = option.value === "location"
+            ? SCOPE_LABELS.location
+            : `${SCOPE_LABELS[option.value]} (${count.toLocaleString()})`;
+        option.disabled = count === 0;
+    });
+    const first = Array.from(select.options).find(option => !option.disabled);
+    if (first) select.value = first.value;
+}
+
+/* =========================================================
+   Formats
+   ========================================================= */
+function roundValue(column, value) {
+    if (typeof value !== "number") return value ?? "";
+    if (!Number.isFinite(value)) return null;
+    const shown = toDisplay(value, column.unit, column.delta);
+    return column.digits != null ? +shown.toFixed(displayDigits(column.unit, column.digits)) : shown;
+}
+
+function rowRecord(d) {
+    const { t, p } = rowMonths(d);
+    const record = {};
+    COLUMNS.forEach(column => {
+        record[column.key] = roundValue(column, column.value(d, t, p));
+    });
+    return record;
+}
+
+function units() {
+    return Object.fromEntries(COLUMNS.filter(column => column.unit).map(column => [column.key, displayUnit(column.unit)]));
+}
+
+function metadata(scope, count) {
+    const dataset = getDataset(STATE.period);
+    return {
+        dataset: dataset ? dataset.label : null,
+        scope: SCOPE_LABELS[scope],
+        count,
+        exported: new Date().toISOString(),
+        units: units()
+    };
+}
+
+function toCsv(rows) {
+    const header = COLUMNS.map(column => (column.unit ? `${column.key} (${displayUnit(column.unit)})` : column.key));
+    const lines = rows.map(d => {
+        const record = rowRecord(d);
+        return COLUMNS.map(column => record[column.key] ?? "");
+    });
+    // Byte order mark so spreadsheet apps read the unit symbols as UTF-8
+    return `\ufeff${d3.csvFormatRows([header, ...lines])}\n`;
+}
+
+function toJson(rows, scope) {
+    return JSON.stringify({ ...metadata(scope, rows.length), locations: rows.map(rowRecord) });
+}
+
+function toGeoJson(rows, scope) {
+    const features = rows.map(d => {
+        const { lon, lat, ...properties } = rowRecord(d);
+        return { type: "Feature", geometry: { type: "Point", coordinates: [lon, lat] }, properties };
+    });
+    return JSON.stringify({ type: "FeatureCollection", metadata: metadata(scope, rows.length), features });
+}
+
+/* =========================================================
+   Export
+   ========================================================= */
+function exportFileName(scope, rows, extension) {
+    if (scope === "location" && rows.length === 1) {
+        const d = rows[0];
+        return `data_${d.kg_type}_${Number(d.lat).toFixed(2)}_${Number(d.lon).toFixed(2)}.${extension}`;
+    }
+    return `climate-data_${scope}_${rows.length}.${extension}`;
+}
+
+// Download the rows of scope ("location", "selection" or "filtered") as format ("csv", "json" or "geojson");
+// returns the number of rows written
+export function exportTable(scope, format) {
+    const rows = scopeRows(scope);
+    if (!rows.length) return 0;
+    const spec = FORMATS[format] || FORMATS.csv;
+    let text;
+    if (format === "json") text = toJson(rows, scope);
+    else if (format === "geojson") text = toGeoJson(rows, scope);
+    else text = toCsv(rows);
+    downloadBlob(new Blob([text], { type: spec.type }), exportFileName(scope, rows, spec.extension));
+    return rows.length;
+}
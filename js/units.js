@@ -0,0 +1,115 @@
+/* units.js
+   Unit systems: metric (°C, mm) or imperial (°F, in) for every displayed value, axis, tooltip and export.
+   Purpose: data, Köppen logic and glyph scaling stay metric; values are converted only where they are shown.
+   Scales keep metric domains and place their ticks at round numbers of the display unit.
+*/
+
+import { STATE, dispatcher } from "./shared.js";
+
+export const UNIT_SYSTEMS = [
+    { id: "metric", label: "Metric (°C, mm)" },
+    { id: "imperial", label: "Imperial (°F, in)" }
+];
+
+// Imperial counterpart of each metric unit: display = metric × scale + offset (differences skip the offset);
+// extraDigits keeps the precision of the smaller unit when formatting
+const IMPERIAL_UNITS = {
+    "°C": { unit: "°F", scale: 9 / 5, offset: 32, extraDigits: 0 },
+    "mm": { unit: "in", scale: 1 / 25.4, offset: 0, extraDigits: 1 }
+};
+
+const formatTickNumber = d3.format("~r");
+
+function conversion(unit) {
+    return STATE.unitSystem === "imperial" ? IMPERIAL_UNITS[unit] || null : null;
+}
+
+export function setUnitSystem(id) {
+    const system = UNIT_SYSTEMS.find(def => def.id === id) || UNIT_SYSTEMS[0];
+    if (STATE.unitSystem === system.id) return;
+    STATE.unitSystem = system.id;
+    dispatcher.call("unitsChanged", null, system.id);
+}
+
+/* =========================================================
+   Values
+   delta: the value is a difference (e.g. an annual temperature range), converted without the offset
+   ========================================================= */
+export function displayUnit(unit) {
+    const c = conversion(unit);
+    return c ? c.unit : unit;
+}
+
+export function toDisplay(value, unit, delta = false) {
+    const c = conversion(unit);
+    return c ? value * c.scale + (delta ? 0 : c.offset) : value;
+}
+
+export function fromDisplay(value, unit, delta = false) {
+    const c = conversion(unit);
+    return c ? (value - (delta ? 0 : c.offset)) / c.scale : value;
+}
+
+// Decimals for a value of unit that shows with digits decimals in metric
+export function displayDigits(unit, digits) {
+    const c = conversion(unit);
+    return c ? digits + c.extraDigits : digits;
+}
+
+export function tempUnit() {
+    return displayUnit("°C");
+}
+
+export function precipUnit() {
+    return displayUnit("mm");
+}
+
+// The number alone in display units ("12.3" / "54.1"); "–" when the value is missing
+export function formatNumber(value, unit, digits = 1, delta = false) {
+    if (!Number.isFinite(value)) return "–";
+    return toDisplay(value, unit, delta).toFixed(displayDigits(unit, digits));
+}
+
+// "12.3 °C" / "54.1 °F", "45 mm" / "1.8 in"; "–" when the value is missing
+export function formatMeasure(value, unit, digits = 1, delta = false) {
+    if (!Number.isFinite(value)) return "–";
+    const shown = displayUnit(unit);
+    const text = formatNumber(value, unit, digits, delta);
+    return shown ? `${text} ${shown}` : text;
+}
+
+// Measurements written into a label ("≥ 10 °C", "< −38 °C", "≥ 60 mm") in display units
+export function convertLabel(text) {
+    if (STATE.unitSystem !== "imperial") return text;
+    return text.replace(/([−-]?\d+(?:\.\d+)?) ?(°C|mm)/g, (_, number, unit) => {
+        const value = toDisplay(+number.replace("−", "-"), unit);
+        return `${formatTickNumber(+value.toFixed(displayDigits(unit, 1)))} ${displayUnit(unit)}`;
+    });
+}
+
+/* =========================================================
+   Axis ticks
+   ========================================================= */
+// Tick positions (metric values) for a scale with a metric domain: round numbers of the display unit.
+// In metric, metricTicks (when given) or the usual d3 ticks are kept.
+export function unitTicks(domain, unit, count, metricTicks = null, delta = false) {
+    const [lo, hi] = d3.extent(domain);
+    if (!conversion(unit)) return metricTicks || d3.ticks(lo, hi, count);
+    return d3.ticks(toDisplay(lo, unit, delta), toDisplay(hi, unit, delta), count)
+        .map(v => fromDisplay(v, unit, delta));
+}
+
+// Hand-picked ticks: metricTicks in metric, otherwise displayTicks (display units) at their metric positions
+export function pickTicks(unit, metricTicks, displayTicks) {
+    return conversion(unit) ? displayTicks.map(v => fromDisplay(v, unit)) : metricTicks;
+}
+
+// Tick label of a metric value in display units
+export function formatTick(value, unit, delta = false) {
+    return formatTickNumber(+toDisplay(value, unit, delta).toFixed(6));
+}
+
+// Axis tick format for unit; null in metric keeps the axis' default format
+export function unitTickFormat(unit, delta = false) {
+    return conversion(unit) ? v => formatTick(v, unit, delta) : null;
+}
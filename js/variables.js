@@ -0,0 +1,484 @@
+/* variables.js
+   Climate variable colouring: the variables the map can be coloured by, colour schemes, precomputed colour bins and the legend.
+   Purpose: choropleth colour mode (STATE.colorMode "variable"); the legend can be dragged around the map,
+   highlights the value band under the pointer and is drawn into map exports.
+*/
+
+import { STATE, dispatcher } from "./shared.js";
+import { getClimateStore } from "./climate-store.js";
+import { MONTH_FULL } from "./chart-common.js";
+import { convertLabel, displayUnit, formatMeasure, formatTick, unitTicks } from "./units.js";
+
+const MONTHS = 12;
+
+/* =========================================================
+   Variable registry
+   value(t, p) receives the 12 calendar-order monthly values (Jan..Dec) of one cell
+   ========================================================= */
+function mean(values) {
+    let sum = 0;
+    for (let m = 0; m < MONTHS; m++) sum += values[m];
+    return sum / MONTHS;
+}
+
+function sum(values) {
+    let total = 0;
+    for (let m = 0; m < MONTHS; m++) total += values[m];
+    return total;
+}
+
+function min(values) {
+    let lowest = Infinity;
+    for (let m = 0; m < MONTHS; m++) if (values[m] < lowest) lowest = values[m];
+    return lowest;
+}
+
+function max(values) {
+    let highest = -Infinity;
+    for (let m = 0; m < MONTHS; m++) if (values[m] > highest) highest = values[m];
+    return highest;
+}
+
+// center: value at the middle of a diverging scheme (the domain midpoint when not set)
+// delta: the value is a difference of temperatures (converted to °F without the 32° offset, see units.js)
+const ANNUAL_VARIABLES = [
+    { id: "t_mean", group: "Annual", label: "Annual mean temperature", unit: "°C", scheme: "RdYlBu", center: 0,
+        value: t => mean(t) },
+    { id: "t_range", group: "Annual", label: "Annual temperature range", unit: "°C", scheme: "YlOrRd", delta: true,
+        value: t => max(t) - min(t) },
+    { id: "t_warmest", group: "Annual", label: "Warmest month temperature", unit: "°C", scheme: "RdYlBu", center: 0,
+        value: t => max(t) },
+    { id: "t_coldest", group: "Annual", label: "Coldest month temperature", unit: "°C", scheme: "RdYlBu", center: 0,
+        value: t => min(t) },
+    { id: "p_total", group: "Annual", label: "Total annual precipitation", unit: "mm", scheme: "YlGnBu",
+        value: (t, p) => sum(p) },
+    { id: "p_driest", group: "Annual", label: "Driest month precipitation", unit: "mm", scheme: "YlGnBu",
+        value: (t, p) => min(p) },
+    { id: "p_wettest", group: "Annual", label: "Wettest month precipitation", unit: "mm", scheme: "YlGnBu",
+        value: (t, p) => max(p) }
+];
+
+const MONTHLY_VARIABLES = [
+    ...MONTH_FULL.map((name, m) => ({
+        id: `t_${m + 1}`, group: "Monthly temperature", label: `${name} temperature`, unit: "°C",
+        scheme: "RdYlBu", center: 0, value: t => t[m]
+    })),
+    ...MONTH_FULL.map((name, m) => ({
+        id: `p_${m + 1}`, group: "Monthly precipitation", label: `${name} precipitation`, unit: "mm",
+        scheme: "YlGnBu", value: (t, p) => p[m]
+    }))
+];
+
+const INDEX_VARIABLES = [
+    // De Martonne: P / (T + 10); below 10 is arid, above 30 humid. Undefined where T ≤ -10 °C.
+    { id: "aridity", group: "Indices", label: "De Martonne aridity index", unit: "", scheme: "BrBG", center: 20,
+        value: (t, p) => {
+            const denom = mean(t) + 10;
+            return denom > 0 ? sum(p) / denom : NaN;
+        } },
+    // Coefficient of variation of monthly precipitation (%)
+    { id: "p_seasonality", group: "Indices", label: "Precipitation seasonality", unit: "%", scheme: "PuBu",
+        value: (t, p) => {
+            const avg = mean(p);
+            if (!(avg > 0)) return NaN;
+            let variance = 0;
+            for (let m = 0; m < MONTHS; m++) variance += (p[m] - avg) ** 2;
+            return Math.sqrt(variance / MONTHS) / avg * 100;
+        } },
+    // Months with mean temperature above 10 °C (growing season length)
+    { id: "warm_months", group: "Indices", label: "Months above 10 °C", unit: "months", scheme: "YlGn",
+        value: t => {
+            let count = 0;
+            for (let m = 0; m < MONTHS; m++) if (t[m] > 10) count++;
+            return count;
+        } }
+];
+
+export const CLIMATE_VARIABLES = [...ANNUAL_VARIABLES, ...MONTHLY_VARIABLES, ...INDEX_VARIABLES];
+export const DEFAULT_VARIABLE_ID = CLIMATE_VARIABLES[0].id;
+
+export function getVariableDef(id) {
+    return CLIMATE_VARIABLES.find(def => def.id === id) || CLIMATE_VARIABLES[0];
+}
+
+// Label with any threshold in it ("Months above 10 °C") in display units
+export function variableLabel(def) {
+    return convertLabel(def.label);
+}
+
+/* =========================================================
+   Colour schemes
+   ========================================================= */
+export const COLOR_SCHEMES = [
+    { id: "viridis", label: "Viridis", type: "sequential", interpolator: d3.interpolateViridis },
+    { id: "magma", label: "Magma", type: "sequential", interpolator: d3.interpolateMagma },
+    { id: "YlOrRd", label: "Yellow–Red", type: "sequential", interpolator: d3.interpolateYlOrRd },
+    { id: "YlGnBu", label: "Yellow–Blue", type: "sequential", interpolator: d3.interpolateYlGnBu },
+    { id: "YlGn", label: "Yellow–Green", type: "sequential", interpolator: d3.interpolateYlGn },
+    { id: "PuBu", label: "Purple–Blue", type: "sequential", interpolator: d3.interpolatePuBu },
+    // Reversed so cold is blue and warm is red
+    { id: "RdYlBu", label: "Blue–Red (diverging)", type: "diverging", interpolator: u => d3.interpolateRdYlBu(1 - u) },
+    { id: "BrBG", label: "Brown–Teal (diverging)", type: "diverging", interpolator: d3.interpolateBrBG },
+    { id: "PuOr", label: "Orange–Purple (diverging)", type: "diverging", interpolator: d3.interpolatePuOr }
+];
+
+export function getSchemeDef(id) {
+    return COLOR_SCHEMES.find(def => def.id === id) || COLOR_SCHEMES[0];
+}
+
+// Scheme in use: the one picked in the legend, else the variable's default
+export function activeSchemeId() {
+    return STATE.colorScheme || getVariableDef(STATE.colorVariable).scheme;
+}
+
+/* =========================================================
+   Values, scales and colour bins
+   Values are computed once per dataset and variable; bins once per scheme type,
+   so drawing only looks up a palette entry
+   ========================================================= */
+export const VARIABLE_COLOR_STEPS = 64;
+export const NO_VALUE_BIN = 255;
+export const NO_VALUE_COLOR = "#d0d0d0";
+
+// Lower/upper quantiles of the colour domain, so a few extreme cells do not flatten the ramp
+const DOMAIN_QUANTILES = [0.02, 0.98];
+
+const valueCache = new Map();
+let colorCache = null;
+
+function computeValues(data, def) {
+    const store = getClimateStore(data);
+    const values = new Float32Array(data.length);
+    for (let i = 0; i < data.length; i++) {
+        const t = store ? store.t.subarray(i * MONTHS, i * MONTHS + MONTHS) : data[i].t;
+        const p = store ? store.p.subarray(i * MONTHS, i * MONTHS + MONTHS) : data[i].p;
+        const v = def.value(t, p);
+        values[i] = Number.isFinite(v) ? v : NaN;
+    }
+    return values;
+}
+
+// Per-cell values of a variable (Float32Array aligned with data; NaN where undefined)
+export function getVariableValues(data, variableId) {
+    let byVariable = valueCache.get(data);
+    if (!byVariable) {
+        valueCache.clear();
+        byVariable = new Map();
+        valueCache.set(data, byVariable);
+    }
+    if (!byVariable.has(variableId)) {
+        byVariable.set(variableId, computeValues(data, getVariableDef(variableId)));
+    }
+    return byVariable.get(variableId);
+}
+
+function robustDomain(values) {
+    const finite = Array.from(values).filter(Number.isFinite).sort((a, b) => a - b);
+    if (!finite.length) return [0, 1];
+    let lo = d3.quantileSorted(finite, DOMAIN_QUANTILES[0]);
+    let hi = d3.quantileSorted(finite, DOMAIN_QUANTILES[1]);
+    if (!(hi > lo)) {
+        lo = finite[0];
+        hi = finite[finite.length - 1];
+    }
+    if (!(hi > lo)) hi = lo + 1;
+    return d3.scaleLinear().domain([lo, hi]).nice().domain();
+}
+
+// Value → 0..1 position on the ramp (clamped); diverging scales put the variable's center at 0.5
+function buildNormalizer(domain, def, schemeType) {
+    if (schemeType !== "diverging") {
+        return d3.scaleLinear().domain(domain).range([0, 1]).clamp(true);
+    }
+    const [lo, hi] = domain;
+    const center = def.center != null && def.center > lo && def.center < hi ? def.center : (lo + hi) / 2;
+    return d3.scaleLinear().domain([lo, center, hi]).range([0, 0.5, 1]).clamp(true);
+}
+
+function buildPalette(scheme) {
+    return Array.from({ length: VARIABLE_COLOR_STEPS }, (_, i) =>
+        d3.color(scheme.interpolator(i / (VARIABLE_COLOR_STEPS - 1))).formatHex()
+    );
+}
+
+// Colours of the current variable and scheme:
+// { variable, scheme, domain, normalize, palette, bins } with bins[i] a palette index or NO_VALUE_BIN
+export function getVariableColors(data) {
+    if (!data || !data.length) return null;
+    const variableId = STATE.colorVariable;
+    const scheme = getSchemeDef(activeSchemeId());
+    if (colorCache && colorCache.data === data && colorCache.variable.id === variableId && colorCache.scheme.id === scheme.id) {
+        return colorCache;
+    }
+
+    const def = getVariableDef(variableId);
+    const values = getVariableValues(data, variableId);
+    const domain = robustDomain(values);
+    const normalize = buildNormalizer(domain, def, scheme.type);
+    const bins = new Uint8Array(data.length);
+    for (let i = 0; i < values.length; i++) {
+        const v = values[i];
+        bins[i] = Number.isFinite(v) ? Math.round(normalize(v) * (VARIABLE_COLOR_STEPS - 1)) : NO_VALUE_BIN;
+    }
+
+    colorCache = { data, variable: def, scheme, domain, normalize, palette: buildPalette(scheme), bins };
+    return colorCache;
+}
+
+// Value at a palette bin (inverse of the normalizer, at the bin centre)
+function binValue(colors, bin) {
+    return colors.normalize.invert(bin / (VARIABLE_COLOR_STEPS - 1));
+}
+
+function formatValue(v, def) {
+    return formatMeasure(v, def.unit, Math.abs(v) >= 100 ? 0 : 1, def.delta);
+}
+
+/* =========================================================
+   Legend
+   ========================================================= */
+const LEGEND_BAR_WIDTH = 220;
+const LEGEND_BAR_HEIGHT = 10;
+const LEGEND_TICKS = 5;
+// Bins on each side of the pointer highlighted on the map while hovering the legend
+const LEGEND_BAND_HALF_WIDTH = 4;
+
+function legendTicks(colors) {
+    const [lo, hi] = colors.domain;
+    const { unit, delta } = colors.variable;
+    return unitTicks([lo, hi], unit, LEGEND_TICKS, null, delta).filter(v => v >= lo && v <= hi);
+}
+
+function legendTickLabel(colors, v) {
+    return formatTick(v, colors.variable.unit, colors.variable.delta);
+}
+
+function legendTitle(colors) {
+    const unit = displayUnit(colors.variable.unit);
+    return `${variableLabel(colors.variable)}${unit ? ` (${unit})` : ""}`;
+}
+
+function setLegendBand(band) {
+    STATE.legendBand = band;
+    dispatcher.call("legendHighlight", null, band);
+}
+
+function renderLegend(legend) {
+    const colors = getVariableColors(STATE.data);
+    legend.select(".variable-legend-title").text(colors ? legendTitle(colors) : "");
+    const svg = legend.select(".variable-legend-scale");
+    svg.selectAll("*").remove();
+    if (!colors) return;
+
+    const x = d3.scaleLinear().domain([0, 1]).range([0, LEGEND_BAR_WIDTH]);
+    const stepWidth = LEGEND_BAR_WIDTH / VARIABLE_COLOR_STEPS;
+    const g = svg.append("g").attr("transform", "translate(8,2)");
+    g.selectAll("rect.variable-legend-step")
+        .data(colors.palette)
+        .enter()
+        .append("rect")
+        .attr("class", "variable-legend-step")
+        .attr("x", (_, i) => i * stepWidth)
+        .attr("y", 0)
+        .attr("width", stepWidth + 0.5)
+        .attr("height", LEGEND_BAR_HEIGHT)
+        .attr("fill", c => c);
+
+    const ticks = g.append("g")
+        .attr("class", "variable-legend-ticks")
+        .attr("transform", `translate(0,${LEGEND_BAR_HEIGHT})`);
+    legendTicks(colors).forEach(v => {
+        const tx = x(colors.normalize(v));
+        ticks.append("line").attr("x1", tx).attr("x2", tx).attr("y1", 0).attr("y2", 4).attr("stroke", "#666");
+        ticks.append("text")
+            .attr("x", tx)
+            .attr("y", 14)
+            .attr("text-anchor", "middle")
+            .text(legendTickLabel(colors, v));
+    });
+
+    const band = g.append("rect")
+        .attr("class", "variable-legend-band")
+        .attr("y", -2)
+        .attr("height", LEGEND_BAR_HEIGHT + 4)
+        .attr("display", "none");
+
+    // Hovering the bar highlights the cells in the value band under the pointer
+    const readout = legend.select(".variable-legend-readout");
+    g.append("rect")
+        .attr("class", "variable-legend-hit")
+        .attr("width", LEGEND_BAR_WIDTH)
+        .attr("height", LEGEND_BAR_HEIGHT + 4)
+        .attr("y", -2)
+        .attr("fill", "transparent")
+        .on("mousemove", event => {
+            const [mx] = d3.pointer(event);
+            const bin = Math.max(0, Math.min(VARIABLE_COLOR_STEPS - 1, Math.floor(mx / stepWidth)));
+            const lo = Math.max(0, bin - LEGEND_BAND_HALF_WIDTH);
+            const hi = Math.min(VARIABLE_COLOR_STEPS - 1, bin + LEGEND_BAND_HALF_WIDTH);
+            band.attr("display", null).attr("x", lo * stepWidth).attr("width", (hi - lo + 1) * stepWidth);
+            readout.text(`${formatValue(binValue(colors, lo), colors.variable)} – ${formatValue(binValue(colors, hi), colors.variable)}`);
+            if (!STATE.legendBand || STATE.legendBand[0] !== lo || STATE.legendBand[1] !== hi) {
+                setLegendBand([lo, hi]);
+            }
+        })
+        .on("mouseleave", () => {
+            band.attr("display", "none");
+            readout.text("");
+            if (STATE.legendBand) setLegendBand(null);
+        });
+}
+
+// Drag a map legend by its title element; the position is kept inside the map wrapper
+export function makeLegendDraggable(legendEl, handle) {
+    let offset = null;
+    d3.select(handle).call(d3.drag()
+        .on("start", event => {
+            const rect = legendEl.getBoundingClientRect();
+            offset = [event.sourceEvent.clientX - rect.left, event.sourceEvent.clientY - rect.top];
+            legendEl.classList.add("dragging");
+        })
+        .on("drag", event => {
+            const parent = legendEl.offsetParent || legendEl.parentElement;
+            const parentRect = parent.getBoundingClientRect();
+            const left = event.sourceEvent.clientX - parentRect.left - offset[0];
+            const top = event.sourceEvent.clientY - parentRect.top - offset[1];
+            const maxLeft = parentRect.width - legendEl.offsetWidth;
+            const maxTop = parentRect.height - legendEl.offsetHeight;
+            legendEl.style.left = `${Math.max(0, Math.min(maxLeft, left))}px`;
+            legendEl.style.top = `${Math.max(0, Math.min(maxTop, top))}px`;
+            legendEl.style.bottom = "auto";
+        })
+        .on("end", () => legendEl.classList.remove("dragging")));
+}
+
+// Variable <select> with one optgroup per registry group (also used by the contour panel)
+export function fillVariableSelect(select, value = STATE.colorVariable) {
+    select.innerHTML = "";
+    d3.group(CLIMATE_VARIABLES, def => def.group).forEach((defs, group) => {
+        const optgroup = document.createElement("optgroup");
+        optgroup.label = group;
+        defs.forEach(def => {
+            const option = document.createElement("option");
+            option.value = def.id;
+            option.textContent = variableLabel(def);
+            optgroup.appendChild(option);
+        });
+        select.appendChild(optgroup);
+    });
+    select.value = value;
+}
+
+function fillSchemeSelect(select) {
+    select.innerHTML = "";
+    COLOR_SCHEMES.forEach(scheme => {
+        const option = document.createElement("option");
+        option.value = scheme.id;
+        option.textContent = scheme.label;
+        select.appendChild(option);
+    });
+    select.value = activeSchemeId();
+}
+
+export function initVariableLegend() {
+    const legendEl = document.getElementById("variable-legend");
+    if (!legendEl) return;
+    const legend = d3.select(legendEl);
+    const variableSelect = legendEl.querySelector("#color-variable");
+    const schemeSelect = legendEl.querySelector("#color-scheme");
+
+    fillVariableSelect(variableSelect);
+    fillSchemeSelect(schemeSelect);
+    makeLegendDraggable(legendEl, legendEl.querySelector(".variable-legend-title"));
+
+    // A new variable starts on its default scheme
+    variableSelect.addEventListener("change", () => {
+        STATE.colorVariable = variableSelect.value;
+        STATE.colorScheme = null;
+        schemeSelect.value = activeSchemeId();
+        dispatcher.call("colorVariableChanged", null, STATE.colorVariable);
+    });
+    schemeSelect.addEventListener("change", () => {
+        STATE.colorScheme = schemeSelect.value;
+        dispatcher.call("colorVariableChanged", null, STATE.colorVariable);
+    });
+
+    dispatcher.on("colorVariableChanged.legend", () => {
+        if (STATE.legendBand) setLegendBand(null);
+        renderLegend(legend);
+    });
+    dispatcher.on("unitsChanged.legend", () => {
+        fillVariableSelect(variableSelect, variableSelect.value);
+        if (STATE.colorMode === "variable") renderLegend(legend);
+    });
+    dispatcher.on("dataLoaded.legend", () => {
+        if (STATE.colorMode === "variable") renderLegend(legend);
+    });
+    dispatcher.on("colorModeChanged.legend", mode => {
+        const active = mode === "variable";
+        legendEl.classList.toggle("active", active);
+        if (STATE.legendBand) setLegendBand(null);
+        if (active) renderLegend(legend);
+    });
+}
+
+/* =========================================================
+   Export: the legend drawn into the exported map image
+   ========================================================= */
+
+// Draws the legend onto an export canvas at its on-screen position (scale = export pixels per CSS pixel).
+// Returns false when the map is not in the variable colour mode.
+export function drawVariableLegendForExport(ctx, scale) {
+    const legendEl = document.getElementById("variable-legend");
+    const mapCanvas = document.getElementById("mapCanvas");
+    if (STATE.colorMode !== "variable" || !legendEl || !mapCanvas) return false;
+    const colors = getVariableColors(STATE.data);
+    if (!colors) return false;
+
+    const mapRect = mapCanvas.getBoundingClientRect();
+    const legendRect = legendEl.getBoundingClientRect();
+    const padding = 10;
+    const width = LEGEND_BAR_WIDTH + padding * 2;
+    const height = 64;
+    const left = (legendRect.left - mapRect.left) * scale;
+    const top = (legendRect.top - mapRect.top) * scale;
+
+    ctx.save();
+    ctx.translate(left, top);
+    ctx.scale(scale, scale);
+
+    ctx.fillStyle = "rgba(255, 255, 255, 0.9)";
+    ctx.strokeStyle = "rgba(208, 208, 208, 0.9)";
+    ctx.lineWidth = 1;
+    ctx.fillRect(0, 0, width, height);
+    ctx.strokeRect(0.5, 0.5, width - 1, height - 1);
+
+    ctx.fillStyle = "#333";
+    ctx.font = "600 12px Inter, 'Helvetica Neue', sans-serif";
+    ctx.textBaseline = "top";
+    ctx.textAlign = "left";
+    ctx.fillText(legendTitle(colors), padding, 8);
+
+    const barTop = 28;
+    const stepWidth = LEGEND_BAR_WIDTH / VARIABLE_COLOR_STEPS;
+    colors.palette.forEach((color, i) => {
+        ctx.fillStyle = color;
+        ctx.fillRect(padding + i * stepWidth, barTop, stepWidth + 0.5, LEGEND_BAR_HEIGHT);
+    });
+
+    ctx.strokeStyle = "#666";
+    ctx.fillStyle = "#555";
+    ctx.font = "11px Inter, 'Helvetica Neue', sans-serif";
+    ctx.textAlign = "center";
+    legendTicks(colors).forEach(v => {
+        const tx = padding + colors.normalize(v) * LEGEND_BAR_WIDTH;
+        ctx.beginPath();
+        ctx.moveTo(tx, barTop + LEGEND_BAR_HEIGHT);
+        ctx.lineTo(tx, barTop + LEGEND_BAR_HEIGHT + 4);
+        ctx.stroke();
+        ctx.fillText(legendTickLabel(colors, v), tx, barTop + LEGEND_BAR_HEIGHT + 6);
+    });
+
+    ctx.restore();
+    return true;
+}
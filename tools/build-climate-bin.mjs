@@ -0,0 +1,79 @@
+/* build-climate-bin.mjs
+   Convert a kg.csv-style climate grid into the columnar binary read by js/climate-store.js.
+   Usage: node tools/build-climate-bin.mjs data/kg.csv data/kg.bin
+*/
+
+import { readFile, writeFile } from "node:fs/promises";
+import { ClimateStoreBuilder, encodeClimateBinary } from "../js/climate-store.js";
+
+// Split one CSV line, honouring double-quoted fields
+function splitCsvLine(line) {
+    const out = [];
+    let field = "";
+    let quoted = false;
+    for (let i = 0; i < line.length; i++) {
+        const c = line[i];
+        if (quoted) {
+            if (c === '"' && line[i + 1] === '"') { field += '"'; i++; }
+            else if (c === '"') quoted = false;
+            else field += c;
+        } else if (c === '"') {
+            quoted = true;
+        } else if (c === ",") {
+            out.push(field);
+            field = "";
+        } else {
+            field += c;
+        }
+    }
+    out.push(field);
+    return out;
+}
+
+async function main() {
+    const [input, output] = process.argv.slice(2);
+    if (!input || !output) {
+        console.error("Usage: node tools/build-climate-bin.mjs <input.csv> <output.bin>");
+        process.exit(1);
+    }
+
+    const lines = (await readFile(input, "utf8")).split(/\r?\n/).filter(l => l.length);
+    const header = splitCsvLine(lines[0]);
+    const col = name => {
+        const idx = header.indexOf(name);
+        if (idx < 0) throw new Error(`Missing column ${name} in ${input}`);
+        return idx;
+    };
+    const lonIdx = col("lon");
+    const latIdx = col("lat");
+    const typeIdx = col("kg_type");
+    const color1Idx = col("kg_color1");
+    const color3Idx = col("kg_color3");
+    const tIdx = [];
+    const pIdx = [];
+    for (let i = 1; i <= 12; i++) {
+        const month = String(i).padStart(2, "0");
+        tIdx.push(col(`t${month}`));
+        pIdx.push(col(`p${month}`));
+    }
+
+    const builder = new ClimateStoreBuilder();
+    for (let r = 1; r < lines.length; r++) {
+        const f = splitCsvLine(lines[r]);
+        builder.add(
+            +f[lonIdx], +f[latIdx],
+            tIdx.map(i => +f[i]), pIdx.map(i => +f[i]),
+            f[typeIdx], f[color1Idx], f[color3Idx]
+        );
+    }
+
+    const columns = builder.columns();
+    const buffer = encodeClimateBinary(columns);
+    await writeFile(output, Buffer.from(buffer));
+    console.log(`${output}: ${columns.lon.length} cells, ${columns.palette.length} classes, ${(buffer.byteLength / 1e6).toFixed(1)} MB`);
+}
+
+main().catch(err => {
+    console.error(err);
+    process.exit(1);
+});